@@ -0,0 +1,46 @@
+// COMBO SEEDS - Starter combo setup an admin can load for a restaurant (POST /api/combos/reseed)
+// Pools list menu items by name; names the restaurant doesn't have on its menu are skipped.
+// Seeding is idempotent: pools and combos are matched by name and updated in place.
+
+const ENTREE_POOL = 'Dinner entrees';
+const BASE_POOL = 'Chow mein or fried rice';
+
+const dinnerCombo = (guests, entreeCount, basePrice, springRolls) => ({
+  name: `Combination Dinner for ${guests}`,
+  description: `First choose chicken chow mein OR chicken fried rice, then choose ${entreeCount} of your favorite dishes from our selection.`,
+  basePrice,
+  entreePool: ENTREE_POOL,
+  entreeCount,
+  basePool: BASE_POOL,
+  includedExtras: [{ name: 'Spring Roll', quantity: springRolls }],
+  additionalItemPrice: null
+});
+
+module.exports = {
+  pools: [
+    {
+      name: BASE_POOL,
+      description: 'Base dish included with every combination dinner',
+      items: ['Chicken Chow Mein', 'Chicken Fried Rice']
+    },
+    {
+      name: ENTREE_POOL,
+      description: 'Dishes customers can choose in a combination dinner',
+      items: [
+        'Lemon Chicken', 'Chicken Balls', 'Almond Chicken', 'Kung Pao Chicken', 'Sesame Chicken',
+        'Beef with Black Bean Sauce', 'Ginger Fried Beef', 'Beef Chow Mein', 'Beef and Broccoli',
+        'Honey Garlic Pork', 'Sweet & Sour Pork', 'Dry Garlic Pork',
+        'Deep-Fried Prawns', 'Shrimp with Black Bean Sauce', 'Kung Pao Prawns',
+        'Chicken Chop Suey', 'Beef Chop Suey'
+      ]
+    }
+  ],
+  combos: [
+    dinnerCombo('Two', 2, 24.95, 2),
+    dinnerCombo('Three', 3, 69.95, 3),
+    dinnerCombo('Four', 4, 88.95, 4),
+    dinnerCombo('Six', 5, 108.95, 6),
+    dinnerCombo('Eight', 7, 148.95, 8),
+    dinnerCombo('Ten', 9, 172.95, 10)
+  ]
+};
@@ -0,0 +1,199 @@
+// DATA MIGRATIONS - Idempotent rewrites of existing rows, run on startup after schema updates
+// Each migration only touches rows still in the old format, so running it again is a no-op
+
+const { Op } = require('sequelize');
+
+// Combo order lines used to store their selections as JSON in order_items.item_name:
+// { type: 'combo', comboId, selectedItems, additionalItems, baseChoice, originalName }
+// Move them to combo_type_id + order_item_selections and put the plain combo name back.
+const migrateLegacyComboItems = async (sequelize) => {
+  const { OrderItem, OrderItemSelection, MenuItem, ComboType } = sequelize.models;
+
+  const legacyItems = await OrderItem.findAll({
+    where: { itemName: { [Op.like]: '{%"type":"combo"%' } }
+  });
+  if (legacyItems.length === 0) return;
+
+  console.log(`🔄 Migrating ${legacyItems.length} combo order items to structured selections...`);
+
+  let migrated = 0;
+  for (const orderItem of legacyItems) {
+    let comboData;
+    try {
+      comboData = JSON.parse(orderItem.itemName);
+    } catch (error) {
+      console.error(`⚠️ Skipping order item ${orderItem.id}: item name is not valid JSON`);
+      continue;
+    }
+
+    const toIds = (ids) => (Array.isArray(ids) ? ids : []).map(id => parseInt(id)).filter(Number.isInteger);
+    const baseIds = toIds(comboData.baseChoice ? [comboData.baseChoice] : []);
+    const entreeIds = toIds(comboData.selectedItems);
+    const additionalIds = toIds(comboData.additionalItems);
+    const comboId = parseInt(comboData.comboId) || null;
+
+    const [menuItems, combo] = await Promise.all([
+      MenuItem.findAll({ where: { id: [...baseIds, ...entreeIds, ...additionalIds] } }),
+      comboId ? ComboType.findByPk(comboId) : null
+    ]);
+    const namesById = new Map(menuItems.map(menuItem => [menuItem.id, menuItem.name]));
+
+    // Old rows didn't record what each extra cost; use the combo's current additional-item price
+    const additionalPrice = combo && combo.additionalItemPrice !== null ? combo.additionalItemPrice : 0;
+
+    const selections = [
+      ...baseIds.map(menuItemId => ({ menuItemId, role: 'base', priceDelta: 0 })),
+      ...entreeIds.map(menuItemId => ({ menuItemId, role: 'entree', priceDelta: 0 })),
+      ...additionalIds.map(menuItemId => ({ menuItemId, role: 'additional', priceDelta: additionalPrice }))
+    ].map((selection, index) => ({
+      ...selection,
+      orderItemId: orderItem.id,
+      menuItemId: namesById.has(selection.menuItemId) ? selection.menuItemId : null,
+      itemName: namesById.get(selection.menuItemId) || `Menu item #${selection.menuItemId}`,
+      displayOrder: index
+    }));
+
+    await sequelize.transaction(async (transaction) => {
+      await OrderItemSelection.bulkCreate(selections, { transaction });
+      await orderItem.update({
+        comboTypeId: combo ? combo.id : null,
+        itemName: comboData.originalName || (combo ? combo.name : 'Combo')
+      }, { transaction });
+    });
+    migrated++;
+  }
+
+  console.log(`✅ Migrated ${migrated} combo order items`);
+};
+
+// Combo types used to list their items in combo_available_items (is_entree = false marked base
+// choices) and count spring rolls in combo_types.spring_rolls_included. Turn each combo's item lists
+// into named pools - combos offering the same items share a pool - and derive the combo's rules.
+const migrateComboAvailableItemsToPools = async (sequelize) => {
+  const { ComboType, ComboItemPool, ComboPoolItem } = sequelize.models;
+  const queryInterface = sequelize.getQueryInterface();
+
+  const tables = (await queryInterface.showAllTables()).map(table => (typeof table === 'string' ? table : table.tableName));
+  if (!tables.includes('combo_available_items')) return;
+
+  const combos = await ComboType.findAll({ where: { entreePoolId: null } });
+  if (combos.length === 0) return;
+
+  const comboColumns = await queryInterface.describeTable('combo_types');
+  const [legacyItems] = await sequelize.query(
+    'SELECT combo_type_id, menu_item_id, is_entree FROM combo_available_items ORDER BY combo_type_id, display_order, id'
+  );
+  const [springRollRows] = comboColumns.spring_rolls_included
+    ? await sequelize.query('SELECT id, spring_rolls_included FROM combo_types')
+    : [[]];
+  const springRollsByComboId = new Map(springRollRows.map(row => [row.id, row.spring_rolls_included]));
+
+  console.log(`🔄 Moving ${combos.length} combo types to item pools...`);
+
+  // "restaurantId:isEntree:ids" -> pool ID, so identical item lists become one pool
+  const poolIdsByKey = new Map();
+  const findOrCreatePool = async (combo, menuItemIds, isEntree, transaction) => {
+    if (menuItemIds.length === 0) return null;
+    const key = `${combo.restaurantId}:${isEntree}:${menuItemIds.join(',')}`;
+    if (!poolIdsByKey.has(key)) {
+      const pool = await ComboItemPool.create({
+        restaurantId: combo.restaurantId,
+        name: `${combo.name} ${isEntree ? 'entrees' : 'base choices'}`
+      }, { transaction });
+      await ComboPoolItem.bulkCreate(
+        menuItemIds.map((menuItemId, index) => ({ poolId: pool.id, menuItemId, displayOrder: index })),
+        { transaction }
+      );
+      poolIdsByKey.set(key, pool.id);
+    }
+    return poolIdsByKey.get(key);
+  };
+
+  for (const combo of combos) {
+    const rows = legacyItems.filter(row => row.combo_type_id === combo.id);
+    if (!rows.some(row => row.is_entree)) {
+      console.warn(`⚠️ Combo type ${combo.id} (${combo.name}) has no entree items; assign it an entree pool before it can be ordered`);
+      continue;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const entreePoolId = await findOrCreatePool(combo, rows.filter(row => row.is_entree).map(row => row.menu_item_id), true, transaction);
+      const basePoolId = await findOrCreatePool(combo, rows.filter(row => !row.is_entree).map(row => row.menu_item_id), false, transaction);
+      const springRolls = springRollsByComboId.get(combo.id) || 0;
+
+      await combo.update({
+        entreePoolId,
+        basePoolId,
+        // base_items counted the base choice as one of the combo's dishes
+        entreeCount: Math.max(1, combo.baseItems - (basePoolId ? 1 : 0)),
+        includedExtras: combo.includedExtras || (springRolls > 0 ? [{ name: 'Spring Roll', quantity: springRolls }] : [])
+      }, { transaction });
+    });
+  }
+
+  console.log(`✅ Created ${poolIdsByKey.size} combo item pools`);
+};
+
+// Restaurant hours used to hold one interval per day, as "11:00-22:00" or { open, close }, with
+// times like "9:00" or "24:00". Rewrite every day as a list of { open: 'HH:MM', close: 'HH:MM' }
+// intervals. Restaurants with hours that can't be read are left as they are and reported.
+const migrateLegacyRestaurantHours = async (sequelize) => {
+  const { Restaurant } = sequelize.models;
+
+  // "9:00" -> "09:00"; "24:00" is midnight, which a close time before the open time already means
+  const toTime = (value) => {
+    const match = /^(\d{1,2}):([0-5]\d)$/.exec(String(value).trim());
+    if (!match || parseInt(match[1]) > 24 || (parseInt(match[1]) === 24 && match[2] !== '00')) return null;
+    return `${String(parseInt(match[1]) % 24).padStart(2, '0')}:${match[2]}`;
+  };
+  const toIntervals = (day) => {
+    if (!day) return null;
+    const intervals = (Array.isArray(day) ? day : [day]).map(interval => {
+      const [open, close] = (typeof interval === 'string' ? interval.split('-') : [interval?.open, interval?.close]).map(toTime);
+      return open && close ? { open, close } : null;
+    });
+    return intervals.includes(null) ? undefined : intervals;
+  };
+  const isCurrent = (day) => day === null ||
+    (Array.isArray(day) && day.every(interval => interval && typeof interval === 'object' &&
+      /^([01]\d|2[0-3]):[0-5]\d$/.test(interval.open) && /^([01]\d|2[0-3]):[0-5]\d$/.test(interval.close)));
+
+  const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+  const restaurants = await Restaurant.findAll({ attributes: ['id', 'name', 'hours'], where: { hours: { [Op.ne]: null } } });
+  const legacy = restaurants.filter(restaurant => restaurant.hours !== null &&
+    !(isObject(restaurant.hours) && Object.values(restaurant.hours).every(isCurrent)));
+  if (legacy.length === 0) return;
+
+  console.log(`🔄 Migrating opening hours of ${legacy.length} restaurants to intervals...`);
+
+  let migrated = 0;
+  for (const restaurant of legacy) {
+    const skip = () => console.error(`⚠️ Skipping restaurant ${restaurant.id} (${restaurant.name}): hours could not be read, set them again`);
+
+    const hours = isObject(restaurant.hours)
+      ? Object.fromEntries(Object.entries(restaurant.hours).map(([day, value]) => [day, toIntervals(value)]))
+      : null;
+    if (!hours || Object.values(hours).includes(undefined)) {
+      skip();
+      continue;
+    }
+
+    try {
+      await restaurant.update({ hours });
+      migrated++;
+    } catch (error) {
+      skip(); // e.g. a day name the hours validator doesn't know
+    }
+  }
+
+  console.log(`✅ Migrated opening hours of ${migrated} restaurants`);
+};
+
+const applyDataMigrations = async (sequelize) => {
+  await migrateLegacyComboItems(sequelize);
+  await migrateComboAvailableItemsToPools(sequelize);
+  await migrateLegacyRestaurantHours(sequelize);
+};
+
+module.exports = { applyDataMigrations };
@@ -1,5 +1,7 @@
 // config/database.js - Enhanced Debug Version
 const { Sequelize } = require('sequelize');
+const { applySchemaUpdates } = require('./schemaUpdates');
+const { applyDataMigrations } = require('./dataMigrations');
 require('dotenv').config();
 
 console.log('🔍 Debug: Checking environment variables...');
@@ -84,7 +86,7 @@ try {
 }
 
 // Import models with error handling
-let Restaurant, User, MenuCategory, MenuItem, Order, OrderItem, ComboType, ComboAvailableItems;
+let Restaurant, User, MenuCategory, MenuItem, Order, OrderItem, OrderTaxLine, OrderStatusHistory, Refund, WebhookEvent, ComboType, ComboItemPool, ComboPoolItem, ModifierGroup, ModifierOption, ModifierGroupAssignment, OrderItemModifier, OrderItemSelection, PromoCode, OrderDiscount, LoyaltyTransaction, GiftCard, GiftCardTransaction, PasswordResetToken, UserSession, RefreshToken;
 
 try {
   console.log('📦 Loading models...');
@@ -106,11 +108,65 @@ try {
   OrderItem = require('../models/OrderItem')(sequelize);
   console.log('✅ OrderItem model loaded');
   
+  OrderTaxLine = require('../models/OrderTaxLine')(sequelize);
+  console.log('✅ OrderTaxLine model loaded');
+  
+  PromoCode = require('../models/PromoCode')(sequelize);
+  console.log('✅ PromoCode model loaded');
+  
+  OrderDiscount = require('../models/OrderDiscount')(sequelize);
+  console.log('✅ OrderDiscount model loaded');
+  
+  LoyaltyTransaction = require('../models/LoyaltyTransaction')(sequelize);
+  console.log('✅ LoyaltyTransaction model loaded');
+  
+  GiftCard = require('../models/GiftCard')(sequelize);
+  console.log('✅ GiftCard model loaded');
+  
+  GiftCardTransaction = require('../models/GiftCardTransaction')(sequelize);
+  console.log('✅ GiftCardTransaction model loaded');
+  
+  PasswordResetToken = require('../models/PasswordResetToken')(sequelize);
+  console.log('✅ PasswordResetToken model loaded');
+  
+  UserSession = require('../models/UserSession')(sequelize);
+  console.log('✅ UserSession model loaded');
+  
+  RefreshToken = require('../models/RefreshToken')(sequelize);
+  console.log('✅ RefreshToken model loaded');
+  
+  OrderStatusHistory = require('../models/OrderStatusHistory')(sequelize);
+  console.log('✅ OrderStatusHistory model loaded');
+  
+  Refund = require('../models/Refund')(sequelize);
+  console.log('✅ Refund model loaded');
+  
+  WebhookEvent = require('../models/WebhookEvent')(sequelize);
+  console.log('✅ WebhookEvent model loaded');
+  
   ComboType = require('../models/ComboType')(sequelize);
   console.log('✅ ComboType model loaded');
   
-  ComboAvailableItems = require('../models/ComboAvailableItems')(sequelize);
-  console.log('✅ ComboAvailableItems model loaded');
+  ComboItemPool = require('../models/ComboItemPool')(sequelize);
+  console.log('✅ ComboItemPool model loaded');
+  
+  ComboPoolItem = require('../models/ComboPoolItem')(sequelize);
+  console.log('✅ ComboPoolItem model loaded');
+  
+  ModifierGroup = require('../models/ModifierGroup')(sequelize);
+  console.log('✅ ModifierGroup model loaded');
+  
+  ModifierOption = require('../models/ModifierOption')(sequelize);
+  console.log('✅ ModifierOption model loaded');
+  
+  ModifierGroupAssignment = require('../models/ModifierGroupAssignment')(sequelize);
+  console.log('✅ ModifierGroupAssignment model loaded');
+  
+  OrderItemModifier = require('../models/OrderItemModifier')(sequelize);
+  console.log('✅ OrderItemModifier model loaded');
+  
+  OrderItemSelection = require('../models/OrderItemSelection')(sequelize);
+  console.log('✅ OrderItemSelection model loaded');
 } catch (error) {
   console.error('❌ Error loading models:', error);
   console.error('Stack trace:', error.stack);
@@ -147,19 +203,108 @@ try {
   Order.hasMany(OrderItem, { foreignKey: 'order_id', as: 'items' });
   OrderItem.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
   
+  Order.hasMany(OrderTaxLine, { foreignKey: 'order_id', as: 'taxLines' });
+  OrderTaxLine.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+  
+  // PROMO CODE ASSOCIATIONS - Codes belong to a restaurant; each order keeps a snapshot of the discount applied
+  Restaurant.hasMany(PromoCode, { foreignKey: 'restaurant_id', as: 'promoCodes' });
+  PromoCode.belongsTo(Restaurant, { foreignKey: 'restaurant_id', as: 'restaurant' });
+  
+  Order.hasMany(OrderDiscount, { foreignKey: 'order_id', as: 'discounts', onDelete: 'CASCADE' });
+  OrderDiscount.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+  
+  PromoCode.hasMany(OrderDiscount, { foreignKey: 'promo_code_id', as: 'redemptions', onDelete: 'SET NULL' });
+  OrderDiscount.belongsTo(PromoCode, { foreignKey: 'promo_code_id', as: 'promoCode' });
+  
+  // LOYALTY ASSOCIATIONS - Points ledger per customer and restaurant, entries linked to the order behind them
+  User.hasMany(LoyaltyTransaction, { foreignKey: 'user_id', as: 'loyaltyTransactions' });
+  LoyaltyTransaction.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  
+  Restaurant.hasMany(LoyaltyTransaction, { foreignKey: 'restaurant_id', as: 'loyaltyTransactions' });
+  LoyaltyTransaction.belongsTo(Restaurant, { foreignKey: 'restaurant_id', as: 'restaurant' });
+  
+  Order.hasMany(LoyaltyTransaction, { foreignKey: 'order_id', as: 'loyaltyTransactions' });
+  LoyaltyTransaction.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+  
+  // GIFT CARD ASSOCIATIONS - Cards belong to a restaurant; every balance change is a ledger entry
+  Restaurant.hasMany(GiftCard, { foreignKey: 'restaurant_id', as: 'giftCards' });
+  GiftCard.belongsTo(Restaurant, { foreignKey: 'restaurant_id', as: 'restaurant' });
+  GiftCard.belongsTo(User, { foreignKey: 'issued_by', as: 'issuer' });
+  
+  GiftCard.hasMany(GiftCardTransaction, { foreignKey: 'gift_card_id', as: 'transactions' });
+  GiftCardTransaction.belongsTo(GiftCard, { foreignKey: 'gift_card_id', as: 'giftCard' });
+  GiftCardTransaction.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+  
+  Order.hasMany(GiftCardTransaction, { foreignKey: 'order_id', as: 'giftCardTransactions' });
+  GiftCardTransaction.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+  
+  User.hasMany(PasswordResetToken, { foreignKey: 'user_id', as: 'passwordResetTokens' });
+  PasswordResetToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  
+  User.hasMany(UserSession, { foreignKey: 'user_id', as: 'sessions' });
+  UserSession.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+  
+  UserSession.hasMany(RefreshToken, { foreignKey: 'session_id', as: 'refreshTokens' });
+  RefreshToken.belongsTo(UserSession, { foreignKey: 'session_id', as: 'session' });
+  
+  Order.hasMany(OrderStatusHistory, { foreignKey: 'order_id', as: 'statusHistory' });
+  OrderStatusHistory.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+  OrderStatusHistory.belongsTo(User, { foreignKey: 'changed_by', as: 'changedByUser' });
+  
+  Order.hasMany(Refund, { foreignKey: 'order_id', as: 'refunds' });
+  Refund.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+  Refund.belongsTo(User, { foreignKey: 'created_by', as: 'creator' });
+  
+  Order.hasMany(WebhookEvent, { foreignKey: 'order_id', as: 'webhookEvents' });
+  WebhookEvent.belongsTo(Order, { foreignKey: 'order_id', as: 'order' });
+  
   MenuItem.hasMany(OrderItem, { foreignKey: 'menu_item_id', as: 'orderItems' });
   OrderItem.belongsTo(MenuItem, { foreignKey: 'menu_item_id', as: 'menuItem' });
   
-  // COMBO ASSOCIATIONS - ComboAvailableItems inherits restaurant context through ComboType
-  ComboType.hasMany(ComboAvailableItems, { foreignKey: 'combo_type_id', as: 'availableItems' });
-  ComboAvailableItems.belongsTo(ComboType, { foreignKey: 'combo_type_id', as: 'comboType' });
+  // COMBO ASSOCIATIONS - Combo types choose from named item pools of the same restaurant
+  Restaurant.hasMany(ComboItemPool, { foreignKey: 'restaurant_id', as: 'comboItemPools' });
+  ComboItemPool.belongsTo(Restaurant, { foreignKey: 'restaurant_id', as: 'restaurant' });
+  
+  ComboItemPool.hasMany(ComboPoolItem, { foreignKey: 'pool_id', as: 'items', onDelete: 'CASCADE' });
+  ComboPoolItem.belongsTo(ComboItemPool, { foreignKey: 'pool_id', as: 'pool' });
+  
+  MenuItem.hasMany(ComboPoolItem, { foreignKey: 'menu_item_id', as: 'comboPoolEntries', onDelete: 'CASCADE' });
+  ComboPoolItem.belongsTo(MenuItem, { foreignKey: 'menu_item_id', as: 'menuItem' });
   
-  MenuItem.hasMany(ComboAvailableItems, { foreignKey: 'menu_item_id', as: 'comboAvailability' });
-  ComboAvailableItems.belongsTo(MenuItem, { foreignKey: 'menu_item_id', as: 'menuItem' });
+  ComboType.belongsTo(ComboItemPool, { foreignKey: 'entree_pool_id', as: 'entreePool' });
+  ComboType.belongsTo(ComboItemPool, { foreignKey: 'base_pool_id', as: 'basePool' });
+  
+  // MODIFIER ASSOCIATIONS - Option groups attached to menu items or whole categories
+  Restaurant.hasMany(ModifierGroup, { foreignKey: 'restaurant_id', as: 'modifierGroups' });
+  ModifierGroup.belongsTo(Restaurant, { foreignKey: 'restaurant_id', as: 'restaurant' });
+  
+  ModifierGroup.hasMany(ModifierOption, { foreignKey: 'modifier_group_id', as: 'options', onDelete: 'CASCADE' });
+  ModifierOption.belongsTo(ModifierGroup, { foreignKey: 'modifier_group_id', as: 'group' });
+  
+  ModifierGroup.hasMany(ModifierGroupAssignment, { foreignKey: 'modifier_group_id', as: 'assignments', onDelete: 'CASCADE' });
+  ModifierGroupAssignment.belongsTo(ModifierGroup, { foreignKey: 'modifier_group_id', as: 'modifierGroup' });
+  
+  MenuItem.hasMany(ModifierGroupAssignment, { foreignKey: 'menu_item_id', as: 'modifierAssignments', onDelete: 'CASCADE' });
+  ModifierGroupAssignment.belongsTo(MenuItem, { foreignKey: 'menu_item_id', as: 'menuItem' });
+  
+  MenuCategory.hasMany(ModifierGroupAssignment, { foreignKey: 'category_id', as: 'modifierAssignments', onDelete: 'CASCADE' });
+  ModifierGroupAssignment.belongsTo(MenuCategory, { foreignKey: 'category_id', as: 'category' });
+  
+  OrderItem.hasMany(OrderItemModifier, { foreignKey: 'order_item_id', as: 'modifiers', onDelete: 'CASCADE' });
+  OrderItemModifier.belongsTo(OrderItem, { foreignKey: 'order_item_id', as: 'orderItem' });
+  
+  ModifierOption.hasMany(OrderItemModifier, { foreignKey: 'modifier_option_id', as: 'orderItemModifiers' });
+  OrderItemModifier.belongsTo(ModifierOption, { foreignKey: 'modifier_option_id', as: 'modifierOption' });
   
   ComboType.hasMany(OrderItem, { foreignKey: 'combo_type_id', as: 'orderItems' });
   OrderItem.belongsTo(ComboType, { foreignKey: 'combo_type_id', as: 'comboType' });
   
+  OrderItem.hasMany(OrderItemSelection, { foreignKey: 'order_item_id', as: 'selections', onDelete: 'CASCADE' });
+  OrderItemSelection.belongsTo(OrderItem, { foreignKey: 'order_item_id', as: 'orderItem' });
+  
+  MenuItem.hasMany(OrderItemSelection, { foreignKey: 'menu_item_id', as: 'comboSelections' });
+  OrderItemSelection.belongsTo(MenuItem, { foreignKey: 'menu_item_id', as: 'menuItem' });
+  
   console.log('✅ Model associations set up successfully');
 } catch (error) {
   console.error('❌ Error setting up associations:', error);
@@ -179,6 +324,12 @@ const syncDatabase = async () => {
     await sequelize.sync({ force: false, alter: false });
     console.log('✅ Database synced successfully');
     
+    // Add columns introduced after the tables were first created
+    await applySchemaUpdates(sequelize);
+    
+    // Rewrite rows stored in older formats
+    await applyDataMigrations(sequelize);
+    
     // Seed initial data if needed
     await seedInitialData();
     
@@ -292,6 +443,24 @@ module.exports = {
   MenuItem,
   Order,
   OrderItem,
+  OrderTaxLine,
+  PromoCode,
+  OrderDiscount,
+  LoyaltyTransaction,
+  GiftCard,
+  GiftCardTransaction,
+  PasswordResetToken,
+  UserSession,
+  RefreshToken,
+  OrderStatusHistory,
+  Refund,
+  WebhookEvent,
   ComboType,
-  ComboAvailableItems
+  ComboItemPool,
+  ComboPoolItem,
+  ModifierGroup,
+  ModifierOption,
+  ModifierGroupAssignment,
+  OrderItemModifier,
+  OrderItemSelection
 };
\ No newline at end of file
@@ -28,8 +28,8 @@ const corsOptions = {
   },
   credentials: true, // Allow cookies and authorization headers
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'], // Allowed HTTP methods
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Host'], // Added Host header
-  exposedHeaders: ['Content-Length'] // Headers frontend can read from responses
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Host', 'Idempotency-Key'], // Added Host header
+  exposedHeaders: ['Content-Length', 'Idempotent-Replayed', 'Retry-After'] // Headers frontend can read from responses
 };
 
 // Security Configuration - Helmet protects against XSS, clickjacking, etc.
@@ -44,9 +44,10 @@ const helmetOptions = {
 
 // Utility middleware to conditionally skip middleware for specific paths
 // Used to skip JSON parsing for image upload endpoints that use multipart/form-data
-const unless = (path, middleware) => {
+const unless = (paths, middleware) => {
+  const skippedPaths = Array.isArray(paths) ? paths : [paths];
   return (req, res, next) => {
-    if (req.path.includes(path)) {
+    if (skippedPaths.some(path => req.path.includes(path))) {
       return next(); // Skip middleware for this path
     } else {
       return middleware(req, res, next); // Apply middleware normally
@@ -69,6 +70,11 @@ const { restaurantContext } = require('../middleware/restaurantContext');
 // This function is called from server.js to set up all middleware in the correct order
 const configureMiddleware = (app) => {
   
+  // Behind the hosting platform's proxy, read the client IP from X-Forwarded-For (used by rate limits)
+  if (process.env.NODE_ENV === 'production') {
+    app.set('trust proxy', 1);
+  }
+
   // 1. SECURITY & HEADERS - Must be first to protect all requests
   app.use(helmet(helmetOptions));    // Add security headers to prevent attacks
   app.use(cors(corsOptions));        // Enable cross-origin requests from frontend
@@ -79,7 +85,8 @@ const configureMiddleware = (app) => {
   
   // 3. BODY PARSING - Parse incoming request data
   // Skip JSON parsing for image upload paths (they use multipart/form-data instead)
-  app.use(unless('/image', express.json({ limit: '10mb' }))); // Parse JSON bodies up to 10MB
+  // and for the Stripe webhook, whose signature is checked against the raw body
+  app.use(unless(['/image', '/api/payments/webhook'], express.json({ limit: '10mb' }))); // Parse JSON bodies up to 10MB
   app.use(express.urlencoded({ extended: true })); // Parse form data
   
   // 4. RESTAURANT CONTEXT - Multi-tenant restaurant detection from subdomain/domain
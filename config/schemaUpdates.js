@@ -0,0 +1,112 @@
+// SCHEMA UPDATES - Idempotent additions to existing tables
+// sequelize.sync() only creates missing tables, so columns and ENUM values added to existing
+// models are listed here and created on startup if the database does not have them yet
+
+// [model name, attribute name] - the column definition is read from the model itself
+const COLUMN_ADDITIONS = [
+  ['Restaurant', 'taxSettings'],
+  ['Order', 'paymentReviewReason'],
+  ['Restaurant', 'schedulingSettings'],
+  ['Order', 'scheduledFor'],
+  ['Order', 'releasedAt'],
+  ['Restaurant', 'timezone'],
+  ['Restaurant', 'closures'],
+  ['Restaurant', 'orderingPaused'],
+  ['Restaurant', 'orderingPausedUntil'],
+  ['Restaurant', 'deliverySettings'],
+  ['Order', 'deliveryZone'],
+  ['OrderItem', 'comboTypeId'],
+  ['ComboType', 'entreePoolId'],
+  ['ComboType', 'entreeCount'],
+  ['ComboType', 'basePoolId'],
+  ['ComboType', 'includedExtras'],
+  ['ComboType', 'maxAdditionalItems'],
+  ['ComboType', 'isActive'],
+  ['ComboType', 'displayOrder'],
+  ['Order', 'idempotencyKey'],
+  ['Restaurant', 'orderNumberPrefix'],
+  ['Restaurant', 'orderSequence'],
+  ['Order', 'discount'],
+  ['Order', 'loyaltyDiscount'],
+  ['Order', 'loyaltyPointsRedeemed'],
+  ['Restaurant', 'loyaltySettings'],
+  ['Order', 'giftCardAmount'],
+  ['User', 'tokenVersion'],
+  ['User', 'emailVerified'],
+  ['User', 'emailVerificationSentAt'],
+  ['Restaurant', 'emailVerificationSettings']
+];
+
+// [model name, constraint name] - constraints a model no longer declares
+const CONSTRAINT_REMOVALS = [
+  ['Order', 'orders_order_number_key'], // Order numbers became unique per restaurant
+  ['User', 'users_email_key'] // Emails became unique per restaurant
+];
+
+// [model name, index name] - indexes declared in a model's options that existing tables are missing
+const INDEX_ADDITIONS = [
+  ['Order', 'orders_restaurant_id_idempotency_key'],
+  ['Order', 'orders_restaurant_id_order_number'],
+  ['Order', 'orders_stripe_payment_intent_id'],
+  ['User', 'users_restaurant_id_email'],
+  ['User', 'users_restaurant_id_third_party']
+];
+
+// [model name, attribute name] - ENUM columns whose Postgres type gained values after creation
+const ENUM_VALUE_ADDITIONS = [
+  ['Order', 'paymentStatus']
+];
+
+const applySchemaUpdates = async (sequelize) => {
+  const queryInterface = sequelize.getQueryInterface();
+  const tableColumns = new Map(); // Cache describeTable results per table
+
+  for (const [modelName, attributeName] of ENUM_VALUE_ADDITIONS) {
+    const model = sequelize.models[modelName];
+    const attribute = model.rawAttributes[attributeName];
+    const enumName = `enum_${model.getTableName()}_${attribute.field}`;
+
+    for (const value of attribute.values) {
+      await sequelize.query(`ALTER TYPE "${enumName}" ADD VALUE IF NOT EXISTS '${value}'`);
+    }
+  }
+
+  for (const [modelName, attributeName] of COLUMN_ADDITIONS) {
+    const model = sequelize.models[modelName];
+    const tableName = model.getTableName();
+    const attribute = model.rawAttributes[attributeName];
+
+    if (!tableColumns.has(tableName)) {
+      tableColumns.set(tableName, await queryInterface.describeTable(tableName));
+    }
+
+    if (!tableColumns.get(tableName)[attribute.field]) {
+      await queryInterface.addColumn(tableName, attribute.field, attribute);
+      console.log(`✅ Added column ${tableName}.${attribute.field}`);
+    }
+  }
+
+  for (const [modelName, constraintName] of CONSTRAINT_REMOVALS) {
+    const tableName = sequelize.models[modelName].getTableName();
+    const constraints = await queryInterface.showConstraint(tableName);
+
+    if (constraints.some(constraint => constraint.constraintName === constraintName)) {
+      await queryInterface.removeConstraint(tableName, constraintName);
+      console.log(`✅ Removed constraint ${constraintName} from ${tableName}`);
+    }
+  }
+
+  for (const [modelName, indexName] of INDEX_ADDITIONS) {
+    const model = sequelize.models[modelName];
+    const tableName = model.getTableName();
+    const existingIndexes = await queryInterface.showIndex(tableName);
+
+    if (!existingIndexes.some(index => index.name === indexName)) {
+      const index = model.options.indexes.find(modelIndex => modelIndex.name === indexName);
+      await queryInterface.addIndex(tableName, index);
+      console.log(`✅ Added index ${indexName} on ${tableName}`);
+    }
+  }
+};
+
+module.exports = { applySchemaUpdates };
@@ -0,0 +1,10 @@
+// STRIPE CONFIGURATION - Shared Stripe client for payments, refunds and webhooks
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+// All restaurants on the platform charge in Canadian dollars
+const STRIPE_CURRENCY = 'cad';
+
+module.exports = {
+  stripe,
+  STRIPE_CURRENCY
+};
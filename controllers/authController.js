@@ -60,6 +60,9 @@
  *           type: string
  *           format: email
  *           description: User email
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user confirmed the address (through the emailed link or an OAuth provider)
  *         firstName:
  *           type: string
  *           description: User first name
@@ -93,7 +96,13 @@
  *               type: string
  *         token:
  *           type: string
- *           description: JWT authentication token
+ *           description: JWT access token (send as Bearer token); short-lived
+ *         expiresIn:
+ *           type: integer
+ *           description: Seconds until the access token expires
+ *         refreshToken:
+ *           type: string
+ *           description: Opaque refresh token for POST /api/auth/refresh. Each one works once; reusing a spent token signs the session out.
  *     
  *     GoogleAuthRequest:
  *       type: object
@@ -112,14 +121,55 @@
  *         accessToken:
  *           type: string
  *           description: Facebook access token
+ *     
+ *     AppleAuthRequest:
+ *       type: object
+ *       required:
+ *         - identityToken
+ *       properties:
+ *         identityToken:
+ *           type: string
+ *           description: id_token returned by Sign in with Apple
+ *         user:
+ *           description: The user object (or its JSON string) Apple returns on the first sign-in only; its name is used for the new account
+ *           oneOf:
+ *             - type: string
+ *             - type: object
+ *               properties:
+ *                 name:
+ *                   type: object
+ *                   properties:
+ *                     firstName:
+ *                       type: string
+ *                     lastName:
+ *                       type: string
+ *         nonce:
+ *           type: string
+ *           description: Nonce sent to Apple with the sign-in request; the token must carry the same value
  */
 
 const { User, Restaurant } = require('../config/database'); // Added Restaurant model
-const { Op } = require('sequelize'); // Sequelize operators for database queries
-const { generateToken, validateRequiredFields, isValidPassword } = require('../utils/auth');
+const { validateRequiredFields, isValidPassword } = require('../utils/auth');
 const { sendSuccess, sendError, sendServerError, sendValidationError, sendUnauthorized } = require('../utils/responses');
-const { verifyGoogleToken, verifyFacebookToken, transformOAuthUser } = require('../utils/oauth');
+const { verifyGoogleToken, verifyFacebookToken, verifyAppleToken, isApplePrivateRelayEmail, transformOAuthUser, createProfileCompletionToken, verifyProfileCompletionToken } = require('../utils/oauth');
 const { requireRestaurantContext } = require('../middleware/restaurantContext'); // Multi-tenant support
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const sessionService = require('../services/sessionService');
+const { ApiError } = require('../utils/errorHandler');
+
+// Accounts belong to one restaurant, so users are looked up in the current restaurant. Super
+// admins have a single account and can sign in to any restaurant.
+const findRestaurantAccount = async (restaurantId, where) => {
+  const include = [{
+    model: Restaurant,
+    as: 'restaurant',
+    attributes: ['id', 'name', 'slug']
+  }];
+
+  return await User.findOne({ where: { ...where, restaurantId }, include })
+    || await User.findOne({ where: { ...where, role: 'super_admin' }, include });
+};
 
 // REGISTER NEW USER - Creates account with email/password for specific restaurant
 const signup = async (req, res) => {
@@ -144,8 +194,8 @@ const signup = async (req, res) => {
       return sendError(res, 'Password must be at least 6 characters long');
     }
 
-    // Check if user already exists with this email (emails are now globally unique but users can access any restaurant)
-    const existingUser = await User.findOne({ where: { email } });
+    // Emails are unique per restaurant: the same person can have an account at each restaurant
+    const existingUser = await User.findOne({ where: { email, restaurantId: req.restaurantId } });
     if (existingUser) {
       return sendError(res, 'User with this email already exists. Please login instead.');
     }
@@ -156,13 +206,17 @@ const signup = async (req, res) => {
       email, password, firstName, lastName, phone, address
     });
 
-    // Generate JWT token with restaurant context for immediate login
-    const token = generateToken(user.id, req.restaurantId);
+    // Ask the user to prove they own the address; they can sign in while it's pending
+    await emailVerificationService.sendVerification(user, req.restaurant);
+
+    // Open a session with restaurant context for immediate login
+    const tokens = await sessionService.createSession(user, req.restaurantId, req);
     
     // Send success response with user data and token
     sendSuccess(res, {
       id: user.id,
       email: user.email,
+      emailVerified: user.emailVerified,
       firstName: user.firstName,
       lastName: user.lastName,
       phone: user.phone,
@@ -174,7 +228,7 @@ const signup = async (req, res) => {
         name: req.restaurant.name,
         slug: req.restaurant.slug
       },
-      token
+      ...tokens
     }, 201);
 
     console.log(`New user registered: ${email} for ${req.restaurant.name}`);
@@ -199,22 +253,12 @@ const signin = async (req, res) => {
       return sendError(res, 'Restaurant context required for login. Please access via restaurant subdomain (e.g., goldchopsticks.yourapi.com)');
     }
 
-    // Find user by email (allow users to login to any restaurant)
-    const user = await User.findOne({ 
-      where: { 
-        email
-        // Removed restaurantId restriction - users can now login to any restaurant
-      },
-      include: [{
-        model: Restaurant,
-        as: 'restaurant',
-        attributes: ['id', 'name', 'slug']
-      }]
-    });
+    // Find the account with this email at the current restaurant
+    const user = await findRestaurantAccount(req.restaurantId, { email });
 
     if (!user) {
       // Don't reveal if email exists for security, but log for debugging
-      console.log(`Login attempt failed: ${email} not found`);
+      console.log(`Login attempt failed: ${email} not found at restaurant ${req.restaurantId}`);
       return sendUnauthorized(res, 'Invalid email or password');
     }
 
@@ -225,15 +269,14 @@ const signin = async (req, res) => {
       return sendUnauthorized(res, 'Invalid email or password');
     }
 
-    // Users can now login to any restaurant - no restaurant restriction check needed
-
-    // Generate JWT token with current restaurant context (not user's assigned restaurant)
-    const token = generateToken(user.id, req.restaurantId);
+    // Open a session with current restaurant context (not user's assigned restaurant)
+    const tokens = await sessionService.createSession(user, req.restaurantId, req);
     
     // Return user data and token with current restaurant context
     sendSuccess(res, {
       id: user.id,
       email: user.email,
+      emailVerified: user.emailVerified,
       firstName: user.firstName,
       lastName: user.lastName,
       phone: user.phone,
@@ -247,7 +290,7 @@ const signin = async (req, res) => {
         name: req.restaurant.name,
         slug: req.restaurant.slug
       },
-      token
+      ...tokens
     });
 
     console.log(`User login successful: ${email} for ${req.restaurant.name}`);
@@ -257,21 +300,39 @@ const signin = async (req, res) => {
   }
 };
 
-// OAUTH AUTHENTICATION HANDLER - Processes Google and Facebook login
-const handleOAuth = async (provider, token, res, req) => {
+// OAUTH AUTHENTICATION HANDLER - Processes Google, Facebook and Apple login.
+// options.profile carries a name the client got from the provider outside the token (Apple
+// only sends it on the first sign-in); options.nonce is checked against Apple tokens.
+const handleOAuth = async (provider, token, res, req, options = {}) => {
   try {
     let userData;
     
     // Verify token with appropriate OAuth provider
-    switch (provider) {
-      case 'google':
-        userData = await verifyGoogleToken(token); // Verify with Google's API
-        break;
-      case 'facebook':
-        userData = await verifyFacebookToken(token); // Verify with Facebook's API
-        break;
-      default:
-        return sendError(res, `Unsupported OAuth provider: ${provider}`);
+    try {
+      switch (provider) {
+        case 'google':
+          userData = await verifyGoogleToken(token); // Verify with Google's API
+          break;
+        case 'facebook':
+          userData = await verifyFacebookToken(token); // Verify with Facebook's API
+          break;
+        case 'apple':
+          userData = await verifyAppleToken(token, { nonce: options.nonce }); // Verify with Apple's public keys
+          break;
+        default:
+          return sendError(res, `Unsupported OAuth provider: ${provider}`);
+      }
+    } catch (verifyError) {
+      console.log(`${provider} token verification failed: ${verifyError.message}`);
+      return sendUnauthorized(res, `Invalid ${provider} token`);
+    }
+
+    if (options.profile) {
+      userData = {
+        ...userData,
+        given_name: userData.given_name || options.profile.firstName,
+        family_name: userData.family_name || options.profile.lastName
+      };
     }
 
     // Email is required for account creation
@@ -287,24 +348,23 @@ const handleOAuth = async (provider, token, res, req) => {
       return sendError(res, 'Restaurant context required for OAuth authentication. Please access via restaurant subdomain (e.g., goldchopsticks.yourapi.com)');
     }
 
-    // Check if user exists (allow login to any restaurant)
-    let user = await User.findOne({
-      where: {
-        [Op.or]: [
-          { email: transformedUser.email },
-          { 
-            thirdPartyId: transformedUser.thirdPartyId, 
-            thirdPartyProvider: transformedUser.thirdPartyProvider 
-          }
-        ]
-        // Removed restaurant restriction - users can login to any restaurant via OAuth
-      },
-      include: [{
-        model: Restaurant,
-        as: 'restaurant',
-        attributes: ['id', 'name', 'slug']
-      }]
+    // Check if user exists at the current restaurant: by provider ID first, then by email.
+    // An email match links the provider to that account only when the provider verified the
+    // address; Apple relay addresses are unique to the Apple account, so they never link.
+    let user = await findRestaurantAccount(req.restaurantId, {
+      thirdPartyId: transformedUser.thirdPartyId,
+      thirdPartyProvider: transformedUser.thirdPartyProvider
     });
+    if (!user) {
+      const emailOwner = await findRestaurantAccount(req.restaurantId, { email: transformedUser.email });
+      if (emailOwner) {
+        const isRelayEmail = provider === 'apple' && isApplePrivateRelayEmail(userData);
+        if (!transformedUser.emailVerified || isRelayEmail) {
+          return sendError(res, 'An account with this email already exists. Please sign in with your password.', 409);
+        }
+        user = emailOwner;
+      }
+    }
     
     if (user) {
       // Update third party info if needed
@@ -314,29 +374,21 @@ const handleOAuth = async (provider, token, res, req) => {
           thirdPartyProvider: transformedUser.thirdPartyProvider
         });
       }
-    } else {
-      // Check if we have enough info to create user
-      if (!transformedUser.firstName || !transformedUser.lastName) {
-        return sendSuccess(res, {
-          requiresProfile: true,
-          tempUserData: transformedUser
-        });
+      // The provider vouches for the address the account uses
+      if (!user.emailVerified && transformedUser.emailVerified && user.email === transformedUser.email) {
+        await user.update({ emailVerified: true });
       }
-
-      // Create new user with placeholder contact info for current restaurant
-      user = await User.create({
-        ...transformedUser,
-        restaurantId: req.restaurantId, // Assign to current restaurant
-        phone: '',
-        address: ''
-      });
-
-      // Include restaurant info for response
-      user.restaurant = req.restaurant;
-
+    } else {
+      // New customers finish signing up with their contact details (and name, if the provider
+      // didn't give one); the account is created when they do
       return sendSuccess(res, {
         requiresProfile: true,
-        userId: user.id,
+        profileToken: createProfileCompletionToken(transformedUser, { restaurantId: req.restaurantId }),
+        userData: {
+          email: transformedUser.email,
+          firstName: transformedUser.firstName || null,
+          lastName: transformedUser.lastName || null
+        },
         message: 'Please complete your profile'
       });
     }
@@ -345,13 +397,13 @@ const handleOAuth = async (provider, token, res, req) => {
     if (!user.phone || !user.address) {
       return sendSuccess(res, {
         requiresProfile: true,
-        userId: user.id,
+        profileToken: createProfileCompletionToken(transformedUser, { restaurantId: req.restaurantId, userId: user.id }),
         userData: user.toSafeObject(),
         message: 'Please complete your profile'
       });
     }
     
-    const jwtToken = generateToken(user.id, req.restaurantId);
+    const tokens = await sessionService.createSession(user, req.restaurantId, req);
     sendSuccess(res, { 
       ...user.toSafeObject(),
       currentRestaurantId: req.restaurantId, // Current restaurant they're accessing
@@ -360,7 +412,7 @@ const handleOAuth = async (provider, token, res, req) => {
         name: req.restaurant.name,
         slug: req.restaurant.slug
       },
-      token: jwtToken 
+      ...tokens
     });
 
   } catch (error) {
@@ -386,51 +438,101 @@ const facebookAuth = (req, res) => {
   return handleOAuth('facebook', accessToken, res, req);
 };
 
-// Complete OAuth profile
+// Apple OAuth. identityToken is the id_token from Sign in with Apple; user is the object (or
+// JSON string) Apple hands the app on the first sign-in only, with the user's name.
+const appleAuth = (req, res) => {
+  const { identityToken, user, nonce } = req.body;
+  if (!identityToken) {
+    return sendError(res, 'Apple identity token is required');
+  }
+
+  let appleUser = user;
+  if (typeof appleUser === 'string') {
+    try {
+      appleUser = JSON.parse(appleUser);
+    } catch (error) {
+      return sendError(res, 'Apple user must be valid JSON');
+    }
+  }
+  const name = (appleUser && appleUser.name) || {};
+
+  return handleOAuth('apple', identityToken, res, req, {
+    nonce,
+    profile: { firstName: name.firstName, lastName: name.lastName }
+  });
+};
+
+// Complete OAuth profile. Only the profileToken from an OAuth sign-in says who the customer is;
+// the body just supplies the missing contact details.
 const completeOAuthProfile = async (req, res) => {
   try {
-    const { userId, firstName, lastName, phone, address, tempUserData } = req.body;
-    let user;
-
-    if (userId) {
-      // Completing profile for existing user
-      user = await User.findByPk(userId);
-      if (!user) {
-        return sendError(res, 'User not found', 404);
-      }
+    const { profileToken, firstName, lastName, phone, address } = req.body;
+
+    // Profiles are completed for accounts of the current restaurant
+    if (!req.restaurant || !req.restaurantId) {
+      return sendError(res, 'Restaurant context required to complete a profile. Please access via restaurant subdomain (e.g., goldchopsticks.yourapi.com)');
+    }
+
+    if (!profileToken) {
+      return sendError(res, 'Profile token is required');
+    }
+
+    let profile;
+    try {
+      profile = verifyProfileCompletionToken(profileToken, req.restaurantId);
+    } catch (verifyError) {
+      return sendUnauthorized(res, 'Profile token is invalid or has expired. Please sign in again.');
+    }
+
+    // The account the sign-in matched (a super admin's belongs to another restaurant), or one
+    // created for this provider ID since the token was issued
+    let user = profile.userId
+      ? await findRestaurantAccount(req.restaurantId, { id: profile.userId })
+      : await findRestaurantAccount(req.restaurantId, { thirdPartyId: profile.sub, thirdPartyProvider: profile.provider });
 
+    if (user) {
       await user.update({
         firstName: firstName || user.firstName,
         lastName: lastName || user.lastName,
         phone: phone || user.phone,
         address: address || user.address
       });
-    } else if (tempUserData) {
-      // Creating new user from OAuth temp data
-      const requiredFields = ['firstName', 'lastName', 'phone', 'address'];
-      const validation = validateRequiredFields(req.body, requiredFields);
-      
+    } else {
+      const details = {
+        firstName: firstName || profile.firstName,
+        lastName: lastName || profile.lastName,
+        phone,
+        address
+      };
+      const validation = validateRequiredFields(details, ['firstName', 'lastName', 'phone', 'address']);
       if (!validation.isValid) {
         return sendValidationError(res, validation.missing);
       }
 
+      const existingUser = await User.findOne({ where: { email: profile.email, restaurantId: req.restaurantId } });
+      if (existingUser) {
+        return sendError(res, 'User with this email already exists. Please login instead.', 409);
+      }
+
+      // emailVerified comes from the provider's own verification
       user = await User.create({
-        email: tempUserData.email,
-        firstName,
-        lastName,
-        phone,
-        address,
-        thirdPartyId: tempUserData.thirdPartyId,
-        thirdPartyProvider: tempUserData.thirdPartyProvider
+        ...details,
+        restaurantId: req.restaurantId, // Assign to current restaurant
+        email: profile.email,
+        emailVerified: profile.emailVerified === true,
+        thirdPartyId: profile.sub,
+        thirdPartyProvider: profile.provider
       });
-    } else {
-      return sendError(res, 'Either userId or tempUserData is required');
+
+      if (!user.emailVerified) {
+        await emailVerificationService.sendVerification(user);
+      }
     }
 
-    const token = generateToken(user.id, user.restaurantId);
+    const tokens = await sessionService.createSession(user, req.restaurantId, req);
     sendSuccess(res, {
       ...user.toSafeObject(),
-      token,
+      ...tokens,
       message: 'Profile completed successfully'
     });
 
@@ -439,15 +541,21 @@ const completeOAuthProfile = async (req, res) => {
   }
 };
 
-// Refresh token
+// REFRESH TOKEN - Exchange a refresh token for a new access token and the next refresh token
 const refreshToken = async (req, res) => {
   try {
-    const user = req.user;
-    const token = generateToken(user.id, user.restaurantId);
-    
+    const { refreshToken: presentedToken } = req.body;
+    if (!presentedToken) {
+      return sendError(res, 'Refresh token is required');
+    }
+
+    const { user, tokens } = await sessionService.refresh(presentedToken);
+    const restaurant = await user.getRestaurant({ attributes: ['id', 'name', 'slug'] });
+
     sendSuccess(res, {
       id: user.id,
       email: user.email,
+      emailVerified: user.emailVerified,
       firstName: user.firstName,
       lastName: user.lastName,
       phone: user.phone,
@@ -455,32 +563,114 @@ const refreshToken = async (req, res) => {
       isAdmin: user.isAdmin,
       role: user.role,
       restaurantId: user.restaurantId,
-      restaurant: user.restaurant ? {
-        id: user.restaurant.id,
-        name: user.restaurant.name,
-        slug: user.restaurant.slug
+      restaurant: restaurant ? {
+        id: restaurant.id,
+        name: restaurant.name,
+        slug: restaurant.slug
       } : null,
-      token
+      ...tokens
     });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     sendServerError(res, error, 'Failed to refresh token');
   }
 };
 
-// Logout
+// LOGOUT - Revoke the session of the access token; its refresh token stops working too
 const logout = async (req, res) => {
   try {
+    await sessionService.revokeSession(req.userSession, 'logout');
     sendSuccess(res, { message: 'Logged out successfully' });
   } catch (error) {
     sendServerError(res, error, 'Logout failed');
   }
 };
 
+// FORGOT PASSWORD - Email a reset link. The answer is the same whether or not the email has an
+// account, and it is sent before the lookup so response times don't tell either.
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return sendError(res, 'Email is required');
+  }
+  if (!req.restaurant || !req.restaurantId) {
+    return sendError(res, 'Restaurant context required for password reset. Please access via restaurant subdomain (e.g., goldchopsticks.yourapi.com)');
+  }
+
+  sendSuccess(res, { message: 'If an account exists for this email, a password reset link has been sent.' });
+
+  passwordResetService.requestReset(email, req.restaurantId).catch(error => {
+    console.error('Password reset request failed:', error);
+  });
+};
+
+// RESET PASSWORD - Set a new password from an emailed link and sign out all sessions
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return sendError(res, 'Token and password are required');
+    }
+    if (!req.restaurant || !req.restaurantId) {
+      return sendError(res, 'Restaurant context required for password reset. Please access via restaurant subdomain (e.g., goldchopsticks.yourapi.com)');
+    }
+
+    await passwordResetService.resetPassword({ token, password, restaurantId: req.restaurantId });
+    sendSuccess(res, { message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    sendServerError(res, error, 'Failed to reset password');
+  }
+};
+
+// VERIFY EMAIL - Confirm the address from the link in a verification email
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return sendError(res, 'Verification token is required');
+    }
+
+    const user = await emailVerificationService.verifyToken(token);
+    sendSuccess(res, { message: 'Email verified successfully', emailVerified: user.emailVerified });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    sendServerError(res, error, 'Failed to verify email');
+  }
+};
+
+// RESEND VERIFICATION - Send the signed-in user another verification link (at most one a minute)
+const resendVerification = async (req, res) => {
+  try {
+    await emailVerificationService.resendVerification(req.user);
+    sendSuccess(res, { message: 'Verification email sent' });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      if (error.details && error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+      }
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    sendServerError(res, error, 'Failed to send verification email');
+  }
+};
+
 module.exports = {
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   signup,
   signin,
   googleAuth,
   facebookAuth,
+  appleAuth,
   completeOAuthProfile,
   refreshToken,
   logout
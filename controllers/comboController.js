@@ -1,780 +1,275 @@
-const { sequelize, ComboType, ComboAvailableItems, MenuItem } = require('../config/database');
+const { sequelize, ComboType, ComboItemPool, Order, OrderItem, OrderItemSelection } = require('../config/database');
+const comboService = require('../services/comboService');
+const pricingService = require('../services/pricingService');
+const { ApiError } = require('../utils/errorHandler');
+
+// Admin handlers answer validation problems with 400 and rule violations with the ApiError status
+const sendAdminError = (res, error, fallbackMessage) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({ message: error.message, ...error.details });
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: error.errors.map(e => e.message)
+    });
+  }
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(409).json({ message: 'An item pool with this name already exists' });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ message: fallbackMessage });
+};
 
 const getComboWithItems = async (req, res) => {
   try {
-    const { id } = req.params;
-    console.log(`Getting combo with items for ID: ${id}`);
-    
-    // Get the combo type
-    const combo = await ComboType.findByPk(id);
+    const comboId = parseInt(req.params.id);
+    const combo = Number.isInteger(comboId) ? await comboService.getCombo(req.restaurantId, comboId) : null;
     if (!combo) {
       return res.status(404).json({ error: 'Combo not found' });
     }
-    
-    console.log('Found combo:', combo.toJSON());
-    
-    // Determine which combo_available_items to use based on your rules
-    let availableItemsComboId = id;
-    
-    if ([3, 4, 5, 6, 7].includes(parseInt(id))) {
-      // combo_types 3, 4, 5, 6, 7 use combo_available_items from combo_type_id 3
-      availableItemsComboId = 3;
-    }
-    // combo_type 1 uses its own combo_available_items (combo_type_id 1)
-    // combo_type 2 uses its own combo_available_items (combo_type_id 2)
-    
-    console.log(`Using combo_available_items for combo_type_id: ${availableItemsComboId}`);
-    
-    // First check if we have any combo available items at all
-    const totalComboItems = await ComboAvailableItems.count();
-    console.log(`Total combo available items in database: ${totalComboItems}`);
-    
-    if (totalComboItems === 0) {
-      console.log('No combo available items found, creating sample data first...');
-      await createSampleComboAvailableItems();
-    }
-    
-    // Get available items through the relationship
-    let comboAvailableItems = [];
-    
-    try {
-      comboAvailableItems = await ComboAvailableItems.findAll({
-        where: {
-          comboTypeId: availableItemsComboId
-        },
-        include: [{
-          model: MenuItem,
-          as: 'menuItem',
-          where: { isAvailable: true },
-          required: true
-        }],
-        order: [['displayOrder', 'ASC'], [{ model: MenuItem, as: 'menuItem' }, 'name', 'ASC']]
-      });
-      
-      console.log(`Found ${comboAvailableItems.length} combo available items for combo_type_id ${availableItemsComboId}`);
-      
-    } catch (associationError) {
-      console.error('Association query failed, trying manual approach:', associationError);
-      
-      // Manual approach: get combo items and menu items separately
-      const comboItems = await ComboAvailableItems.findAll({
-        where: { comboTypeId: availableItemsComboId },
-        order: [['displayOrder', 'ASC']]
-      });
-      
-      console.log(`Found ${comboItems.length} combo items for manual join`);
-      
-      if (comboItems.length > 0) {
-        const menuItemIds = comboItems.map(item => item.menuItemId);
-        const menuItems = await MenuItem.findAll({
-          where: {
-            id: menuItemIds,
-            isAvailable: true
-          }
-        });
-        
-        console.log(`Found ${menuItems.length} corresponding menu items`);
-        
-        // Manually combine the data
-        comboAvailableItems = comboItems.map(comboItem => {
-          const menuItem = menuItems.find(mi => mi.id === comboItem.menuItemId);
-          if (menuItem) {
-            return {
-              ...comboItem.toJSON(),
-              menuItem: menuItem.toJSON()
-            };
-          }
-          return null;
-        }).filter(Boolean);
-        
-        console.log(`Successfully combined ${comboAvailableItems.length} items`);
-      }
-    }
-    
-    // If no specific combo items found, create sample data or use fallback
-    if (comboAvailableItems.length === 0) {
-      console.log(`No combo available items found for combo_type_id ${availableItemsComboId}, trying fallback approach...`);
-      
-      // Try creating sample data
-      await createSampleComboAvailableItems();
-      
-      // Try again with associations
-      let newComboAvailableItems = [];
-      try {
-        newComboAvailableItems = await ComboAvailableItems.findAll({
-          where: {
-            comboTypeId: availableItemsComboId
-          },
-          include: [{
-            model: MenuItem,
-            as: 'menuItem',
-            where: { isAvailable: true },
-            required: true
-          }],
-          order: [['displayOrder', 'ASC'], [{ model: MenuItem, as: 'menuItem' }, 'name', 'ASC']]
-        });
-      } catch (associationError) {
-        console.error('Associations still failing, using manual join approach:', associationError);
-        
-        // Fallback: Manual join approach
-        const comboItems = await ComboAvailableItems.findAll({
-          where: { comboTypeId: availableItemsComboId }
-        });
-        
-        const menuItemIds = comboItems.map(item => item.menuItemId);
-        const menuItems = await MenuItem.findAll({
-          where: {
-            id: menuItemIds,
-            isAvailable: true
-          }
-        });
-        
-        // Transform to expected format manually
-        const fallbackItems = comboItems.map(comboItem => {
-          const menuItem = menuItems.find(mi => mi.id === comboItem.menuItemId);
-          if (!menuItem) return null;
-          
-          return {
-            menu_item_id: menuItem.id,
-            item_name: menuItem.name,
-            description: menuItem.description,
-            price: menuItem.price,
-            is_entree: comboItem.isEntree,
-            display_order: comboItem.displayOrder,
-            combo_type_id: id
-          };
-        }).filter(Boolean);
-        
-        return res.json({
-          combo: {
-            id: combo.id,
-            name: combo.name,
-            description: combo.description,
-            base_price: combo.basePrice,
-            base_items: combo.baseItems,
-            additional_item_price: combo.additionalItemPrice,
-            spring_rolls_included: combo.springRollsIncluded
-          },
-          availableItems: fallbackItems
-        });
-      }
-      
-      // Transform to match the expected format
-      const formattedItems = newComboAvailableItems.map(item => ({
-        menu_item_id: item.menuItem.id,
-        item_name: item.menuItem.name,
-        description: item.menuItem.description,
-        price: item.menuItem.price,
-        is_entree: item.isEntree,
-        display_order: item.displayOrder,
-        combo_type_id: id
-      }));
-
-      return res.json({
-        combo: {
-          id: combo.id,
-          name: combo.name,
-          description: combo.description,
-          base_price: combo.basePrice,
-          base_items: combo.baseItems,
-          additional_item_price: combo.additionalItemPrice,
-          spring_rolls_included: combo.springRollsIncluded
-        },
-        availableItems: formattedItems
-      });
-    }
-    
-    // Transform to match the expected format
-    const formattedItems = comboAvailableItems.map(item => ({
-      menu_item_id: item.menuItem.id,
-      item_name: item.menuItem.name,
-      description: item.menuItem.description,
-      price: item.menuItem.price,
-      is_entree: item.isEntree,
-      display_order: item.displayOrder,
-      combo_type_id: id
-    }));
-
-    res.json({
-      combo: {
-        id: combo.id,
-        name: combo.name,
-        description: combo.description,
-        base_price: combo.basePrice,
-        base_items: combo.baseItems,
-        additional_item_price: combo.additionalItemPrice,
-        spring_rolls_included: combo.springRollsIncluded
-      },
-      availableItems: formattedItems
-    });
+
+    res.json(comboService.serializeComboWithItems(combo));
   } catch (error) {
     console.error('Error getting combo with items:', error);
-    
-    // Try to provide a basic response with fallback items
-    try {
-      const combo = await ComboType.findByPk(req.params.id);
-      if (combo) {
-        // Get some basic menu items as fallback
-        const fallbackItems = await MenuItem.findAll({
-          where: {
-            categoryId: [7, 8, 9], // chicken, beef, pork
-            isAvailable: true
-          },
-          limit: 5,
-          order: [['name', 'ASC']]
-        });
-        
-        const formattedFallbackItems = fallbackItems.map((item, index) => ({
-          menu_item_id: item.id,
-          item_name: item.name,
-          description: item.description,
-          price: item.price,
-          is_entree: true,
-          display_order: index + 1,
-          combo_type_id: req.params.id
-        }));
-        
-        console.log('Using fallback items:', formattedFallbackItems.length);
-        
-        return res.json({
-          combo: {
-            id: combo.id,
-            name: combo.name,
-            description: combo.description,
-            base_price: combo.basePrice,
-            base_items: combo.baseItems,
-            additional_item_price: combo.additionalItemPrice,
-            spring_rolls_included: combo.springRollsIncluded
-          },
-          availableItems: formattedFallbackItems
-        });
-      }
-    } catch (fallbackError) {
-      console.error('Fallback also failed:', fallbackError);
-    }
-    
     res.status(500).json({ error: error.message });
   }
 };
 
+// Add a combo to an existing order of the current restaurant. The combo is priced on the server
+// and its selections are checked against the combo's item pools; the order totals are then recomputed.
+// Only pending, unpaid orders without a Stripe payment intent can still change.
 const createComboOrder = async (req, res) => {
-  const { combo_type_id, selected_items, additional_items, base_choice, order_id } = req.body;
+  const { combo_type_id, selected_items, additional_items, base_choice, order_id, quantity } = req.body;
 
   try {
-    // Start transaction
-    await sequelize.query('BEGIN');
-
-    // Calculate pricing
-    const combo = await sequelize.query('SELECT * FROM combo_types WHERE id = $1', [combo_type_id]);
-    const basePrice = parseFloat(combo.rows[0].base_price);
-    const additionalPrice = additional_items.length * parseFloat(combo.rows[0].additional_item_price || 0);
-    const totalPrice = basePrice + additionalPrice;
-
-    // Insert order item
-    const orderItem = await sequelize.query(`
-      INSERT INTO order_items (order_id, combo_type_id, quantity, unit_price, total_price)
-      VALUES ($1, $2, 1, $3, $4) RETURNING id
-    `, [order_id, combo_type_id, totalPrice, totalPrice]);
-
-    // Insert base choice if applicable (for combo 2)
-    if (base_choice) {
-      await sequelize.query(`
-        INSERT INTO combo_order_selections (order_item_id, menu_item_id, is_additional, is_base_choice)
-        VALUES ($1, $2, false, true)
-      `, [orderItem.rows[0].id, base_choice]);
+    if (!order_id || !combo_type_id) {
+      return res.status(400).json({ message: 'order_id and combo_type_id are required' });
     }
 
-    // Insert combo selections
-    for (const itemId of selected_items) {
-      await sequelize.query(`
-        INSERT INTO combo_order_selections (order_item_id, menu_item_id, is_additional, is_base_choice)
-        VALUES ($1, $2, false, false)
-      `, [orderItem.rows[0].id, itemId]);
-    }
+    const { order, orderItem } = await sequelize.transaction(async (transaction) => {
+      const order = await Order.findOne({
+        where: {
+          id: order_id,
+          restaurantId: req.restaurantId // Ensure order belongs to current restaurant
+        },
+        lock: transaction.LOCK.UPDATE, // Serialize concurrent additions to the same order
+        transaction
+      });
+      if (!order) {
+        throw new ApiError('Order not found', 404);
+      }
+      if (order.userId !== req.user.id && !req.user.canManageRestaurant(req.restaurantId)) {
+        throw new ApiError('Access denied', 403);
+      }
+      if (order.status !== 'pending' || order.paymentStatus !== 'pending' || order.stripePaymentIntentId) {
+        throw new ApiError('Items can only be added to pending orders that have not been paid', 409, { code: 'ORDER_NOT_EDITABLE' });
+      }
 
-    for (const itemId of additional_items) {
-      await sequelize.query(`
-        INSERT INTO combo_order_selections (order_item_id, menu_item_id, is_additional, is_base_choice)
-        VALUES ($1, $2, true, false)
-      `, [orderItem.rows[0].id, itemId]);
-    }
+      const [line] = await pricingService.priceLines(req.restaurantId, [{
+        isCombo: true,
+        comboId: combo_type_id,
+        selectedItems: selected_items || [],
+        additionalItems: additional_items || [],
+        baseChoice: base_choice || null,
+        quantity: quantity || 1
+      }], transaction);
 
-    await sequelize.query('COMMIT');
-    res.json({ success: true, orderItemId: orderItem.rows[0].id });
+      const orderItem = await OrderItem.create({
+        orderId: order.id,
+        menuItemId: null, // Combos don't have a single menu item ID
+        comboTypeId: line.comboId,
+        quantity: line.quantity,
+        price: line.unitPrice, // Includes additional combo items
+        itemName: line.itemName
+      }, { transaction });
+
+      await OrderItemSelection.bulkCreate(line.selections.map((selection, index) => ({
+        orderItemId: orderItem.id,
+        ...selection,
+        displayOrder: index
+      })), { transaction });
+
+      await pricingService.recalculateOrderTotals(req.restaurant, order, transaction);
+      return { order, orderItem };
+    });
+
+    console.log(`Added combo ${orderItem.itemName} to order ${order.orderNumber}`);
+    res.status(201).json({
+      success: true,
+      orderItemId: orderItem.id,
+      order: {
+        id: order.id,
+        subtotal: order.subtotal,
+        discount: order.discount,
+        tax: order.tax,
+        deliveryFee: order.deliveryFee,
+        total: order.total
+      }
+    });
   } catch (error) {
-    await sequelize.query('ROLLBACK');
-    res.status(500).json({ error: error.message });
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Error adding combo to order:', error);
+    res.status(500).json({ message: 'Failed to add combo to order' });
   }
 };
 
 const getAllCombos = async (req, res) => {
   try {
-    console.log('Getting all combos...');
-    
-    // Check if combo table exists and has data
     const combos = await ComboType.findAll({
-      order: [['id', 'ASC']]
+      where: {
+        restaurantId: req.restaurantId, // Only combos of the current restaurant
+        isActive: true
+      },
+      order: [['displayOrder', 'ASC'], ['id', 'ASC']]
     });
-    
-    console.log(`Found ${combos.length} combos`);
-    
-    // If no combos exist, create some sample data
-    if (combos.length === 0) {
-      console.log('No combos found, creating sample combo data...');
-      await createSampleComboData();
-      
-      // Fetch again after creating sample data
-      const newCombos = await ComboType.findAll({
-        order: [['id', 'ASC']]
-      });
-      
-      console.log(`Created ${newCombos.length} sample combos`);
-      
-      // Format the combos to match the expected format
-      const formattedCombos = newCombos.map(combo => ({
-        id: combo.id,
-        name: combo.name,
-        description: combo.description,
-        base_price: combo.basePrice,
-        base_items: combo.baseItems,
-        additional_item_price: combo.additionalItemPrice,
-        spring_rolls_included: combo.springRollsIncluded
-      }));
-      
-      return res.json(formattedCombos);
-    }
-    
-    // Format the combos to match the expected format
-    const formattedCombos = combos.map(combo => ({
-      id: combo.id,
-      name: combo.name,
-      description: combo.description,
-      base_price: combo.basePrice,
-      base_items: combo.baseItems,
-      additional_item_price: combo.additionalItemPrice,
-      spring_rolls_included: combo.springRollsIncluded
-    }));
-    
-    res.json(formattedCombos);
+
+    res.json(combos.map(combo => comboService.serializeCombo(combo)));
   } catch (error) {
     console.error('Error getting combos:', error);
     res.status(500).json({ error: error.message });
   }
 };
 
-// Helper function to create sample combo data
-const createSampleComboData = async () => {
+// ADMIN - Load the starter pools and combos (config/comboSeeds.js) for the restaurant in context
+const reseedCombos = async (req, res) => {
   try {
-    const sampleCombos = [
-      {
-        name: 'Family Combo A',
-        description: 'Perfect for 2-3 people. Choose your favorite dishes!',
-        basePrice: 32.95,
-        baseItems: 3,
-        additionalItemPrice: 4.50,
-        springRollsIncluded: 2
-      },
-      {
-        name: 'Combination Dinner for Two',
-        description: 'First choose chicken chow mein OR chicken fried rice, then choose 2 of your favorite dishes from our selection.',
-        basePrice: 24.95,
-        baseItems: 3, // 1 base choice + 2 entree selections  
-        additionalItemPrice: 3.95,
-        springRollsIncluded: 2
-      },
-      {
-        name: 'Solo Special',
-        description: 'Individual combo meal with one entree and spring roll.',
-        basePrice: 15.95,
-        baseItems: 1,
-        additionalItemPrice: 3.50,
-        springRollsIncluded: 1
-      },
-      {
-        name: 'Lunch Combo',
-        description: 'Quick lunch combo with your choice of entree.',
-        basePrice: 12.95,
-        baseItems: 1,
-        additionalItemPrice: 2.95,
-        springRollsIncluded: 0
-      },
-      {
-        name: 'Deluxe Family Combo',
-        description: 'Large family combo for 4-5 people.',
-        basePrice: 45.95,
-        baseItems: 4,
-        additionalItemPrice: 5.50,
-        springRollsIncluded: 4
-      },
-      {
-        name: 'Vegetarian Combo',
-        description: 'Healthy vegetarian options combo.',
-        basePrice: 18.95,
-        baseItems: 2,
-        additionalItemPrice: 3.25,
-        springRollsIncluded: 1
-      },
-      {
-        name: 'Chef\'s Special Combo',
-        description: 'Premium combo with chef\'s recommended dishes.',
-        basePrice: 38.95,
-        baseItems: 3,
-        additionalItemPrice: 6.50,
-        springRollsIncluded: 3
-      }
-    ];
+    const result = await comboService.seedCombos(req.restaurantId);
+
+    console.log(`Reseeded combos for ${req.restaurant.name}`);
+    res.json({ message: 'Combos reseeded successfully', ...result });
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to reseed combos');
+  }
+};
+
+// ADMIN - Combo types of the restaurant in context, including inactive ones
+const getAdminCombos = async (req, res) => {
+  try {
+    const combos = await comboService.getCombos(req.restaurantId, { includeInactive: true });
+    res.json(combos.map(combo => comboService.serializeComboAdmin(combo)));
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to fetch combos');
+  }
+};
 
-    await ComboType.bulkCreate(sampleCombos);
-    console.log('Sample combo data created successfully');
-    
+const createCombo = async (req, res) => {
+  try {
+    const { name, basePrice } = req.body;
+    if (!name || basePrice === undefined) {
+      return res.status(400).json({ message: 'Combo name and basePrice are required' });
+    }
+
+    const combo = await comboService.saveCombo(req.restaurantId, null, req.body);
+
+    console.log(`Created combo "${combo.name}" for ${req.restaurant.name}`);
+    res.status(201).json(comboService.serializeComboAdmin(combo));
   } catch (error) {
-    console.error('Error creating sample combo data:', error);
-    throw error;
+    sendAdminError(res, error, 'Failed to create combo');
   }
 };
 
-// Helper function to create dinner for two menu items
-const createDinnerForTwoMenuItems = async () => {
+const updateCombo = async (req, res) => {
   try {
-    console.log('Creating dinner for two menu items...');
-    
-    // Define all the menu items needed for the dinner for two combo
-    const dinnerForTwoItems = [
-      // Base choice options (Chow Mein & Fried Rice)
-      { name: 'Chicken Chow Mein', categoryId: 3, price: 16.95, description: 'Stir-fried noodles with chicken and vegetables' },
-      { name: 'Chicken Fried Rice', categoryId: 4, price: 15.95, description: 'Wok-fried rice with chicken, egg and vegetables' },
-      
-      // Main entree options (Chicken)
-      { name: 'Lemon Chicken', categoryId: 7, price: 18.95, description: 'Crispy chicken with tangy lemon sauce' },
-      { name: 'Chicken Balls', categoryId: 7, price: 17.95, description: 'Deep-fried chicken balls with sweet and sour sauce' },
-      { name: 'Almond Chicken', categoryId: 7, price: 19.95, description: 'Tender chicken with crispy almonds' },
-      { name: 'Kung Pao Chicken', categoryId: 7, price: 18.95, description: 'Spicy Sichuan-style chicken with peanuts', isSpicy: true },
-      { name: 'Sesame Chicken', categoryId: 7, price: 19.95, description: 'Crispy chicken glazed with sesame sauce' },
-      
-      // Beef dishes
-      { name: 'Beef with Black Bean Sauce', categoryId: 8, price: 19.95, description: 'Tender beef stir-fried with black bean sauce' },
-      { name: 'Ginger Fried Beef', categoryId: 8, price: 20.95, description: 'Beef stir-fried with fresh ginger and scallions' },
-      { name: 'Beef Chow Mein', categoryId: 3, price: 17.95, description: 'Stir-fried noodles with beef and vegetables' },
-      { name: 'Beef and Broccoli', categoryId: 8, price: 18.95, description: 'Classic beef and broccoli in brown sauce' },
-      
-      // Pork dishes
-      { name: 'Honey Garlic Pork', categoryId: 9, price: 18.95, description: 'Sweet and savory pork with honey garlic glaze' },
-      { name: 'Sweet & Sour Pork', categoryId: 9, price: 18.95, description: 'Crispy pork with pineapple in sweet and sour sauce' },
-      { name: 'Dry Garlic Pork', categoryId: 9, price: 19.95, description: 'Crispy pork with aromatic dry garlic seasoning' },
-      
-      // Seafood dishes
-      { name: 'Deep-Fried Prawns', categoryId: 10, price: 22.95, description: 'Crispy battered prawns served with sweet and sour sauce' },
-      { name: 'Shrimp with Black Bean Sauce', categoryId: 10, price: 21.95, description: 'Fresh shrimp stir-fried with black bean sauce' },
-      { name: 'Kung Pao Prawns', categoryId: 10, price: 22.95, description: 'Spicy prawns with peanuts in Kung Pao sauce', isSpicy: true },
-      
-      // Chop Suey dishes
-      { name: 'Chicken Chop Suey', categoryId: 5, price: 16.95, description: 'Mixed vegetables with chicken in light sauce' },
-      { name: 'Beef Chop Suey', categoryId: 5, price: 17.95, description: 'Mixed vegetables with beef in light sauce' }
-    ];
-    
-    // Check which items already exist to avoid duplicates
-    const existingItems = await MenuItem.findAll({
+    const combo = await ComboType.findOne({
       where: {
-        name: dinnerForTwoItems.map(item => item.name)
+        id: req.params.id,
+        restaurantId: req.restaurantId // Ensure combo belongs to current restaurant
       }
     });
-    
-    const existingNames = existingItems.map(item => item.name);
-    const newItems = dinnerForTwoItems.filter(item => !existingNames.includes(item.name));
-    
-    if (newItems.length > 0) {
-      await MenuItem.bulkCreate(newItems);
-      console.log(`Created ${newItems.length} new menu items for dinner for two combo`);
-    } else {
-      console.log('All dinner for two menu items already exist');
+    if (!combo) {
+      return res.status(404).json({ message: 'Combo not found or does not belong to this restaurant' });
     }
-    
-    return newItems.length;
+
+    const updatedCombo = await comboService.saveCombo(req.restaurantId, combo, req.body);
+    res.json(comboService.serializeComboAdmin(updatedCombo));
   } catch (error) {
-    console.error('Error creating dinner for two menu items:', error);
-    throw error;
+    sendAdminError(res, error, 'Failed to update combo');
   }
 };
 
-// Helper function to create sample combo available items
-const createSampleComboAvailableItems = async () => {
+const deleteCombo = async (req, res) => {
   try {
-    console.log('Creating sample combo available items...');
-    
-    // First ensure dinner for two menu items exist
-    await createDinnerForTwoMenuItems();
-    
-    // Check if we already have combo available items
-    const existingItems = await ComboAvailableItems.count();
-    if (existingItems > 0) {
-      console.log('Combo available items already exist, skipping creation');
-      return;
-    }
-    
-    // Get all available menu items
-    const allMenuItems = await MenuItem.findAll({
-      where: { isAvailable: true },
-      order: [['categoryId', 'ASC'], ['name', 'ASC']]
-    });
-    
-    console.log(`Found ${allMenuItems.length} available menu items`);
-    
-    if (allMenuItems.length === 0) {
-      console.log('No menu items found, cannot create combo available items');
-      return;
-    }
-    
-    // Get items by category for better selection
-    const chowMeinItems = allMenuItems.filter(item => item.categoryId === 3); // Chow Mein
-    const chopSueyItems = allMenuItems.filter(item => item.categoryId === 5); // Chop Suey  
-    const chickenItems = allMenuItems.filter(item => item.categoryId === 7); // Chicken
-    const beefItems = allMenuItems.filter(item => item.categoryId === 8); // Beef
-    const porkItems = allMenuItems.filter(item => item.categoryId === 9); // Pork
-    const entreeItems = [...chickenItems, ...beefItems, ...porkItems, ...chowMeinItems, ...chopSueyItems];
-    
-    console.log(`Entree items available: ${entreeItems.length}`);
-    
-    // Create combo available items for combo_type_id 1 (uses various entrees)
-    const combo1Items = [];
-    const combo1Selection = entreeItems.slice(0, Math.min(8, entreeItems.length));
-    combo1Selection.forEach((item, index) => {
-      combo1Items.push({
-        comboTypeId: 1,
-        menuItemId: item.id,
-        isEntree: true,
-        displayOrder: index + 1
-      });
-    });
-    
-    // Create combo available items for combo_type_id 2 (Dinner for Two - special logic)
-    const combo2Items = [];
-    
-    // Get the dinner for two items
-    const dinnerForTwoItems = await MenuItem.findAll({
+    const combo = await ComboType.findOne({
       where: {
-        name: [
-          'Chicken Chow Mein', 'Chicken Fried Rice', 'Lemon Chicken', 'Chicken Balls',
-          'Beef with Black Bean Sauce', 'Ginger Fried Beef', 'Honey Garlic Pork',
-          'Sweet & Sour Pork', 'Deep-Fried Prawns', 'Beef Chow Mein', 'Almond Chicken',
-          'Shrimp with Black Bean Sauce', 'Kung Pao Chicken', 'Dry Garlic Pork',
-          'Sesame Chicken', 'Chicken Chop Suey', 'Beef Chop Suey', 'Kung Pao Prawns',
-          'Beef and Broccoli'
-        ],
-        isAvailable: true
+        id: req.params.id,
+        restaurantId: req.restaurantId // Ensure combo belongs to current restaurant
       }
     });
-    
-    // Add base choice options (marked as base choices)
-    const baseChoices = dinnerForTwoItems.filter(item => 
-      item.name === 'Chicken Chow Mein' || item.name === 'Chicken Fried Rice'
-    );
-    
-    baseChoices.forEach((item, index) => {
-      combo2Items.push({
-        comboTypeId: 2,
-        menuItemId: item.id,
-        isEntree: false, // Mark as base choice, not regular entree
-        displayOrder: index + 1
-      });
-    });
-    
-    // Add all selectable entree options
-    const entreeChoices = dinnerForTwoItems.filter(item => 
-      item.name !== 'Chicken Chow Mein' && item.name !== 'Chicken Fried Rice'
-    );
-    
-    entreeChoices.forEach((item, index) => {
-      combo2Items.push({
-        comboTypeId: 2,
-        menuItemId: item.id,
-        isEntree: true,
-        displayOrder: baseChoices.length + index + 1
-      });
-    });
-    
-    // Create combo available items for combo_type_id 3-7 (same as combo 2)
-    const combo3Items = [];
-    const combo4Items = [];
-    const combo5Items = [];
-    const combo6Items = [];
-    const combo7Items = [];
-    
-    // For combos 3-7, use the same items structure as combo 2
-    [3, 4, 5, 6, 7].forEach(comboId => {
-      let comboItems;
-      switch(comboId) {
-        case 3: comboItems = combo3Items; break;
-        case 4: comboItems = combo4Items; break;
-        case 5: comboItems = combo5Items; break;
-        case 6: comboItems = combo6Items; break;
-        case 7: comboItems = combo7Items; break;
-      }
-      
-      // Add base choice options (marked as base choices)
-      const baseChoices = dinnerForTwoItems.filter(item => 
-        item.name === 'Chicken Chow Mein' || item.name === 'Chicken Fried Rice'
-      );
-      
-      baseChoices.forEach((item, index) => {
-        comboItems.push({
-          comboTypeId: comboId,
-          menuItemId: item.id,
-          isEntree: false, // Mark as base choice, not regular entree
-          displayOrder: index + 1
-        });
-      });
-      
-      // Add all selectable entree options
-      const entreeChoices = dinnerForTwoItems.filter(item => 
-        item.name !== 'Chicken Chow Mein' && item.name !== 'Chicken Fried Rice'
-      );
-      
-      entreeChoices.forEach((item, index) => {
-        comboItems.push({
-          comboTypeId: comboId,
-          menuItemId: item.id,
-          isEntree: true,
-          displayOrder: baseChoices.length + index + 1
-        });
-      });
-    });
-    
-    // Combine all combo items
-    const allComboItems = [...combo1Items, ...combo2Items, ...combo3Items, ...combo4Items, ...combo5Items, ...combo6Items, ...combo7Items];
-    
-    if (allComboItems.length > 0) {
-      await ComboAvailableItems.bulkCreate(allComboItems);
-      console.log(`Created ${allComboItems.length} combo available items`);
-      console.log(`- Combo type 1: ${combo1Items.length} items`);
-      console.log(`- Combo type 2: ${combo2Items.length} items`);
-      console.log(`- Combo type 3: ${combo3Items.length} items`);
-      console.log(`- Combo type 4: ${combo4Items.length} items`);
-      console.log(`- Combo type 5: ${combo5Items.length} items`);
-      console.log(`- Combo type 6: ${combo6Items.length} items`);
-      console.log(`- Combo type 7: ${combo7Items.length} items`);
-      
-      // Log the actual items for debugging
-      console.log('Combo type 1 items:', combo1Items.map(item => 
-        `ID:${item.menuItemId} (${allMenuItems.find(mi => mi.id === item.menuItemId)?.name})`
-      ));
-      console.log('Combo type 2 items:', combo2Items.map(item => 
-        `ID:${item.menuItemId} (${allMenuItems.find(mi => mi.id === item.menuItemId)?.name})`
-      ));
-      console.log('Combo type 3 items:', combo3Items.map(item => 
-        `ID:${item.menuItemId} (${allMenuItems.find(mi => mi.id === item.menuItemId)?.name})`
-      ));
-      console.log('Combo types 4-7 have same items as combo 2');
-    } else {
-      console.log('No combo items to create');
+    if (!combo) {
+      return res.status(404).json({ message: 'Combo not found or does not belong to this restaurant' });
     }
-    
+
+    await comboService.deleteCombo(combo);
+    res.json({ message: 'Combo deleted successfully' });
   } catch (error) {
-    console.error('Error creating sample combo available items:', error);
-    throw error;
+    sendAdminError(res, error, 'Failed to delete combo');
   }
 };
 
-// Helper function to update combo 2-7 data
-const updateComboData = async () => {
+// ADMIN - Item pools combos choose from
+const getComboPools = async (req, res) => {
   try {
-    // Update combo 2 (Dinner for Two)
-    await ComboType.update({
-      name: 'Combination Dinner for Two',
-      description: 'First choose chicken chow mein OR chicken fried rice, then choose 2 of your favorite dishes from our selection.',
-      basePrice: 24.95,
-      baseItems: 3, // 1 base choice + 2 entree selections
-      additionalItemPrice: null,
-      springRollsIncluded: 2
-    }, {
-      where: { id: 2 }
-    });
-
-    // Update combo 3 (Dinner for Three)
-    await ComboType.update({
-      name: 'Combination Dinner for Three',
-      description: 'First choose chicken chow mein OR chicken fried rice, then choose 3 of your favorite dishes from our selection.',
-      basePrice: 69.95,
-      baseItems: 4, // 1 base choice + 3 entree selections
-      additionalItemPrice: null,
-      springRollsIncluded: 3
-    }, {
-      where: { id: 3 }
-    });
+    const pools = await comboService.listPools(req.restaurantId);
+    res.json(pools);
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to fetch item pools');
+  }
+};
 
-    // Update combo 4 (Dinner for Four)
-    await ComboType.update({
-      name: 'Combination Dinner for Four',
-      description: 'First choose chicken chow mein OR chicken fried rice, then choose 4 of your favorite dishes from our selection.',
-      basePrice: 88.95,
-      baseItems: 5, // 1 base choice + 4 entree selections
-      additionalItemPrice: null,
-      springRollsIncluded: 4
-    }, {
-      where: { id: 4 }
-    });
+const createComboPool = async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ message: 'Item pool name is required' });
+    }
 
-    // Update combo 5 (Dinner for Six)
-    await ComboType.update({
-      name: 'Combination Dinner for Six',
-      description: 'First choose chicken chow mein OR chicken fried rice, then choose 5 of your favorite dishes from our selection.',
-      basePrice: 108.95,
-      baseItems: 6, // 1 base choice + 5 entree selections
-      additionalItemPrice: null,
-      springRollsIncluded: 6
-    }, {
-      where: { id: 5 }
-    });
+    const pool = await comboService.savePool(req.restaurantId, null, req.body);
 
-    // Update combo 6 (Dinner for Eight)
-    await ComboType.update({
-      name: 'Combination Dinner for Eight',
-      description: 'First choose chicken chow mein OR chicken fried rice, then choose 7 of your favorite dishes from our selection.',
-      basePrice: 148.95,
-      baseItems: 8, // 1 base choice + 7 entree selections
-      additionalItemPrice: null,
-      springRollsIncluded: 8
-    }, {
-      where: { id: 6 }
-    });
+    console.log(`Created combo item pool "${pool.name}" for ${req.restaurant.name}`);
+    res.status(201).json(comboService.serializePool(pool));
+  } catch (error) {
+    sendAdminError(res, error, 'Failed to create item pool');
+  }
+};
 
-    // Update combo 7 (Dinner for Ten)
-    await ComboType.update({
-      name: 'Combination Dinner for Ten',
-      description: 'First choose chicken chow mein OR chicken fried rice, then choose 9 of your favorite dishes from our selection.',
-      basePrice: 172.95,
-      baseItems: 10, // 1 base choice + 9 entree selections
-      additionalItemPrice: null,
-      springRollsIncluded: 10
-    }, {
-      where: { id: 7 }
+const updateComboPool = async (req, res) => {
+  try {
+    const pool = await ComboItemPool.findOne({
+      where: {
+        id: req.params.id,
+        restaurantId: req.restaurantId // Ensure pool belongs to current restaurant
+      }
     });
+    if (!pool) {
+      return res.status(404).json({ message: 'Item pool not found or does not belong to this restaurant' });
+    }
 
-    console.log('Updated combo 2-7 data successfully');
+    const updatedPool = await comboService.savePool(req.restaurantId, pool, req.body);
+    const combos = await ComboType.findAll({ where: { restaurantId: req.restaurantId }, attributes: ['id', 'entreePoolId', 'basePoolId'] });
+    res.json(comboService.serializePool(updatedPool, combos));
   } catch (error) {
-    console.error('Error updating combo data:', error);
-    throw error;
+    sendAdminError(res, error, 'Failed to update item pool');
   }
 };
 
-// Helper function to reset combo available items (for debugging)
-const resetComboAvailableItems = async (req, res) => {
+const deleteComboPool = async (req, res) => {
   try {
-    console.log('Resetting combo available items...');
-    
-    // Update combo 2-7 data first
-    await updateComboData();
-    
-    // Delete all existing combo available items
-    await ComboAvailableItems.destroy({ where: {} });
-    console.log('Cleared existing combo available items');
-    
-    // Recreate them
-    await createSampleComboAvailableItems();
-    
-    res.json({ message: 'Combo available items reset successfully' });
+    const pool = await ComboItemPool.findOne({
+      where: {
+        id: req.params.id,
+        restaurantId: req.restaurantId // Ensure pool belongs to current restaurant
+      }
+    });
+    if (!pool) {
+      return res.status(404).json({ message: 'Item pool not found or does not belong to this restaurant' });
+    }
+
+    await comboService.deletePool(pool);
+    res.json({ message: 'Item pool deleted successfully' });
   } catch (error) {
-    console.error('Error resetting combo available items:', error);
-    res.status(500).json({ error: error.message });
+    sendAdminError(res, error, 'Failed to delete item pool');
   }
 };
 
@@ -782,5 +277,13 @@ module.exports = {
   getComboWithItems,
   createComboOrder,
   getAllCombos,
-  resetComboAvailableItems
-};
\ No newline at end of file
+  reseedCombos,
+  getAdminCombos,
+  createCombo,
+  updateCombo,
+  deleteCombo,
+  getComboPools,
+  createComboPool,
+  updateComboPool,
+  deleteComboPool
+};
@@ -1,8 +1,19 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
-const { User, Restaurant } = require('../config/database');
+const { User, Restaurant, UserSession } = require('../config/database');
 
-// Authentication middleware - now allows users to access any restaurant
+// The session an access token was issued for, or null when it was revoked or has expired.
+// Tokens from before sessions existed name none and are no longer accepted.
+const findActiveSession = async (decoded, user) => {
+  if (!decoded.sessionId || (decoded.tokenVersion || 0) !== user.tokenVersion) {
+    return null;
+  }
+  const session = await UserSession.findByPk(decoded.sessionId);
+  return session && session.userId === user.id && session.isActive() ? session : null;
+};
+
+// Authentication middleware - accounts belong to one restaurant, so in a restaurant's context
+// only that restaurant's accounts (and super admins) are accepted
 const authMiddleware = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -25,11 +36,25 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
-    // Removed restaurant context validation - users can now access any restaurant
+    // Signed out, or revoked by "log out all devices" or a password reset
+    const session = await findActiveSession(decoded, user);
+    if (!session) {
+      return res.status(401).json({ message: 'Session has been revoked. Please sign in again.', code: 'SESSION_REVOKED' });
+    }
+
+    if (req.restaurantId && !user.belongsToRestaurant(req.restaurantId)) {
+      return res.status(401).json({ message: 'This account belongs to a different restaurant. Please sign in here.', code: 'WRONG_RESTAURANT' });
+    }
+
     req.user = user;
+    req.userSession = session;
     req.tokenRestaurantId = decoded.restaurantId; // Store token's restaurant context
     next();
   } catch (error) {
+    // Access tokens are short-lived; this tells the client to use its refresh token
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token has expired', code: 'TOKEN_EXPIRED' });
+    }
     console.error('Auth middleware error:', error);
     res.status(401).json({ message: 'Token is not valid' });
   }
@@ -91,9 +116,11 @@ const optionalAuthMiddleware = async (req, res, next) => {
         }]
       });
       
-      if (user) {
-        // Users can now access any restaurant - no restaurant context validation
+      const session = user ? await findActiveSession(decoded, user) : null;
+      // Accounts of other restaurants are treated as guests here
+      if (session && (!req.restaurantId || user.belongsToRestaurant(req.restaurantId))) {
         req.user = user;
+        req.userSession = session;
         req.tokenRestaurantId = decoded.restaurantId;
       }
     }
@@ -105,12 +132,12 @@ const optionalAuthMiddleware = async (req, res, next) => {
   }
 };
 
-// Registered user middleware - allows access to any restaurant for viewing
+// Registered user middleware - requires a signed-in account (authMiddleware already checked
+// that it belongs to the restaurant in context)
 const registeredUserMiddleware = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({ message: 'Authentication required' });
   }
-  // Any registered user can access any restaurant for viewing/ordering
   next();
 };
 
@@ -0,0 +1,57 @@
+// middleware/rateLimit.js
+// Fixed-window rate limiting per client IP and restaurant. Counts are kept in this process,
+// which is enough to slow down guessing against a single server instance.
+
+const createRateLimiter = ({ windowMs, max, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map(); // key -> { count, resetAt }
+
+  // Drop expired windows so the map doesn't grow with every client ever seen
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref(); // Don't keep the process alive for this
+
+  return (req, res, next) => {
+    const key = `${req.restaurantId || '-'}:${req.ip}`;
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - entry.count, 0)));
+    res.set('RateLimit-Reset', String(Math.ceil((entry.resetAt - now) / 1000)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ message, code: 'RATE_LIMITED' });
+    }
+    next();
+  };
+};
+
+// Gift card codes can be tried through the balance lookup and at checkout, and each answer tells
+// whether a code exists, so all of these requests share one budget per client
+const giftCardCodeLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many gift card attempts, please try again later'
+});
+
+// Limit requests that send a gift card code in req.body[field]; others pass without counting
+const limitGiftCardCodeAttempts = (field) => (req, res, next) => {
+  if (!req.body || !req.body[field]) return next();
+  return giftCardCodeLimiter(req, res, next);
+};
+
+module.exports = {
+  createRateLimiter,
+  limitGiftCardCodeAttempts
+};
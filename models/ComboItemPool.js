@@ -0,0 +1,46 @@
+// models/ComboItemPool.js
+// A named, reusable list of menu items that combos choose from (e.g. "Dinner entrees").
+// Several combo types can share one pool.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ComboItemPool = sequelize.define('ComboItemPool', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    restaurantId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'restaurant_id',
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        len: [1, 255]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'combo_item_pools',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['restaurant_id', 'name'] // Pool names are unique within a restaurant
+      }
+    ]
+  });
+
+  return ComboItemPool;
+};
@@ -1,19 +1,20 @@
-// models/ComboAvailableItems.js
+// models/ComboPoolItem.js
+// A menu item that belongs to a combo item pool
 const { DataTypes } = require('sequelize');
 
 module.exports = (sequelize) => {
-  const ComboAvailableItems = sequelize.define('ComboAvailableItems', {
+  const ComboPoolItem = sequelize.define('ComboPoolItem', {
     id: {
       type: DataTypes.INTEGER,
       primaryKey: true,
       autoIncrement: true
     },
-    comboTypeId: {
+    poolId: {
       type: DataTypes.INTEGER,
       allowNull: false,
-      field: 'combo_type_id',
+      field: 'pool_id',
       references: {
-        model: 'combo_types',
+        model: 'combo_item_pools',
         key: 'id'
       }
     },
@@ -26,21 +27,22 @@ module.exports = (sequelize) => {
         key: 'id'
       }
     },
-    isEntree: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: true,
-      field: 'is_entree'
-    },
     displayOrder: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
       field: 'display_order'
     }
   }, {
-    tableName: 'combo_available_items',
+    tableName: 'combo_pool_items',
     underscored: true,
-    timestamps: false
+    timestamps: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['pool_id', 'menu_item_id']
+      }
+    ]
   });
 
-  return ComboAvailableItems;
-};
\ No newline at end of file
+  return ComboPoolItem;
+};
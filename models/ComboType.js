@@ -1,4 +1,6 @@
 // models/ComboType.js
+// A combo meal and its rules: how many entrees are chosen from which item pool, an optional
+// base choice (e.g. chow mein or fried rice), extras included for free and the price of additional items
 const { DataTypes } = require('sequelize');
 
 module.exports = (sequelize) => {
@@ -30,26 +32,97 @@ module.exports = (sequelize) => {
       allowNull: false,
       field: 'base_price'
     },
+    entreePoolId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Combos without an entree pool can't be ordered
+      field: 'entree_pool_id',
+      references: {
+        model: 'combo_item_pools',
+        key: 'id'
+      }
+    },
+    entreeCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1, // Entrees the customer must choose from the entree pool
+      field: 'entree_count',
+      validate: {
+        min: 1
+      }
+    },
+    basePoolId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // When set, the customer must also pick one base item from this pool
+      field: 'base_pool_id',
+      references: {
+        model: 'combo_item_pools',
+        key: 'id'
+      }
+    },
     baseItems: {
       type: DataTypes.INTEGER,
       allowNull: false,
-      field: 'base_items'
+      field: 'base_items' // Total dishes in the combo (base choice + entrees), kept in sync for older clients
+    },
+    includedExtras: {
+      type: DataTypes.JSON,
+      allowNull: true, // e.g. [{ name: 'Spring Roll', quantity: 2 }]
+      field: 'included_extras',
+      validate: {
+        isValidExtras(value) {
+          if (value === null || value === undefined) return;
+          if (!Array.isArray(value)) {
+            throw new Error('includedExtras must be an array');
+          }
+          value.forEach(extra => {
+            if (!extra || typeof extra.name !== 'string' || !extra.name.trim()) {
+              throw new Error('Each included extra requires a name');
+            }
+            if (!Number.isInteger(extra.quantity) || extra.quantity < 1) {
+              throw new Error(`Included extra ${extra.name} quantity must be a positive whole number`);
+            }
+          });
+        }
+      }
     },
     additionalItemPrice: {
       type: DataTypes.DECIMAL(10, 2),
-      allowNull: true,
+      allowNull: true, // Null = additional entrees can't be added
       field: 'additional_item_price'
     },
-    springRollsIncluded: {
+    maxAdditionalItems: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Null = no limit
+      field: 'max_additional_items',
+      validate: {
+        min: 0
+      }
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      field: 'is_active'
+    },
+    displayOrder: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
-      field: 'spring_rolls_included'
+      field: 'display_order'
     }
   }, {
     tableName: 'combo_types',
     underscored: true,
-    timestamps: true
+    timestamps: true,
+
+    hooks: {
+      // beforeValidate covers creates (base_items is NOT NULL); beforeSave persists the value on updates
+      beforeValidate: (combo) => {
+        combo.baseItems = combo.entreeCount + (combo.basePoolId ? 1 : 0);
+      },
+      beforeSave: (combo) => {
+        combo.baseItems = combo.entreeCount + (combo.basePoolId ? 1 : 0);
+      }
+    }
   });
 
   return ComboType;
-};
\ No newline at end of file
+};
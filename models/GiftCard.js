@@ -0,0 +1,111 @@
+// models/GiftCard.js
+// Stored-value card of a restaurant, issued by an admin or bought online through Stripe.
+// Only a hash of the code is kept (the code is shown or emailed once), and the balance is
+// changed together with a gift_card_transactions entry.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const GiftCard = sequelize.define('GiftCard', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    restaurantId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'restaurant_id',
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    codeHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true, // SHA-256 of the normalized code; null until a purchased card is paid for
+      unique: true,
+      field: 'code_hash'
+    },
+    lastFour: {
+      type: DataTypes.STRING(4),
+      allowNull: true, // Shown to admins and on receipts to tell cards apart
+      field: 'last_four'
+    },
+    status: {
+      // pending: bought online, waiting for Stripe to confirm the payment
+      type: DataTypes.ENUM('pending', 'active', 'disabled'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    initialBalance: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      field: 'initial_balance',
+      validate: {
+        min: 0.01
+      }
+    },
+    balance: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    source: {
+      type: DataTypes.ENUM('admin', 'purchase'),
+      allowNull: false
+    },
+    issuedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Admin who issued the card
+      field: 'issued_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    purchaserEmail: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'purchaser_email',
+      validate: {
+        isEmail: true
+      }
+    },
+    recipientEmail: {
+      type: DataTypes.STRING,
+      allowNull: true, // The code is emailed here (or to the purchaser when empty)
+      field: 'recipient_email',
+      validate: {
+        isEmail: true
+      }
+    },
+    recipientName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'recipient_name'
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true // Personal note included in the gift card email
+    },
+    stripePaymentIntentId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+      field: 'stripe_payment_intent_id'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // Null = never expires
+      field: 'expires_at'
+    }
+  }, {
+    tableName: 'gift_cards',
+    underscored: true,
+    timestamps: true
+  });
+
+  return GiftCard;
+};
@@ -0,0 +1,75 @@
+// models/GiftCardTransaction.js
+// One change to a gift card balance. Amounts are signed: money loaded onto the card is
+// positive, money spent from it negative.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const GiftCardTransaction = sequelize.define('GiftCardTransaction', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    giftCardId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'gift_card_id',
+      references: {
+        model: 'gift_cards',
+        key: 'id'
+      }
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set for redemptions and the refunds of cancelled orders
+      field: 'order_id',
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    type: {
+      // issue: loaded by an admin; purchase: paid for through Stripe; redeem: spent on an order;
+      // refund: returned from a cancelled order; adjustment: admin correction
+      type: DataTypes.ENUM('issue', 'purchase', 'redeem', 'refund', 'adjustment'),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    balanceAfter: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      field: 'balance_after'
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Admin behind issues and adjustments
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    note: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'gift_card_transactions',
+    underscored: true,
+    timestamps: true,
+    updatedAt: false, // Ledger entries are never edited
+    indexes: [
+      {
+        fields: ['gift_card_id']
+      },
+      {
+        fields: ['order_id']
+      }
+    ]
+  });
+
+  return GiftCardTransaction;
+};
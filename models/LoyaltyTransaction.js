@@ -0,0 +1,83 @@
+// models/LoyaltyTransaction.js
+// One entry in a customer's loyalty points ledger at a restaurant. Points are signed
+// (earned and restored points are positive, redeemed and reversed points negative) and
+// the balance is the sum of a customer's entries.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LoyaltyTransaction = sequelize.define('LoyaltyTransaction', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    restaurantId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'restaurant_id',
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Null for manual adjustments
+      field: 'order_id',
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    type: {
+      // earn: completed, paid order; earn_reversal: order cancelled or refunded after earning;
+      // redeem: points spent at checkout; redeem_reversal: spent points given back
+      type: DataTypes.ENUM('earn', 'earn_reversal', 'redeem', 'redeem_reversal'),
+      allowNull: false
+    },
+    points: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        notZero(value) {
+          if (value === 0) {
+            throw new Error('A loyalty transaction must change the balance');
+          }
+        }
+      }
+    },
+    balanceAfter: {
+      type: DataTypes.INTEGER,
+      allowNull: false, // Customer balance once this entry was posted
+      field: 'balance_after'
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'loyalty_transactions',
+    underscored: true,
+    timestamps: true,
+    updatedAt: false, // Ledger entries are never edited; corrections are new entries
+    indexes: [
+      {
+        fields: ['restaurant_id', 'user_id']
+      },
+      {
+        fields: ['order_id']
+      }
+    ]
+  });
+
+  return LoyaltyTransaction;
+};
@@ -0,0 +1,75 @@
+// models/ModifierGroup.js
+// A set of choices offered with menu items, e.g. "Choice of sauce" or "Extras".
+// Groups are attached to individual items or to whole categories through ModifierGroupAssignment.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ModifierGroup = sequelize.define('ModifierGroup', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    restaurantId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'restaurant_id',
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        len: [1, 255]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    minSelections: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0, // 0 = optional, 1+ = customer must choose at least this many
+      field: 'min_selections',
+      validate: {
+        min: 0
+      }
+    },
+    maxSelections: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Null = no limit
+      field: 'max_selections',
+      validate: {
+        min: 1
+      }
+    },
+    displayOrder: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      field: 'display_order'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      field: 'is_active'
+    }
+  }, {
+    tableName: 'modifier_groups',
+    underscored: true,
+    timestamps: true,
+
+    validate: {
+      selectionRangeIsValid() {
+        if (this.maxSelections !== null && this.maxSelections !== undefined && this.maxSelections < this.minSelections) {
+          throw new Error('maxSelections cannot be less than minSelections');
+        }
+      }
+    }
+  });
+
+  return ModifierGroup;
+};
@@ -0,0 +1,54 @@
+// models/ModifierGroupAssignment.js
+// Attaches a modifier group to either one menu item or every item in a category
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ModifierGroupAssignment = sequelize.define('ModifierGroupAssignment', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    modifierGroupId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'modifier_group_id',
+      references: {
+        model: 'modifier_groups',
+        key: 'id'
+      }
+    },
+    menuItemId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set for item-level assignments
+      field: 'menu_item_id',
+      references: {
+        model: 'menu_items',
+        key: 'id'
+      }
+    },
+    categoryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set for category-level assignments
+      field: 'category_id',
+      references: {
+        model: 'menu_categories',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'modifier_group_assignments',
+    underscored: true,
+    timestamps: false,
+
+    validate: {
+      targetsOneItemOrCategory() {
+        if (Boolean(this.menuItemId) === Boolean(this.categoryId)) {
+          throw new Error('A modifier group assignment needs either a menu item or a category');
+        }
+      }
+    }
+  });
+
+  return ModifierGroupAssignment;
+};
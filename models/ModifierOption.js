@@ -0,0 +1,58 @@
+// models/ModifierOption.js
+// One choice within a modifier group, e.g. "Extra chicken" (+$3.00) or "No MSG" (free)
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ModifierOption = sequelize.define('ModifierOption', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    modifierGroupId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'modifier_group_id',
+      references: {
+        model: 'modifier_groups',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        len: [1, 255]
+      }
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0, // Added to the item price for each unit ordered
+      validate: {
+        min: 0
+      }
+    },
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false, // Pre-selected by the storefront; the customer can still change it
+      field: 'is_default'
+    },
+    isAvailable: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      field: 'is_available'
+    },
+    displayOrder: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      field: 'display_order'
+    }
+  }, {
+    tableName: 'modifier_options',
+    underscored: true,
+    timestamps: true
+  });
+
+  return ModifierOption;
+};
@@ -27,8 +27,7 @@ module.exports = (sequelize) => {
     },
     orderNumber: {
       type: DataTypes.STRING,
-      allowNull: false,
-      unique: true,
+      allowNull: false, // e.g. GC-00042: restaurant prefix + per-restaurant sequence, assigned once on create
       field: 'order_number'
     },
     customerEmail: {
@@ -67,7 +66,7 @@ module.exports = (sequelize) => {
       field: 'payment_method'
     },
     paymentStatus: {
-      type: DataTypes.ENUM('pending', 'paid', 'failed'),
+      type: DataTypes.ENUM('pending', 'paid', 'failed', 'partially_refunded', 'refunded'),
       defaultValue: 'pending',
       field: 'payment_status'
     },
@@ -76,10 +75,32 @@ module.exports = (sequelize) => {
       allowNull: true,
       field: 'stripe_payment_intent_id'
     },
+    paymentReviewReason: {
+      type: DataTypes.TEXT,
+      allowNull: true, // Set when a Stripe payment doesn't match the order (amount, currency, restaurant)
+      field: 'payment_review_reason'
+    },
     subtotal: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false
     },
+    discount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00 // Promo code discount taken off the subtotal (see order_discounts)
+    },
+    loyaltyDiscount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00, // Value of the loyalty points redeemed on this order
+      field: 'loyalty_discount'
+    },
+    loyaltyPointsRedeemed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'loyalty_points_redeemed'
+    },
     tax: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false
@@ -93,6 +114,12 @@ module.exports = (sequelize) => {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false
     },
+    giftCardAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00, // Part of the total paid from a gift card; the rest is paid by paymentMethod
+      field: 'gift_card_amount'
+    },
     status: {
       type: DataTypes.ENUM('pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'),
       defaultValue: 'pending'
@@ -100,20 +127,90 @@ module.exports = (sequelize) => {
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    scheduledFor: {
+      type: DataTypes.DATE,
+      allowNull: true, // Requested pickup/delivery time slot; null = ASAP
+      field: 'scheduled_for'
+    },
+    releasedAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // When the order entered the kitchen queue; scheduled orders wait until their prep lead time
+      field: 'released_at'
+    },
+    deliveryZone: {
+      type: DataTypes.JSON,
+      allowNull: true, // Snapshot of the matched zone: { name, fee, minimumOrder, estimatedMinutes, distanceKm, lat, lng }
+      field: 'delivery_zone'
+    },
+    idempotencyKey: {
+      type: DataTypes.STRING(255),
+      allowNull: true, // Idempotency-Key header of the request that created the order
+      field: 'idempotency_key'
     }
   }, {
     tableName: 'orders',
     underscored: true,
     timestamps: true,
+    indexes: [
+      {
+        name: 'orders_restaurant_id_order_number',
+        unique: true, // Order numbers are unique within a restaurant
+        fields: ['restaurant_id', 'order_number']
+      },
+      {
+        name: 'orders_restaurant_id_idempotency_key',
+        unique: true, // A retried request can't create a second order
+        fields: ['restaurant_id', 'idempotency_key']
+      },
+      {
+        name: 'orders_stripe_payment_intent_id',
+        unique: true, // One payment can't pay for two orders
+        fields: ['stripe_payment_intent_id']
+      }
+    ],
     hooks: {
-      beforeValidate: async (order) => {
-        // Generate unique order number
-        const timestamp = Date.now().toString();
-        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-        order.orderNumber = `GC${timestamp.slice(-6)}${random}`;
+      // Number new orders from the restaurant's counter. The UPDATE locks the restaurant row until the
+      // creating transaction ends, so concurrent orders get consecutive numbers and a rollback frees its number.
+      beforeValidate: async (order, options) => {
+        if (!order.isNewRecord || order.orderNumber || !order.restaurantId) return;
+
+        const [rows] = await sequelize.query(
+          'UPDATE restaurants SET order_sequence = order_sequence + 1 WHERE id = :restaurantId RETURNING slug, order_number_prefix, order_sequence',
+          { replacements: { restaurantId: order.restaurantId }, transaction: options.transaction }
+        );
+        if (rows.length === 0) return; // Unknown restaurant; validation rejects the missing number
+
+        const [{ slug, order_number_prefix: orderNumberPrefix, order_sequence: sequence }] = rows;
+        const prefix = sequelize.models.Restaurant.build({ slug, orderNumberPrefix }).getOrderNumberPrefix();
+        order.orderNumber = `${prefix}-${String(sequence).padStart(5, '0')}`;
+      },
+      beforeUpdate: (order) => {
+        if (order.changed('orderNumber')) {
+          throw new Error('Order numbers cannot be changed');
+        }
       }
     }
   });
 
+  // What is left to pay by paymentMethod (card, or in person) once the gift card amount is taken off
+  Order.prototype.getAmountDue = function() {
+    return Math.round((parseFloat(this.total) - parseFloat(this.giftCardAmount || 0)) * 100) / 100;
+  };
+
+  // Payment statuses where money was captured (refunds are reported separately)
+  Order.COLLECTED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+  // Allowed order status changes: the kitchen flow moves forward only, and an order can be
+  // cancelled until it is ready. completed and cancelled are final.
+  Order.STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['completed'],
+    completed: [],
+    cancelled: []
+  };
+
   return Order;
 };
@@ -0,0 +1,61 @@
+// models/OrderDiscount.js
+// A promo code discount applied to an order, snapshotted at order time so later
+// changes to the code don't alter past orders
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrderDiscount = sequelize.define('OrderDiscount', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'order_id',
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    promoCodeId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Null once the promo code is deleted
+      field: 'promo_code_id',
+      references: {
+        model: 'promo_codes',
+        key: 'id'
+      }
+    },
+    code: {
+      type: DataTypes.STRING(40),
+      allowNull: false
+    },
+    discountType: {
+      type: DataTypes.ENUM('percentage', 'fixed'),
+      allowNull: false,
+      field: 'discount_type'
+    },
+    discountValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      field: 'discount_value'
+    },
+    categoryIds: {
+      type: DataTypes.JSON,
+      allowNull: true, // Categories the discount was limited to (null = every item)
+      field: 'category_ids'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false // Dollars taken off the subtotal
+    }
+  }, {
+    tableName: 'order_discounts',
+    underscored: true,
+    timestamps: true
+  });
+
+  return OrderDiscount;
+};
@@ -33,10 +33,19 @@ module.exports = (sequelize) => {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false // Price at time of order
     },
+    comboTypeId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set for combo lines; their contents are in OrderItemSelection
+      field: 'combo_type_id',
+      references: {
+        model: 'combo_types',
+        key: 'id'
+      }
+    },
     itemName: {
-      type: DataTypes.TEXT, // Changed to TEXT to support JSON combo data
+      type: DataTypes.TEXT, // TEXT because older combo rows stored their selections here as JSON
       allowNull: false,
-      field: 'item_name' // Store name in case menu item is deleted, or JSON for combos
+      field: 'item_name' // Store name in case menu item or combo is deleted
     }
   }, {
     tableName: 'order_items',
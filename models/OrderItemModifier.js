@@ -0,0 +1,51 @@
+// models/OrderItemModifier.js
+// A modifier option chosen for an order item, snapshotted at order time so later menu edits don't alter past orders
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrderItemModifier = sequelize.define('OrderItemModifier', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    orderItemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'order_item_id',
+      references: {
+        model: 'order_items',
+        key: 'id'
+      }
+    },
+    modifierOptionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Can be null if the option is deleted
+      field: 'modifier_option_id',
+      references: {
+        model: 'modifier_options',
+        key: 'id'
+      }
+    },
+    groupName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'group_name'
+    },
+    optionName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'option_name'
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false // Per-unit price at time of order, already included in OrderItem.price
+    }
+  }, {
+    tableName: 'order_item_modifiers',
+    underscored: true,
+    timestamps: false
+  });
+
+  return OrderItemModifier;
+};
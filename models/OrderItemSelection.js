@@ -0,0 +1,61 @@
+// models/OrderItemSelection.js
+// A menu item chosen inside a combo order line (base, entree or paid additional item),
+// snapshotted at order time so later menu edits don't alter past orders
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrderItemSelection = sequelize.define('OrderItemSelection', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    orderItemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'order_item_id',
+      references: {
+        model: 'order_items',
+        key: 'id'
+      }
+    },
+    menuItemId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Can be null if menu item is deleted
+      field: 'menu_item_id',
+      references: {
+        model: 'menu_items',
+        key: 'id'
+      }
+    },
+    role: {
+      type: DataTypes.ENUM('base', 'entree', 'additional'),
+      allowNull: false
+    },
+    itemName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'item_name'
+    },
+    priceDelta: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0, // Per-unit amount this selection added to the combo price (already included in OrderItem.price)
+      field: 'price_delta'
+    },
+    displayOrder: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      field: 'display_order'
+    }
+  }, {
+    tableName: 'order_item_selections',
+    underscored: true,
+    timestamps: false
+  });
+
+  // Order selections are listed in: base first, then entrees, then additional items
+  OrderItemSelection.ROLES = ['base', 'entree', 'additional'];
+
+  return OrderItemSelection;
+};
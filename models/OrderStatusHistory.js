@@ -0,0 +1,52 @@
+// models/OrderStatusHistory.js
+// One row per order status change (including creation), used as the order's timeline
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'order_id',
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    fromStatus: {
+      type: DataTypes.STRING,
+      allowNull: true, // Null for the entry recorded when the order is placed
+      field: 'from_status'
+    },
+    toStatus: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'to_status'
+    },
+    changedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Null for guest checkouts and system changes
+      field: 'changed_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'order_status_history',
+    underscored: true,
+    timestamps: true,
+    updatedAt: false // History rows are never edited
+  });
+
+  return OrderStatusHistory;
+};
@@ -0,0 +1,45 @@
+// models/OrderTaxLine.js
+// One row per named tax (GST, PST, HST...) charged on an order, snapshotted at order time
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrderTaxLine = sequelize.define('OrderTaxLine', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'order_id',
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false // e.g. 'GST', 'PST', 'HST'
+    },
+    rate: {
+      type: DataTypes.DECIMAL(6, 4),
+      allowNull: false // Rate at time of order (0.0500 = 5%)
+    },
+    taxableAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      field: 'taxable_amount'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    }
+  }, {
+    tableName: 'order_tax_lines',
+    underscored: true,
+    timestamps: false
+  });
+
+  return OrderTaxLine;
+};
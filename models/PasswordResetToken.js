@@ -0,0 +1,60 @@
+// models/PasswordResetToken.js
+// Single-use password reset link sent by email. Only a hash of the token is stored, and a
+// token only works in the restaurant it was issued for until it expires or is used.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PasswordResetToken = sequelize.define('PasswordResetToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    restaurantId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'restaurant_id',
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false, // SHA-256 of the token in the emailed link
+      unique: true,
+      field: 'token_hash'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // Set when the password is reset or a newer link replaces this one
+      field: 'used_at'
+    }
+  }, {
+    tableName: 'password_reset_tokens',
+    underscored: true,
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  return PasswordResetToken;
+};
@@ -0,0 +1,136 @@
+// models/PromoCode.js
+// A discount code created by a restaurant admin: a percentage or fixed amount off the order,
+// with optional minimum subtotal, validity window, usage limits and category/order type restrictions
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PromoCode = sequelize.define('PromoCode', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    restaurantId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'restaurant_id',
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    code: {
+      type: DataTypes.STRING(40),
+      allowNull: false, // Stored uppercase; customers can type it in any case
+      validate: {
+        is: /^[A-Z0-9_-]{3,40}$/
+      },
+      set(value) {
+        this.setDataValue('code', typeof value === 'string' ? value.trim().toUpperCase() : value);
+      }
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    discountType: {
+      type: DataTypes.ENUM('percentage', 'fixed'),
+      allowNull: false,
+      field: 'discount_type'
+    },
+    discountValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false, // Percent off (10 = 10%) or dollars off
+      field: 'discount_value',
+      validate: {
+        min: 0.01
+      }
+    },
+    minimumSubtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true, // Null = no minimum
+      field: 'minimum_subtotal'
+    },
+    startsAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // Null = valid immediately
+      field: 'starts_at'
+    },
+    endsAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // Null = never expires
+      field: 'ends_at'
+    },
+    maxRedemptions: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Null = unlimited
+      field: 'max_redemptions',
+      validate: {
+        min: 1
+      }
+    },
+    maxRedemptionsPerCustomer: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Null = unlimited; customers are matched by account or email
+      field: 'max_redemptions_per_customer',
+      validate: {
+        min: 1
+      }
+    },
+    categoryIds: {
+      type: DataTypes.JSON,
+      allowNull: true, // Null = discount applies to every item; otherwise only items of these categories
+      field: 'category_ids',
+      validate: {
+        isIdList(value) {
+          if (value === null || value === undefined) return;
+          if (!Array.isArray(value) || value.length === 0 || value.some(id => !Number.isInteger(id))) {
+            throw new Error('categoryIds must be a non-empty array of category IDs');
+          }
+        }
+      }
+    },
+    orderTypes: {
+      type: DataTypes.JSON,
+      allowNull: true, // Null = pickup and delivery
+      field: 'order_types',
+      validate: {
+        isOrderTypeList(value) {
+          if (value === null || value === undefined) return;
+          if (!Array.isArray(value) || value.length === 0 || value.some(type => !['pickup', 'delivery'].includes(type))) {
+            throw new Error('orderTypes must be a non-empty array of pickup and/or delivery');
+          }
+        }
+      }
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      field: 'is_active'
+    }
+  }, {
+    tableName: 'promo_codes',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['restaurant_id', 'code'] // Codes are unique within a restaurant
+      }
+    ],
+    validate: {
+      percentageAtMostHundred() {
+        if (this.discountType === 'percentage' && Number(this.discountValue) > 100) {
+          throw new Error('A percentage discount cannot exceed 100');
+        }
+      },
+      endsAfterStart() {
+        if (this.startsAt && this.endsAt && new Date(this.endsAt) <= new Date(this.startsAt)) {
+          throw new Error('endsAt must be after startsAt');
+        }
+      }
+    }
+  });
+
+  return PromoCode;
+};
@@ -0,0 +1,46 @@
+// models/RefreshToken.js
+// Opaque refresh token of a session; only its SHA-256 hash is stored. Each refresh marks the
+// token used and issues the next one, so a used token showing up again means it was copied.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    sessionId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'session_id',
+      references: {
+        model: 'user_sessions',
+        key: 'id'
+      }
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'token_hash'
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // Set when the token is exchanged for the next one
+      field: 'used_at'
+    }
+  }, {
+    tableName: 'refresh_tokens',
+    underscored: true,
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['session_id']
+      }
+    ]
+  });
+
+  return RefreshToken;
+};
@@ -0,0 +1,75 @@
+// models/Refund.js
+// Stripe refunds issued against an order (full or partial), including ones made from the Stripe dashboard
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Refund = sequelize.define('Refund', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'order_id',
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    restaurantId: {
+      type: DataTypes.INTEGER,
+      allowNull: false, // Denormalized from the order so refund totals can be scoped per restaurant
+      field: 'restaurant_id',
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    stripeRefundId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      field: 'stripe_refund_id'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false, // Stripe refund status: pending, requires_action, succeeded, failed, canceled
+      defaultValue: 'pending'
+    },
+    source: {
+      type: DataTypes.ENUM('cancellation', 'admin', 'stripe'),
+      allowNull: false // stripe = issued outside the API (e.g. from the Stripe dashboard)
+    },
+    createdBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Null for refunds discovered through webhooks
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'refunds',
+    underscored: true,
+    timestamps: true
+  });
+
+  // Refund statuses that count against the amount still refundable
+  Refund.ACTIVE_STATUSES = ['pending', 'requires_action', 'succeeded'];
+
+  // Statuses Stripe does not move a refund out of, except succeeded -> failed
+  Refund.FINAL_STATUSES = ['succeeded', 'failed', 'canceled'];
+
+  return Refund;
+};
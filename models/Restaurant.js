@@ -2,6 +2,7 @@
 // Each restaurant is a separate tenant with isolated data and configuration
 
 const { DataTypes } = require('sequelize');
+const { isValidCoordinate } = require('../utils/geo');
 
 module.exports = (sequelize) => {
   const Restaurant = sequelize.define('Restaurant', {
@@ -94,6 +95,8 @@ module.exports = (sequelize) => {
     hours: {
       type: DataTypes.JSON,
       allowNull: true,
+      // Each day is a list of intervals, e.g. monday: [{ open: '11:00', close: '14:00' }, { open: '17:00', close: '22:00' }]
+      // null or [] = closed that day; a close time before the open time runs past midnight
       defaultValue: {
         monday: null,
         tuesday: null,
@@ -102,12 +105,241 @@ module.exports = (sequelize) => {
         friday: null,
         saturday: null,
         sunday: null
+      },
+      validate: {
+        isValidHours(value) {
+          if (value === null || value === undefined) return;
+          if (typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error('Hours must be an object keyed by weekday');
+          }
+          const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+          const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+          Object.entries(value).forEach(([day, intervals]) => {
+            if (!days.includes(day)) {
+              throw new Error(`Unknown day in hours: ${day}`);
+            }
+            if (intervals === null) return;
+            if (!Array.isArray(intervals)) {
+              throw new Error(`Hours for ${day} must be a list of intervals like [{ open: '11:00', close: '22:00' }] or null`);
+            }
+            intervals.forEach(interval => {
+              if (!interval || !time.test(interval.open) || !time.test(interval.close)) {
+                throw new Error(`Hours for ${day} must be intervals like { open: '11:00', close: '22:00' }`);
+              }
+            });
+          });
+        }
+      }
+    },
+    timezone: {
+      type: DataTypes.STRING,
+      allowNull: true, // IANA time zone for hours and time slots; null uses DEFAULT_TIMEZONE
+      validate: {
+        isTimeZone(value) {
+          if (value === null || value === undefined) return;
+          try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+          } catch (error) {
+            throw new Error(`Unknown time zone ${value} (use an IANA name like America/Vancouver)`);
+          }
+        }
+      }
+    },
+    closures: {
+      type: DataTypes.JSON,
+      allowNull: true, // Holiday/closure calendar: [{ startDate: '2025-12-25', endDate: '2025-12-26', reason: 'Christmas' }]
+      validate: {
+        isValidClosures(value) {
+          if (value === null || value === undefined) return;
+          if (!Array.isArray(value)) {
+            throw new Error('closures must be an array');
+          }
+          const date = /^\d{4}-\d{2}-\d{2}$/;
+          value.forEach(closure => {
+            if (!closure || !date.test(closure.startDate)) {
+              throw new Error('Each closure needs a startDate in YYYY-MM-DD format');
+            }
+            if (closure.endDate !== undefined && closure.endDate !== null &&
+                (!date.test(closure.endDate) || closure.endDate < closure.startDate)) {
+              throw new Error(`Closure starting ${closure.startDate} has an invalid endDate`);
+            }
+          });
+        }
+      }
+    },
+    orderingPaused: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false, // Manual switch to stop taking orders (e.g. a busy night)
+      field: 'ordering_paused'
+    },
+    orderingPausedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true, // Pause ends by itself at this time; null = until switched off
+      field: 'ordering_paused_until'
+    },
+    taxSettings: {
+      type: DataTypes.JSON,
+      allowNull: true, // Null falls back to the platform default rate (DEFAULT_TAX_RATE)
+      field: 'tax_settings',
+      // Shape: { rates: [{ name: 'GST', rate: 0.05, categoryIds: null, appliesToDeliveryFee: true }] }
+      // categoryIds: null applies the rate to every category (and combos), otherwise only to the listed categories
+      validate: {
+        isValidTaxSettings(value) {
+          if (value === null || value === undefined) return;
+          if (!Array.isArray(value.rates)) {
+            throw new Error('taxSettings.rates must be an array');
+          }
+          value.rates.forEach(rate => {
+            if (!rate.name || typeof rate.name !== 'string') {
+              throw new Error('Each tax rate needs a name');
+            }
+            if (typeof rate.rate !== 'number' || rate.rate < 0 || rate.rate > 1) {
+              throw new Error(`Tax rate ${rate.name} must be a decimal between 0 and 1 (e.g. 0.05 for 5%)`);
+            }
+            if (rate.categoryIds !== null && rate.categoryIds !== undefined && !Array.isArray(rate.categoryIds)) {
+              throw new Error(`Tax rate ${rate.name} categoryIds must be an array or null`);
+            }
+          });
+        }
+      }
+    },
+    schedulingSettings: {
+      type: DataTypes.JSON,
+      allowNull: true, // Null uses the defaults in scheduleService
+      field: 'scheduling_settings',
+      // Shape: { slotMinutes: 15, slotCapacity: 5, maxDaysAhead: 7, pickupLeadMinutes: 20, deliveryLeadMinutes: 45 }
+      validate: {
+        isValidSchedulingSettings(value) {
+          if (value === null || value === undefined) return;
+          const limits = {
+            slotMinutes: [5, 120],
+            slotCapacity: [1, 1000],
+            maxDaysAhead: [0, 60],
+            pickupLeadMinutes: [0, 240], // Lead times are capped so the kitchen release check stays bounded
+            deliveryLeadMinutes: [0, 240]
+          };
+          Object.entries(value).forEach(([key, setting]) => {
+            if (!limits[key]) {
+              throw new Error(`Unknown scheduling setting ${key}`);
+            }
+            const [min, max] = limits[key];
+            if (!Number.isInteger(setting) || setting < min || setting > max) {
+              throw new Error(`schedulingSettings.${key} must be a whole number between ${min} and ${max}`);
+            }
+          });
+        }
+      }
+    },
+    deliverySettings: {
+      type: DataTypes.JSON,
+      allowNull: true, // Null delivers anywhere at the default delivery fee
+      field: 'delivery_settings',
+      // Shape: { origin: { lat, lng }, zones: [{ name, type: 'radius' | 'polygon', radiusKm, polygon, fee, minimumOrder, estimatedMinutes }] }
+      // Zones are checked in order, so list inner rings before outer ones; polygon is a GeoJSON Polygon or MultiPolygon
+      validate: {
+        isValidDeliverySettings(value) {
+          if (value === null || value === undefined) return;
+          const { origin, zones = [] } = value;
+          if (origin !== undefined && !isValidCoordinate(origin)) {
+            throw new Error('deliverySettings.origin must be { lat, lng }');
+          }
+          if (!Array.isArray(zones)) {
+            throw new Error('deliverySettings.zones must be an array');
+          }
+          zones.forEach(zone => {
+            if (!zone.name) {
+              throw new Error('Each delivery zone requires a name');
+            }
+            if (zone.type === 'radius') {
+              if (!origin) {
+                throw new Error('Radius delivery zones require deliverySettings.origin');
+              }
+              if (typeof zone.radiusKm !== 'number' || zone.radiusKm <= 0) {
+                throw new Error(`Delivery zone ${zone.name} radiusKm must be a positive number`);
+              }
+            } else if (zone.type === 'polygon') {
+              if (!['Polygon', 'MultiPolygon'].includes(zone.polygon?.type) || !Array.isArray(zone.polygon.coordinates)) {
+                throw new Error(`Delivery zone ${zone.name} polygon must be a GeoJSON Polygon or MultiPolygon`);
+              }
+            } else {
+              throw new Error(`Delivery zone ${zone.name} type must be radius or polygon`);
+            }
+            if (typeof zone.fee !== 'number' || zone.fee < 0) {
+              throw new Error(`Delivery zone ${zone.name} fee must be a non-negative number`);
+            }
+            if (zone.minimumOrder !== undefined && (typeof zone.minimumOrder !== 'number' || zone.minimumOrder < 0)) {
+              throw new Error(`Delivery zone ${zone.name} minimumOrder must be a non-negative number`);
+            }
+            if (zone.estimatedMinutes !== undefined && (!Number.isInteger(zone.estimatedMinutes) || zone.estimatedMinutes <= 0)) {
+              throw new Error(`Delivery zone ${zone.name} estimatedMinutes must be a positive whole number`);
+            }
+          });
+        }
+      }
+    },
+    loyaltySettings: {
+      type: DataTypes.JSON,
+      allowNull: true, // Null = no loyalty program
+      field: 'loyalty_settings',
+      // Shape: { enabled: true, pointsPerDollar: 1, pointValue: 0.01, minimumRedemption: 500, maxRedemptionPercent: 50 }
+      // Points are earned on the food total after discounts; pointValue is what one point is worth at checkout
+      validate: {
+        isValidLoyaltySettings(value) {
+          if (value === null || value === undefined) return;
+          if (typeof value.enabled !== 'boolean') {
+            throw new Error('loyaltySettings.enabled must be true or false');
+          }
+          if (typeof value.pointsPerDollar !== 'number' || value.pointsPerDollar < 0 || value.pointsPerDollar > 100) {
+            throw new Error('loyaltySettings.pointsPerDollar must be a number between 0 and 100');
+          }
+          if (typeof value.pointValue !== 'number' || value.pointValue <= 0 || value.pointValue > 10) {
+            throw new Error('loyaltySettings.pointValue must be a dollar amount greater than 0 (e.g. 0.01)');
+          }
+          if (value.minimumRedemption !== undefined && (!Number.isInteger(value.minimumRedemption) || value.minimumRedemption < 1)) {
+            throw new Error('loyaltySettings.minimumRedemption must be a whole number of points');
+          }
+          if (value.maxRedemptionPercent !== undefined &&
+            (typeof value.maxRedemptionPercent !== 'number' || value.maxRedemptionPercent <= 0 || value.maxRedemptionPercent > 100)) {
+            throw new Error('loyaltySettings.maxRedemptionPercent must be greater than 0 and at most 100');
+          }
+        }
+      }
+    },
+    emailVerificationSettings: {
+      type: DataTypes.JSON,
+      allowNull: true, // Null = verified email not required for anything
+      field: 'email_verification_settings',
+      // Shape: { requiredForCheckout: true, requiredForLoyalty: true }
+      validate: {
+        isValidEmailVerificationSettings(value) {
+          if (value === null || value === undefined) return;
+          ['requiredForCheckout', 'requiredForLoyalty'].forEach(key => {
+            if (value[key] !== undefined && typeof value[key] !== 'boolean') {
+              throw new Error(`emailVerificationSettings.${key} must be true or false`);
+            }
+          });
+        }
       }
     },
     isActive: {
       type: DataTypes.BOOLEAN,
       defaultValue: true, // Allow restaurants to be temporarily disabled
       field: 'is_active'
+    },
+    orderNumberPrefix: {
+      type: DataTypes.STRING(8),
+      allowNull: true, // Null uses the slug initials (gold-chopsticks -> GC)
+      field: 'order_number_prefix',
+      validate: {
+        is: /^[A-Z0-9]{1,8}$/ // Uppercase letters and digits only
+      }
+    },
+    orderSequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0, // Last order number issued; incremented atomically when an order is created
+      field: 'order_sequence'
     }
   }, {
     tableName: 'restaurants', // Database table name
@@ -160,6 +392,13 @@ module.exports = (sequelize) => {
     return `https://${this.slug}.${process.env.PLATFORM_DOMAIN || 'yourapi.com'}`;
   };
 
+  // Prefix for this restaurant's order numbers: the configured one or the initials of the slug
+  Restaurant.prototype.getOrderNumberPrefix = function() {
+    if (this.orderNumberPrefix) return this.orderNumberPrefix;
+    const initials = this.slug.split('-').filter(Boolean).map(word => word[0]).join('').toUpperCase();
+    return initials.slice(0, 8) || 'ORD';
+  };
+
   // Get safe restaurant data for API responses (excludes sensitive info)
   Restaurant.prototype.toSafeObject = function() {
     const { id, name, slug, domain, logo, themeColors, phone, email, address, social, hours, isActive } = this;
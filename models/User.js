@@ -1,5 +1,6 @@
 // USER MODEL - Database schema and business logic for user accounts
-// Handles regular users and OAuth users (Google, Facebook) with secure password hashing
+// Handles regular users and OAuth users (Google, Facebook, Apple) with secure password hashing.
+// Accounts belong to one restaurant: the same email can have a separate account at each restaurant.
 
 const { DataTypes } = require('sequelize');
 
@@ -12,8 +13,7 @@ module.exports = (sequelize) => {
     },
     email: {
       type: DataTypes.STRING,
-      allowNull: false,
-      unique: true, // Prevent duplicate email addresses
+      allowNull: false, // Unique within a restaurant (see indexes)
       validate: {
         isEmail: true // Ensure valid email format
       }
@@ -52,7 +52,7 @@ module.exports = (sequelize) => {
     },
     restaurantId: {
       type: DataTypes.INTEGER,
-      allowNull: false, // Every user must belong to a restaurant
+      allowNull: false, // The restaurant the account belongs to and can sign in to
       field: 'restaurant_id',
       references: {
         model: 'restaurants',
@@ -68,11 +68,40 @@ module.exports = (sequelize) => {
       type: DataTypes.ENUM('user', 'restaurant_admin', 'super_admin'),
       defaultValue: 'user', // Regular users by default
       allowNull: false
+    },
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false, // Set by the emailed verification link, or by OAuth providers that verified the email
+      field: 'email_verified'
+    },
+    emailVerificationSentAt: {
+      type: DataTypes.DATE,
+      allowNull: true, // Last verification email, used to throttle resends
+      field: 'email_verification_sent_at'
+    },
+    tokenVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0, // Bumped to revoke every token issued before (e.g. after a password reset)
+      field: 'token_version'
     }
   }, {
     tableName: 'users', // Database table name
     underscored: true,  // Use snake_case for auto-generated fields
     timestamps: true,   // Add created_at and updated_at columns
+    indexes: [
+      {
+        name: 'users_restaurant_id_email',
+        unique: true, // One account per email at each restaurant
+        fields: ['restaurant_id', 'email']
+      },
+      {
+        name: 'users_restaurant_id_third_party',
+        unique: true, // One account per OAuth identity at each restaurant
+        fields: ['restaurant_id', 'third_party_provider', 'third_party_id']
+      }
+    ],
     
     // SEQUELIZE HOOKS - Automatically execute code before/after database operations
     hooks: {
@@ -106,8 +135,8 @@ module.exports = (sequelize) => {
 
   // Return user data without sensitive information (for API responses)
   User.prototype.toSafeObject = function() {
-    const { id, email, firstName, lastName, phone, address, isAdmin, role, restaurantId, createdAt, updatedAt } = this;
-    return { id, email, firstName, lastName, phone, address, isAdmin, role, restaurantId, createdAt, updatedAt };
+    const { id, email, emailVerified, firstName, lastName, phone, address, isAdmin, role, restaurantId, createdAt, updatedAt } = this;
+    return { id, email, emailVerified, firstName, lastName, phone, address, isAdmin, role, restaurantId, createdAt, updatedAt };
     // Note: password and thirdPartyId are excluded for security
   };
 
@@ -121,6 +150,11 @@ module.exports = (sequelize) => {
     return this.role === 'restaurant_admin' || this.role === 'super_admin';
   };
 
+  // Check if the account can be used in a restaurant's context: its own restaurant, or any for super admins
+  User.prototype.belongsToRestaurant = function(restaurantId) {
+    return this.role === 'super_admin' || this.restaurantId === parseInt(restaurantId);
+  };
+
   // Check if user can manage a specific restaurant
   User.prototype.canManageRestaurant = function(restaurantId) {
     if (this.role === 'super_admin') return true;
@@ -0,0 +1,79 @@
+// models/UserSession.js
+// One signed-in device. Access tokens name their session, so revoking the session (logout,
+// "log out all devices", refresh token reuse, password reset) ends the device's access at once.
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UserSession = sequelize.define('UserSession', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    restaurantId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Restaurant the user signed in to (null without restaurant context)
+      field: 'restaurant_id',
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+      field: 'user_agent'
+    },
+    ipAddress: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      field: 'ip_address'
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'last_used_at'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false, // Pushed back each time the refresh token is rotated
+      field: 'expires_at'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revoked_at'
+    },
+    revokedReason: {
+      // logout, logout_all, refresh_token_reuse, password_reset, password_change, account_deleted
+      type: DataTypes.STRING(32),
+      allowNull: true,
+      field: 'revoked_reason'
+    }
+  }, {
+    tableName: 'user_sessions',
+    underscored: true,
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      }
+    ]
+  });
+
+  // Usable for authentication: not revoked and not past its refresh expiry
+  UserSession.prototype.isActive = function(now = new Date()) {
+    return !this.revokedAt && new Date(this.expiresAt) > now;
+  };
+
+  return UserSession;
+};
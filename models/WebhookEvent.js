@@ -0,0 +1,89 @@
+// models/WebhookEvent.js
+// Every Stripe webhook event we receive, keyed on the Stripe event ID so retries are only processed once
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WebhookEvent = sequelize.define('WebhookEvent', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    stripeEventId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      field: 'stripe_event_id'
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false // e.g. payment_intent.succeeded, charge.refunded
+    },
+    objectId: {
+      type: DataTypes.STRING,
+      allowNull: true, // ID of the Stripe object the event is about (pi_..., ch_..., dp_...)
+      field: 'object_id'
+    },
+    paymentIntentId: {
+      type: DataTypes.STRING,
+      allowNull: true, // Payment intent the event relates to, used to order events for the same payment
+      field: 'payment_intent_id'
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set once the event has been matched to an order
+      field: 'order_id',
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    restaurantId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'restaurant_id',
+      references: {
+        model: 'restaurants',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('received', 'processing', 'processed', 'skipped', 'failed'),
+      allowNull: false, // skipped = duplicate, stale or no matching order
+      defaultValue: 'received'
+    },
+    stripeCreatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false, // When Stripe created the event - the order events are applied in
+      field: 'stripe_created_at'
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false // Full event, so it can be replayed without calling Stripe
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true, // Failure message, or the reason the event was skipped
+      field: 'last_error'
+    },
+    processedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'processed_at'
+    }
+  }, {
+    tableName: 'webhook_events',
+    underscored: true,
+    timestamps: true
+  });
+
+  // Statuses a delivery or replay is allowed to (re)process
+  WebhookEvent.PROCESSABLE_STATUSES = ['received', 'failed'];
+
+  return WebhookEvent;
+};
@@ -1,7 +1,9 @@
 const express = require('express');
-const { User, Order, MenuItem, MenuCategory, OrderItem } = require('../config/database');
+const { sequelize, User, Order, MenuItem, MenuCategory, OrderItem, Refund } = require('../config/database');
 const { authMiddleware, adminMiddleware } = require('../middleware/auth');
 const { Op } = require('sequelize');
+const promoCodeService = require('../services/promoCodeService');
+const { toCents, fromCents } = require('../utils/money');
 const router = express.Router();
 
 // All admin routes require authentication and admin privileges
@@ -57,7 +59,7 @@ router.get('/dashboard', async (req, res) => {
     const revenueData = await Order.findOne({
       where: {
         createdAt: { [Op.gte]: startDate },
-        paymentStatus: 'paid'
+        paymentStatus: Order.COLLECTED_PAYMENT_STATUSES
       },
       attributes: [
         [sequelize.fn('SUM', sequelize.col('total')), 'totalRevenue'],
@@ -66,10 +68,24 @@ router.get('/dashboard', async (req, res) => {
       raw: true
     });
 
-    // Get popular menu items
+    // Get refunds issued in period
+    const refundData = await Refund.findOne({
+      where: {
+        created_at: { [Op.gte]: startDate }, // Timestamps are snake_case attributes
+        status: 'succeeded'
+      },
+      attributes: [
+        [sequelize.fn('SUM', sequelize.col('amount')), 'totalRefunded'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'refundCount']
+      ],
+      raw: true
+    });
+
+    // Get popular menu items - combos count once per combo type, whatever was chosen inside them
     const popularItems = await OrderItem.findAll({
       attributes: [
         'itemName',
+        'comboTypeId',
         [sequelize.fn('SUM', sequelize.col('quantity')), 'totalOrdered']
       ],
       include: [{
@@ -80,7 +96,7 @@ router.get('/dashboard', async (req, res) => {
         },
         attributes: []
       }],
-      group: ['itemName'],
+      group: ['itemName', 'comboTypeId'],
       order: [[sequelize.fn('SUM', sequelize.col('quantity')), 'DESC']],
       limit: 5,
       raw: true
@@ -93,12 +109,15 @@ router.get('/dashboard', async (req, res) => {
         totalMenuItems,
         activeMenuItems,
         totalRevenue: parseFloat(revenueData?.totalRevenue || 0),
-        paidOrders: parseInt(revenueData?.paidOrders || 0)
+        paidOrders: parseInt(revenueData?.paidOrders || 0),
+        totalRefunded: parseFloat(refundData?.totalRefunded || 0),
+        refundCount: parseInt(refundData?.refundCount || 0)
       },
       recentOrders,
       ordersByStatus,
       popularItems: popularItems.map(item => ({
         name: item.itemName,
+        isCombo: item.comboTypeId !== null,
         quantity: parseInt(item.totalOrdered)
       }))
     });
@@ -145,7 +164,7 @@ router.get('/analytics', async (req, res) => {
     const revenueOverTime = await Order.findAll({
       where: {
         ...where,
-        paymentStatus: 'paid'
+        paymentStatus: Order.COLLECTED_PAYMENT_STATUSES
       },
       attributes: [
         [sequelize.fn('DATE_TRUNC', groupBy, sequelize.col('createdAt')), 'period'],
@@ -181,6 +200,9 @@ router.get('/analytics', async (req, res) => {
       raw: true
     });
 
+    // Promo code redemptions and what they cost (discount given) against the revenue they brought in
+    const promoCodeStats = await promoCodeService.getRedemptionStats({ startDate, endDate });
+
     res.json({
       revenueOverTime: revenueOverTime.map(item => ({
         period: item.period,
@@ -196,7 +218,13 @@ router.get('/analytics', async (req, res) => {
         method: item.paymentMethod,
         count: parseInt(item.count),
         revenue: parseFloat(item.revenue || 0)
-      }))
+      })),
+      promoCodes: {
+        redemptions: promoCodeStats.reduce((sum, stat) => sum + stat.redemptions, 0),
+        totalDiscount: fromCents(promoCodeStats.reduce((sum, stat) => sum + toCents(stat.totalDiscount), 0)),
+        revenue: fromCents(promoCodeStats.reduce((sum, stat) => sum + toCents(stat.revenue), 0)),
+        byCode: promoCodeStats
+      }
     });
 
   } catch (error) {
@@ -5,13 +5,26 @@ const {
   signin,
   googleAuth,
   facebookAuth,
+  appleAuth,
   completeOAuthProfile,
   refreshToken,
-  logout
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 } = require('../controllers/authController');
+const { createRateLimiter } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Reset emails are limited per client so the endpoint can't be used to flood inboxes
+const forgotPasswordLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests, please try again later'
+});
+
 /**
  * @swagger
  * /api/auth/signup:
@@ -151,8 +164,9 @@ const router = express.Router();
  *                     requiresProfile:
  *                       type: boolean
  *                       example: true
- *                     userId:
- *                       type: integer
+ *                     profileToken:
+ *                       type: string
+ *                       description: Send to /api/auth/complete-oauth-profile with the missing details (valid for 30 minutes)
  *                     message:
  *                       type: string
  *                       example: "Please complete your profile"
@@ -207,8 +221,9 @@ const router = express.Router();
  *                     requiresProfile:
  *                       type: boolean
  *                       example: true
- *                     userId:
- *                       type: integer
+ *                     profileToken:
+ *                       type: string
+ *                       description: Send to /api/auth/complete-oauth-profile with the missing details (valid for 30 minutes)
  *                     message:
  *                       type: string
  *                       example: "Please complete your profile"
@@ -226,16 +241,113 @@ const router = express.Router();
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /api/auth/apple:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Sign in with Apple
+ *     description: Authenticate user with an Apple identity token. Requires restaurant context via subdomain. Accounts are matched by Apple user ID, then linked to an existing account with the same Apple-verified email; "Hide My Email" relay addresses are only ever used for the Apple account.
+ *     parameters:
+ *       - in: header
+ *         name: Host
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: goldchopsticks.localhost:5000
+ *         description: Restaurant subdomain for context
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AppleAuthRequest'
+ *           example:
+ *             identityToken: "apple_identity_token_here"
+ *             user:
+ *               name:
+ *                 firstName: "John"
+ *                 lastName: "Doe"
+ *     responses:
+ *       200:
+ *         description: Authentication successful, or the profile must be completed (requiresProfile)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Missing token or restaurant context required
+ *       401:
+ *         description: Invalid Apple identity token
+ *       409:
+ *         description: The email belongs to an account the Apple ID can't be linked to
+ */
+
+/**
+ * @swagger
+ * /api/auth/complete-oauth-profile:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Complete the profile after an OAuth sign-in
+ *     description: Finishes an OAuth sign-in that answered requiresProfile, creating the account if needed, and returns a session. The customer is identified only by the profileToken from that sign-in.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - profileToken
+ *               - phone
+ *               - address
+ *             properties:
+ *               profileToken:
+ *                 type: string
+ *               firstName:
+ *                 type: string
+ *                 description: Required when the provider did not supply a name
+ *               lastName:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Missing fields or restaurant context required
+ *       401:
+ *         description: Profile token invalid or expired
+ *       409:
+ *         description: An account with the email already exists
+ */
+
 /**
  * @swagger
  * /api/auth/refresh:
  *   post:
  *     tags:
  *       - Authentication
- *     summary: Refresh JWT token
- *     description: Get a new JWT token using the current valid token
- *     security:
- *       - BearerAuth: []
+ *     summary: Refresh access token
+ *     description: Exchange a refresh token for a new access token and a new refresh token. The refresh token presented is spent; presenting a spent token again revokes the whole session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Token refreshed successfully
@@ -244,7 +356,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       401:
- *         description: Invalid or expired token
+ *         description: Refresh token invalid, spent, expired or revoked (code REFRESH_TOKEN_INVALID)
  *         content:
  *           application/json:
  *             schema:
@@ -264,7 +376,7 @@ const router = express.Router();
  *     tags:
  *       - Authentication
  *     summary: Logout user
- *     description: Logout user (client should discard the token)
+ *     description: Revokes the session of the access token, so neither it nor its refresh token work any more
  *     security:
  *       - BearerAuth: []
  *     responses:
@@ -315,40 +427,139 @@ router.post('/facebook', facebookAuth);
 // @route   POST /api/auth/apple
 // @desc    Apple OAuth authentication
 // @access  Public
-router.post('/apple', async (req, res) => {
-  // TODO: Implement Apple OAuth when ready
-  res.status(501).json({ message: 'Apple OAuth not yet implemented' });
-});
+router.post('/apple', appleAuth);
 
 // @route   POST /api/auth/complete-oauth-profile
 // @desc    Complete OAuth user profile with missing information
-// @access  Public
+// @access  Public (requires the profile token from an OAuth sign-in)
 router.post('/complete-oauth-profile', completeOAuthProfile);
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
-// @access  Private
-router.post('/refresh', authMiddleware, refreshToken);
+// @desc    Exchange a refresh token for new tokens
+// @access  Public (requires refresh token)
+router.post('/refresh', refreshToken);
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (invalidate token)
+// @desc    Logout user (revoke the session)
 // @access  Private
 router.post('/logout', authMiddleware, logout);
 
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Request a password reset email
+ *     description: Emails a single-use reset link (valid for 1 hour) branded for the user's restaurant. The response is the same whether or not the email has an account. Limited to 5 requests per hour per client.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Email missing or restaurant context required
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED, see Retry-After)
+ *
+ * /api/auth/reset-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Reset password with token
+ *     description: Sets a new password from the token in a reset link. The token works once, only in the restaurant it was issued for, and every existing session of the user is signed out.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Weak password, or the link is invalid, used or expired (code RESET_TOKEN_INVALID)
+ */
+
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset email
 // @access  Public
-router.post('/forgot-password', async (req, res) => {
-  // TODO: Implement password reset functionality
-  res.status(501).json({ message: 'Password reset functionality not yet implemented' });
-});
+router.post('/forgot-password', forgotPasswordLimiter, forgotPassword);
 
 // @route   POST /api/auth/reset-password
 // @desc    Reset password with token
 // @access  Public
-router.post('/reset-password', async (req, res) => {
-  // TODO: Implement password reset functionality
-  res.status(501).json({ message: 'Password reset functionality not yet implemented' });
-});
+router.post('/reset-password', resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Verify email address
+ *     description: Confirms the user's email with the token from the verification link (valid for 24 hours). Verifying an already verified address succeeds.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: The link is invalid or has expired (code VERIFICATION_TOKEN_INVALID)
+ *
+ * /api/auth/resend-verification:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Resend verification email
+ *     description: Sends the signed-in user a new verification link, at most once a minute
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       409:
+ *         description: Email already verified (code EMAIL_ALREADY_VERIFIED)
+ *       429:
+ *         description: A link was sent less than a minute ago (code VERIFICATION_RESEND_THROTTLED, see Retry-After)
+ */
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with token
+// @access  Public
+router.post('/verify-email', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send another email verification link
+// @access  Private
+router.post('/resend-verification', authMiddleware, resendVerification);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
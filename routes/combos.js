@@ -1,26 +1,478 @@
 const express = require('express');
-const { getComboWithItems, createComboOrder, getAllCombos, resetComboAvailableItems } = require('../controllers/comboController');
-const { authMiddleware } = require('../middleware/auth');
+const {
+  getComboWithItems,
+  createComboOrder,
+  getAllCombos,
+  reseedCombos,
+  getAdminCombos,
+  createCombo,
+  updateCombo,
+  deleteCombo,
+  getComboPools,
+  createComboPool,
+  updateComboPool,
+  deleteComboPool
+} = require('../controllers/comboController');
+const { authMiddleware, restaurantAdminMiddleware } = require('../middleware/auth');
+const { requireRestaurantContext } = require('../middleware/restaurantContext'); // Multi-tenant support
 const router = express.Router();
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ComboTypeRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Combination Dinner for Two"
+ *         description:
+ *           type: string
+ *         basePrice:
+ *           type: number
+ *           format: decimal
+ *           example: 24.95
+ *         entreePoolId:
+ *           type: integer
+ *           description: Item pool the entrees are chosen from (the combo can't be ordered without one)
+ *         entreeCount:
+ *           type: integer
+ *           description: Entrees the customer must choose
+ *           default: 1
+ *         basePoolId:
+ *           type: integer
+ *           nullable: true
+ *           description: When set, the customer also picks one base item (e.g. chow mein or fried rice) from this pool
+ *         includedExtras:
+ *           type: array
+ *           description: Extras included at no charge
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Spring Roll"
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *         additionalItemPrice:
+ *           type: number
+ *           format: decimal
+ *           nullable: true
+ *           description: Price of each additional entree (null = additional entrees not allowed)
+ *         maxAdditionalItems:
+ *           type: integer
+ *           nullable: true
+ *           description: Most additional entrees per combo (null = no limit)
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *         displayOrder:
+ *           type: integer
+ *           default: 0
+ *
+ *     ComboTypeAdmin:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ComboTypeRequest'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             baseItems:
+ *               type: integer
+ *               description: Total dishes in the combo (base choice + entrees), kept for older clients
+ *
+ *     ComboItemPoolRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Dinner entrees"
+ *         description:
+ *           type: string
+ *         menuItemIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Menu items in the pool, in display order (replaces the current list)
+ *
+ *     ComboItemPool:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               menuItemId:
+ *                 type: integer
+ *               name:
+ *                 type: string
+ *               isAvailable:
+ *                 type: boolean
+ *         comboTypeIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Combos using this pool for entrees or base choices
+ */
+
+/**
+ * @swagger
+ * /api/combos/all:
+ *   get:
+ *     tags:
+ *       - Combos
+ *     summary: List combo types (admin)
+ *     description: All combo types of the current restaurant with their rules, including inactive ones (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Combo types retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ComboTypeAdmin'
+ *
+ * /api/combos/pools:
+ *   get:
+ *     tags:
+ *       - Combos
+ *     summary: List combo item pools
+ *     description: All item pools of the current restaurant with their menu items and the combos using them (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Item pools retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ComboItemPool'
+ *   post:
+ *     tags:
+ *       - Combos
+ *     summary: Create combo item pool
+ *     description: Create a named list of menu items that combos can choose from (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ComboItemPoolRequest'
+ *     responses:
+ *       201:
+ *         description: Item pool created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ComboItemPool'
+ *       400:
+ *         description: Validation error, or menu items from another restaurant
+ *       409:
+ *         description: A pool with this name already exists
+ *
+ * /api/combos/pools/{id}:
+ *   put:
+ *     tags:
+ *       - Combos
+ *     summary: Update combo item pool
+ *     description: Rename a pool or replace its menu items (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ComboItemPoolRequest'
+ *     responses:
+ *       200:
+ *         description: Item pool updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ComboItemPool'
+ *       404:
+ *         description: Item pool not found
+ *   delete:
+ *     tags:
+ *       - Combos
+ *     summary: Delete combo item pool
+ *     description: Delete a pool that no combo uses (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Item pool deleted successfully
+ *       404:
+ *         description: Item pool not found
+ *       409:
+ *         description: The pool is still used by a combo (code POOL_IN_USE)
+ *
+ * /api/combos/order:
+ *   post:
+ *     tags:
+ *       - Combos
+ *     summary: Add combo to order
+ *     description: Add a combo to a pending, unpaid order of the current restaurant (order owner or restaurant admin). The combo is priced on the server, selections are checked against the combo's item pools and the order's subtotal, tax and total are recomputed.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order_id
+ *               - combo_type_id
+ *             properties:
+ *               order_id:
+ *                 type: integer
+ *               combo_type_id:
+ *                 type: integer
+ *               selected_items:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Menu item IDs from the combo's entree pool (exactly entreeCount)
+ *               additional_items:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Extra entrees charged at the combo's additional item price
+ *               base_choice:
+ *                 type: integer
+ *                 description: Menu item ID from the combo's base pool (required when the combo has one)
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *     responses:
+ *       201:
+ *         description: Combo added; returns the new order item ID and the order's updated totals
+ *       400:
+ *         description: Invalid combo selection (code INVALID_COMBO_SELECTION) or combo not available
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order can no longer be changed (code ORDER_NOT_EDITABLE)
+ *
+ * /api/combos/reseed:
+ *   post:
+ *     tags:
+ *       - Combos
+ *     summary: Reseed starter combos
+ *     description: Load the starter item pools and combos from config/comboSeeds.js for the current restaurant. Menu items are matched by name; pools and combos with the same name are updated in place. (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Combos reseeded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 pools:
+ *                   type: integer
+ *                 combos:
+ *                   type: integer
+ *                 missingItems:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Seed menu item names not found on this restaurant's menu
+ *
+ * /api/combos:
+ *   get:
+ *     tags:
+ *       - Combos
+ *     summary: List combos
+ *     description: Active combo types of the current restaurant
+ *     responses:
+ *       200:
+ *         description: Combos retrieved successfully
+ *       400:
+ *         description: Restaurant context required
+ *   post:
+ *     tags:
+ *       - Combos
+ *     summary: Create combo type
+ *     description: Create a combo with its rules. Pools must belong to the current restaurant. (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ComboTypeRequest'
+ *     responses:
+ *       201:
+ *         description: Combo created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ComboTypeAdmin'
+ *       400:
+ *         description: Validation error, or an item pool from another restaurant
+ *
+ * /api/combos/{id}:
+ *   get:
+ *     tags:
+ *       - Combos
+ *     summary: Get combo with available items
+ *     description: An active combo of the current restaurant with the base choices (is_entree false) and entrees it can be built from
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Combo retrieved successfully
+ *       404:
+ *         description: Combo not found for this restaurant
+ *   put:
+ *     tags:
+ *       - Combos
+ *     summary: Update combo type
+ *     description: Update a combo's details and rules (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ComboTypeRequest'
+ *     responses:
+ *       200:
+ *         description: Combo updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ComboTypeAdmin'
+ *       404:
+ *         description: Combo not found
+ *   delete:
+ *     tags:
+ *       - Combos
+ *     summary: Delete combo type
+ *     description: Delete a combo that has never been ordered; ordered combos should be deactivated instead (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Combo deleted successfully
+ *       404:
+ *         description: Combo not found
+ *       409:
+ *         description: The combo appears on past orders (code COMBO_IN_USE)
+ */
+
 // @route   GET /api/combos
-// @desc    Get all combo types
-// @access  Public
-router.get('/', getAllCombos);
+// @desc    Get active combo types for the current restaurant
+// @access  Public (requires restaurant context)
+router.get('/', requireRestaurantContext, getAllCombos);
+
+// @route   GET /api/combos/all
+// @desc    Get all combo types with their rules, including inactive ones
+// @access  Private (Restaurant Admin)
+router.get('/all', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, getAdminCombos);
+
+// @route   GET /api/combos/pools
+// @desc    Get all combo item pools for the current restaurant
+// @access  Private (Restaurant Admin)
+router.get('/pools', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, getComboPools);
+
+// @route   POST /api/combos/pools
+// @desc    Create a combo item pool
+// @access  Private (Restaurant Admin)
+router.post('/pools', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, createComboPool);
+
+// @route   PUT /api/combos/pools/:id
+// @desc    Update a combo item pool and its menu items
+// @access  Private (Restaurant Admin)
+router.put('/pools/:id', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, updateComboPool);
+
+// @route   DELETE /api/combos/pools/:id
+// @desc    Delete a combo item pool that no combo uses
+// @access  Private (Restaurant Admin)
+router.delete('/pools/:id', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, deleteComboPool);
 
 // @route   GET /api/combos/:id
 // @desc    Get combo with available items
-// @access  Public
-router.get('/:id', getComboWithItems);
+// @access  Public (requires restaurant context)
+router.get('/:id', requireRestaurantContext, getComboWithItems);
 
 // @route   POST /api/combos/order
-// @desc    Create combo order
-// @access  Private
-router.post('/order', authMiddleware, createComboOrder);
+// @desc    Add a server-priced combo to a pending order of the current restaurant
+// @access  Private (order owner or restaurant admin)
+router.post('/order', requireRestaurantContext, authMiddleware, createComboOrder);
+
+// @route   POST /api/combos/reseed
+// @desc    Load the starter combo pools and combos for the current restaurant
+// @access  Private (Restaurant Admin)
+router.post('/reseed', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, reseedCombos);
+
+// @route   POST /api/combos
+// @desc    Create a combo type
+// @access  Private (Restaurant Admin)
+router.post('/', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, createCombo);
+
+// @route   PUT /api/combos/:id
+// @desc    Update a combo type and its rules
+// @access  Private (Restaurant Admin)
+router.put('/:id', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, updateCombo);
 
-// @route   POST /api/combos/reset-items
-// @desc    Reset combo available items (for debugging)
-// @access  Public (remove this in production)
-router.post('/reset-items', resetComboAvailableItems);
+// @route   DELETE /api/combos/:id
+// @desc    Delete a combo type that has never been ordered
+// @access  Private (Restaurant Admin)
+router.delete('/:id', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, deleteCombo);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
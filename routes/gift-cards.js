@@ -0,0 +1,616 @@
+const express = require('express');
+const { GiftCard } = require('../config/database');
+const { authMiddleware, restaurantAdminMiddleware } = require('../middleware/auth');
+const { requireRestaurantContext } = require('../middleware/restaurantContext');
+const { limitGiftCardCodeAttempts } = require('../middleware/rateLimit');
+const giftCardService = require('../services/giftCardService');
+const { ApiError } = require('../utils/errorHandler');
+const router = express.Router();
+
+const adminOnly = [requireRestaurantContext, authMiddleware, restaurantAdminMiddleware];
+
+// Validation problems answer 400, rule violations the ApiError status
+const sendGiftCardError = (res, error, fallbackMessage) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({ message: error.message, ...error.details });
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: error.errors.map(e => e.message)
+    });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ message: fallbackMessage });
+};
+
+const findRestaurantCard = (req) => GiftCard.findOne({
+  where: {
+    id: req.params.id,
+    restaurantId: req.restaurantId // Ensure card belongs to current restaurant
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GiftCard:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         lastFour:
+ *           type: string
+ *           description: Last four characters of the code (the code itself is never stored)
+ *         status:
+ *           type: string
+ *           enum: [pending, active, disabled]
+ *           description: pending = bought online, waiting for the payment to be confirmed
+ *         source:
+ *           type: string
+ *           enum: [admin, purchase]
+ *         initialBalance:
+ *           type: number
+ *         balance:
+ *           type: number
+ *         purchaserEmail:
+ *           type: string
+ *           nullable: true
+ *         recipientEmail:
+ *           type: string
+ *           nullable: true
+ *         recipientName:
+ *           type: string
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     GiftCardTransaction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [issue, purchase, redeem, refund, adjustment]
+ *         amount:
+ *           type: number
+ *           description: Positive when loaded onto the card, negative when spent
+ *         balanceAfter:
+ *           type: number
+ *         orderId:
+ *           type: integer
+ *           nullable: true
+ *         createdBy:
+ *           type: integer
+ *           nullable: true
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/gift-cards/balance:
+ *   post:
+ *     tags:
+ *       - Gift Cards
+ *     summary: Check gift card balance
+ *     description: Look up a gift card of the current restaurant by its code. Limited to 10 lookups per 15 minutes per client.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "ABCD-EFGH-JKLM-NPQR"
+ *     responses:
+ *       200:
+ *         description: Gift card balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lastFour:
+ *                   type: string
+ *                 balance:
+ *                   type: number
+ *                 status:
+ *                   type: string
+ *                   enum: [active, disabled]
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       404:
+ *         description: No gift card with this code
+ *       429:
+ *         description: Too many gift card attempts from this client, counting checkouts with a gift card code (code RATE_LIMITED, see Retry-After)
+ */
+
+// @route   POST /api/gift-cards/balance
+// @desc    Look up a gift card balance by code
+// @access  Public (requires restaurant context, rate limited)
+router.post('/balance', requireRestaurantContext, limitGiftCardCodeAttempts('code'), async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ message: 'Gift card code is required' });
+    }
+
+    const balance = await giftCardService.getBalance(req.restaurantId, code);
+    if (!balance) {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+
+    res.json(balance);
+  } catch (error) {
+    sendGiftCardError(res, error, 'Failed to check gift card balance');
+  }
+});
+
+/**
+ * @swagger
+ * /api/gift-cards/purchase:
+ *   post:
+ *     tags:
+ *       - Gift Cards
+ *     summary: Buy a gift card
+ *     description: Creates a pending gift card and a Stripe payment intent for it. Once Stripe confirms the payment the card is activated and its code is emailed to the recipient (or the purchaser).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - purchaserEmail
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: $5 to $500
+ *                 example: 50
+ *               purchaserEmail:
+ *                 type: string
+ *                 format: email
+ *               recipientEmail:
+ *                 type: string
+ *                 format: email
+ *               recipientName:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment intent to confirm on the client
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 giftCardId:
+ *                   type: integer
+ *                 clientSecret:
+ *                   type: string
+ *                 amount:
+ *                   type: number
+ *       400:
+ *         description: Invalid amount or email
+ */
+
+// @route   POST /api/gift-cards/purchase
+// @desc    Start an online gift card purchase
+// @access  Public (requires restaurant context)
+router.post('/purchase', requireRestaurantContext, async (req, res) => {
+  try {
+    const { amount, purchaserEmail, recipientEmail, recipientName, message } = req.body;
+    if (amount === undefined || !purchaserEmail) {
+      return res.status(400).json({ message: 'amount and purchaserEmail are required' });
+    }
+
+    const { giftCard, paymentIntent } = await giftCardService.createPurchase(req.restaurant, {
+      amount,
+      purchaserEmail,
+      recipientEmail,
+      recipientName,
+      message
+    });
+
+    res.status(201).json({
+      giftCardId: giftCard.id,
+      clientSecret: paymentIntent.client_secret,
+      amount: paymentIntent.amount / 100
+    });
+  } catch (error) {
+    sendGiftCardError(res, error, 'Failed to start gift card purchase');
+  }
+});
+
+/**
+ * @swagger
+ * /api/gift-cards:
+ *   get:
+ *     tags:
+ *       - Gift Cards
+ *     summary: List gift cards
+ *     description: Gift cards of the current restaurant, newest first (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, disabled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Gift cards
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 giftCards:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GiftCard'
+ *                 pagination:
+ *                   type: object
+ *   post:
+ *     tags:
+ *       - Gift Cards
+ *     summary: Issue gift card
+ *     description: Create an active gift card with a balance. The code is returned only in this response and emailed when recipientEmail is set.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Up to $1000
+ *               recipientEmail:
+ *                 type: string
+ *                 format: email
+ *               recipientName:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Gift card issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/GiftCard'
+ *                 - type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *       400:
+ *         description: Invalid amount
+ */
+
+// @route   GET /api/gift-cards
+// @desc    Get gift cards of the current restaurant
+// @access  Private (Restaurant Admin)
+router.get('/', adminOnly, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const result = await giftCardService.listCards(req.restaurantId, {
+      status: req.query.status || null,
+      page,
+      limit
+    });
+    res.json(result);
+  } catch (error) {
+    sendGiftCardError(res, error, 'Failed to fetch gift cards');
+  }
+});
+
+// @route   POST /api/gift-cards
+// @desc    Issue a gift card
+// @access  Private (Restaurant Admin)
+router.post('/', adminOnly, async (req, res) => {
+  try {
+    const { amount, recipientEmail, recipientName, message, expiresAt } = req.body;
+    if (amount === undefined) {
+      return res.status(400).json({ message: 'amount is required' });
+    }
+
+    const { giftCard, code } = await giftCardService.issueCard(req.restaurant, {
+      amount,
+      recipientEmail,
+      recipientName,
+      message,
+      expiresAt
+    }, req.user);
+
+    if (giftCard.recipientEmail) {
+      await giftCardService.sendCode(giftCard, code);
+    }
+
+    res.status(201).json({ ...giftCardService.serializeCard(giftCard), code });
+  } catch (error) {
+    sendGiftCardError(res, error, 'Failed to issue gift card');
+  }
+});
+
+/**
+ * @swagger
+ * /api/gift-cards/{id}:
+ *   get:
+ *     tags:
+ *       - Gift Cards
+ *     summary: Get gift card with its transactions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Gift card and its ledger, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/GiftCard'
+ *                 - type: object
+ *                   properties:
+ *                     transactions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GiftCardTransaction'
+ *       404:
+ *         description: Gift card not found
+ *   put:
+ *     tags:
+ *       - Gift Cards
+ *     summary: Update gift card
+ *     description: Disable or re-enable a card, or change its expiry. Pending cards can't be changed.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, disabled]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Gift card updated
+ *       404:
+ *         description: Gift card not found
+ *       409:
+ *         description: The card is still pending payment (code GIFT_CARD_PENDING)
+ */
+
+// @route   GET /api/gift-cards/:id
+// @desc    Get a gift card with its transactions
+// @access  Private (Restaurant Admin)
+router.get('/:id', adminOnly, async (req, res) => {
+  try {
+    const giftCard = await findRestaurantCard(req);
+    if (!giftCard) {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+
+    res.json(await giftCardService.getCardWithTransactions(giftCard));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Failed to fetch gift card');
+  }
+});
+
+// @route   PUT /api/gift-cards/:id
+// @desc    Disable, re-enable or change the expiry of a gift card
+// @access  Private (Restaurant Admin)
+router.put('/:id', adminOnly, async (req, res) => {
+  try {
+    const giftCard = await findRestaurantCard(req);
+    if (!giftCard) {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+    if (giftCard.status === 'pending') {
+      return res.status(409).json({ message: 'This gift card has not been paid for yet', code: 'GIFT_CARD_PENDING' });
+    }
+
+    const { status, expiresAt } = req.body;
+    const updates = {};
+    if (status !== undefined) {
+      if (!['active', 'disabled'].includes(status)) {
+        return res.status(400).json({ message: 'status must be active or disabled' });
+      }
+      updates.status = status;
+    }
+    if (expiresAt !== undefined) updates.expiresAt = expiresAt || null;
+
+    await giftCard.update(updates);
+    res.json(giftCardService.serializeCard(giftCard));
+  } catch (error) {
+    sendGiftCardError(res, error, 'Failed to update gift card');
+  }
+});
+
+/**
+ * @swagger
+ * /api/gift-cards/{id}/adjustments:
+ *   post:
+ *     tags:
+ *       - Gift Cards
+ *     summary: Adjust gift card balance
+ *     description: Add (positive amount) or remove (negative amount) balance, recorded in the card's ledger with a note
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - note
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: -5
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Balance adjusted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 giftCard:
+ *                   $ref: '#/components/schemas/GiftCard'
+ *                 transaction:
+ *                   $ref: '#/components/schemas/GiftCardTransaction'
+ *       400:
+ *         description: Invalid amount, missing note or not enough balance (code GIFT_CARD_INSUFFICIENT_BALANCE)
+ *       404:
+ *         description: Gift card not found
+ */
+
+// @route   POST /api/gift-cards/:id/adjustments
+// @desc    Adjust the balance of a gift card
+// @access  Private (Restaurant Admin)
+router.post('/:id/adjustments', adminOnly, async (req, res) => {
+  try {
+    const giftCard = await findRestaurantCard(req);
+    if (!giftCard) {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+    if (giftCard.status === 'pending') {
+      return res.status(409).json({ message: 'This gift card has not been paid for yet', code: 'GIFT_CARD_PENDING' });
+    }
+
+    const { giftCard: updatedCard, entry } = await giftCardService.adjustBalance(giftCard, req.body, req.user);
+
+    console.log(`Adjusted gift card ending ${updatedCard.lastFour} by $${entry.amount} (${req.user.email})`);
+    res.status(201).json({
+      giftCard: giftCardService.serializeCard(updatedCard),
+      transaction: {
+        id: entry.id,
+        type: entry.type,
+        amount: parseFloat(entry.amount),
+        balanceAfter: parseFloat(entry.balanceAfter),
+        createdBy: entry.createdBy,
+        note: entry.note,
+        createdAt: entry.created_at
+      }
+    });
+  } catch (error) {
+    sendGiftCardError(res, error, 'Failed to adjust gift card balance');
+  }
+});
+
+/**
+ * @swagger
+ * /api/gift-cards/{id}/reissue-code:
+ *   post:
+ *     tags:
+ *       - Gift Cards
+ *     summary: Reissue gift card code
+ *     description: Replace the card's code, e.g. when the email never arrived or the code leaked. The old code stops working; the new one is returned and emailed to the card's recipient or purchaser.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: New code
+ *       404:
+ *         description: Gift card not found
+ *       409:
+ *         description: The card is still pending payment (code GIFT_CARD_PENDING)
+ */
+
+// @route   POST /api/gift-cards/:id/reissue-code
+// @desc    Replace the code of a gift card
+// @access  Private (Restaurant Admin)
+router.post('/:id/reissue-code', adminOnly, async (req, res) => {
+  try {
+    const giftCard = await findRestaurantCard(req);
+    if (!giftCard) {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+
+    const code = await giftCardService.reissueCode(giftCard);
+
+    console.log(`Reissued code of gift card ${giftCard.id} (${req.user.email})`);
+    res.json({ ...giftCardService.serializeCard(giftCard), code });
+  } catch (error) {
+    sendGiftCardError(res, error, 'Failed to reissue gift card code');
+  }
+});
+
+module.exports = router;
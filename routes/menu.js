@@ -1,8 +1,10 @@
 const express = require('express');
-const { MenuCategory, MenuItem, sequelize } = require('../config/database'); // Added sequelize import
+const { MenuCategory, MenuItem, ModifierGroup, sequelize } = require('../config/database'); // Added sequelize import
 const { authMiddleware, adminMiddleware, restaurantAdminMiddleware } = require('../middleware/auth');
 const { requireRestaurantContext } = require('../middleware/restaurantContext'); // Multi-tenant support
 const storageService = require('../services/storageService');
+const modifierService = require('../services/modifierService');
+const { ApiError } = require('../utils/errorHandler');
 const router = express.Router();
 
 /**
@@ -102,6 +104,74 @@ const router = express.Router();
  *         menuItem:
  *           $ref: '#/components/schemas/MenuItem'
  *     
+ *     ModifierGroupRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Choice of sauce"
+ *         description:
+ *           type: string
+ *         minSelections:
+ *           type: integer
+ *           description: Options the customer must choose (0 = optional)
+ *           default: 0
+ *         maxSelections:
+ *           type: integer
+ *           nullable: true
+ *           description: Most options the customer may choose (null = no limit)
+ *         displayOrder:
+ *           type: integer
+ *           default: 0
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *         options:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: Existing option to update (omit to create)
+ *               name:
+ *                 type: string
+ *                 example: "Extra chicken"
+ *               price:
+ *                 type: number
+ *                 format: decimal
+ *                 example: 3.00
+ *               isDefault:
+ *                 type: boolean
+ *               isAvailable:
+ *                 type: boolean
+ *               displayOrder:
+ *                 type: integer
+ *         menuItemIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Menu items this group is offered with
+ *         categoryIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Categories whose items all offer this group
+ *     
+ *     ModifierGroupAdmin:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ModifierGroup'
+ *         - type: object
+ *           properties:
+ *             menuItemIds:
+ *               type: array
+ *               items:
+ *                 type: integer
+ *             categoryIds:
+ *               type: array
+ *               items:
+ *                 type: integer
+ *     
  *     CategoryRequest:
  *       type: object
  *       required:
@@ -484,7 +554,7 @@ try {
 }
 
 // Helper function to organize menu items by category
-const organizeMenuByCategory = (items) => {
+const organizeMenuByCategory = (items, groupsByItemId = new Map()) => {
   const organized = {};
   
   items.forEach(item => {
@@ -500,7 +570,8 @@ const organizeMenuByCategory = (items) => {
       imageUrl: item.imageUrl,
       isSpicy: item.isSpicy,
       isAvailable: item.isAvailable,
-      displayOrder: item.displayOrder
+      displayOrder: item.displayOrder,
+      modifierGroups: groupsByItemId.get(item.id) || []
     });
   });
 
@@ -538,7 +609,8 @@ router.get('/', requireRestaurantContext, async (req, res) => {
 
     console.log(`Found ${items.length} menu items for ${req.restaurant.name}`);
     
-    const organizedMenu = organizeMenuByCategory(items);
+    const groupsByItemId = await modifierService.getGroupsForItems(req.restaurantId, items);
+    const organizedMenu = organizeMenuByCategory(items, groupsByItemId);
     
     res.json({
       restaurant: {
@@ -577,7 +649,9 @@ router.get('/all', requireRestaurantContext, authMiddleware, restaurantAdminMidd
       order: [['categoryId', 'ASC'], ['displayOrder', 'ASC'], ['name', 'ASC']]
     });
 
-    const organizedMenu = organizeMenuByCategory(items);
+    // Admins also see inactive groups and unavailable options so they can switch them back on
+    const groupsByItemId = await modifierService.getGroupsForItems(req.restaurantId, items, { includeInactive: true });
+    const organizedMenu = organizeMenuByCategory(items, groupsByItemId);
     res.json(organizedMenu);
 
   } catch (error) {
@@ -658,7 +732,8 @@ router.get('/category/:categoryId', requireRestaurantContext, async (req, res) =
       order: [['displayOrder', 'ASC'], ['name', 'ASC']]
     });
 
-    res.json(items);
+    const groupsByItemId = await modifierService.getGroupsForItems(req.restaurantId, items);
+    res.json(items.map(item => ({ ...item.toJSON(), modifierGroups: groupsByItemId.get(item.id) })));
   } catch (error) {
     console.error('Get category items error:', error);
     res.status(500).json({ message: 'Failed to fetch category items' });
@@ -688,6 +763,211 @@ router.get('/storage-status', authMiddleware, adminMiddleware, (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/menu/modifier-groups:
+ *   get:
+ *     tags:
+ *       - Menu
+ *     summary: List modifier groups
+ *     description: All modifier groups of the current restaurant with their options and the menu items and categories they are attached to (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Modifier groups retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ModifierGroupAdmin'
+ *   post:
+ *     tags:
+ *       - Menu
+ *     summary: Create modifier group
+ *     description: Create an option group such as "Choice of sauce" and attach it to menu items and/or categories (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModifierGroupRequest'
+ *     responses:
+ *       201:
+ *         description: Modifier group created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModifierGroupAdmin'
+ *       400:
+ *         description: Validation error, or items/categories from another restaurant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/menu/modifier-groups/{id}:
+ *   put:
+ *     tags:
+ *       - Menu
+ *     summary: Update modifier group
+ *     description: Update a modifier group. options, menuItemIds and categoryIds replace the current lists when sent; options with an id are updated, options without one are created and missing ones are removed. (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ModifierGroupRequest'
+ *     responses:
+ *       200:
+ *         description: Modifier group updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModifierGroupAdmin'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Modifier group not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     tags:
+ *       - Menu
+ *     summary: Delete modifier group
+ *     description: Delete a modifier group with its options and attachments. Past orders keep the options they were placed with. (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Modifier group deleted successfully
+ *       404:
+ *         description: Modifier group not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// @route   GET /api/menu/modifier-groups
+// @desc    Get all modifier groups for the current restaurant
+// @access  Private (Restaurant Admin)
+router.get('/modifier-groups', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, async (req, res) => {
+  try {
+    const groups = await modifierService.listGroups(req.restaurantId);
+    res.json(groups);
+  } catch (error) {
+    console.error('Get modifier groups error:', error);
+    res.status(500).json({ message: 'Failed to fetch modifier groups' });
+  }
+});
+
+// @route   POST /api/menu/modifier-groups
+// @desc    Create a modifier group with its options and attachments
+// @access  Private (Restaurant Admin)
+router.post('/modifier-groups', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, async (req, res) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ message: 'Modifier group name is required' });
+    }
+
+    const group = await modifierService.saveGroup(req.restaurantId, null, req.body);
+
+    console.log(`Created modifier group "${group.name}" for ${req.restaurant.name}`);
+    res.status(201).json(group);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: error.errors.map(e => e.message) 
+      });
+    }
+    console.error('Create modifier group error:', error);
+    res.status(500).json({ message: 'Failed to create modifier group' });
+  }
+});
+
+// @route   PUT /api/menu/modifier-groups/:id
+// @desc    Update a modifier group, its options and attachments
+// @access  Private (Restaurant Admin)
+router.put('/modifier-groups/:id', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, async (req, res) => {
+  try {
+    const group = await ModifierGroup.findOne({
+      where: {
+        id: req.params.id,
+        restaurantId: req.restaurantId // Ensure group belongs to current restaurant
+      }
+    });
+    if (!group) {
+      return res.status(404).json({ message: 'Modifier group not found or does not belong to this restaurant' });
+    }
+
+    const updatedGroup = await modifierService.saveGroup(req.restaurantId, group, req.body);
+    res.json(updatedGroup);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: error.errors.map(e => e.message) 
+      });
+    }
+    console.error('Update modifier group error:', error);
+    res.status(500).json({ message: 'Failed to update modifier group' });
+  }
+});
+
+// @route   DELETE /api/menu/modifier-groups/:id
+// @desc    Delete a modifier group (options and attachments are removed with it)
+// @access  Private (Restaurant Admin)
+router.delete('/modifier-groups/:id', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, async (req, res) => {
+  try {
+    const group = await ModifierGroup.findOne({
+      where: {
+        id: req.params.id,
+        restaurantId: req.restaurantId // Ensure group belongs to current restaurant
+      }
+    });
+    if (!group) {
+      return res.status(404).json({ message: 'Modifier group not found or does not belong to this restaurant' });
+    }
+
+    await group.destroy();
+    res.json({ message: 'Modifier group deleted successfully' });
+  } catch (error) {
+    console.error('Delete modifier group error:', error);
+    res.status(500).json({ message: 'Failed to delete modifier group' });
+  }
+});
+
 // @route   GET /api/menu/:id
 // @desc    Get single menu item
 // @access  Public (requires restaurant context)
@@ -710,7 +990,8 @@ router.get('/:id', requireRestaurantContext, async (req, res) => {
       return res.status(404).json({ message: 'Menu item not found' });
     }
 
-    res.json(item);
+    const groupsByItemId = await modifierService.getGroupsForItems(req.restaurantId, [item]);
+    res.json({ ...item.toJSON(), modifierGroups: groupsByItemId.get(item.id) });
   } catch (error) {
     console.error('Get menu item error:', error);
     res.status(500).json({ message: 'Failed to fetch menu item' });
@@ -1,11 +1,68 @@
 const express = require('express');
-const { Order, OrderItem, MenuItem, User, ComboType } = require('../config/database');
-const { authMiddleware, adminMiddleware, restaurantAdminMiddleware, registeredUserMiddleware } = require('../middleware/auth');
+const { sequelize, Order, OrderItem, OrderItemModifier, OrderItemSelection, OrderTaxLine, OrderDiscount, OrderStatusHistory, Refund, MenuItem, ComboType, User } = require('../config/database');
+const { authMiddleware, adminMiddleware, restaurantAdminMiddleware, registeredUserMiddleware, optionalAuthMiddleware } = require('../middleware/auth');
 const { requireRestaurantContext } = require('../middleware/restaurantContext'); // Multi-tenant support
+const { limitGiftCardCodeAttempts } = require('../middleware/rateLimit');
 const { Op } = require('sequelize');
 const emailService = require('../services/emailService');
+const orderEventService = require('../services/orderEventService');
+const orderStatusService = require('../services/orderStatusService');
+const paymentService = require('../services/paymentService');
+const pricingService = require('../services/pricingService');
+const deliveryService = require('../services/deliveryService');
+const loyaltyService = require('../services/loyaltyService');
+const giftCardService = require('../services/giftCardService');
+const emailVerificationService = require('../services/emailVerificationService');
+const scheduleService = require('../services/scheduleService');
+const refundService = require('../services/refundService');
+const streamAccessService = require('../services/streamAccessService');
+const { ApiError } = require('../utils/errorHandler');
+const { toCents, fromCents } = require('../utils/money');
 const router = express.Router();
 
+// Keep-alive comment interval for live streams, under typical proxy idle timeouts
+const STREAM_HEARTBEAT_MS = 25000;
+
+// Open a Server-Sent Events stream of order events. Replays what the client missed since its
+// Last-Event-ID, or sends a resync event when that can't be done and the client must refetch.
+const openOrderStream = (req, res, { orderId = null, snapshot = null } = {}) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx-style proxies from buffering the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const { events, complete } = orderEventService.getEventsSince(req.restaurantId, lastEventId, { orderId });
+    if (!complete) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+    }
+    events.forEach(send);
+  }
+
+  if (snapshot) {
+    res.write(`event: order.snapshot\ndata: ${JSON.stringify({ order: orderEventService.summarize(snapshot) })}\n\n`);
+  }
+
+  const unsubscribe = orderEventService.subscribe(req.restaurantId, send, { orderId });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+  const stopOnShutdown = orderEventService.onShutdown(() => res.end()); // Clients reconnect with Last-Event-ID
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    stopOnShutdown();
+  });
+};
+
 /**
  * @swagger
  * components:
@@ -20,9 +77,6 @@ const router = express.Router();
  *         - orderType
  *         - paymentMethod
  *         - items
- *         - subtotal
- *         - tax
- *         - total
  *       properties:
  *         customerEmail:
  *           type: string
@@ -48,11 +102,23 @@ const router = express.Router();
  *           type: string
  *           enum: [card, card_on_arrival, cash_on_arrival]
  *           description: Payment method
- *         paymentStatus:
+ *         scheduledFor:
  *           type: string
- *           enum: [pending, paid, failed, refunded]
- *           description: Payment status
- *           default: pending
+ *           format: date-time
+ *           nullable: true
+ *           description: Requested time slot from GET /api/orders/time-slots; omit for ASAP (only accepted while the restaurant is open and ordering is not paused)
+ *         stripePaymentIntentId:
+ *           type: string
+ *           description: Payment intent from POST /api/payments/create-intent (card orders paid before checkout). Must match the amount due; the order is marked paid only once Stripe confirms the payment.
+ *         giftCardCode:
+ *           type: string
+ *           description: Gift card of the current restaurant to pay with. It covers as much of the total as its balance allows (giftCardAmount); the rest (amountDue) is paid by paymentMethod, and an order it fully covers is paid at once. Rejected with code GIFT_CARD_INVALID and a reason (NOT_FOUND, DISABLED, EXPIRED, EMPTY).
+ *         loyaltyPoints:
+ *           type: integer
+ *           description: Loyalty points to redeem (signed-in customers only; send the Bearer token). Rejected with code LOYALTY_REDEMPTION_INVALID and a reason (NOT_ENABLED, SIGN_IN_REQUIRED, INVALID_POINTS, BELOW_MINIMUM, ABOVE_MAXIMUM, INSUFFICIENT_POINTS).
+ *         promoCode:
+ *           type: string
+ *           description: Promo code of the current restaurant. Rejected with code PROMO_CODE_INVALID and a reason (NOT_FOUND, NOT_STARTED, EXPIRED, ORDER_TYPE, BELOW_MINIMUM, USAGE_LIMIT, CUSTOMER_LIMIT, NOT_APPLICABLE) when it can't be used.
  *         items:
  *           type: array
  *           items:
@@ -60,34 +126,54 @@ const router = express.Router();
  *             properties:
  *               menuItemId:
  *                 type: integer
- *                 description: Menu item ID
+ *                 description: Menu item ID (regular items)
  *               quantity:
  *                 type: integer
  *                 description: Quantity
+ *               isCombo:
+ *                 type: boolean
+ *                 description: True for combo lines
+ *               comboId:
+ *                 type: integer
+ *                 description: Combo type ID (combo items); must be an active combo of the current restaurant
+ *               selectedItems:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Menu item IDs chosen as combo entrees
+ *               additionalItems:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Menu item IDs added on top of the combo (charged extra)
+ *               baseChoice:
+ *                 type: integer
+ *                 description: Menu item ID chosen as the combo base
+ *               modifiers:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Modifier option IDs chosen for a regular item; must satisfy each group's min/max selections
  *               price:
  *                 type: number
  *                 format: decimal
- *                 description: Price per item
- *               itemName:
- *                 type: string
- *                 description: Item name
+ *                 description: Ignored - line prices are recomputed from the menu
  *         subtotal:
  *           type: number
  *           format: decimal
- *           description: Order subtotal
+ *           description: Optional. If sent, must match the server-computed subtotal
  *         tax:
  *           type: number
  *           format: decimal
- *           description: Tax amount
+ *           description: Optional. If sent, must match the server-computed tax
  *         deliveryFee:
  *           type: number
  *           format: decimal
- *           description: Delivery fee
- *           default: 0
+ *           description: Optional. If sent, must match the server-computed delivery fee
  *         total:
  *           type: number
  *           format: decimal
- *           description: Total amount
+ *           description: Optional. If sent, must match the server-computed total
  *         notes:
  *           type: string
  *           description: Special instructions
@@ -108,6 +194,17 @@ const router = express.Router();
  *               type: string
  *         order:
  *           $ref: '#/components/schemas/Order'
+ *         trackingToken:
+ *           type: string
+ *           description: Lets whoever placed the order (guests included) request tickets for its live stream, valid for 30 days
+ *     StreamTicket:
+ *       type: object
+ *       properties:
+ *         ticket:
+ *           type: string
+ *         expiresIn:
+ *           type: integer
+ *           description: Seconds until the ticket expires
  */
 
 /**
@@ -117,7 +214,7 @@ const router = express.Router();
  *     tags:
  *       - Orders
  *     summary: Create new order
- *     description: Create a new order for the current restaurant
+ *     description: Create a new order for the current restaurant. Prices, tax and delivery fee are computed on the server from the menu. The order and all its lines are created in one transaction.
  *     parameters:
  *       - in: header
  *         name: Host
@@ -126,6 +223,14 @@ const router = express.Router();
  *           type: string
  *           example: goldchopsticks.localhost:5000
  *         description: Restaurant subdomain for context
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *           example: 3f1c9a52-8d0e-4b7a-9c61-2e4f5a7b8c90
+ *         description: Unique key per checkout attempt. A retry with the same key returns the original order (200, Idempotent-Replayed header) instead of creating another one.
  *     requestBody:
  *       required: true
  *       content:
@@ -133,6 +238,12 @@ const router = express.Router();
  *           schema:
  *             $ref: '#/components/schemas/OrderRequest'
  *     responses:
+ *       200:
+ *         description: Order already created for this Idempotency-Key (replayed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
  *       201:
  *         description: Order created successfully
  *         content:
@@ -140,11 +251,17 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/OrderResponse'
  *       400:
- *         description: Validation error or restaurant context required
+ *         description: Validation error, restaurant context required, or client totals do not match server pricing (code PRICE_MISMATCH, server totals returned in `pricing`)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The restaurant requires signed-in customers to verify their email before ordering or using loyalty points (code EMAIL_NOT_VERIFIED)
+ *       409:
+ *         description: The payment intent is already linked to another order (code PAYMENT_INTENT_ALREADY_USED), or the time slot is full (code SLOT_FULL)
+ *       429:
+ *         description: Too many gift card attempts from this client (code RATE_LIMITED, see Retry-After). Only requests with a giftCardCode count, together with gift card balance lookups.
  *       500:
  *         description: Server error
  *         content:
@@ -176,6 +293,21 @@ const router = express.Router();
  *           enum: [pending, confirmed, preparing, ready, completed, cancelled]
  *         description: Filter by order status
  *       - in: query
+ *         name: needsPaymentReview
+ *         schema:
+ *           type: boolean
+ *         description: Only orders whose Stripe payment did not match the order (amount, currency or restaurant)
+ *       - in: query
+ *         name: scheduled
+ *         schema:
+ *           type: boolean
+ *         description: true for scheduled orders only, false for ASAP orders only
+ *       - in: query
+ *         name: kitchenQueue
+ *         schema:
+ *           type: boolean
+ *         description: Active orders released to the kitchen, ordered by due time (scheduled orders appear one prep lead time before their slot)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -247,13 +379,65 @@ const router = express.Router();
  *               $ref: '#/components/schemas/Error'
  */
 
+// An order with its items (menu item, combo, modifiers and selections), discounts and tax lines
+const findCompleteOrder = (orderId) => Order.findByPk(orderId, {
+  include: [
+    {
+      model: OrderItem,
+      as: 'items',
+      include: [
+        {
+          model: MenuItem,
+          as: 'menuItem'
+        },
+        {
+          model: ComboType,
+          as: 'comboType',
+          attributes: ['id', 'name', 'includedExtras'] // Shown in the confirmation email
+        },
+        {
+          model: OrderItemModifier,
+          as: 'modifiers'
+        },
+        {
+          model: OrderItemSelection,
+          as: 'selections'
+        }
+      ]
+    },
+    {
+      model: OrderDiscount,
+      as: 'discounts'
+    },
+    {
+      model: OrderTaxLine,
+      as: 'taxLines'
+    }
+  ]
+});
+
+// Answer a retried POST /api/orders with the order created by the first request (no second email)
+const replayCreatedOrder = async (req, res, order) => {
+  console.log(`Idempotent replay of order ${order.orderNumber} for ${req.restaurant.name}`);
+  res.set('Idempotent-Replayed', 'true');
+  res.status(200).json({
+    message: 'Order already created',
+    restaurant: {
+      id: req.restaurant.id,
+      name: req.restaurant.name,
+      slug: req.restaurant.slug
+    },
+    order: await findCompleteOrder(order.id),
+    trackingToken: streamAccessService.createTrackingToken(order)
+  });
+};
+
 // @route   POST /api/orders
 // @desc    Create new order for the current restaurant
-// @access  Public (requires restaurant context)
-router.post('/', requireRestaurantContext, async (req, res) => {
+// @access  Public (requires restaurant context; signed-in customers earn and redeem loyalty points; gift card codes rate limited)
+router.post('/', requireRestaurantContext, limitGiftCardCodeAttempts('giftCardCode'), optionalAuthMiddleware, async (req, res) => {
   try {
     const {
-      userId,
       customerEmail,
       customerFirstName,
       customerLastName,
@@ -261,14 +445,19 @@ router.post('/', requireRestaurantContext, async (req, res) => {
       customerAddress,
       orderType,
       paymentMethod,
-      paymentStatus,
       stripePaymentIntentId,
+      promoCode,
+      loyaltyPoints,
+      giftCardCode,
       items,
       subtotal,
+      discount,
+      loyaltyDiscount,
       tax,
       deliveryFee,
       total,
-      notes
+      notes,
+      scheduledFor
     } = req.body;
 
     // Validation
@@ -292,154 +481,200 @@ router.post('/', requireRestaurantContext, async (req, res) => {
       return res.status(400).json({ message: 'Order items are required' });
     }
 
-    if (!subtotal || !tax || !total) {
-      return res.status(400).json({ message: 'Order totals are required' });
+    // A retry carrying the same Idempotency-Key gets the order the first request created
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+    if (idempotencyKey && idempotencyKey.length > 255) {
+      return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters' });
     }
+    if (idempotencyKey) {
+      const existingOrder = await Order.findOne({ where: { restaurantId: req.restaurantId, idempotencyKey } });
+      if (existingOrder) {
+        return replayCreatedOrder(req, res, existingOrder);
+      }
+    }
+
+    // Some restaurants only take orders from signed-in customers who verified their email
+    emailVerificationService.assertVerifiedFor(req.restaurant, req.user, 'checkout');
 
     console.log(`Creating order for restaurant: ${req.restaurant.name} (ID: ${req.restaurantId})`);
 
-    // Validate order items exist and are available for this restaurant
-    // Separate combo items from regular menu items
-    const regularItems = items.filter(item => !item.isCombo && item.menuItemId);
-    const comboItems = items.filter(item => item.isCombo);
-    
-    // Validate regular menu items belong to current restaurant
-    if (regularItems.length > 0) {
-      const menuItemIds = regularItems.map(item => item.menuItemId);
-      const menuItems = await MenuItem.findAll({
-        where: {
-          id: menuItemIds,
-          isAvailable: true,
-          restaurantId: req.restaurantId // Ensure items belong to current restaurant
-        }
-      });
+    // Orders of signed-in customers always go to their own account (it holds their loyalty points);
+    // guest orders belong to no account, so nobody can attach an order to someone else's
+    const customerUserId = req.user ? req.user.id : null;
 
-      if (menuItems.length !== menuItemIds.length) {
-        return res.status(400).json({ message: 'Some menu items are not available or do not belong to this restaurant' });
-      }
+    // Look up the delivery address before the transaction opens; the geocoding call can be slow
+    const deliveryLocation = orderType === 'delivery'
+      ? await deliveryService.locateAddress(req.restaurant, customerAddress)
+      : null;
+
+    // A card payment made before checkout is fetched from Stripe now too: the transaction below
+    // locks the restaurant row, and every checkout would wait on a Stripe call made while holding it
+    if (stripePaymentIntentId && paymentMethod !== 'card') {
+      return res.status(400).json({ message: 'A payment intent can only be attached to card orders' });
     }
-    
-    // Validate combo items (check if combo type exists and selected items are available)
-    if (comboItems.length > 0) {
-      console.log('Debug - Combo items to validate:', JSON.stringify(comboItems, null, 2));
-      
-      for (const comboItem of comboItems) {
-        console.log('Debug - Processing combo item:', JSON.stringify(comboItem, null, 2));
-        
-        // Check if combo type exists
-        const comboType = await ComboType.findByPk(comboItem.comboId);
-        if (!comboType) {
-          return res.status(400).json({ message: `Combo type ${comboItem.comboId} is not available` });
+    const retrievedIntent = stripePaymentIntentId
+      ? await paymentService.retrieveIntentForNewOrder(stripePaymentIntentId, req.restaurantId)
+      : null;
+
+    // Everything from pricing to the last order line runs in one transaction, so a failure
+    // part-way leaves no order behind and no confirmation email goes out
+    let order, paymentIntent;
+    try {
+      ({ order, paymentIntent } = await sequelize.transaction(async (transaction) => {
+        // Price every line from the menu - client prices are ignored and client totals must agree
+        const pricing = await pricingService.priceOrder({
+          restaurant: req.restaurant,
+          items,
+          orderType,
+          deliveryAddress: customerAddress,
+          deliveryLocation,
+          promoCode,
+          loyaltyPoints,
+          customer: { userId: customerUserId, email: customerEmail },
+          transaction
+        });
+        pricingService.assertClientTotals(pricing, { subtotal, discount, loyaltyDiscount, tax, deliveryFee, total });
+
+        // Scheduled orders must be for an open time slot with capacity left; ASAP orders need the
+        // restaurant open now with ordering not paused
+        let scheduledTime = null;
+        if (scheduledFor) {
+          scheduledTime = await scheduleService.validateScheduledTime(req.restaurant, orderType, scheduledFor, { transaction });
+        } else {
+          scheduleService.assertAcceptingAsapOrders(req.restaurant);
         }
-        
-        // Check if selected items in combo are available
-        const allSelectedItems = [
-          ...(comboItem.selectedItems || []),
-          ...(comboItem.additionalItems || []),
-          ...(comboItem.baseChoice ? [comboItem.baseChoice] : [])
-        ].filter(id => id !== null && id !== undefined); // Filter out null/undefined values
-        
-        // Get unique item IDs to check availability
-        const uniqueSelectedItems = [...new Set(allSelectedItems)];
-        
-        console.log('Debug - All selected items for validation:', allSelectedItems);
-        console.log('Debug - Unique selected items for validation:', uniqueSelectedItems);
-        
-        if (uniqueSelectedItems.length > 0) {
-          const selectedMenuItems = await MenuItem.findAll({
-            where: {
-              id: uniqueSelectedItems,
-              isAvailable: true
-            }
-          });
-          
-          console.log('Debug - Found available menu items:', selectedMenuItems.map(item => ({ id: item.id, name: item.name, isAvailable: item.isAvailable })));
-          
-          // Check if all unique items are available (allows duplicates)
-          if (selectedMenuItems.length !== uniqueSelectedItems.length) {
-            console.log('Debug - Validation failed - Expected unique items:', uniqueSelectedItems.length, 'Found:', selectedMenuItems.length);
-            return res.status(400).json({ 
-              message: 'Some combo menu items are not available'
-            });
+
+        // A gift card pays what its balance covers; the card row stays locked until the order is saved
+        let giftCard = null;
+        let giftCardCents = 0;
+        if (giftCardCode) {
+          giftCard = await giftCardService.getUsableCard(req.restaurantId, giftCardCode, { transaction });
+          giftCardCents = giftCardService.getApplicableCents(giftCard, toCents(pricing.total));
+        }
+        const amountDue = fromCents(toCents(pricing.total) - giftCardCents);
+
+        // A card payment made before checkout must be unused and for this exact amount due
+        const paymentIntent = retrievedIntent;
+        if (paymentIntent) {
+          if (amountDue <= 0) {
+            throw new ApiError('The gift card covers this order; no card payment is needed', 400, { code: 'NOTHING_TO_PAY' });
           }
+          await paymentService.assertIntentUsable(paymentIntent, amountDue, transaction);
         }
-      }
-    }
 
-    // Create order for current restaurant
-    const order = await Order.create({
-      restaurantId: req.restaurantId, // Assign to current restaurant
-      userId: userId || null,
-      customerEmail,
-      customerFirstName,
-      customerLastName,
-      customerPhone,
-      customerAddress: orderType === 'delivery' ? customerAddress : null,
-      orderType,
-      paymentMethod,
-      paymentStatus: paymentStatus || 'pending',
-      stripePaymentIntentId: stripePaymentIntentId || null,
-      subtotal: parseFloat(subtotal),
-      tax: parseFloat(tax),
-      deliveryFee: parseFloat(deliveryFee || 0),
-      total: parseFloat(total),
-      status: 'pending',
-      notes: notes || null
-    });
+        // Create order for current restaurant
+        const order = await Order.create({
+          restaurantId: req.restaurantId, // Assign to current restaurant
+          userId: customerUserId,
+          customerEmail,
+          customerFirstName,
+          customerLastName,
+          customerPhone,
+          customerAddress: orderType === 'delivery' ? customerAddress : null,
+          orderType,
+          paymentMethod,
+          // Only a verified Stripe payment can mark the order paid, unless a gift card paid all of it
+          paymentStatus: amountDue <= 0 ? 'paid' : 'pending',
+          stripePaymentIntentId: paymentIntent ? paymentIntent.id : null,
+          subtotal: pricing.subtotal,
+          discount: pricing.discount,
+          loyaltyDiscount: pricing.loyaltyDiscount,
+          loyaltyPointsRedeemed: pricing.loyaltyPointsRedeemed,
+          tax: pricing.tax,
+          deliveryFee: pricing.deliveryFee,
+          total: pricing.total,
+          giftCardAmount: fromCents(giftCardCents),
+          deliveryZone: pricing.deliveryZone,
+          status: 'pending',
+          notes: notes || null,
+          scheduledFor: scheduledTime,
+          // ASAP orders go straight to the kitchen; scheduled ones wait until their prep lead time
+          releasedAt: !scheduledTime || scheduleService.getReleaseTime({ scheduledFor: scheduledTime, orderType }, req.restaurant) <= new Date()
+            ? new Date()
+            : null,
+          idempotencyKey
+        }, { transaction });
+
+        await orderStatusService.recordCreation(order, { transaction });
+
+        // Snapshot the promo code rule with the discount so later edits to the code don't alter this order
+        if (pricing.promoCode) {
+          await OrderDiscount.create({ orderId: order.id, ...pricing.promoCode }, { transaction });
+        }
+        await loyaltyService.recordRedemption(order, transaction);
+        if (giftCard) {
+          await giftCardService.redeemForOrder(giftCard, order, transaction);
+        }
 
-    // Create order items
-    const orderItems = await Promise.all(
-      items.map(async (item) => {
-        if (item.isCombo) {
-          // Handle combo items - store all combo data in itemName as JSON
-          const comboData = {
-            type: 'combo',
-            comboId: item.comboId,
-            selectedItems: item.selectedItems || [],
-            additionalItems: item.additionalItems || [],
-            baseChoice: item.baseChoice || null,
-            originalName: item.itemName
-          };
-          
-          return await OrderItem.create({
-            orderId: order.id,
-            menuItemId: null, // Combos don't have a single menu item ID
-            quantity: item.quantity,
-            price: parseFloat(item.price),
-            itemName: JSON.stringify(comboData)
-          });
-        } else {
-          // Handle regular menu items
-          const menuItem = regularItems.length > 0 ? 
-            (await MenuItem.findAll({
-              where: {
-                id: regularItems.map(ri => ri.menuItemId),
-                isAvailable: true
-              }
-            })).find(mi => mi.id === item.menuItemId) : null;
-            
-          return await OrderItem.create({
+        // Snapshot the tax breakdown (GST/PST/HST...) so later rate changes don't alter past orders
+        await OrderTaxLine.bulkCreate(pricing.taxLines.map(taxLine => ({
+          orderId: order.id,
+          ...taxLine
+        })), { transaction });
+
+        // Create order items from the server-priced lines, with each line's modifiers or combo selections
+        for (const line of pricing.lines) {
+          const orderItem = await OrderItem.create({
             orderId: order.id,
-            menuItemId: item.menuItemId,
-            quantity: item.quantity,
-            price: parseFloat(item.price),
-            itemName: item.itemName || (menuItem ? menuItem.name : item.itemName)
-          });
+            menuItemId: line.isCombo ? null : line.menuItemId, // Combos don't have a single menu item ID
+            comboTypeId: line.isCombo ? line.comboId : null,
+            quantity: line.quantity,
+            price: line.unitPrice, // Includes modifiers and additional combo items
+            itemName: line.itemName
+          }, { transaction });
+
+          if (line.isCombo) {
+            await OrderItemSelection.bulkCreate(line.selections.map((selection, index) => ({
+              orderItemId: orderItem.id,
+              ...selection,
+              displayOrder: index
+            })), { transaction });
+          } else {
+            await OrderItemModifier.bulkCreate(line.modifiers.map(modifier => ({
+              orderItemId: orderItem.id,
+              modifierOptionId: modifier.modifierOptionId,
+              groupName: modifier.groupName,
+              optionName: modifier.optionName,
+              price: modifier.price
+            })), { transaction });
+          }
         }
-      })
-    );
 
-    // Fetch complete order with items
-    const completeOrder = await Order.findByPk(order.id, {
-      include: [{
-        model: OrderItem,
-        as: 'items',
-        include: [{
-          model: MenuItem,
-          as: 'menuItem'
-        }]
-      }]
-    });
+        return { order, paymentIntent };
+      }));
+    } catch (error) {
+      // A concurrent retry with the same key committed first
+      if (idempotencyKey && error.name === 'SequelizeUniqueConstraintError') {
+        const existingOrder = await Order.findOne({ where: { restaurantId: req.restaurantId, idempotencyKey } });
+        if (existingOrder) {
+          return replayCreatedOrder(req, res, existingOrder);
+        }
+      }
+      // A concurrent checkout attached the same payment intent to its order first
+      if (error.name === 'SequelizeUniqueConstraintError' && error.parent?.constraint === 'orders_stripe_payment_intent_id') {
+        throw new ApiError('Payment intent is already linked to an order', 409, { code: 'PAYMENT_INTENT_ALREADY_USED' });
+      }
+      throw error;
+    }
+
+    // Mark the order paid from the intent checked above, then tag the intent with the order. A draft
+    // cart is paid before its order exists, so the succeeded webhook found no order and won't come
+    // back: the paid status must not depend on the metadata update reaching Stripe.
+    if (paymentIntent) {
+      try {
+        await paymentService.applyIntentToOrder(order, paymentIntent);
+      } catch (applyError) {
+        console.error(`Failed to apply payment intent ${paymentIntent.id} to order ${order.orderNumber}:`, applyError);
+      }
+      try {
+        await paymentService.linkIntentToOrder(order, paymentIntent);
+      } catch (linkError) {
+        // Later webhooks still find the order by its stored intent ID
+        console.error(`Failed to link payment intent ${paymentIntent.id} to order ${order.orderNumber}:`, linkError);
+      }
+    }
+
+    const completeOrder = await findCompleteOrder(order.id);
 
     // Send order confirmation email
     try {
@@ -458,15 +693,174 @@ router.post('/', requireRestaurantContext, async (req, res) => {
         name: req.restaurant.name,
         slug: req.restaurant.slug
       },
-      order: completeOrder
+      order: completeOrder,
+      trackingToken: streamAccessService.createTrackingToken(order) // Lets guests follow the order
     });
 
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     console.error('Create order error:', error);
     res.status(500).json({ message: 'Failed to create order' });
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/quote:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Price a cart without placing an order
+ *     description: Returns server-computed line prices, subtotal, tax, delivery fee and total for the current restaurant
+ *     parameters:
+ *       - in: header
+ *         name: Host
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: goldchopsticks.localhost:5000
+ *         description: Restaurant subdomain for context
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               orderType:
+ *                 type: string
+ *                 enum: [pickup, delivery]
+ *               customerAddress:
+ *                 type: string
+ *                 description: Delivery address, required for delivery quotes when the restaurant has delivery zones
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to apply (discount and promoCode are returned)
+ *               customerEmail:
+ *                 type: string
+ *                 description: Checked against the promo code's per-customer limit
+ *               loyaltyPoints:
+ *                 type: integer
+ *                 description: Loyalty points to redeem (signed-in customers; loyaltyDiscount is returned)
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Cart priced successfully (deliveryZone is the matched zone, or null)
+ *       400:
+ *         description: Invalid or unavailable items, address outside the delivery area (OUTSIDE_DELIVERY_AREA), below the zone minimum (BELOW_DELIVERY_MINIMUM), a promo code that can't be used (PROMO_CODE_INVALID) or points that can't be redeemed (LOYALTY_REDEMPTION_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// @route   POST /api/orders/quote
+// @desc    Price a cart for the current restaurant without creating an order
+// @access  Public (requires restaurant context)
+router.post('/quote', requireRestaurantContext, optionalAuthMiddleware, async (req, res) => {
+  try {
+    const { items, orderType = 'pickup', customerAddress, promoCode, loyaltyPoints, customerEmail } = req.body;
+
+    const pricing = await pricingService.priceOrder({
+      restaurant: req.restaurant,
+      items,
+      orderType,
+      deliveryAddress: customerAddress,
+      promoCode,
+      loyaltyPoints,
+      customer: { userId: req.user ? req.user.id : null, email: customerEmail }
+    });
+
+    res.json(pricing);
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Quote order error:', error);
+    res.status(500).json({ message: 'Failed to price order' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/time-slots:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Available pickup/delivery time slots
+ *     description: Future time slots for scheduled orders, generated from the restaurant's hours and scheduling settings. Full slots are returned with available false.
+ *     parameters:
+ *       - in: query
+ *         name: orderType
+ *         schema:
+ *           type: string
+ *           enum: [pickup, delivery]
+ *           default: pickup
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Local date (YYYY-MM-DD); defaults to every day customers can schedule for
+ *     responses:
+ *       200:
+ *         description: Time slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 slots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       time:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Value to send as scheduledFor
+ *                       label:
+ *                         type: string
+ *                         example: "Fri, Oct 24, 6:30 PM"
+ *                       remaining:
+ *                         type: integer
+ *                       available:
+ *                         type: boolean
+ */
+
+// @route   GET /api/orders/time-slots
+// @desc    Get available time slots for scheduled orders at the current restaurant
+// @access  Public (requires restaurant context)
+router.get('/time-slots', requireRestaurantContext, async (req, res) => {
+  try {
+    const { orderType = 'pickup', date } = req.query;
+
+    if (!['pickup', 'delivery'].includes(orderType)) {
+      return res.status(400).json({ message: 'Valid order type is required' });
+    }
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ message: 'date must be in YYYY-MM-DD format' });
+    }
+
+    const slots = await scheduleService.getSlots(req.restaurant, { orderType, date: date || null });
+
+    res.json({ slots });
+
+  } catch (error) {
+    console.error('Get time slots error:', error);
+    res.status(500).json({ message: 'Failed to get time slots' });
+  }
+});
+
 // @route   GET /api/orders/user/:userId
 // @desc    Get user's order history from current restaurant
 // @access  Private (requires restaurant context)
@@ -474,8 +868,6 @@ router.get('/user/:userId', requireRestaurantContext, authMiddleware, async (req
   try {
     const { userId } = req.params;
 
-    console.log(userId);
-
     // Check if user is accessing their own orders or is admin for this restaurant
     if (req.user.id !== parseInt(userId) && !req.user.canManageRestaurant(req.restaurantId)) {
       return res.status(403).json({ message: 'Access denied' });
@@ -489,10 +881,20 @@ router.get('/user/:userId', requireRestaurantContext, authMiddleware, async (req
       include: [{
         model: OrderItem,
         as: 'items',
-        include: [{
-          model: MenuItem,
-          as: 'menuItem'
-        }]
+        include: [
+          {
+            model: MenuItem,
+            as: 'menuItem'
+          },
+          {
+            model: OrderItemModifier,
+            as: 'modifiers'
+          },
+          {
+            model: OrderItemSelection,
+            as: 'selections'
+          }
+        ]
       }],
       order: [['created_at', 'DESC']]
     });
@@ -525,10 +927,20 @@ router.get('/user/:userId/all', authMiddleware, async (req, res) => {
       include: [{
         model: OrderItem,
         as: 'items',
-        include: [{
-          model: MenuItem,
-          as: 'menuItem'
-        }]
+        include: [
+          {
+            model: MenuItem,
+            as: 'menuItem'
+          },
+          {
+            model: OrderItemModifier,
+            as: 'modifiers'
+          },
+          {
+            model: OrderItemSelection,
+            as: 'selections'
+          }
+        ]
       }],
       order: [['created_at', 'DESC']]
     });
@@ -541,6 +953,240 @@ router.get('/user/:userId/all', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/admin/stream-ticket:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Ticket for the live order feed (Restaurant Admin)
+ *     description: |
+ *       EventSource cannot set an Authorization header, so the stream is opened with a ticket in the URL instead of the JWT.
+ *       The ticket only opens this restaurant's feed and expires after 60 seconds; request a new one for every (re)connect.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Ticket issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StreamTicket'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Restaurant admin access required
+ */
+
+// @route   POST /api/orders/admin/stream-ticket
+// @desc    Issue a short-lived ticket for the restaurant's live order feed
+// @access  Private (Restaurant Admin)
+router.post('/admin/stream-ticket', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, (req, res) => {
+  res.status(201).json(streamAccessService.createStreamTicket({
+    restaurantId: req.restaurantId,
+    userId: req.user.id
+  }));
+});
+
+/**
+ * @swagger
+ * /api/orders/admin/stream:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Live order feed (Restaurant Admin)
+ *     description: |
+ *       Server-Sent Events stream of the current restaurant's orders for kitchen screens.
+ *       Events: order.created, order.released (a scheduled order reached its prep time), order.status_changed, order.payment_updated (data is JSON with the order summary).
+ *       Reconnecting clients send Last-Event-ID (EventSource does this automatically) to receive missed events;
+ *       a resync event means they could not be replayed and the client should refetch /api/orders/admin/all.
+ *       Opened with a ticket from POST /api/orders/admin/stream-ticket. Tickets expire after 60 seconds, so a client
+ *       reconnecting on its own fetches a new ticket and passes the last event ID as the lastEventId query parameter.
+ *     parameters:
+ *       - in: query
+ *         name: ticket
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stream ticket from POST /api/orders/admin/stream-ticket
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event the client received
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Same as Last-Event-ID, for a new EventSource opened with a fresh ticket
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing, expired or mismatched ticket (code STREAM_TICKET_INVALID)
+ */
+
+// @route   GET /api/orders/admin/stream
+// @desc    Live order events for the current restaurant (Server-Sent Events)
+// @access  Private (Restaurant Admin, via stream ticket)
+router.get('/admin/stream', requireRestaurantContext, (req, res) => {
+  try {
+    const { userId } = streamAccessService.verifyStreamTicket(req.query.ticket, { restaurantId: req.restaurantId });
+    console.log(`Order stream opened for restaurant ${req.restaurantId} by user ${userId}`);
+    openOrderStream(req, res);
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Order stream error:', error);
+    res.status(500).json({ message: 'Failed to open order stream' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/stream-ticket:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Ticket for one order's live updates
+ *     description: |
+ *       Issues a 60-second ticket for GET /api/orders/{id}/stream. Signed-in customers and restaurant admins use their JWT;
+ *       guests send the trackingToken returned when the order was placed.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               trackingToken:
+ *                 type: string
+ *     security:
+ *       - BearerAuth: []
+ *       - {}
+ *     responses:
+ *       201:
+ *         description: Ticket issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StreamTicket'
+ *       403:
+ *         description: Neither the order's customer, a restaurant admin, nor a valid tracking token
+ *       404:
+ *         description: Order not found
+ */
+
+// @route   POST /api/orders/:id/stream-ticket
+// @desc    Issue a short-lived ticket for one order's live updates
+// @access  Public (Order owner, Restaurant Admin, or holder of the order's tracking token)
+router.post('/:id/stream-ticket', requireRestaurantContext, optionalAuthMiddleware, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      where: {
+        id: req.params.id,
+        restaurantId: req.restaurantId // Ensure order belongs to current restaurant
+      }
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // Same access rule as GET /api/orders/:id, plus guests holding the order's tracking token
+    const isOwnerOrAdmin = req.user && (req.user.isRestaurantAdmin() || order.userId === req.user.id);
+    if (!isOwnerOrAdmin && !streamAccessService.isValidTrackingToken(req.body.trackingToken, order)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.status(201).json(streamAccessService.createStreamTicket({
+      restaurantId: req.restaurantId,
+      orderId: order.id,
+      userId: req.user ? req.user.id : null
+    }));
+
+  } catch (error) {
+    console.error('Stream ticket error:', error);
+    res.status(500).json({ message: 'Failed to issue stream ticket' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/stream:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Live updates for one order
+ *     description: |
+ *       Server-Sent Events stream for an order tracking page. Starts with an order.snapshot event with the
+ *       current state, followed by order.status_changed and order.payment_updated events. Opened with a ticket
+ *       from POST /api/orders/{id}/stream-ticket, so guests can follow their order too. Supports Last-Event-ID
+ *       and lastEventId like the admin stream.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: ticket
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stream ticket from POST /api/orders/{id}/stream-ticket
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing, expired or mismatched ticket (code STREAM_TICKET_INVALID)
+ *       404:
+ *         description: Order not found
+ */
+
+// @route   GET /api/orders/:id/stream
+// @desc    Live status and payment updates for one order (Server-Sent Events)
+// @access  Public (via stream ticket)
+router.get('/:id/stream', requireRestaurantContext, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      where: {
+        id: req.params.id,
+        restaurantId: req.restaurantId // Ensure order belongs to current restaurant
+      }
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    streamAccessService.verifyStreamTicket(req.query.ticket, { restaurantId: req.restaurantId, orderId: order.id });
+    openOrderStream(req, res, { orderId: order.id, snapshot: order });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Order stream error:', error);
+    res.status(500).json({ message: 'Failed to open order stream' });
+  }
+});
+
 // @route   GET /api/orders/:id
 // @desc    Get specific order
 // @access  Private (requires restaurant context)
@@ -557,9 +1203,36 @@ router.get('/:id', requireRestaurantContext, authMiddleware, async (req, res) =>
         {
           model: OrderItem,
           as: 'items',
+          include: [
+            {
+              model: MenuItem,
+              as: 'menuItem'
+            },
+            {
+              model: OrderItemModifier,
+              as: 'modifiers'
+            },
+            {
+              model: OrderItemSelection,
+              as: 'selections'
+            }
+          ]
+        },
+        {
+          model: OrderTaxLine,
+          as: 'taxLines'
+        },
+        {
+          model: Refund,
+          as: 'refunds'
+        },
+        {
+          model: OrderStatusHistory,
+          as: 'statusHistory',
           include: [{
-            model: MenuItem,
-            as: 'menuItem'
+            model: User,
+            as: 'changedByUser',
+            attributes: ['id', 'firstName', 'lastName']
           }]
         },
         {
@@ -567,7 +1240,8 @@ router.get('/:id', requireRestaurantContext, authMiddleware, async (req, res) =>
           as: 'user',
           attributes: ['id', 'email', 'firstName', 'lastName']
         }
-      ]
+      ],
+      order: [[{ model: OrderStatusHistory, as: 'statusHistory' }, 'created_at', 'ASC']] // Timeline oldest first
     });
 
     if (!order) {
@@ -593,10 +1267,9 @@ router.get('/:id', requireRestaurantContext, authMiddleware, async (req, res) =>
 router.put('/:id/status', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
 
-    const validStatuses = ['pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'];
-    if (!status || !validStatuses.includes(status)) {
+    if (!status || !Object.keys(Order.STATUS_TRANSITIONS).includes(status)) {
       return res.status(400).json({ message: 'Valid status is required' });
     }
 
@@ -610,14 +1283,21 @@ router.put('/:id/status', requireRestaurantContext, authMiddleware, restaurantAd
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    await order.update({ status });
+    // Cancelling a paid order refunds it; cancelling an unpaid card order voids its payment
+    const { refund } = await orderStatusService.changeStatus(order, status, {
+      changedBy: req.user,
+      note: note || null
+    });
 
     // TODO: Send notification to customer (email, SMS, etc.)
     // await sendOrderStatusNotification(order);
 
-    res.json({ message: 'Order status updated successfully', order });
+    res.json({ message: 'Order status updated successfully', order, refund });
 
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     console.error('Update order status error:', error);
     res.status(500).json({ message: 'Failed to update order status' });
   }
@@ -633,6 +1313,9 @@ router.get('/admin/all', requireRestaurantContext, authMiddleware, restaurantAdm
       orderType,
       paymentMethod,
       paymentStatus,
+      needsPaymentReview,
+      scheduled,
+      kitchenQueue,
       startDate,
       endDate,
       page = 1,
@@ -648,6 +1331,14 @@ router.get('/admin/all', requireRestaurantContext, authMiddleware, restaurantAdm
     if (orderType) where.orderType = orderType;
     if (paymentMethod) where.paymentMethod = paymentMethod;
     if (paymentStatus) where.paymentStatus = paymentStatus;
+    if (needsPaymentReview === 'true') where.paymentReviewReason = { [Op.ne]: null };
+    if (scheduled === 'true') where.scheduledFor = { [Op.ne]: null };
+    if (scheduled === 'false') where.scheduledFor = null;
+    if (kitchenQueue === 'true') {
+      // Orders the kitchen should be working on: released (or placed before scheduling existed) and not finished
+      where.status = status || ['pending', 'confirmed', 'preparing', 'ready'];
+      where[Op.or] = [{ releasedAt: { [Op.ne]: null } }, { scheduledFor: null }];
+    }
     
     if (startDate && endDate) {
       where.createdAt = {
@@ -671,10 +1362,24 @@ router.get('/admin/all', requireRestaurantContext, authMiddleware, restaurantAdm
         {
           model: OrderItem,
           as: 'items',
-          include: [{
-            model: MenuItem,
-            as: 'menuItem'
-          }]
+          include: [
+            {
+              model: MenuItem,
+              as: 'menuItem'
+            },
+            {
+              model: OrderItemModifier,
+              as: 'modifiers'
+            },
+            {
+              model: OrderItemSelection,
+              as: 'selections'
+            }
+          ]
+        },
+        {
+          model: OrderTaxLine,
+          as: 'taxLines'
         },
         {
           model: User,
@@ -682,9 +1387,13 @@ router.get('/admin/all', requireRestaurantContext, authMiddleware, restaurantAdm
           attributes: ['id', 'email', 'firstName', 'lastName']
         }
       ],
-      order: [['createdAt', 'DESC']],
+      // The kitchen works oldest due time first; everything else lists newest orders first
+      order: kitchenQueue === 'true'
+        ? [[sequelize.fn('COALESCE', sequelize.col('Order.scheduled_for'), sequelize.col('Order.created_at')), 'ASC']]
+        : [['created_at', 'DESC']],
       limit: parseInt(limit),
-      offset: offset
+      offset: offset,
+      distinct: true // Count orders, not joined item/tax rows
     });
 
     res.json({
@@ -733,9 +1442,9 @@ router.get('/admin/stats', requireRestaurantContext, authMiddleware, restaurantA
       where: { ...where, status: 'completed' } 
     });
 
-    // Get revenue stats
+    // Get revenue stats (gross - refunds are reported separately below)
     const revenueResult = await Order.findOne({
-      where: { ...where, paymentStatus: 'paid' },
+      where: { ...where, paymentStatus: Order.COLLECTED_PAYMENT_STATUSES },
       attributes: [
         [sequelize.fn('SUM', sequelize.col('total')), 'totalRevenue'],
         [sequelize.fn('COUNT', sequelize.col('id')), 'paidOrders']
@@ -765,6 +1474,38 @@ router.get('/admin/stats', requireRestaurantContext, authMiddleware, restaurantA
       raw: true
     });
 
+    // Get refunds issued for orders in range
+    const refundResult = await Refund.findOne({
+      where: { status: 'succeeded' },
+      attributes: [
+        [sequelize.fn('SUM', sequelize.col('Refund.amount')), 'totalRefunded'],
+        [sequelize.fn('COUNT', sequelize.col('Refund.id')), 'refundCount']
+      ],
+      include: [{
+        model: Order,
+        as: 'order',
+        where,
+        attributes: []
+      }],
+      raw: true
+    });
+
+    // Get tax collected per named rate (paid orders only, like revenue)
+    const taxBreakdown = await OrderTaxLine.findAll({
+      attributes: [
+        'name',
+        [sequelize.fn('SUM', sequelize.col('OrderTaxLine.amount')), 'amount']
+      ],
+      include: [{
+        model: Order,
+        as: 'order',
+        where: { ...where, paymentStatus: Order.COLLECTED_PAYMENT_STATUSES },
+        attributes: []
+      }],
+      group: ['OrderTaxLine.name'],
+      raw: true
+    });
+
     res.json({
       restaurant: {
         id: req.restaurant.id,
@@ -777,8 +1518,15 @@ router.get('/admin/stats', requireRestaurantContext, authMiddleware, restaurantA
         completedOrders,
         totalRevenue: parseFloat(revenueResult?.totalRevenue || 0),
         paidOrders: parseInt(revenueResult?.paidOrders || 0),
+        totalRefunded: parseFloat(refundResult?.totalRefunded || 0),
+        refundCount: parseInt(refundResult?.refundCount || 0),
+        netRevenue: fromCents(toCents(revenueResult?.totalRevenue) - toCents(refundResult?.totalRefunded)),
         orderTypeBreakdown: orderTypeStats,
-        paymentMethodBreakdown: paymentMethodStats
+        paymentMethodBreakdown: paymentMethodStats,
+        taxBreakdown: taxBreakdown.map(taxLine => ({
+          name: taxLine.name,
+          amount: parseFloat(taxLine.amount || 0)
+        }))
       },
       dateRange: {
         startDate: req.query.startDate || null,
@@ -819,25 +1567,116 @@ router.delete('/:id', requireRestaurantContext, authMiddleware, async (req, res)
       return res.status(400).json({ message: 'Only pending orders can be cancelled' });
     }
 
-    // If order was paid, process refund
-    if (order.paymentStatus === 'paid' && order.stripePaymentIntentId) {
-      // TODO: Process Stripe refund
-      // const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-      // await stripe.refunds.create({
-      //   payment_intent: order.stripePaymentIntentId,
-      // });
-    }
-
-    await order.update({ status: 'cancelled' });
+    // The cancel commits first, then whatever was paid online is refunded (an unpaid card
+    // payment is voided). A failed refund answers 502 with the order already cancelled.
+    const { refund } = await orderStatusService.changeStatus(order, 'cancelled', {
+      changedBy: req.user,
+      note: 'Cancelled',
+      refundReason: 'requested_by_customer'
+    });
 
-    res.json({ message: 'Order cancelled successfully' });
+    res.json({
+      message: refund ? 'Order cancelled and refunded successfully' : 'Order cancelled successfully',
+      refund
+    });
 
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     console.error('Cancel order error:', error);
     res.status(500).json({ message: 'Failed to cancel order' });
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/{id}/refund:
+ *   post:
+ *     tags:
+ *       - Orders
+ *     summary: Refund an order (Restaurant Admin)
+ *     description: Issue a full or partial Stripe refund for an order paid online. Omit amount to refund the remaining balance.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 format: decimal
+ *                 description: Amount to refund in dollars (defaults to the remaining refundable balance)
+ *               reason:
+ *                 type: string
+ *                 description: Free-text reason, or one of duplicate, fraudulent, requested_by_customer (passed to Stripe)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Refund issued
+ *       400:
+ *         description: Order not refundable or amount exceeds refundable balance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: Stripe rejected the refund
+ */
+
+// @route   POST /api/orders/:id/refund
+// @desc    Issue a full or partial Stripe refund for a paid order
+// @access  Private (Restaurant Admin)
+router.post('/:id/refund', requireRestaurantContext, authMiddleware, restaurantAdminMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    const order = await Order.findOne({
+      where: {
+        id: id,
+        restaurantId: req.restaurantId // Ensure order belongs to current restaurant
+      }
+    });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const refund = await refundService.refundOrder(order, {
+      amount: amount !== undefined ? amount : null, // Omit amount for a full refund
+      reason: reason || null,
+      source: 'admin',
+      requestedBy: req.user
+    });
+
+    await order.reload();
+
+    res.status(201).json({
+      message: 'Refund issued successfully',
+      refund,
+      order
+    });
+
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    if (error.type && error.type.startsWith('Stripe')) {
+      console.error('Stripe refund error:', error);
+      return res.status(502).json({ message: `Refund failed: ${error.message}` });
+    }
+    console.error('Refund order error:', error);
+    res.status(500).json({ message: 'Failed to refund order' });
+  }
+});
+
 // @route   GET /api/orders/search
 // @desc    Search orders by order number or customer info
 // @access  Private (Restaurant Admin)
@@ -864,10 +1703,20 @@ router.get('/admin/search', requireRestaurantContext, authMiddleware, restaurant
         {
           model: OrderItem,
           as: 'items',
-          include: [{
-            model: MenuItem,
-            as: 'menuItem'
-          }]
+          include: [
+            {
+              model: MenuItem,
+              as: 'menuItem'
+            },
+            {
+              model: OrderItemModifier,
+              as: 'modifiers'
+            },
+            {
+              model: OrderItemSelection,
+              as: 'selections'
+            }
+          ]
         },
         {
           model: User,
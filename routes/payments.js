@@ -1,48 +1,87 @@
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const { Order } = require('../config/database');
-const { authMiddleware } = require('../middleware/auth');
+const { stripe } = require('../config/stripe');
+const { Order, WebhookEvent } = require('../config/database');
+const { authMiddleware, superAdminMiddleware, optionalAuthMiddleware } = require('../middleware/auth');
+const { requireRestaurantContext } = require('../middleware/restaurantContext');
+const { limitGiftCardCodeAttempts } = require('../middleware/rateLimit');
+const paymentService = require('../services/paymentService');
+const emailVerificationService = require('../services/emailVerificationService');
+const webhookService = require('../services/webhookService');
+const { ApiError } = require('../utils/errorHandler');
 const router = express.Router();
 
 // @route   POST /api/payments/create-intent
-// @desc    Create Stripe payment intent
-// @access  Public
-router.post('/create-intent', async (req, res) => {
+// @desc    Create Stripe payment intent for an order or a server-priced draft cart
+// @access  Public (requires restaurant context; gift card codes rate limited)
+router.post('/create-intent', requireRestaurantContext, limitGiftCardCodeAttempts('giftCardCode'), optionalAuthMiddleware, async (req, res) => {
   try {
     const { 
-      total, 
+      orderId,
+      items,
       customerEmail, 
       customerFirstName, 
       customerLastName,
-      orderType 
+      customerAddress,
+      orderType,
+      promoCode,
+      loyaltyPoints,
+      giftCardCode
     } = req.body;
 
-    if (!total || total <= 0) {
-      return res.status(400).json({ message: 'Valid total amount is required' });
+    // Pay for an order that already exists
+    if (orderId) {
+      const order = await Order.findOne({
+        where: {
+          id: orderId,
+          restaurantId: req.restaurantId // Ensure order belongs to current restaurant
+        }
+      });
+      if (!order) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+
+      const paymentIntent = await paymentService.createIntentForOrder(order);
+
+      return res.json({
+        id: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+        status: paymentIntent.status,
+        amount: paymentIntent.amount / 100,
+        orderId: order.id
+      });
+    }
+
+    // Pay for a cart before the order is placed - the amount comes from server pricing, never the client
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: 'Either orderId or cart items are required' });
     }
+    emailVerificationService.assertVerifiedFor(req.restaurant, req.user, 'checkout');
 
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(parseFloat(total) * 100), // Convert to cents
-      currency: 'cad', // Canadian dollars
-      automatic_payment_methods: {
-        enabled: true,
-      },
-      metadata: {
-        customerEmail: customerEmail || '',
-        customerName: `${customerFirstName} ${customerLastName}`,
-        orderType: orderType || 'pickup'
-      },
-      receipt_email: customerEmail || null
+    const { paymentIntent, pricing } = await paymentService.createIntentForCart(req.restaurant, {
+      items,
+      orderType: orderType || 'pickup',
+      customerAddress,
+      promoCode,
+      loyaltyPoints,
+      giftCardCode,
+      userId: req.user ? req.user.id : null, // Points can only be redeemed by the signed-in customer
+      customerEmail,
+      customerFirstName,
+      customerLastName
     });
 
     res.json({
       id: paymentIntent.id,
       clientSecret: paymentIntent.client_secret,
-      status: paymentIntent.status
+      status: paymentIntent.status,
+      amount: paymentIntent.amount / 100,
+      pricing
     });
 
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     console.error('Create payment intent error:', error);
     res.status(500).json({ message: 'Failed to create payment intent' });
   }
@@ -117,35 +156,101 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      console.log('Payment succeeded:', paymentIntent.id);
-      
-      // Update order payment status
-      await Order.update(
-        { paymentStatus: 'paid' },
-        { where: { stripePaymentIntentId: paymentIntent.id } }
-      );
-      break;
-
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      console.log('Payment failed:', failedPayment.id);
-      
-      // Update order payment status
-      await Order.update(
-        { paymentStatus: 'failed' },
-        { where: { stripePaymentIntentId: failedPayment.id } }
-      );
-      break;
-
-    default:
-      console.log(`Unhandled event type ${event.type}`);
+  // Log the event and process it once - Stripe retries deliveries and doesn't guarantee their order
+  try {
+    const { duplicate } = await webhookService.receiveEvent(event);
+    if (duplicate) {
+      console.log(`Duplicate webhook event ${event.id} (${event.type}) ignored`);
+    }
+    res.json({ received: true, duplicate });
+  } catch (error) {
+    // A non-2xx response makes Stripe retry; the stored event is picked up again as failed
+    console.error(`Webhook ${event.type} processing error:`, error);
+    res.status(500).json({ message: 'Webhook processing failed' });
   }
+});
+
+// @route   GET /api/payments/webhook-events
+// @desc    List stored Stripe webhook events (filter by status, type or order)
+// @access  Private (Super Admin)
+router.get('/webhook-events', authMiddleware, superAdminMiddleware, async (req, res) => {
+  try {
+    const { status, type, orderId, restaurantId, page = 1, limit = 50 } = req.query;
 
-  res.json({ received: true });
+    const where = {};
+    if (status) where.status = status;
+    if (type) where.type = type;
+    if (orderId) where.orderId = orderId;
+    if (restaurantId) where.restaurantId = restaurantId;
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const { rows: events, count: total } = await WebhookEvent.findAndCountAll({
+      where,
+      attributes: { exclude: ['payload'] },
+      order: [['stripeCreatedAt', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    res.json({
+      events,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({ message: 'Failed to get webhook events' });
+  }
+});
+
+// @route   GET /api/payments/webhook-events/:id
+// @desc    Get a stored webhook event including its payload
+// @access  Private (Super Admin)
+router.get('/webhook-events/:id', authMiddleware, superAdminMiddleware, async (req, res) => {
+  try {
+    const event = await WebhookEvent.findByPk(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Webhook event not found' });
+    }
+
+    res.json({ event });
+
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    res.status(500).json({ message: 'Failed to get webhook event' });
+  }
+});
+
+// @route   POST /api/payments/webhook-events/:id/replay
+// @desc    Process a stored webhook event again (same dedup and ordering rules as live delivery)
+// @access  Private (Super Admin)
+router.post('/webhook-events/:id/replay', authMiddleware, superAdminMiddleware, async (req, res) => {
+  try {
+    const event = await WebhookEvent.findByPk(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Webhook event not found' });
+    }
+
+    const { replayed } = await webhookService.replayEvent(event);
+    if (!replayed) {
+      return res.status(409).json({ message: 'Webhook event is already being processed' });
+    }
+
+    res.json({
+      message: `Webhook event ${event.status}`,
+      event
+    });
+
+  } catch (error) {
+    console.error('Replay webhook event error:', error);
+    res.status(500).json({ message: 'Failed to replay webhook event', error: error.message });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
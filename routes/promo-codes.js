@@ -0,0 +1,266 @@
+const express = require('express');
+const { PromoCode } = require('../config/database');
+const { authMiddleware, restaurantAdminMiddleware } = require('../middleware/auth');
+const { requireRestaurantContext } = require('../middleware/restaurantContext');
+const promoCodeService = require('../services/promoCodeService');
+const { ApiError } = require('../utils/errorHandler');
+const router = express.Router();
+
+// Promo codes are managed by the admins of the restaurant in context
+router.use(requireRestaurantContext, authMiddleware, restaurantAdminMiddleware);
+
+// Validation problems answer 400, a duplicate code 409, rule violations the ApiError status
+const sendPromoCodeError = (res, error, fallbackMessage) => {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({ message: error.message, ...error.details });
+  }
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      message: 'Validation error',
+      errors: error.errors.map(e => e.message)
+    });
+  }
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    return res.status(409).json({ message: 'A promo code with this code already exists' });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ message: fallbackMessage });
+};
+
+const findRestaurantCode = (req) => PromoCode.findOne({
+  where: {
+    id: req.params.id,
+    restaurantId: req.restaurantId // Ensure code belongs to current restaurant
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromoCodeRequest:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: 3-40 letters, digits, _ or -; stored uppercase and matched case-insensitively
+ *           example: "SPRING15"
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [percentage, fixed]
+ *         discountValue:
+ *           type: number
+ *           description: Percent off (at most 100) or dollars off
+ *           example: 15
+ *         minimumSubtotal:
+ *           type: number
+ *           nullable: true
+ *           description: Smallest order subtotal the code applies to (null = no minimum)
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         maxRedemptions:
+ *           type: integer
+ *           nullable: true
+ *           description: Total uses across all customers (null = unlimited). Cancelled orders don't count.
+ *         maxRedemptionsPerCustomer:
+ *           type: integer
+ *           nullable: true
+ *           description: Uses per customer, matched by account or email (null = unlimited)
+ *         categoryIds:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: integer
+ *           description: Only items of these menu categories are discounted (null = whole order; combos are never category items)
+ *         orderTypes:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *             enum: [pickup, delivery]
+ *           description: Order types the code is valid for (null = both)
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *
+ *     PromoCode:
+ *       allOf:
+ *         - $ref: '#/components/schemas/PromoCodeRequest'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: integer
+ *             redemptions:
+ *               type: integer
+ *               description: Orders (not cancelled) that used the code
+ *             totalDiscount:
+ *               type: number
+ *               description: Discount given on those orders
+ *             revenue:
+ *               type: number
+ *               description: Total of those orders
+ */
+
+/**
+ * @swagger
+ * /api/promo-codes:
+ *   get:
+ *     tags:
+ *       - Promo Codes
+ *     summary: List promo codes
+ *     description: Promo codes of the current restaurant with their redemptions (Restaurant Admin only)
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Promo codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PromoCode'
+ *   post:
+ *     tags:
+ *       - Promo Codes
+ *     summary: Create promo code
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCodeRequest'
+ *     responses:
+ *       201:
+ *         description: Promo code created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: The restaurant already has this code
+ */
+
+// @route   GET /api/promo-codes
+// @desc    Get promo codes of the current restaurant with redemption stats
+// @access  Private (Restaurant Admin)
+router.get('/', async (req, res) => {
+  try {
+    const promoCodes = await promoCodeService.listCodes(req.restaurantId);
+    res.json(promoCodes);
+  } catch (error) {
+    sendPromoCodeError(res, error, 'Failed to fetch promo codes');
+  }
+});
+
+// @route   POST /api/promo-codes
+// @desc    Create a promo code
+// @access  Private (Restaurant Admin)
+router.post('/', async (req, res) => {
+  try {
+    const { code, discountType, discountValue } = req.body;
+    if (!code || !discountType || discountValue === undefined) {
+      return res.status(400).json({ message: 'code, discountType and discountValue are required' });
+    }
+
+    const promoCode = await promoCodeService.saveCode(req.restaurantId, null, req.body);
+
+    console.log(`Created promo code ${promoCode.code} for ${req.restaurant.name}`);
+    res.status(201).json(promoCodeService.serializeCode(promoCode));
+  } catch (error) {
+    sendPromoCodeError(res, error, 'Failed to create promo code');
+  }
+});
+
+/**
+ * @swagger
+ * /api/promo-codes/{id}:
+ *   put:
+ *     tags:
+ *       - Promo Codes
+ *     summary: Update promo code
+ *     description: Changes apply to new orders only; placed orders keep the discount they were given
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCodeRequest'
+ *     responses:
+ *       200:
+ *         description: Promo code updated
+ *       404:
+ *         description: Promo code not found
+ *   delete:
+ *     tags:
+ *       - Promo Codes
+ *     summary: Delete promo code
+ *     description: Delete a code that was never redeemed; redeemed codes should be deactivated instead
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Promo code deleted
+ *       404:
+ *         description: Promo code not found
+ *       409:
+ *         description: The code was used on orders (code PROMO_CODE_IN_USE)
+ */
+
+// @route   PUT /api/promo-codes/:id
+// @desc    Update a promo code
+// @access  Private (Restaurant Admin)
+router.put('/:id', async (req, res) => {
+  try {
+    const promoCode = await findRestaurantCode(req);
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    const updatedCode = await promoCodeService.saveCode(req.restaurantId, promoCode, req.body);
+    res.json(promoCodeService.serializeCode(updatedCode));
+  } catch (error) {
+    sendPromoCodeError(res, error, 'Failed to update promo code');
+  }
+});
+
+// @route   DELETE /api/promo-codes/:id
+// @desc    Delete a promo code that was never redeemed
+// @access  Private (Restaurant Admin)
+router.delete('/:id', async (req, res) => {
+  try {
+    const promoCode = await findRestaurantCode(req);
+    if (!promoCode) {
+      return res.status(404).json({ message: 'Promo code not found' });
+    }
+
+    await promoCodeService.deleteCode(promoCode);
+    res.json({ message: 'Promo code deleted successfully' });
+  } catch (error) {
+    sendPromoCodeError(res, error, 'Failed to delete promo code');
+  }
+});
+
+module.exports = router;
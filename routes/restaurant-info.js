@@ -8,7 +8,7 @@
  *     tags:
  *       - Restaurant Info
  *     summary: Get current restaurant info
- *     description: Get public restaurant information (id, name, logo, themeColors, phone, email, address, social, hours)
+ *     description: Get public restaurant information (id, name, logo, themeColors, phone, email, address, social, hours) and whether it is open now
  *     parameters:
  *       - in: query
  *         name: restaurant
@@ -64,8 +64,48 @@
  *                   type: object
  *                   example: {"facebook": "smokeshack", "instagram": "@smokeshack"}
  *                 hours:
+ *                   type: object
+ *                   description: Opening intervals per weekday in the restaurant's time zone (null or [] = closed)
+ *                   example: {"monday": [{"open": "11:00", "close": "14:00"}, {"open": "17:00", "close": "22:00"}], "sunday": null}
+ *                 timezone:
+ *                   type: string
+ *                   example: "America/Vancouver"
+ *                 closures:
+ *                   type: array
+ *                   description: Upcoming holiday/closure dates
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       startDate:
+ *                         type: string
+ *                         example: "2025-12-25"
+ *                       endDate:
+ *                         type: string
+ *                         example: "2025-12-26"
+ *                       reason:
+ *                         type: string
+ *                         example: "Christmas"
+ *                 isOpenNow:
+ *                   type: boolean
+ *                   description: Open according to hours and closures (restaurants without hours are always open)
+ *                 closesAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 nextOpeningTime:
  *                   type: string
- *                   example: "Mon-Sun 11:00-22:00"
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Start of the next opening interval when closed
+ *                 isOrderingPaused:
+ *                   type: boolean
+ *                 orderingPausedUntil:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 acceptingOrders:
+ *                   type: boolean
+ *                   description: Whether ASAP orders can be placed right now
  *       400:
  *         description: Restaurant parameter required
  *         content:
@@ -100,14 +140,34 @@
 
 const express = require('express');
 const { restaurantContext, requireRestaurantContext } = require('../middleware/restaurantContext');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const scheduleService = require('../services/scheduleService');
+const deliveryService = require('../services/deliveryService');
+const { ApiError } = require('../utils/errorHandler');
 const router = express.Router();
 
+// Address checks call the geocoding provider, which bills per request, so they are limited per client
+const addressCheckLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many address checks, please try again later'
+});
+
+// Listing the zones without an address costs nothing and isn't counted
+const limitAddressChecks = (req, res, next) => (req.query.address ? addressCheckLimiter(req, res, next) : next());
+
 // @route   GET /api/restaurant/info
-// @desc    Get current restaurant info (id, name, logo, themeColors, phone, email, address, social, hours)
+// @desc    Get current restaurant info (id, name, logo, themeColors, phone, email, address, social, hours) and open status
 // @access  Public (requires restaurant context)
 router.get('/info', restaurantContext, requireRestaurantContext, (req, res) => {
   try {
     const { id, name, logo, themeColors, phone, email, address, social, hours } = req.restaurant;
+    const { timezone, isOpenNow, closesAt, nextOpeningTime, isOrderingPaused, orderingPausedUntil, acceptingOrders } =
+      scheduleService.getAvailability(req.restaurant);
+
+    // Only closures that haven't ended yet are useful to customers
+    const today = scheduleService.getZonedParts(new Date(), timezone).dateKey;
+    const closures = (req.restaurant.closures || []).filter(closure => (closure.endDate || closure.startDate) >= today);
     
     res.json({
       id,
@@ -118,7 +178,15 @@ router.get('/info', restaurantContext, requireRestaurantContext, (req, res) => {
       email,
       address,
       social,
-      hours
+      hours,
+      timezone,
+      closures,
+      isOpenNow,
+      closesAt,
+      nextOpeningTime,
+      isOrderingPaused,
+      orderingPausedUntil,
+      acceptingOrders
     });
   } catch (error) {
     console.error('Get restaurant info error:', error);
@@ -126,4 +194,68 @@ router.get('/info', restaurantContext, requireRestaurantContext, (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/restaurant/delivery-zones:
+ *   get:
+ *     tags:
+ *       - Restaurant Info
+ *     summary: Get delivery zones or check a delivery address
+ *     description: Lists the restaurant's delivery zones (name, fee, minimum order, estimated minutes). With an address, also returns the zone that address falls in.
+ *     parameters:
+ *       - in: query
+ *         name: restaurant
+ *         schema:
+ *           type: string
+ *         description: Restaurant identifier (slug or domain)
+ *       - in: query
+ *         name: address
+ *         schema:
+ *           type: string
+ *         description: Delivery address to check
+ *         example: "2475 Dobbin Rd, West Kelowna, BC"
+ *     responses:
+ *       200:
+ *         description: Delivery zones (hasZones false means delivery anywhere at the default fee)
+ *       400:
+ *         description: Address not found (ADDRESS_NOT_FOUND) or outside the delivery area (OUTSIDE_DELIVERY_AREA)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many address checks from this client (code RATE_LIMITED, see Retry-After). Requests without an address are not counted.
+ */
+
+// @route   GET /api/restaurant/delivery-zones
+// @desc    Get the restaurant's delivery zones, optionally matching an address to one
+// @access  Public (requires restaurant context; address checks rate limited)
+router.get('/delivery-zones', restaurantContext, requireRestaurantContext, limitAddressChecks, async (req, res) => {
+  try {
+    const { address } = req.query;
+
+    // Zone geometry stays private - customers only need what each zone costs
+    const zones = deliveryService.getZones(req.restaurant).map(zone => ({
+      name: zone.name,
+      fee: zone.fee,
+      minimumOrder: zone.minimumOrder || 0,
+      estimatedMinutes: zone.estimatedMinutes || null
+    }));
+
+    const zone = address ? await deliveryService.resolveDeliveryZone(req.restaurant, address) : null;
+
+    res.json({
+      hasZones: zones.length > 0,
+      zones,
+      zone
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Get delivery zones error:', error);
+    res.status(500).json({ message: 'Failed to fetch delivery zones' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -60,6 +60,155 @@
  *               example: "Mon-Sun 11:00-22:00"
  *             social:
  *               type: object
+ *         taxSettings:
+ *           type: object
+ *           description: Tax rules used by server-side order pricing (null uses the platform default rate)
+ *           properties:
+ *             rates:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: "GST"
+ *                   rate:
+ *                     type: number
+ *                     example: 0.05
+ *                   categoryIds:
+ *                     type: array
+ *                     nullable: true
+ *                     items:
+ *                       type: integer
+ *                     description: Menu categories the rate applies to (null = all categories and combos)
+ *                   appliesToDeliveryFee:
+ *                     type: boolean
+ *                     description: Whether the delivery fee is taxed at this rate
+ *         hours:
+ *           type: object
+ *           description: Opening intervals per weekday (monday..sunday); null or [] = closed. A close time before the open time runs past midnight.
+ *           example: {"monday": [{"open": "11:00", "close": "14:00"}, {"open": "17:00", "close": "22:00"}], "sunday": null}
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone the hours are in (null uses DEFAULT_TIMEZONE)
+ *           example: "America/Vancouver"
+ *         closures:
+ *           type: array
+ *           description: Holiday/closure calendar - no ASAP orders or time slots on these dates
+ *           items:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 example: "2025-12-25"
+ *               endDate:
+ *                 type: string
+ *                 description: Last closed date (defaults to startDate)
+ *                 example: "2025-12-26"
+ *               reason:
+ *                 type: string
+ *                 example: "Christmas"
+ *         schedulingSettings:
+ *           type: object
+ *           description: Scheduled order slots (null or missing keys use the defaults shown)
+ *           properties:
+ *             slotMinutes:
+ *               type: integer
+ *               example: 15
+ *             slotCapacity:
+ *               type: integer
+ *               description: Orders accepted per slot
+ *               example: 5
+ *             maxDaysAhead:
+ *               type: integer
+ *               example: 7
+ *             pickupLeadMinutes:
+ *               type: integer
+ *               description: Prep time before a pickup slot; scheduled orders reach the kitchen this early
+ *               example: 20
+ *             deliveryLeadMinutes:
+ *               type: integer
+ *               example: 45
+ *         loyaltySettings:
+ *           type: object
+ *           nullable: true
+ *           description: Loyalty points program (null = no program)
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             pointsPerDollar:
+ *               type: number
+ *               description: Points earned per dollar of food on completed, paid orders (after discounts)
+ *               example: 1
+ *             pointValue:
+ *               type: number
+ *               description: Dollars one point is worth when redeemed at checkout
+ *               example: 0.01
+ *             minimumRedemption:
+ *               type: integer
+ *               description: Fewest points redeemable at once
+ *               example: 500
+ *             maxRedemptionPercent:
+ *               type: number
+ *               description: Share of the order subtotal (after promo codes) points can pay for
+ *               example: 50
+ *         emailVerificationSettings:
+ *           type: object
+ *           nullable: true
+ *           description: Features signed-in customers can only use once their email is verified (null = none)
+ *           properties:
+ *             requiredForCheckout:
+ *               type: boolean
+ *               description: Signed-in customers must verify their email before placing orders
+ *             requiredForLoyalty:
+ *               type: boolean
+ *               description: Customers must verify their email before earning, redeeming or viewing loyalty points
+ *         orderNumberPrefix:
+ *           type: string
+ *           nullable: true
+ *           description: Order number prefix, 1-8 uppercase letters or digits (null uses the slug initials, e.g. GC for gold-chopsticks). Orders are numbered PREFIX-00001, PREFIX-00002...
+ *           example: GC
+ *         deliverySettings:
+ *           type: object
+ *           description: Delivery zones, checked in order (list inner zones first). Null delivers anywhere at the default fee.
+ *           properties:
+ *             origin:
+ *               type: object
+ *               description: Restaurant location, required for radius zones
+ *               properties:
+ *                 lat:
+ *                   type: number
+ *                   example: 49.8625
+ *                 lng:
+ *                   type: number
+ *                   example: -119.5833
+ *             zones:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 required: [name, type, fee]
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: "Inner"
+ *                   type:
+ *                     type: string
+ *                     enum: [radius, polygon]
+ *                   radiusKm:
+ *                     type: number
+ *                     example: 5
+ *                   polygon:
+ *                     type: object
+ *                     description: GeoJSON Polygon or MultiPolygon geometry ([lng, lat] coordinates)
+ *                   fee:
+ *                     type: number
+ *                     example: 3.99
+ *                   minimumOrder:
+ *                     type: number
+ *                     example: 20
+ *                   estimatedMinutes:
+ *                     type: integer
+ *                     example: 40
  *         isActive:
  *           type: boolean
  *           description: Whether restaurant is active
@@ -485,6 +634,7 @@ const { Restaurant, User, MenuItem, Order, sequelize } = require('../config/data
 const { authMiddleware, adminMiddleware, superAdminMiddleware, restaurantAdminMiddleware } = require('../middleware/auth');
 const { addRestaurantToCache, clearRestaurantCache, getRestaurantContextHealth, restaurantContext, requireRestaurantContext } = require('../middleware/restaurantContext');
 const { Op } = require('sequelize');
+const scheduleService = require('../services/scheduleService');
 const router = express.Router();
 
 // @route   GET /api/restaurants
@@ -620,6 +770,15 @@ router.post('/', authMiddleware, superAdminMiddleware, async (req, res) => {
       logo,
       themeColors,
       contactInfo,
+      hours,
+      timezone,
+      closures,
+      taxSettings,
+      schedulingSettings,
+      deliverySettings,
+      loyaltySettings,
+      emailVerificationSettings,
+      orderNumberPrefix,
       isActive = true
     } = req.body;
 
@@ -663,6 +822,15 @@ router.post('/', authMiddleware, superAdminMiddleware, async (req, res) => {
         hours: null,
         socialMedia: {}
       },
+      ...(hours && { hours }),
+      timezone: timezone || null,
+      closures: closures || null,
+      taxSettings: taxSettings || null,
+      schedulingSettings: schedulingSettings || null,
+      deliverySettings: deliverySettings || null,
+      loyaltySettings: loyaltySettings || null,
+      emailVerificationSettings: emailVerificationSettings || null,
+      orderNumberPrefix: orderNumberPrefix || null,
       isActive
     });
 
@@ -697,6 +865,15 @@ router.put('/:id', authMiddleware, restaurantAdminMiddleware, async (req, res) =
       logo,
       themeColors,
       contactInfo,
+      hours,
+      timezone,
+      closures,
+      taxSettings,
+      schedulingSettings,
+      deliverySettings,
+      loyaltySettings,
+      emailVerificationSettings,
+      orderNumberPrefix,
       isActive
     } = req.body;
 
@@ -739,6 +916,15 @@ router.put('/:id', authMiddleware, restaurantAdminMiddleware, async (req, res) =
       ...(logo !== undefined && { logo }),
       ...(themeColors && { themeColors }),
       ...(contactInfo && { contactInfo }),
+      ...(hours !== undefined && { hours }),
+      ...(timezone !== undefined && { timezone }),
+      ...(closures !== undefined && { closures }),
+      ...(taxSettings !== undefined && { taxSettings }),
+      ...(schedulingSettings !== undefined && { schedulingSettings }),
+      ...(deliverySettings !== undefined && { deliverySettings }),
+      ...(loyaltySettings !== undefined && { loyaltySettings }),
+      ...(emailVerificationSettings !== undefined && { emailVerificationSettings }),
+      ...(orderNumberPrefix !== undefined && { orderNumberPrefix: orderNumberPrefix || null }),
       ...(isActive !== undefined && { isActive })
     });
 
@@ -760,6 +946,101 @@ router.put('/:id', authMiddleware, restaurantAdminMiddleware, async (req, res) =
   }
 });
 
+/**
+ * @swagger
+ * /api/restaurants/{id}/ordering:
+ *   put:
+ *     tags:
+ *       - Restaurants
+ *     summary: Pause or resume online ordering
+ *     description: Manual switch for busy nights. While paused, ASAP orders are refused and time slots before the pause ends are hidden.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Restaurant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paused
+ *             properties:
+ *               paused:
+ *                 type: boolean
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Resume automatically at this time (omit to stay paused until switched off)
+ *     responses:
+ *       200:
+ *         description: Ordering status updated
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Restaurant not found
+ */
+
+// @route   PUT /api/restaurants/:id/ordering
+// @desc    Pause or resume online ordering
+// @access  Private (Restaurant Admin)
+router.put('/:id/ordering', authMiddleware, restaurantAdminMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { paused, until } = req.body;
+
+    // restaurantAdminMiddleware checks the restaurant in context, so also check the one being changed
+    if (!req.user.isSuperAdmin() && !req.user.canManageRestaurant(parseInt(id))) {
+      return res.status(403).json({ message: 'Access denied. Restaurant admins can only manage their assigned restaurant.' });
+    }
+
+    if (typeof paused !== 'boolean') {
+      return res.status(400).json({ message: 'paused must be true or false' });
+    }
+
+    let pausedUntil = null;
+    if (paused && until) {
+      pausedUntil = new Date(until);
+      if (Number.isNaN(pausedUntil.getTime()) || pausedUntil <= new Date()) {
+        return res.status(400).json({ message: 'until must be a future date-time' });
+      }
+    }
+
+    const restaurant = await Restaurant.findByPk(id);
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    await restaurant.update({
+      orderingPaused: paused,
+      orderingPausedUntil: pausedUntil
+    });
+
+    // Clear cache so the switch takes effect on the next request
+    clearRestaurantCache();
+
+    console.log(`${paused ? 'Paused' : 'Resumed'} ordering for restaurant: ${restaurant.name} (ID: ${id})`);
+    res.json({
+      message: paused ? 'Online ordering paused' : 'Online ordering resumed',
+      ...scheduleService.getAvailability(restaurant)
+    });
+
+  } catch (error) {
+    console.error('Update ordering status error:', error);
+    res.status(500).json({ message: 'Failed to update ordering status' });
+  }
+});
+
 // @route   DELETE /api/restaurants/:id
 // @desc    Delete/deactivate restaurant
 // @access  Private (Super Admin)
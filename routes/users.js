@@ -1,6 +1,11 @@
 const express = require('express');
-const { User } = require('../config/database');
+const { User, UserSession } = require('../config/database');
 const { authMiddleware } = require('../middleware/auth');
+const { requireRestaurantContext } = require('../middleware/restaurantContext');
+const loyaltyService = require('../services/loyaltyService');
+const emailVerificationService = require('../services/emailVerificationService');
+const sessionService = require('../services/sessionService');
+const { ApiError } = require('../utils/errorHandler');
 const bcrypt = require('bcryptjs');
 const router = express.Router();
 
@@ -262,7 +267,7 @@ const router = express.Router();
  *     tags:
  *       - Users
  *     summary: Get all users (Admin only)
- *     description: Retrieve a paginated list of all users (Admin access required)
+ *     description: Retrieve a paginated list of the restaurant's users. Restaurant admins see their own restaurant's accounts; super admins see the current restaurant's, or all users without restaurant context.
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -435,6 +440,102 @@ router.put('/profile', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/loyalty:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: Loyalty points balance and history
+ *     description: The current user's loyalty points at the restaurant in context, with the program rules and ledger entries (newest first)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Loyalty account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 balance:
+ *                   type: integer
+ *                 balanceValue:
+ *                   type: number
+ *                   description: What the balance is worth at checkout, in dollars
+ *                 rules:
+ *                   type: object
+ *                   properties:
+ *                     pointsPerDollar:
+ *                       type: number
+ *                     pointValue:
+ *                       type: number
+ *                     minimumRedemption:
+ *                       type: integer
+ *                     maxRedemptionPercent:
+ *                       type: number
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [earn, earn_reversal, redeem, redeem_reversal]
+ *                       points:
+ *                         type: integer
+ *                       balanceAfter:
+ *                         type: integer
+ *                       description:
+ *                         type: string
+ *                       orderNumber:
+ *                         type: string
+ *                         nullable: true
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The restaurant requires a verified email for loyalty points (code EMAIL_NOT_VERIFIED)
+ */
+
+// @route   GET /api/users/loyalty
+// @desc    Get the current user's loyalty points balance and history
+// @access  Private (requires restaurant context)
+router.get('/loyalty', requireRestaurantContext, authMiddleware, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    emailVerificationService.assertVerifiedFor(req.restaurant, req.user, 'loyalty');
+
+    const account = await loyaltyService.getAccount(req.restaurant, req.user.id, { page, limit });
+    res.json(account);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    console.error('Get loyalty account error:', error);
+    res.status(500).json({ message: 'Failed to fetch loyalty points' });
+  }
+});
+
 // @route   PUT /api/users/change-password
 // @desc    Change user password
 // @access  Private
@@ -469,6 +570,9 @@ router.put('/change-password', authMiddleware, async (req, res) => {
     // Update password (will be hashed by the model hook)
     await user.update({ password: newPassword });
 
+    // Other devices have to sign in with the new password
+    await sessionService.revokeAllForUser(user.id, 'password_change', { exceptSessionId: req.userSession.id });
+
     res.json({ message: 'Password changed successfully' });
 
   } catch (error) {
@@ -509,6 +613,7 @@ router.delete('/account', authMiddleware, async (req, res) => {
       thirdPartyId: null,
       thirdPartyProvider: null
     });
+    await sessionService.revokeAllForUser(user.id, 'account_deleted');
 
     res.json({ message: 'Account deleted successfully' });
 
@@ -518,6 +623,135 @@ router.delete('/account', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/users/sessions:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: List active sessions
+ *     description: Devices currently signed in to the user's account, most recently used first
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   restaurantId:
+ *                     type: integer
+ *                     nullable: true
+ *                   userAgent:
+ *                     type: string
+ *                     nullable: true
+ *                   ipAddress:
+ *                     type: string
+ *                     nullable: true
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastUsedAt:
+ *                     type: string
+ *                     format: date-time
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *                     description: The session making this request
+ *       401:
+ *         description: Unauthorized
+ *
+ * /api/users/sessions/{id}:
+ *   delete:
+ *     tags:
+ *       - Users
+ *     summary: Sign out a session
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ *
+ * /api/users/logout-all:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Log out all devices
+ *     description: Revokes every session of the user, including the current one
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ */
+
+// @route   GET /api/users/sessions
+// @desc    Get the current user's active sessions
+// @access  Private
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user.id, req.userSession.id);
+    res.json(sessions);
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Failed to fetch sessions' });
+  }
+});
+
+// @route   DELETE /api/users/sessions/:id
+// @desc    Sign out one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const session = await UserSession.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id // Users can only sign out their own devices
+      }
+    });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await sessionService.revokeSession(session, 'logout');
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Failed to sign out session' });
+  }
+});
+
+// @route   POST /api/users/logout-all
+// @desc    Log out all devices
+// @access  Private
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const count = await sessionService.revokeAllForUser(req.user.id, 'logout_all');
+
+    console.log(`User ${req.user.id} logged out of ${count} sessions`);
+    res.json({ message: 'Logged out of all devices', sessionsRevoked: count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Failed to log out all devices' });
+  }
+});
+
 // @route   GET /api/users/admin/all
 // @desc    Get all users (admin only)
 // @access  Private (Admin)
@@ -530,10 +764,17 @@ router.get('/admin/all', authMiddleware, async (req, res) => {
     const { page = 1, limit = 20, search } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
+    // Accounts are per restaurant: admins see their restaurant's users, super admins the
+    // current restaurant's (or everyone's without restaurant context)
     let where = {};
+    const restaurantId = req.user.isSuperAdmin() ? req.restaurantId : req.user.restaurantId;
+    if (restaurantId) {
+      where.restaurantId = restaurantId;
+    }
     if (search) {
       const { Op } = require('sequelize');
       where = {
+        ...where,
         [Op.or]: [
           { email: { [Op.iLike]: `%${search}%` } },
           { firstName: { [Op.iLike]: `%${search}%` } },
@@ -584,7 +825,7 @@ router.put('/admin/:id/role', authMiddleware, async (req, res) => {
     }
 
     const user = await User.findByPk(id);
-    if (!user) {
+    if (!user || (!req.user.isSuperAdmin() && user.restaurantId !== req.user.restaurantId)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
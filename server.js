@@ -10,6 +10,8 @@ const { configureMiddleware } = require('./config/middleware'); // Security, COR
 const { configureRoutes } = require('./config/routes'); // API endpoint routing
 const { errorHandler } = require('./utils/errorHandler'); // Global error handling
 const { sequelize } = require('./config/database'); // PostgreSQL database connection
+const scheduleService = require('./services/scheduleService'); // Releases scheduled orders to the kitchen
+const orderEventService = require('./services/orderEventService'); // Live order streams
 
 const app = express();
 const PORT = process.env.PORT || 5000; // Use environment PORT or default to 5000
@@ -44,6 +46,9 @@ const server = app.listen(PORT, () => {
   console.log(`🌐 API available at http://localhost:${PORT}/api`);
   console.log(`📱 Frontend at ${process.env.CLIENT_URL || 'http://localhost:3000'}`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Check every minute for scheduled orders whose prep time has come
+  scheduleService.startReleaseTimer();
 });
 
 // PRODUCTION-READY GRACEFUL SHUTDOWN HANDLING
@@ -51,6 +56,9 @@ const server = app.listen(PORT, () => {
 const gracefulShutdown = (signal) => {
   console.log(`\n${signal} received. Shutting down gracefully...`);
   
+  scheduleService.stopReleaseTimer();
+  orderEventService.closeAllStreams(); // Open SSE connections would otherwise keep server.close() waiting
+
   // Stop accepting new requests, finish existing ones, then close
   server.close(async () => {
     console.log('HTTP server closed.');
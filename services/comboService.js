@@ -0,0 +1,337 @@
+// COMBO SERVICE - Combo types, the item pools they choose from and validation of combo selections
+// A combo declares its own rules: how many entrees come from its entree pool, whether the customer
+// also picks a base item from a base pool, which extras are included and what additional items cost.
+
+const { Op } = require('sequelize');
+const { sequelize, ComboType, ComboItemPool, ComboPoolItem, MenuItem, OrderItem } = require('../config/database');
+const { ApiError } = require('../utils/errorHandler');
+const comboSeeds = require('../config/comboSeeds');
+
+const byDisplayOrder = (a, b) => a.displayOrder - b.displayOrder || a.id - b.id;
+
+const poolInclude = (as) => ({
+  model: ComboItemPool,
+  as,
+  required: false,
+  include: [{
+    model: ComboPoolItem,
+    as: 'items',
+    required: false,
+    include: [{ model: MenuItem, as: 'menuItem' }]
+  }]
+});
+
+const COMBO_FIELDS = [
+  'name', 'description', 'basePrice', 'entreePoolId', 'entreeCount', 'basePoolId',
+  'includedExtras', 'additionalItemPrice', 'maxAdditionalItems', 'isActive', 'displayOrder'
+];
+
+class ComboService {
+  // Both pools of a combo with their menu items
+  comboIncludes() {
+    return [poolInclude('entreePool'), poolInclude('basePool')];
+  }
+
+  // Combos of a restaurant with both pools and their menu items loaded.
+  // Storefront calls only see active combos; admins can ask for everything.
+  async getCombos(restaurantId, { ids = null, includeInactive = false, transaction = null } = {}) {
+    const where = { restaurantId };
+    if (ids) where.id = ids;
+    if (!includeInactive) where.isActive = true;
+
+    const combos = await ComboType.findAll({
+      where,
+      include: this.comboIncludes(),
+      transaction
+    });
+    return combos.sort(byDisplayOrder);
+  }
+
+  async getCombo(restaurantId, id, options = {}) {
+    const [combo] = await this.getCombos(restaurantId, { ...options, ids: [id] });
+    return combo || null;
+  }
+
+  // Menu items of a pool in display order; the storefront only sees available ones
+  getPoolMenuItems(pool, { availableOnly = true } = {}) {
+    if (!pool) return [];
+    return (pool.items || [])
+      .slice()
+      .sort(byDisplayOrder)
+      .map(poolItem => poolItem.menuItem)
+      .filter(menuItem => menuItem && (!availableOnly || menuItem.isAvailable));
+  }
+
+  // Total quantity of included extras whose name mentions spring rolls, for older clients
+  countSpringRolls(combo) {
+    return (combo.includedExtras || [])
+      .filter(extra => /spring roll/i.test(extra.name))
+      .reduce((sum, extra) => sum + extra.quantity, 0);
+  }
+
+  // Public combo format (snake_case, as the storefront has always received it)
+  serializeCombo(combo) {
+    return {
+      id: combo.id,
+      name: combo.name,
+      description: combo.description,
+      base_price: combo.basePrice,
+      base_items: combo.baseItems,
+      entree_count: combo.entreeCount,
+      has_base_choice: Boolean(combo.basePoolId),
+      included_extras: combo.includedExtras || [],
+      additional_item_price: combo.additionalItemPrice,
+      max_additional_items: combo.maxAdditionalItems,
+      spring_rolls_included: this.countSpringRolls(combo),
+      display_order: combo.displayOrder
+    };
+  }
+
+  // Combo plus the items it can be built from. Base choices are flagged with is_entree = false.
+  serializeComboWithItems(combo) {
+    const toItem = (isEntree) => (menuItem, index) => ({
+      menu_item_id: menuItem.id,
+      item_name: menuItem.name,
+      description: menuItem.description,
+      price: menuItem.price,
+      is_entree: isEntree,
+      display_order: index + 1,
+      combo_type_id: combo.id
+    });
+    const baseItems = this.getPoolMenuItems(combo.basePool).map(toItem(false));
+    const entreeItems = this.getPoolMenuItems(combo.entreePool).map(toItem(true));
+
+    return {
+      combo: this.serializeCombo(combo),
+      availableItems: [...baseItems, ...entreeItems]
+    };
+  }
+
+  // Admin view of a combo type
+  serializeComboAdmin(combo) {
+    return {
+      id: combo.id,
+      name: combo.name,
+      description: combo.description,
+      basePrice: parseFloat(combo.basePrice),
+      entreePoolId: combo.entreePoolId,
+      entreeCount: combo.entreeCount,
+      basePoolId: combo.basePoolId,
+      baseItems: combo.baseItems,
+      includedExtras: combo.includedExtras || [],
+      additionalItemPrice: combo.additionalItemPrice === null ? null : parseFloat(combo.additionalItemPrice),
+      maxAdditionalItems: combo.maxAdditionalItems,
+      isActive: combo.isActive,
+      displayOrder: combo.displayOrder
+    };
+  }
+
+  // Check a customer's choices against the combo's rules. Selections are menu item IDs:
+  // { baseChoice, selectedItems, additionalItems }. Throws INVALID_COMBO_SELECTION otherwise.
+  validateSelections(combo, { baseChoice = null, selectedItems = [], additionalItems = [] }) {
+    const fail = (message) => {
+      throw new ApiError(message, 400, { code: 'INVALID_COMBO_SELECTION', comboId: combo.id });
+    };
+
+    if (!combo.entreePool) {
+      fail(`${combo.name} is not set up for ordering yet`);
+    }
+
+    const entreeIds = new Set(this.getPoolMenuItems(combo.entreePool).map(menuItem => menuItem.id));
+    const baseIds = new Set(this.getPoolMenuItems(combo.basePool).map(menuItem => menuItem.id));
+
+    if (selectedItems.length !== combo.entreeCount) {
+      fail(`Choose exactly ${combo.entreeCount} item${combo.entreeCount > 1 ? 's' : ''} for ${combo.name}`);
+    }
+    if (selectedItems.some(id => !entreeIds.has(id))) {
+      fail(`Some selected items are not part of ${combo.name}`);
+    }
+
+    if (combo.basePoolId) {
+      if (!baseChoice) {
+        fail(`Choose a base item for ${combo.name}`);
+      }
+      if (!baseIds.has(baseChoice)) {
+        fail(`The chosen base item is not part of ${combo.name}`);
+      }
+    } else if (baseChoice) {
+      fail(`${combo.name} does not have a base choice`);
+    }
+
+    if (additionalItems.length > 0) {
+      if (combo.additionalItemPrice === null) {
+        fail(`${combo.name} does not allow additional items`);
+      }
+      if (combo.maxAdditionalItems !== null && additionalItems.length > combo.maxAdditionalItems) {
+        fail(`${combo.name} allows at most ${combo.maxAdditionalItems} additional item${combo.maxAdditionalItems === 1 ? '' : 's'}`);
+      }
+      if (additionalItems.some(id => !entreeIds.has(id))) {
+        fail(`Some additional items are not part of ${combo.name}`);
+      }
+    }
+  }
+
+  // Create (combo = null) or update a combo type. Pools must belong to the same restaurant.
+  async saveCombo(restaurantId, combo, data) {
+    const fields = COMBO_FIELDS
+      .filter(field => data[field] !== undefined)
+      .reduce((values, field) => ({ ...values, [field]: data[field] }), {});
+
+    const poolIds = [fields.entreePoolId, fields.basePoolId].filter(id => id !== undefined && id !== null);
+    if (poolIds.length > 0) {
+      const count = await ComboItemPool.count({ where: { id: [...new Set(poolIds)], restaurantId } });
+      if (count !== new Set(poolIds).size) {
+        throw new ApiError('Item pool not found for this restaurant');
+      }
+    }
+
+    if (combo) {
+      await combo.update(fields);
+    } else {
+      combo = await ComboType.create({ ...fields, restaurantId });
+    }
+    return this.getCombo(restaurantId, combo.id, { includeInactive: true });
+  }
+
+  // Combos that were ordered are kept for order history; deactivate them instead
+  async deleteCombo(combo) {
+    const orderCount = await OrderItem.count({ where: { comboTypeId: combo.id } });
+    if (orderCount > 0) {
+      throw new ApiError(`${combo.name} has been ordered before; set isActive to false to hide it instead`, 409, { code: 'COMBO_IN_USE' });
+    }
+    await combo.destroy();
+  }
+
+  // Every pool of a restaurant with its menu items and the combos using it (admin view)
+  async listPools(restaurantId) {
+    const pools = await ComboItemPool.findAll({
+      where: { restaurantId },
+      include: [{ model: ComboPoolItem, as: 'items', include: [{ model: MenuItem, as: 'menuItem' }] }],
+      order: [['name', 'ASC']]
+    });
+    const combos = await ComboType.findAll({ where: { restaurantId }, attributes: ['id', 'entreePoolId', 'basePoolId'] });
+    return pools.map(pool => this.serializePool(pool, combos));
+  }
+
+  async getPool(restaurantId, id, transaction = null) {
+    return ComboItemPool.findOne({
+      where: { id, restaurantId },
+      include: [{ model: ComboPoolItem, as: 'items', include: [{ model: MenuItem, as: 'menuItem' }] }],
+      transaction
+    });
+  }
+
+  serializePool(pool, combos = []) {
+    return {
+      id: pool.id,
+      name: pool.name,
+      description: pool.description,
+      items: this.getPoolMenuItems(pool, { availableOnly: false }).map(menuItem => ({
+        menuItemId: menuItem.id,
+        name: menuItem.name,
+        isAvailable: menuItem.isAvailable
+      })),
+      comboTypeIds: combos
+        .filter(combo => combo.entreePoolId === pool.id || combo.basePoolId === pool.id)
+        .map(combo => combo.id)
+    };
+  }
+
+  // Create (pool = null) or update a pool. menuItemIds replaces the pool's items, in the given order.
+  async savePool(restaurantId, pool, data) {
+    const fields = ['name', 'description']
+      .filter(field => data[field] !== undefined)
+      .reduce((values, field) => ({ ...values, [field]: data[field] }), {});
+
+    const poolId = await sequelize.transaction(async (transaction) => {
+      if (pool) {
+        await pool.update(fields, { transaction });
+      } else {
+        pool = await ComboItemPool.create({ ...fields, restaurantId }, { transaction });
+      }
+
+      if (data.menuItemIds !== undefined) {
+        await this.replacePoolItems(restaurantId, pool, data.menuItemIds, transaction);
+      }
+      return pool.id;
+    });
+
+    return this.getPool(restaurantId, poolId);
+  }
+
+  async replacePoolItems(restaurantId, pool, menuItemIds, transaction) {
+    if (!Array.isArray(menuItemIds) || menuItemIds.some(id => !Number.isInteger(parseInt(id)))) {
+      throw new ApiError('menuItemIds must be an array of IDs');
+    }
+    const itemIds = [...new Set(menuItemIds.map(id => parseInt(id)))];
+
+    const count = await MenuItem.count({ where: { id: itemIds, restaurantId }, transaction });
+    if (count !== itemIds.length) {
+      throw new ApiError('Some menu items do not belong to this restaurant');
+    }
+
+    await ComboPoolItem.destroy({ where: { poolId: pool.id }, transaction });
+    await ComboPoolItem.bulkCreate(
+      itemIds.map((menuItemId, index) => ({ poolId: pool.id, menuItemId, displayOrder: index })),
+      { transaction }
+    );
+  }
+
+  // Pools referenced by a combo can't be removed
+  async deletePool(pool) {
+    const comboCount = await ComboType.count({
+      where: { [Op.or]: [{ entreePoolId: pool.id }, { basePoolId: pool.id }] }
+    });
+    if (comboCount > 0) {
+      throw new ApiError(`${pool.name} is used by ${comboCount} combo${comboCount > 1 ? 's' : ''}`, 409, { code: 'POOL_IN_USE' });
+    }
+    await pool.destroy(); // Pool items cascade
+  }
+
+  // Load the starter pools and combos from config/comboSeeds.js, matching menu items by name
+  // within the restaurant. Existing pools and combos with the same name are updated.
+  async seedCombos(restaurantId, seeds = comboSeeds) {
+    const itemNames = [...new Set(seeds.pools.flatMap(pool => pool.items))];
+    const menuItems = await MenuItem.findAll({ where: { restaurantId, name: itemNames } });
+    const menuItemIdsByName = new Map(menuItems.map(menuItem => [menuItem.name, menuItem.id]));
+    const missingItems = itemNames.filter(name => !menuItemIdsByName.has(name));
+
+    return sequelize.transaction(async (transaction) => {
+      const poolIdsByName = new Map();
+      for (const seed of seeds.pools) {
+        const [pool] = await ComboItemPool.findOrCreate({
+          where: { restaurantId, name: seed.name },
+          defaults: { description: seed.description },
+          transaction
+        });
+        const menuItemIds = seed.items.filter(name => menuItemIdsByName.has(name)).map(name => menuItemIdsByName.get(name));
+        await this.replacePoolItems(restaurantId, pool, menuItemIds, transaction);
+        poolIdsByName.set(seed.name, pool.id);
+      }
+
+      for (const seed of seeds.combos) {
+        const { entreePool, basePool, ...fields } = seed;
+        const values = {
+          ...fields,
+          entreePoolId: poolIdsByName.get(entreePool),
+          basePoolId: basePool ? poolIdsByName.get(basePool) : null
+        };
+        const existing = await ComboType.findOne({ where: { restaurantId, name: seed.name }, transaction });
+        if (existing) {
+          await existing.update(values, { transaction });
+        } else {
+          await ComboType.create({ ...values, restaurantId }, { transaction });
+        }
+      }
+
+      if (missingItems.length > 0) {
+        console.warn(`⚠️ Combo seed skipped items not on restaurant ${restaurantId}'s menu: ${missingItems.join(', ')}`);
+      }
+      console.log(`✅ Seeded ${seeds.pools.length} combo pools and ${seeds.combos.length} combos for restaurant ${restaurantId}`);
+
+      return { pools: seeds.pools.length, combos: seeds.combos.length, missingItems };
+    });
+  }
+}
+
+module.exports = new ComboService();
@@ -0,0 +1,81 @@
+// DELIVERY SERVICE - Matches delivery addresses to a restaurant's delivery zones
+// Zones are radius rings around the restaurant or GeoJSON polygons, each with its own fee,
+// minimum order and estimated delivery time. Restaurants without zones deliver anywhere at
+// the default fee.
+
+const { ApiError } = require('../utils/errorHandler');
+const { distanceKm, isPointInGeometry } = require('../utils/geo');
+const geocodingService = require('./geocodingService');
+
+class DeliveryService {
+  getZones(restaurant) {
+    const zones = restaurant.deliverySettings?.zones;
+    return Array.isArray(zones) ? zones : [];
+  }
+
+  hasZones(restaurant) {
+    return this.getZones(restaurant).length > 0;
+  }
+
+  // First zone, in the order configured, that contains the location (list inner rings first)
+  findZone(restaurant, location) {
+    const origin = restaurant.deliverySettings?.origin;
+    const distance = origin ? distanceKm(origin, location) : null;
+
+    const zone = this.getZones(restaurant).find(candidate => {
+      if (candidate.type === 'radius') {
+        return distance !== null && distance <= candidate.radiusKm;
+      }
+      if (candidate.type === 'polygon') {
+        return isPointInGeometry(location, candidate.polygon);
+      }
+      return false;
+    });
+
+    return zone ? { zone, distance } : null;
+  }
+
+  // Geocode a delivery address. Returns null when the restaurant has no zones (nothing to match);
+  // throws a 400 ApiError when the address can't be located. This may call the geocoding API, so
+  // call it before opening a database transaction and pass the result to resolveDeliveryZone.
+  async locateAddress(restaurant, address) {
+    if (!this.hasZones(restaurant)) return null;
+
+    if (!address) {
+      throw new ApiError('Address is required for delivery orders', 400, { code: 'ADDRESS_REQUIRED' });
+    }
+
+    const location = await geocodingService.geocode(address);
+    if (!location) {
+      throw new ApiError('We could not find that delivery address', 400, { code: 'ADDRESS_NOT_FOUND' });
+    }
+    return location;
+  }
+
+  // Find the zone of a delivery address, geocoding it unless its location (from locateAddress) is
+  // given. Returns null when the restaurant has no zones; throws a 400 ApiError when the address
+  // can't be located or is outside every zone.
+  async resolveDeliveryZone(restaurant, address, location = null) {
+    if (!this.hasZones(restaurant)) return null;
+
+    location = location || await this.locateAddress(restaurant, address);
+
+    const match = this.findZone(restaurant, location);
+    if (!match) {
+      throw new ApiError('This address is outside our delivery area', 400, { code: 'OUTSIDE_DELIVERY_AREA' });
+    }
+
+    const { zone, distance } = match;
+    return {
+      name: zone.name,
+      fee: zone.fee,
+      minimumOrder: zone.minimumOrder || 0,
+      estimatedMinutes: zone.estimatedMinutes || null,
+      distanceKm: distance === null ? null : Math.round(distance * 100) / 100,
+      lat: location.lat,
+      lng: location.lng
+    };
+  }
+}
+
+module.exports = new DeliveryService();
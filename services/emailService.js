@@ -1,4 +1,12 @@
 const nodemailer = require('nodemailer');
+const scheduleService = require('./scheduleService');
+
+// Text typed by customers (gift card names and messages) is escaped before it goes into HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
 
 class EmailService {
   constructor() {
@@ -81,32 +89,285 @@ class EmailService {
     }
   }
 
-  parseOrderItem(item) {
+  // Gift card code for the recipient (or the buyer when no recipient was given)
+  async sendGiftCard(giftCard, code, restaurant = null) {
+    try {
+      if (!this.transporter) {
+        console.warn('⚠️  Email service not configured. Skipping email send.');
+        return { messageId: 'skipped-no-config' };
+      }
+
+      const restaurantName = restaurant?.name || 'Golden Chopsticks';
+      const restaurantEmail = restaurant?.contactInfo?.email || process.env.EMAIL_FROM || process.env.EMAIL_USER;
+      const emailContent = this.generateGiftCardEmail(giftCard, code, restaurant);
+
+      const result = await this.transporter.sendMail({
+        from: `"${restaurantName}" <${restaurantEmail}>`,
+        to: giftCard.recipientEmail || giftCard.purchaserEmail,
+        ...(giftCard.recipientEmail && giftCard.purchaserEmail && { cc: giftCard.purchaserEmail }),
+        subject: `Your ${restaurantName} gift card`,
+        html: emailContent.html,
+        text: emailContent.text
+      });
+      console.log('📧 Gift card email sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('❌ Error sending gift card email:', error);
+      throw error;
+    }
+  }
+
+  generateGiftCardEmail(giftCard, code, restaurant = null) {
+    const restaurantName = restaurant?.name || 'Golden Chopsticks';
+    const primaryColor = restaurant?.themeColors?.primary || '#f59e0b';
+    const amount = Number(giftCard.balance).toFixed(2);
+    const greeting = giftCard.recipientName ? `Hi ${giftCard.recipientName},` : 'Hi,';
+    const expiry = giftCard.expiresAt
+      ? `Valid until ${new Date(giftCard.expiresAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}.`
+      : 'This card does not expire.';
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+        <div style="background: ${primaryColor}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0;">${restaurantName} Gift Card</h1>
+        </div>
+        <div style="padding: 20px; background: #fff;">
+          <p>${escapeHtml(greeting)}</p>
+          <p>You have a <strong>$${amount}</strong> gift card for ${restaurantName}.</p>
+          ${giftCard.message ? `<p style="font-style: italic; border-left: 4px solid ${primaryColor}; padding-left: 12px;">${escapeHtml(giftCard.message)}</p>` : ''}
+          <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+            <div style="font-size: 12px; color: #666;">Gift card code</div>
+            <div style="font-size: 24px; font-weight: bold; letter-spacing: 2px;">${code}</div>
+          </div>
+          <p>Enter the code at checkout to pay for all or part of your order. ${expiry}</p>
+        </div>
+      </div>
+    `;
+
+    const text = `
+${greeting}
+
+You have a $${amount} gift card for ${restaurantName}.
+${giftCard.message ? `\n"${giftCard.message}"\n` : ''}
+Gift card code: ${code}
+
+Enter the code at checkout to pay for all or part of your order. ${expiry}
+    `;
+
+    return { html, text };
+  }
+
+  // Storefront address of a restaurant for links in emails: its custom domain, else the configured frontend
+  getStorefrontUrl(restaurant = null) {
+    if (restaurant?.domain) {
+      return /^https?:\/\//.test(restaurant.domain) ? restaurant.domain : `https://${restaurant.domain}`;
+    }
+    return process.env.CLIENT_URL || 'http://localhost:3000';
+  }
+
+  // Email verification link for a new account, branded as the user's restaurant
+  async sendEmailVerification(user, verifyUrl, restaurant = null) {
+    try {
+      if (!this.transporter) {
+        console.warn('⚠️  Email service not configured. Skipping email send.');
+        return { messageId: 'skipped-no-config' };
+      }
+
+      const restaurantName = restaurant?.name || 'Golden Chopsticks';
+      const restaurantEmail = restaurant?.contactInfo?.email || process.env.EMAIL_FROM || process.env.EMAIL_USER;
+      const emailContent = this.generateEmailVerificationEmail(user, verifyUrl, restaurant);
+
+      const result = await this.transporter.sendMail({
+        from: `"${restaurantName}" <${restaurantEmail}>`,
+        to: user.email,
+        subject: `Verify your email for ${restaurantName}`,
+        html: emailContent.html,
+        text: emailContent.text
+      });
+      console.log('📧 Email verification sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('❌ Error sending email verification:', error);
+      throw error;
+    }
+  }
+
+  generateEmailVerificationEmail(user, verifyUrl, restaurant = null) {
+    const restaurantName = restaurant?.name || 'Golden Chopsticks';
+    const primaryColor = restaurant?.themeColors?.primary || '#f59e0b';
+    const logo = restaurant?.logo;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+        <div style="background: ${primaryColor}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+          ${logo ? `<img src="${escapeHtml(logo)}" alt="${escapeHtml(restaurantName)}" style="max-height: 60px; margin-bottom: 10px;">` : ''}
+          <h1 style="margin: 0;">${restaurantName}</h1>
+        </div>
+        <div style="padding: 20px; background: #fff;">
+          <p>Hi ${escapeHtml(user.firstName)},</p>
+          <p>Thanks for creating a ${restaurantName} account. Please confirm that this is your email address.</p>
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="${escapeHtml(verifyUrl)}" style="background: ${primaryColor}; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Verify email</a>
+          </p>
+          <p>This link expires in 24 hours.</p>
+          <p style="color: #666; font-size: 12px;">If you didn't create an account, you can ignore this email.</p>
+        </div>
+      </div>
+    `;
+
+    const text = `
+Hi ${user.firstName},
+
+Thanks for creating a ${restaurantName} account. Please confirm that this is your email address:
+${verifyUrl}
+
+This link expires in 24 hours.
+
+If you didn't create an account, you can ignore this email.
+    `;
+
+    return { html, text };
+  }
+
+  // Password reset link, sent from and branded as the user's restaurant
+  async sendPasswordReset(user, resetUrl, restaurant = null) {
     try {
-      // Check if itemName contains JSON combo data
-      const comboData = JSON.parse(item.itemName);
-      if (comboData.type === 'combo') {
-        return {
-          ...item,
-          isCombo: true,
-          displayName: comboData.originalName,
-          comboData: comboData,
-          quantity: item.quantity,
-          price: item.price
-        };
+      if (!this.transporter) {
+        console.warn('⚠️  Email service not configured. Skipping email send.');
+        return { messageId: 'skipped-no-config' };
       }
-    } catch (e) {
-      // Not JSON, treat as regular item
+
+      const restaurantName = restaurant?.name || 'Golden Chopsticks';
+      const restaurantEmail = restaurant?.contactInfo?.email || process.env.EMAIL_FROM || process.env.EMAIL_USER;
+      const emailContent = this.generatePasswordResetEmail(user, resetUrl, restaurant);
+
+      const result = await this.transporter.sendMail({
+        from: `"${restaurantName}" <${restaurantEmail}>`,
+        to: user.email,
+        subject: `Reset your ${restaurantName} password`,
+        html: emailContent.html,
+        text: emailContent.text
+      });
+      console.log('📧 Password reset email sent:', result.messageId);
+      return result;
+    } catch (error) {
+      console.error('❌ Error sending password reset email:', error);
+      throw error;
     }
+  }
+
+  generatePasswordResetEmail(user, resetUrl, restaurant = null) {
+    const restaurantName = restaurant?.name || 'Golden Chopsticks';
+    const primaryColor = restaurant?.themeColors?.primary || '#f59e0b';
+    const logo = restaurant?.logo;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+        <div style="background: ${primaryColor}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+          ${logo ? `<img src="${escapeHtml(logo)}" alt="${escapeHtml(restaurantName)}" style="max-height: 60px; margin-bottom: 10px;">` : ''}
+          <h1 style="margin: 0;">${restaurantName}</h1>
+        </div>
+        <div style="padding: 20px; background: #fff;">
+          <p>Hi ${escapeHtml(user.firstName)},</p>
+          <p>We received a request to reset the password of your ${restaurantName} account.</p>
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="${escapeHtml(resetUrl)}" style="background: ${primaryColor}; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Reset password</a>
+          </p>
+          <p>This link expires in 1 hour and can only be used once. Resetting your password signs you out on all devices.</p>
+          <p style="color: #666; font-size: 12px;">If you didn't ask to reset your password, you can ignore this email.</p>
+        </div>
+      </div>
+    `;
+
+    const text = `
+Hi ${user.firstName},
+
+We received a request to reset the password of your ${restaurantName} account.
+
+Reset your password: ${resetUrl}
+
+This link expires in 1 hour and can only be used once. Resetting your password signs you out on all devices.
+
+If you didn't ask to reset your password, you can ignore this email.
+    `;
+
+    return { html, text };
+  }
+
+  // Display data for an order line. details lists what was chosen: combo selections
+  // (base, entrees, paid and included extras) or the modifiers of a regular item.
+  parseOrderItem(item) {
+    const isCombo = Boolean(item.comboTypeId);
+    const withPrice = (label, price) => (Number(price) > 0 ? `${label} (+$${Number(price).toFixed(2)})` : label);
+
+    const details = isCombo
+      ? (item.selections || [])
+        .slice()
+        .sort((a, b) => a.displayOrder - b.displayOrder)
+        .map(selection => {
+          if (selection.role === 'base') return `Base: ${selection.itemName}`;
+          if (selection.role === 'additional') return withPrice(`Extra: ${selection.itemName}`, selection.priceDelta);
+          return selection.itemName;
+        })
+      : (item.modifiers || []).map(modifier => withPrice(modifier.optionName, modifier.price));
+
+    (item.comboType?.includedExtras || []).forEach(extra => {
+      details.push(`${extra.quantity} × ${extra.name} (included)`);
+    });
+
     return {
-      ...item,
-      isCombo: false,
+      isCombo,
       displayName: item.itemName,
+      details,
       quantity: item.quantity,
       price: item.price
     };
   }
 
+  // Label of the promo code discount row, e.g. "Discount (SPRING15)", or null when the order had none
+  getDiscountLabel(order) {
+    if (!(Number(order.discount) > 0)) {
+      return null;
+    }
+    const [orderDiscount] = order.discounts || [];
+    return orderDiscount ? `Discount (${orderDiscount.code})` : 'Discount';
+  }
+
+  // Tax rows to display, e.g. "GST (5%)". Orders placed before tax lines were stored show a single "Tax" row.
+  getTaxLines(order) {
+    if (!order.taxLines || order.taxLines.length === 0) {
+      return [{ label: 'Tax', amount: order.tax }];
+    }
+    return order.taxLines.map(taxLine => ({
+      label: `${taxLine.name} (${parseFloat((Number(taxLine.rate) * 100).toFixed(3))}%)`,
+      amount: taxLine.amount
+    }));
+  }
+
+  // When the customer can expect the order: their chosen slot, or the ASAP lead time
+  getOrderTiming(order, restaurant = null) {
+    const settingsSource = restaurant || {};
+    if (order.scheduledFor) {
+      const scheduledTime = scheduleService.formatLocalTime(order.scheduledFor, settingsSource);
+      return {
+        scheduledTime,
+        message: order.orderType === 'pickup'
+          ? `Your order is scheduled for pickup at ${scheduledTime}.`
+          : `Your order is scheduled for delivery at ${scheduledTime}.`
+      };
+    }
+
+    // Delivery zones carry their own estimate (outer zones take longer to reach)
+    const leadMinutes = order.deliveryZone?.estimatedMinutes ||
+      scheduleService.getLeadMinutes(settingsSource, order.orderType);
+    return {
+      scheduledTime: null,
+      message: order.orderType === 'pickup'
+        ? `Your order will be ready in about ${leadMinutes} minutes.`
+        : `Your order will be delivered in about ${leadMinutes} minutes.`
+    };
+  }
+
   generateOrderConfirmationEmail(order, restaurant = null) {
     // Extract restaurant info with fallbacks
     const restaurantName = restaurant?.name || 'Golden Chopsticks';
@@ -123,6 +384,10 @@ class EmailService {
       minute: '2-digit'
     });
 
+    const taxLines = this.getTaxLines(order);
+    const discountLabel = this.getDiscountLabel(order);
+    const timing = this.getOrderTiming(order, restaurant);
+
     const itemsHtml = order.items.map(item => {
       const parsedItem = this.parseOrderItem(item);
       return `
@@ -130,12 +395,9 @@ class EmailService {
           <td style="padding: 8px; border-bottom: 1px solid #eee;">
             ${parsedItem.quantity}x ${parsedItem.displayName}
             ${parsedItem.isCombo ? '<span style="background: #dc2626; color: white; font-size: 11px; padding: 2px 6px; border-radius: 3px; margin-left: 8px;">COMBO</span>' : ''}
-            ${parsedItem.isCombo && parsedItem.comboData ? `
+            ${parsedItem.details.length > 0 ? `
               <div style="font-size: 12px; color: #666; margin-top: 4px; padding-left: 16px;">
-                ${parsedItem.comboData.baseChoice ? '• Base: Chicken Chow Mein or Chicken Fried Rice<br>' : ''}
-                ${parsedItem.comboData.selectedItems && parsedItem.comboData.selectedItems.length > 0 ? `• ${parsedItem.comboData.selectedItems.length} selected entree${parsedItem.comboData.selectedItems.length > 1 ? 's' : ''}<br>` : ''}
-                ${parsedItem.comboData.additionalItems && parsedItem.comboData.additionalItems.length > 0 ? `• ${parsedItem.comboData.additionalItems.length} additional item${parsedItem.comboData.additionalItems.length > 1 ? 's' : ''}<br>` : ''}
-                ${[2, 3, 4, 5, 6, 7].includes(parsedItem.comboData.comboId) ? `• ${parsedItem.comboData.comboId === 2 ? '2' : parsedItem.comboData.comboId === 3 ? '3' : parsedItem.comboData.comboId === 4 ? '4' : parsedItem.comboData.comboId === 5 ? '6' : parsedItem.comboData.comboId === 6 ? '8' : '10'} Spring Roll${parsedItem.comboData.comboId === 2 ? 's' : 's'} (included)` : ''}
+                ${parsedItem.details.map(detail => `• ${detail}`).join('<br>')}
               </div>
             ` : ''}
           </td>
@@ -152,22 +414,10 @@ class EmailService {
       
       if (parsedItem.isCombo) {
         itemText += ' [COMBO]';
-        if (parsedItem.comboData) {
-          if (parsedItem.comboData.baseChoice) {
-            itemText += '\n   • Base: Chicken Chow Mein or Chicken Fried Rice';
-          }
-          if (parsedItem.comboData.selectedItems && parsedItem.comboData.selectedItems.length > 0) {
-            itemText += `\n   • ${parsedItem.comboData.selectedItems.length} selected entree${parsedItem.comboData.selectedItems.length > 1 ? 's' : ''}`;
-          }
-          if (parsedItem.comboData.additionalItems && parsedItem.comboData.additionalItems.length > 0) {
-            itemText += `\n   • ${parsedItem.comboData.additionalItems.length} additional item${parsedItem.comboData.additionalItems.length > 1 ? 's' : ''}`;
-          }
-          if ([2, 3, 4, 5, 6, 7].includes(parsedItem.comboData.comboId)) {
-            const springRolls = parsedItem.comboData.comboId === 2 ? '2' : parsedItem.comboData.comboId === 3 ? '3' : parsedItem.comboData.comboId === 4 ? '4' : parsedItem.comboData.comboId === 5 ? '6' : parsedItem.comboData.comboId === 6 ? '8' : '10';
-            itemText += `\n   • ${springRolls} Spring Rolls (included)`;
-          }
-        }
       }
+      parsedItem.details.forEach(detail => {
+        itemText += `\n   • ${detail}`;
+      });
       
       itemText += ` - $${Number(parsedItem.price * parsedItem.quantity).toFixed(2)}`;
       return itemText;
@@ -198,6 +448,7 @@ class EmailService {
           <p><strong>Order #:</strong> ${order.id}</p>
           <p><strong>Order Date:</strong> ${formattedDate}</p>
           <p><strong>Order Type:</strong> ${order.orderType.charAt(0).toUpperCase() + order.orderType.slice(1)}</p>
+          <p><strong>${order.orderType === 'pickup' ? 'Pickup Time' : 'Delivery Time'}:</strong> ${timing.scheduledTime || 'As soon as possible'}</p>
           ${order.orderType === 'delivery' ? `<p><strong>Delivery Address:</strong> ${order.customerAddress}</p>` : ''}
           <p><strong>Phone:</strong> ${order.customerPhone}</p>
           ${order.notes ? `<p><strong>Special Instructions:</strong> ${order.notes}</p>` : ''}
@@ -222,10 +473,24 @@ class EmailService {
               <td><strong>Subtotal:</strong></td>
               <td style="text-align: right;"><strong>$${Number(order.subtotal).toFixed(2)}</strong></td>
             </tr>
+            ${discountLabel ? `
+            <tr>
+              <td><strong>${discountLabel}:</strong></td>
+              <td style="text-align: right;"><strong>-$${Number(order.discount).toFixed(2)}</strong></td>
+            </tr>
+            ` : ''}
+            ${Number(order.loyaltyDiscount) > 0 ? `
             <tr>
-              <td><strong>Tax:</strong></td>
-              <td style="text-align: right;"><strong>$${Number(order.tax).toFixed(2)}</strong></td>
+              <td><strong>Loyalty points (${order.loyaltyPointsRedeemed}):</strong></td>
+              <td style="text-align: right;"><strong>-$${Number(order.loyaltyDiscount).toFixed(2)}</strong></td>
             </tr>
+            ` : ''}
+            ${taxLines.map(taxLine => `
+            <tr>
+              <td><strong>${taxLine.label}:</strong></td>
+              <td style="text-align: right;"><strong>$${Number(taxLine.amount).toFixed(2)}</strong></td>
+            </tr>
+            `).join('')}
             ${order.deliveryFee > 0 ? `
             <tr>
               <td><strong>Delivery Fee:</strong></td>
@@ -236,16 +501,26 @@ class EmailService {
               <td><strong>Total:</strong></td>
               <td style="text-align: right;"><strong>$${Number(order.total).toFixed(2)}</strong></td>
             </tr>
+            ${Number(order.giftCardAmount) > 0 ? `
+            <tr>
+              <td><strong>Paid by gift card:</strong></td>
+              <td style="text-align: right;"><strong>-$${Number(order.giftCardAmount).toFixed(2)}</strong></td>
+            </tr>
+            <tr>
+              <td><strong>Amount due:</strong></td>
+              <td style="text-align: right;"><strong>$${order.getAmountDue().toFixed(2)}</strong></td>
+            </tr>
+            ` : ''}
           </table>
         </div>
         
         <div style="background: #e3f2fd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2196f3;">
           <h3 style="margin-top: 0; color: #1976d2;">What's Next?</h3>
           ${order.orderType === 'pickup' ? `
-            <p><strong>Pickup:</strong> Your order will be ready in 15-20 minutes. We'll call you when it's ready!</p>
+            <p><strong>Pickup:</strong> ${timing.message} We'll call you when it's ready!</p>
             <p><strong>Location:</strong> ${restaurantAddress}</p>
           ` : `
-            <p><strong>Delivery:</strong> Your order will be delivered in 30-45 minutes.</p>
+            <p><strong>Delivery:</strong> ${timing.message}</p>
             <p>Our driver will call you when they arrive.</p>
           `}
           <p><strong>Payment:</strong> ${order.paymentStatus === 'paid' ? 'Paid online' : `${order.paymentMethod.replace('_', ' ')} on ${order.orderType}`}</p>
@@ -277,6 +552,7 @@ Order Details:
 - Order #: ${order.id}
 - Order Date: ${formattedDate}
 - Order Type: ${order.orderType.charAt(0).toUpperCase() + order.orderType.slice(1)}
+- ${order.orderType === 'pickup' ? 'Pickup Time' : 'Delivery Time'}: ${timing.scheduledTime || 'As soon as possible'}
 ${order.orderType === 'delivery' ? `- Delivery Address: ${order.customerAddress}` : ''}
 - Phone: ${order.customerPhone}
 ${order.notes ? `- Special Instructions: ${order.notes}` : ''}
@@ -286,16 +562,19 @@ ${itemsText}
 
 Order Summary:
 - Subtotal: $${Number(order.subtotal).toFixed(2)}
-- Tax: $${Number(order.tax).toFixed(2)}
+${discountLabel ? `- ${discountLabel}: -$${Number(order.discount).toFixed(2)}` : ''}
+${Number(order.loyaltyDiscount) > 0 ? `- Loyalty points (${order.loyaltyPointsRedeemed}): -$${Number(order.loyaltyDiscount).toFixed(2)}` : ''}
+${taxLines.map(taxLine => `- ${taxLine.label}: $${Number(taxLine.amount).toFixed(2)}`).join('\n')}
 ${order.deliveryFee > 0 ? `- Delivery Fee: $${Number(order.deliveryFee).toFixed(2)}` : ''}
 - Total: $${Number(order.total).toFixed(2)}
+${Number(order.giftCardAmount) > 0 ? `- Paid by gift card: -$${Number(order.giftCardAmount).toFixed(2)}\n- Amount due: $${order.getAmountDue().toFixed(2)}` : ''}
 
 What's Next?
 ${order.orderType === 'pickup' ? `
-Your order will be ready for pickup in 15-20 minutes. We'll call you when it's ready!
+${timing.message} We'll call you when it's ready!
 Location: ${restaurantAddress}
 ` : `
-Your order will be delivered in 30-45 minutes. Our driver will call you when they arrive.
+${timing.message} Our driver will call you when they arrive.
 `}
 Payment: ${order.paymentStatus === 'paid' ? 'Paid online' : `${order.paymentMethod.replace('_', ' ')} on ${order.orderType}`}
 
@@ -0,0 +1,99 @@
+// EMAIL VERIFICATION SERVICE - Proves a customer owns the email address they signed up with
+// The emailed link carries a signed JWT naming the user and the address; it expires after a day.
+// Restaurants can require a verified email for checkout and loyalty points (emailVerificationSettings).
+
+const jwt = require('jsonwebtoken');
+const { User, Restaurant } = require('../config/database');
+const emailService = require('./emailService');
+const { ApiError } = require('../utils/errorHandler');
+
+const VERIFICATION_TOKEN_TTL = '24h';
+const VERIFICATION_AUDIENCE = 'email-verification'; // Keeps these tokens from working as sign-in tokens
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Used for any setting a restaurant has not configured in emailVerificationSettings
+const DEFAULT_EMAIL_VERIFICATION_SETTINGS = {
+  requiredForCheckout: false,
+  requiredForLoyalty: false
+};
+
+class EmailVerificationService {
+  getSettings(restaurant) {
+    return { ...DEFAULT_EMAIL_VERIFICATION_SETTINGS, ...(restaurant.emailVerificationSettings || {}) };
+  }
+
+  // Throw a 403 when the restaurant requires a verified email for a feature ('checkout' or
+  // 'loyalty') and the signed-in user hasn't verified theirs. Guests are not affected.
+  assertVerifiedFor(restaurant, user, feature) {
+    if (!user || user.emailVerified) return;
+
+    const settings = this.getSettings(restaurant);
+    const required = feature === 'checkout' ? settings.requiredForCheckout : settings.requiredForLoyalty;
+    if (required) {
+      throw new ApiError('Please verify your email address first', 403, { code: 'EMAIL_NOT_VERIFIED', feature });
+    }
+  }
+
+  createToken(user) {
+    return jwt.sign({ sub: String(user.id), email: user.email }, process.env.JWT_SECRET, {
+      audience: VERIFICATION_AUDIENCE,
+      expiresIn: VERIFICATION_TOKEN_TTL
+    });
+  }
+
+  // Email a verification link, branded for the restaurant the user signed up with.
+  // Email failures are logged, not thrown: the user can ask for another link.
+  async sendVerification(user, restaurant = null) {
+    const brand = restaurant || await Restaurant.findByPk(user.restaurantId);
+    const verifyUrl = `${emailService.getStorefrontUrl(brand)}/verify-email?token=${this.createToken(user)}`;
+
+    await user.update({ emailVerificationSentAt: new Date() });
+    try {
+      await emailService.sendEmailVerification(user, verifyUrl, brand);
+    } catch (error) {
+      console.error(`Failed to email verification link to user ${user.id}:`, error);
+    }
+  }
+
+  // Send another link unless one went out within the last minute
+  async resendVerification(user) {
+    if (user.emailVerified) {
+      throw new ApiError('Your email address is already verified', 409, { code: 'EMAIL_ALREADY_VERIFIED' });
+    }
+
+    const sentAt = user.emailVerificationSentAt ? new Date(user.emailVerificationSentAt).getTime() : 0;
+    const waitMs = sentAt + RESEND_COOLDOWN_MS - Date.now();
+    if (waitMs > 0) {
+      throw new ApiError('A verification email was just sent. Please wait before asking for another.', 429, {
+        code: 'VERIFICATION_RESEND_THROTTLED',
+        retryAfter: Math.ceil(waitMs / 1000)
+      });
+    }
+
+    await this.sendVerification(user);
+  }
+
+  // Mark the user in a verification link as verified. Links for an address the account no
+  // longer uses are rejected; verifying twice is harmless.
+  async verifyToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET, { audience: VERIFICATION_AUDIENCE });
+    } catch (error) {
+      throw new ApiError('This verification link is invalid or has expired', 400, { code: 'VERIFICATION_TOKEN_INVALID' });
+    }
+
+    const user = await User.findByPk(payload.sub);
+    if (!user || user.email !== payload.email) {
+      throw new ApiError('This verification link is invalid or has expired', 400, { code: 'VERIFICATION_TOKEN_INVALID' });
+    }
+
+    if (!user.emailVerified) {
+      await user.update({ emailVerified: true });
+      console.log(`Email verified for user ${user.id}`);
+    }
+    return user;
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -0,0 +1,98 @@
+// GEOCODING SERVICE - Turns delivery addresses into coordinates
+// Uses the Google Geocoding API (GOOGLE_API_KEY). GEOCODING_PROVIDER=local switches to an offline
+// stand-in for developing and testing delivery zones; it is never picked automatically, because its
+// made-up coordinates would put real addresses in the wrong zone.
+
+const axios = require('axios');
+const { ApiError } = require('../utils/errorHandler');
+
+// The local stand-in places addresses it doesn't recognise around this point (West Kelowna, BC)
+const LOCAL_CENTER = { lat: 49.8625, lng: -119.5833 };
+const LOCAL_SPREAD_KM = 12;
+
+// "49.86,-119.58" style addresses are taken literally by the local stand-in
+const COORDINATE_PATTERN = /^\s*(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)\s*$/;
+
+class GeocodingService {
+  getProvider() {
+    return process.env.GEOCODING_PROVIDER === 'local' ? 'local' : 'google';
+  }
+
+  // Returns { lat, lng, formattedAddress, provider, approximate } or null when the address can't be found.
+  // Throws a 503 ApiError (GEOCODING_UNAVAILABLE) when Google is the provider but no API key is set.
+  async geocode(address) {
+    if (!address || !String(address).trim()) return null;
+
+    if (this.getProvider() === 'local') {
+      return this.geocodeLocally(address);
+    }
+    if (!process.env.GOOGLE_API_KEY) {
+      console.error('Geocoding needs GOOGLE_API_KEY (or GEOCODING_PROVIDER=local for development)');
+      throw new ApiError('Delivery address lookup is unavailable right now', 503, { code: 'GEOCODING_UNAVAILABLE' });
+    }
+    return this.geocodeWithGoogle(address);
+  }
+
+  async geocodeWithGoogle(address) {
+    const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+      params: { address, key: process.env.GOOGLE_API_KEY },
+      timeout: 5000
+    });
+
+    const result = response.data.results?.[0];
+    if (response.data.status !== 'OK' || !result) {
+      return null;
+    }
+
+    return {
+      lat: result.geometry.location.lat,
+      lng: result.geometry.location.lng,
+      formattedAddress: result.formatted_address,
+      provider: 'google',
+      approximate: result.geometry.location_type === 'APPROXIMATE'
+    };
+  }
+
+  // Offline stand-in: literal "lat,lng" strings are used as-is; any other address gets a stable
+  // point within LOCAL_SPREAD_KM of LOCAL_CENTER derived from its text, so the same address
+  // always lands in the same zone.
+  geocodeLocally(address) {
+    const text = String(address).trim();
+    const match = COORDINATE_PATTERN.exec(text);
+    if (match) {
+      return {
+        lat: parseFloat(match[1]),
+        lng: parseFloat(match[2]),
+        formattedAddress: text,
+        provider: 'local',
+        approximate: false
+      };
+    }
+
+    const hash = this.hashAddress(text.toLowerCase().replace(/\s+/g, ' '));
+    const bearing = (hash % 3600) / 3600 * 2 * Math.PI;
+    const distance = (Math.floor(hash / 3600) % 1000) / 1000 * LOCAL_SPREAD_KM;
+    const kmPerDegreeLat = 111.32;
+    const kmPerDegreeLng = kmPerDegreeLat * Math.cos(LOCAL_CENTER.lat * Math.PI / 180);
+
+    return {
+      lat: LOCAL_CENTER.lat + (distance * Math.cos(bearing)) / kmPerDegreeLat,
+      lng: LOCAL_CENTER.lng + (distance * Math.sin(bearing)) / kmPerDegreeLng,
+      formattedAddress: text,
+      provider: 'local',
+      approximate: true
+    };
+  }
+
+  // FNV-1a - a small stable string hash
+  hashAddress(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,352 @@
+// GIFT CARD SERVICE - Issuing, selling and spending restaurant gift cards
+// Codes are random and only their SHA-256 hash is stored, so a code is shown to the issuing admin or
+// emailed to the buyer once. Every balance change locks the card row and adds a ledger entry.
+
+const crypto = require('crypto');
+const { stripe, STRIPE_CURRENCY } = require('../config/stripe');
+const { sequelize, GiftCard, GiftCardTransaction, Restaurant } = require('../config/database');
+const emailService = require('./emailService');
+const { ApiError } = require('../utils/errorHandler');
+const { toCents, fromCents } = require('../utils/money');
+
+// No 0/O or 1/I, so codes read out over the phone are unambiguous
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 16; // 80 random bits
+
+// Amounts customers can buy online, in dollars
+const PURCHASE_MIN_AMOUNT = 5;
+const PURCHASE_MAX_AMOUNT = 500;
+
+// Largest balance an admin can load onto a card at once
+const ISSUE_MAX_AMOUNT = 1000;
+
+class GiftCardService {
+  // Codes are matched without dashes, spaces or case
+  normalizeCode(code) {
+    return typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+  }
+
+  hashCode(code) {
+    return crypto.createHash('sha256').update(this.normalizeCode(code)).digest('hex');
+  }
+
+  // XXXX-XXXX-XXXX-XXXX
+  generateCode() {
+    const characters = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+    return characters.join('').match(/.{4}/g).join('-');
+  }
+
+  codeFields(code) {
+    const normalized = this.normalizeCode(code);
+    return { codeHash: this.hashCode(normalized), lastFour: normalized.slice(-4) };
+  }
+
+  // Active card of a restaurant that can pay for an order. Inside a transaction the card row is
+  // locked until the order is saved. Throws a 400 ApiError with code GIFT_CARD_INVALID otherwise.
+  async getUsableCard(restaurantId, code, { transaction = null, now = new Date() } = {}) {
+    const reject = (message, reason) => {
+      throw new ApiError(message, 400, { code: 'GIFT_CARD_INVALID', reason });
+    };
+
+    const giftCard = this.normalizeCode(code) ? await GiftCard.findOne({
+      where: { restaurantId, codeHash: this.hashCode(code) },
+      ...(transaction && { lock: transaction.LOCK.UPDATE }),
+      transaction
+    }) : null;
+
+    if (!giftCard || giftCard.status === 'pending') {
+      reject('Gift card not found', 'NOT_FOUND');
+    }
+    if (giftCard.status === 'disabled') {
+      reject('This gift card has been disabled', 'DISABLED');
+    }
+    if (giftCard.expiresAt && giftCard.expiresAt <= now) {
+      reject('This gift card has expired', 'EXPIRED');
+    }
+    if (toCents(giftCard.balance) <= 0) {
+      reject('This gift card has no balance left', 'EMPTY');
+    }
+    return giftCard;
+  }
+
+  // Part of an order total (in cents) a card pays for
+  getApplicableCents(giftCard, totalCents) {
+    return Math.min(toCents(giftCard.balance), totalCents);
+  }
+
+  // Change a card's balance and record it. The card row must be locked by the caller's transaction.
+  async postTransaction(giftCard, { type, amountCents, orderId = null, createdBy = null, note = null }, transaction) {
+    const balanceCents = toCents(giftCard.balance) + amountCents;
+    if (balanceCents < 0) {
+      throw new ApiError('Gift card balance cannot go below zero', 400, {
+        code: 'GIFT_CARD_INSUFFICIENT_BALANCE',
+        balance: parseFloat(giftCard.balance)
+      });
+    }
+
+    await giftCard.update({ balance: fromCents(balanceCents) }, { transaction });
+    return GiftCardTransaction.create({
+      giftCardId: giftCard.id,
+      orderId,
+      type,
+      amount: fromCents(amountCents),
+      balanceAfter: fromCents(balanceCents),
+      createdBy,
+      note
+    }, { transaction });
+  }
+
+  // Spend the gift card part of a new order (same transaction as the order)
+  async redeemForOrder(giftCard, order, transaction) {
+    const amountCents = toCents(order.giftCardAmount);
+    if (amountCents <= 0) return null;
+
+    return this.postTransaction(giftCard, {
+      type: 'redeem',
+      amountCents: -amountCents,
+      orderId: order.id,
+      note: `Order ${order.orderNumber}`
+    }, transaction);
+  }
+
+  // Put what a cancelled order took from a gift card back on the card. Safe to call repeatedly.
+  async restoreOrderAmount(order, transaction) {
+    const entries = await GiftCardTransaction.findAll({ where: { orderId: order.id }, transaction });
+    const redemptions = entries.filter(entry => entry.type === 'redeem');
+    if (redemptions.length === 0) return null;
+
+    const sumOf = (list) => list.reduce((sum, entry) => sum + toCents(entry.amount), 0);
+    const outstandingCents = -sumOf(redemptions) - sumOf(entries.filter(entry => entry.type === 'refund'));
+    if (outstandingCents <= 0) return null;
+
+    const giftCard = await GiftCard.findByPk(redemptions[0].giftCardId, { lock: transaction.LOCK.UPDATE, transaction });
+    return this.postTransaction(giftCard, {
+      type: 'refund',
+      amountCents: outstandingCents,
+      orderId: order.id,
+      note: `Order ${order.orderNumber} cancelled`
+    }, transaction);
+  }
+
+  // ADMIN - Create an active card with a balance. Returns the card and its code (shown only once).
+  async issueCard(restaurant, { amount, recipientEmail = null, recipientName = null, message = null, expiresAt = null }, issuedBy) {
+    const amountCents = toCents(amount);
+    if (!Number.isFinite(amountCents) || amountCents <= 0 || amountCents > toCents(ISSUE_MAX_AMOUNT)) {
+      throw new ApiError(`Gift card amount must be between $0.01 and $${ISSUE_MAX_AMOUNT}`);
+    }
+
+    const code = this.generateCode();
+    const giftCard = await sequelize.transaction(async (transaction) => {
+      const card = await GiftCard.create({
+        restaurantId: restaurant.id,
+        ...this.codeFields(code),
+        status: 'active',
+        initialBalance: fromCents(amountCents),
+        balance: 0,
+        source: 'admin',
+        issuedBy: issuedBy.id,
+        recipientEmail: recipientEmail || null,
+        recipientName: recipientName || null,
+        message: message || null,
+        expiresAt: expiresAt || null
+      }, { transaction });
+
+      await this.postTransaction(card, { type: 'issue', amountCents, createdBy: issuedBy.id }, transaction);
+      return card;
+    });
+
+    return { giftCard, code };
+  }
+
+  // Start an online purchase: a pending card and a Stripe PaymentIntent for its amount.
+  // The card gets its code and balance when the payment_intent.succeeded webhook arrives.
+  async createPurchase(restaurant, { amount, purchaserEmail, recipientEmail = null, recipientName = null, message = null }) {
+    const amountCents = toCents(amount);
+    if (!Number.isFinite(amountCents) || amountCents < toCents(PURCHASE_MIN_AMOUNT) || amountCents > toCents(PURCHASE_MAX_AMOUNT)) {
+      throw new ApiError(`Gift cards can be bought for $${PURCHASE_MIN_AMOUNT} to $${PURCHASE_MAX_AMOUNT}`);
+    }
+
+    const giftCard = await GiftCard.create({
+      restaurantId: restaurant.id,
+      status: 'pending',
+      initialBalance: fromCents(amountCents),
+      balance: 0,
+      source: 'purchase',
+      purchaserEmail,
+      recipientEmail: recipientEmail || null,
+      recipientName: recipientName || null,
+      message: message || null
+    });
+
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: amountCents,
+      currency: STRIPE_CURRENCY,
+      automatic_payment_methods: {
+        enabled: true,
+      },
+      metadata: {
+        restaurantId: String(restaurant.id),
+        giftCardId: String(giftCard.id)
+      },
+      receipt_email: purchaserEmail
+    }, {
+      idempotencyKey: `gift-card-${giftCard.id}-intent`
+    });
+
+    await giftCard.update({ stripePaymentIntentId: paymentIntent.id });
+    return { giftCard, paymentIntent };
+  }
+
+  // payment_intent.succeeded for a gift card purchase: activate the card and email its code.
+  // Returns null when no pending card matches the intent.
+  async handlePurchaseSucceeded(paymentIntent) {
+    const { giftCard, code } = await sequelize.transaction(async (transaction) => {
+      const giftCard = await GiftCard.findOne({
+        where: { id: paymentIntent.metadata.giftCardId, stripePaymentIntentId: paymentIntent.id },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!giftCard) return {};
+      if (giftCard.status !== 'pending') return { giftCard }; // Already activated by an earlier delivery
+
+      if (paymentIntent.currency !== STRIPE_CURRENCY || paymentIntent.amount_received !== toCents(giftCard.initialBalance)) {
+        console.warn(`⚠️ Gift card ${giftCard.id} left pending: payment ${paymentIntent.id} does not match its amount`);
+        return { giftCard };
+      }
+
+      const code = this.generateCode();
+      await giftCard.update({ status: 'active', ...this.codeFields(code) }, { transaction });
+      await this.postTransaction(giftCard, {
+        type: 'purchase',
+        amountCents: toCents(giftCard.initialBalance),
+        note: `Stripe payment ${paymentIntent.id}`
+      }, transaction);
+      return { giftCard, code };
+    });
+
+    if (code) {
+      await this.sendCode(giftCard, code);
+    }
+    return giftCard || null;
+  }
+
+  // ADMIN - Replace a card's code (e.g. the email never arrived or the code was leaked).
+  // The old code stops working; the new one is returned and emailed when the card has an address.
+  async reissueCode(giftCard) {
+    if (giftCard.status === 'pending') {
+      throw new ApiError('This gift card has not been paid for yet', 409, { code: 'GIFT_CARD_PENDING' });
+    }
+
+    const code = this.generateCode();
+    await giftCard.update(this.codeFields(code));
+    await this.sendCode(giftCard, code);
+    return code;
+  }
+
+  // Email failures are logged, not thrown: admins can reissue the code
+  async sendCode(giftCard, code) {
+    if (!giftCard.recipientEmail && !giftCard.purchaserEmail) return;
+
+    try {
+      const restaurant = await Restaurant.findByPk(giftCard.restaurantId);
+      await emailService.sendGiftCard(giftCard, code, restaurant);
+    } catch (error) {
+      console.error(`Failed to email gift card ${giftCard.id}:`, error);
+    }
+  }
+
+  // ADMIN - Correct a card's balance by a signed amount
+  async adjustBalance(giftCard, { amount, note }, user) {
+    const amountCents = toCents(amount);
+    if (!Number.isFinite(amountCents) || amountCents === 0) {
+      throw new ApiError('Adjustment amount must be a non-zero dollar amount');
+    }
+    if (!note) {
+      throw new ApiError('A note explaining the adjustment is required');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const card = await GiftCard.findByPk(giftCard.id, { lock: transaction.LOCK.UPDATE, transaction });
+      const entry = await this.postTransaction(card, { type: 'adjustment', amountCents, createdBy: user.id, note }, transaction);
+      return { giftCard: card, entry };
+    });
+  }
+
+  // What a customer may see about a card from its code (balance lookup)
+  async getBalance(restaurantId, code) {
+    const giftCard = this.normalizeCode(code)
+      ? await GiftCard.findOne({ where: { restaurantId, codeHash: this.hashCode(code) } })
+      : null;
+    if (!giftCard || giftCard.status === 'pending') {
+      return null;
+    }
+
+    return {
+      lastFour: giftCard.lastFour,
+      balance: parseFloat(giftCard.balance),
+      status: giftCard.status,
+      expiresAt: giftCard.expiresAt
+    };
+  }
+
+  async listCards(restaurantId, { status = null, page = 1, limit = 20 } = {}) {
+    const where = { restaurantId };
+    if (status) where.status = status;
+
+    const { count, rows } = await GiftCard.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      giftCards: rows.map(giftCard => this.serializeCard(giftCard)),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  async getCardWithTransactions(giftCard) {
+    const transactions = await GiftCardTransaction.findAll({
+      where: { giftCardId: giftCard.id },
+      order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    return {
+      ...this.serializeCard(giftCard),
+      transactions: transactions.map(entry => ({
+        id: entry.id,
+        type: entry.type,
+        amount: parseFloat(entry.amount),
+        balanceAfter: parseFloat(entry.balanceAfter),
+        orderId: entry.orderId,
+        createdBy: entry.createdBy,
+        note: entry.note,
+        createdAt: entry.created_at
+      }))
+    };
+  }
+
+  serializeCard(giftCard) {
+    return {
+      id: giftCard.id,
+      lastFour: giftCard.lastFour,
+      status: giftCard.status,
+      source: giftCard.source,
+      initialBalance: parseFloat(giftCard.initialBalance),
+      balance: parseFloat(giftCard.balance),
+      purchaserEmail: giftCard.purchaserEmail,
+      recipientEmail: giftCard.recipientEmail,
+      recipientName: giftCard.recipientName,
+      expiresAt: giftCard.expiresAt,
+      createdAt: giftCard.created_at
+    };
+  }
+}
+
+module.exports = new GiftCardService();
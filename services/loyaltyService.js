@@ -0,0 +1,249 @@
+// LOYALTY SERVICE - Per-restaurant points ledger for registered customers
+// Customers earn points on completed, paid orders and redeem them for a discount at checkout.
+// An order's ledger entries are reconciled with its status and payment whenever either changes,
+// so cancelling or refunding an order takes back what it earned and returns the points spent on it.
+
+const { sequelize, LoyaltyTransaction, Order, Refund, Restaurant, User } = require('../config/database');
+const emailVerificationService = require('./emailVerificationService');
+const { ApiError } = require('../utils/errorHandler');
+const { toCents, fromCents } = require('../utils/money');
+
+// Used for any setting a restaurant has not configured in loyaltySettings
+const DEFAULT_LOYALTY_SETTINGS = {
+  enabled: false,
+  pointsPerDollar: 1,         // Points earned per dollar spent on food (after discounts)
+  pointValue: 0.01,           // Dollars one point is worth at checkout
+  minimumRedemption: 1,       // Fewest points a customer can redeem at once
+  maxRedemptionPercent: 100   // Share of the discounted subtotal points can pay for
+};
+
+// In-person payments are collected when the order is handed over, so completion means paid
+const IN_PERSON_PAYMENT_METHODS = ['card_on_arrival', 'cash_on_arrival'];
+
+class LoyaltyService {
+  getSettings(restaurant) {
+    return { ...DEFAULT_LOYALTY_SETTINGS, ...(restaurant.loyaltySettings || {}) };
+  }
+
+  // Points are always whole; their value is rounded to the cent
+  getPointsValueCents(settings, points) {
+    return Math.round(points * settings.pointValue * 100);
+  }
+
+  async getBalance(restaurantId, userId, transaction = null) {
+    const balance = await LoyaltyTransaction.sum('points', { where: { restaurantId, userId }, transaction });
+    return balance || 0;
+  }
+
+  // Check points a customer wants to redeem on an order and price them. amountCents is the subtotal
+  // after promo code discounts. Inside a transaction the customer row is locked so two checkouts
+  // can't spend the same points. Throws a 400 ApiError with code LOYALTY_REDEMPTION_INVALID otherwise.
+  async priceRedemption({ restaurant, userId, points, amountCents, transaction = null }) {
+    const reject = (message, reason, details = {}) => {
+      throw new ApiError(message, 400, { code: 'LOYALTY_REDEMPTION_INVALID', reason, ...details });
+    };
+    const settings = this.getSettings(restaurant);
+
+    if (!Number.isInteger(points) || points <= 0) {
+      reject('Loyalty points to redeem must be a positive whole number', 'INVALID_POINTS');
+    }
+    if (!settings.enabled) {
+      reject('This restaurant does not have a loyalty program', 'NOT_ENABLED');
+    }
+    if (!userId) {
+      reject('Sign in to redeem loyalty points', 'SIGN_IN_REQUIRED');
+    }
+    const user = await User.findByPk(userId, {
+      attributes: ['id', 'emailVerified'],
+      ...(transaction && { lock: transaction.LOCK.UPDATE, transaction })
+    });
+    if (!user) {
+      reject('Sign in to redeem loyalty points', 'SIGN_IN_REQUIRED');
+    }
+    emailVerificationService.assertVerifiedFor(restaurant, user, 'loyalty');
+    if (points < settings.minimumRedemption) {
+      reject(`At least ${settings.minimumRedemption} points must be redeemed at once`, 'BELOW_MINIMUM', {
+        minimumRedemption: settings.minimumRedemption
+      });
+    }
+
+    const amountCentsValue = this.getPointsValueCents(settings, points);
+    const maxCents = Math.floor(amountCents * settings.maxRedemptionPercent / 100);
+    if (amountCentsValue > maxCents) {
+      reject(`Points can pay for at most $${fromCents(maxCents).toFixed(2)} of this order`, 'ABOVE_MAXIMUM', {
+        maxPoints: Math.floor(maxCents / (settings.pointValue * 100))
+      });
+    }
+
+    const balance = await this.getBalance(restaurant.id, userId, transaction);
+    if (balance < points) {
+      reject('You do not have enough loyalty points', 'INSUFFICIENT_POINTS', { balance });
+    }
+
+    return { points, amountCents: amountCentsValue };
+  }
+
+  // Spend the points priced for a new order (same transaction as the order)
+  async recordRedemption(order, transaction) {
+    if (!order.userId || order.loyaltyPointsRedeemed <= 0) return null;
+
+    return this.postEntry({
+      restaurantId: order.restaurantId,
+      userId: order.userId,
+      orderId: order.id,
+      type: 'redeem',
+      points: -order.loyaltyPointsRedeemed,
+      description: `Redeemed on order ${order.orderNumber}`
+    }, transaction);
+  }
+
+  // Points earned by an order: what the customer paid for food, without tax or delivery fee
+  calculateEarnedPoints(settings, order) {
+    const spentCents = toCents(order.subtotal) - toCents(order.discount) - toCents(order.loyaltyDiscount);
+    return Math.floor(Math.max(spentCents, 0) * settings.pointsPerDollar / 100);
+  }
+
+  isPaid(order) {
+    return ['paid', 'partially_refunded'].includes(order.paymentStatus) || IN_PERSON_PAYMENT_METHODS.includes(order.paymentMethod);
+  }
+
+  // Bring an order's ledger entries in line with its status and payment. Safe to call repeatedly:
+  // - a completed, paid order earns points once, at the rate in force when it completed
+  // - refunds take back earned points in proportion to the share of the card payment refunded
+  // - cancelling or fully refunding the order takes back all earned points and returns the points spent on it
+  async syncOrderPoints(order, transaction = null) {
+    if (!order.userId) return [];
+
+    const apply = async (t) => {
+      // Serialize balance changes for this customer
+      const user = await User.findByPk(order.userId, { attributes: ['id', 'emailVerified'], lock: t.LOCK.UPDATE, transaction: t });
+
+      const entries = await LoyaltyTransaction.findAll({ where: { orderId: order.id }, transaction: t });
+      const sumOf = (type) => entries.filter(entry => entry.type === type).reduce((sum, entry) => sum + entry.points, 0);
+      const isVoided = order.status === 'cancelled' || order.paymentStatus === 'refunded';
+      const posted = [];
+      const post = async (type, points, description) => {
+        if (points === 0) return;
+        posted.push(await this.postEntry({
+          restaurantId: order.restaurantId,
+          userId: order.userId,
+          orderId: order.id,
+          type,
+          points,
+          description
+        }, t));
+      };
+
+      let earned = sumOf('earn');
+      if (earned === 0 && order.status === 'completed' && !isVoided && this.isPaid(order)) {
+        const restaurant = await Restaurant.findByPk(order.restaurantId, {
+          attributes: ['id', 'loyaltySettings', 'emailVerificationSettings'],
+          transaction: t
+        });
+        const settings = this.getSettings(restaurant);
+        // Restaurants can hold points back from customers who haven't verified their email
+        const verificationPending = emailVerificationService.getSettings(restaurant).requiredForLoyalty && !(user && user.emailVerified);
+        if (settings.enabled && !verificationPending) {
+          earned = this.calculateEarnedPoints(settings, order);
+          await post('earn', earned, `Earned on order ${order.orderNumber}`);
+        }
+      }
+
+      if (earned > 0) {
+        // Refunds only go back to the card, so they are measured against what the card paid
+        const chargedCents = toCents(order.getAmountDue());
+        const refundedCents = toCents(await Refund.sum('amount', {
+          where: { orderId: order.id, status: Refund.ACTIVE_STATUSES },
+          transaction: t
+        }) || 0);
+        let keptPoints = earned;
+        if (isVoided) {
+          keptPoints = 0;
+        } else if (chargedCents > 0 && refundedCents > 0) {
+          keptPoints = Math.floor(earned * Math.max(chargedCents - refundedCents, 0) / chargedCents);
+        }
+
+        const change = (keptPoints - earned) - sumOf('earn_reversal');
+        await post('earn_reversal', change, change < 0
+          ? `Reversed: order ${order.orderNumber} ${order.status === 'cancelled' ? 'cancelled' : 'refunded'}`
+          : `Restored: refund on order ${order.orderNumber} did not go through`);
+      }
+
+      const spent = -sumOf('redeem');
+      if (spent > 0) {
+        const change = (isVoided ? spent : 0) - sumOf('redeem_reversal');
+        await post('redeem_reversal', change, change > 0
+          ? `Returned: order ${order.orderNumber} ${order.status === 'cancelled' ? 'cancelled' : 'refunded'}`
+          : `Spent again on order ${order.orderNumber}`);
+      }
+
+      if (posted.length > 0) {
+        console.log(`Loyalty points for order ${order.orderNumber}: ${posted.map(entry => `${entry.type} ${entry.points}`).join(', ')}`);
+      }
+      return posted;
+    };
+
+    return transaction ? apply(transaction) : sequelize.transaction(apply);
+  }
+
+  // Callers lock the customer row first, so the balance can't move between the sum and the insert
+  async postEntry({ restaurantId, userId, orderId = null, type, points, description = null }, transaction) {
+    const balance = await this.getBalance(restaurantId, userId, transaction);
+    return LoyaltyTransaction.create({
+      restaurantId,
+      userId,
+      orderId,
+      type,
+      points,
+      balanceAfter: balance + points,
+      description
+    }, { transaction });
+  }
+
+  // A customer's balance and ledger at a restaurant, newest entries first
+  async getAccount(restaurant, userId, { page = 1, limit = 20 } = {}) {
+    const settings = this.getSettings(restaurant);
+    const offset = (page - 1) * limit;
+
+    const [balance, { count, rows }] = await Promise.all([
+      this.getBalance(restaurant.id, userId),
+      LoyaltyTransaction.findAndCountAll({
+        where: { restaurantId: restaurant.id, userId },
+        include: [{ model: Order, as: 'order', attributes: ['id', 'orderNumber'] }],
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        limit,
+        offset
+      })
+    ]);
+
+    return {
+      enabled: settings.enabled,
+      balance,
+      balanceValue: fromCents(this.getPointsValueCents(settings, balance)),
+      rules: {
+        pointsPerDollar: settings.pointsPerDollar,
+        pointValue: settings.pointValue,
+        minimumRedemption: settings.minimumRedemption,
+        maxRedemptionPercent: settings.maxRedemptionPercent
+      },
+      transactions: rows.map(entry => ({
+        id: entry.id,
+        type: entry.type,
+        points: entry.points,
+        balanceAfter: entry.balanceAfter,
+        description: entry.description,
+        orderId: entry.orderId,
+        orderNumber: entry.order ? entry.order.orderNumber : null,
+        createdAt: entry.created_at
+      })),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  }
+}
+
+module.exports = new LoyaltyService();
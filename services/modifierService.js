@@ -0,0 +1,258 @@
+// MODIFIER SERVICE - Modifier groups for menu items and validation of customer selections
+// A menu item's groups are the ones attached to the item itself plus the ones attached to its category.
+
+const { Op } = require('sequelize');
+const { sequelize, MenuItem, MenuCategory, ModifierGroup, ModifierOption, ModifierGroupAssignment } = require('../config/database');
+const { ApiError } = require('../utils/errorHandler');
+
+const byDisplayOrder = (a, b) => a.displayOrder - b.displayOrder || a.name.localeCompare(b.name);
+
+class ModifierService {
+  // Map of menu item ID -> serialized modifier groups that apply to it.
+  // Storefront calls only see active groups and available options; admins can ask for everything.
+  async getGroupsForItems(restaurantId, menuItems, { includeInactive = false, transaction = null } = {}) {
+    const groupsByItemId = new Map(menuItems.map(item => [item.id, []]));
+    if (menuItems.length === 0) return groupsByItemId;
+
+    const optionsInclude = { model: ModifierOption, as: 'options', required: false };
+    if (!includeInactive) {
+      optionsInclude.where = { isAvailable: true };
+    }
+
+    const assignments = await ModifierGroupAssignment.findAll({
+      where: {
+        [Op.or]: [
+          { menuItemId: menuItems.map(item => item.id) },
+          { categoryId: [...new Set(menuItems.map(item => item.categoryId))] }
+        ]
+      },
+      include: [{
+        model: ModifierGroup,
+        as: 'modifierGroup',
+        where: {
+          restaurantId, // Groups from other restaurants never apply
+          ...(includeInactive ? {} : { isActive: true })
+        },
+        include: [optionsInclude]
+      }],
+      transaction
+    });
+
+    menuItems.forEach(item => {
+      const groups = new Map();
+      assignments
+        .filter(assignment => assignment.menuItemId === item.id || assignment.categoryId === item.categoryId)
+        .forEach(assignment => groups.set(assignment.modifierGroup.id, assignment.modifierGroup));
+
+      groupsByItemId.set(item.id, [...groups.values()].sort(byDisplayOrder).map(group => this.serializeGroup(group)));
+    });
+
+    return groupsByItemId;
+  }
+
+  serializeGroup(group) {
+    return {
+      id: group.id,
+      name: group.name,
+      description: group.description,
+      minSelections: group.minSelections,
+      maxSelections: group.maxSelections,
+      displayOrder: group.displayOrder,
+      isActive: group.isActive,
+      options: (group.options || []).slice().sort(byDisplayOrder).map(option => ({
+        id: option.id,
+        name: option.name,
+        price: parseFloat(option.price),
+        isDefault: option.isDefault,
+        isAvailable: option.isAvailable,
+        displayOrder: option.displayOrder
+      }))
+    };
+  }
+
+  // Every group of a restaurant with its options and where it is attached (admin view)
+  async listGroups(restaurantId) {
+    const groups = await ModifierGroup.findAll({
+      where: { restaurantId },
+      include: [
+        { model: ModifierOption, as: 'options' },
+        { model: ModifierGroupAssignment, as: 'assignments' }
+      ]
+    });
+    return groups.sort(byDisplayOrder).map(group => this.serializeGroupWithAssignments(group));
+  }
+
+  async getGroup(restaurantId, id, transaction = null) {
+    const group = await ModifierGroup.findOne({
+      where: { id, restaurantId },
+      include: [
+        { model: ModifierOption, as: 'options' },
+        { model: ModifierGroupAssignment, as: 'assignments' }
+      ],
+      transaction
+    });
+    return group ? this.serializeGroupWithAssignments(group) : null;
+  }
+
+  serializeGroupWithAssignments(group) {
+    const assignments = group.assignments || [];
+    return {
+      ...this.serializeGroup(group),
+      menuItemIds: assignments.filter(assignment => assignment.menuItemId).map(assignment => assignment.menuItemId),
+      categoryIds: assignments.filter(assignment => assignment.categoryId).map(assignment => assignment.categoryId)
+    };
+  }
+
+  // Create (group = null) or update a group. options, menuItemIds and categoryIds replace the
+  // current set when given; options sent with an id are updated, the rest are created and any
+  // existing option left out is removed (past orders keep their snapshot).
+  async saveGroup(restaurantId, group, data) {
+    const fields = ['name', 'description', 'minSelections', 'maxSelections', 'displayOrder', 'isActive']
+      .filter(field => data[field] !== undefined)
+      .reduce((values, field) => ({ ...values, [field]: data[field] }), {});
+
+    const groupId = await sequelize.transaction(async (transaction) => {
+      if (group) {
+        await group.update(fields, { transaction });
+      } else {
+        group = await ModifierGroup.create({ ...fields, restaurantId }, { transaction });
+      }
+
+      if (data.options !== undefined) {
+        await this.replaceOptions(group, data.options, transaction);
+      }
+      if (data.menuItemIds !== undefined || data.categoryIds !== undefined) {
+        await this.replaceAssignments(restaurantId, group, data, transaction);
+      }
+      return group.id;
+    });
+
+    return this.getGroup(restaurantId, groupId);
+  }
+
+  async replaceOptions(group, options, transaction) {
+    if (!Array.isArray(options)) {
+      throw new ApiError('options must be an array');
+    }
+
+    const existing = await ModifierOption.findAll({ where: { modifierGroupId: group.id }, transaction });
+    const existingById = new Map(existing.map(option => [option.id, option]));
+    const keptIds = new Set();
+
+    for (const [index, option] of options.entries()) {
+      const values = {
+        name: option.name,
+        price: option.price !== undefined ? parseFloat(option.price) : 0,
+        isDefault: option.isDefault || false,
+        isAvailable: option.isAvailable !== undefined ? option.isAvailable : true,
+        displayOrder: option.displayOrder !== undefined ? option.displayOrder : index
+      };
+
+      if (option.id) {
+        const current = existingById.get(parseInt(option.id));
+        if (!current) {
+          throw new ApiError(`Option ${option.id} does not belong to this modifier group`);
+        }
+        await current.update(values, { transaction });
+        keptIds.add(current.id);
+      } else {
+        await ModifierOption.create({ ...values, modifierGroupId: group.id }, { transaction });
+      }
+    }
+
+    const removedIds = existing.filter(option => !keptIds.has(option.id)).map(option => option.id);
+    if (removedIds.length > 0) {
+      await ModifierOption.destroy({ where: { id: removedIds }, transaction });
+    }
+  }
+
+  // Items and categories must belong to the same restaurant as the group
+  async replaceAssignments(restaurantId, group, { menuItemIds, categoryIds }, transaction) {
+    const toIds = (ids, field) => {
+      if (ids === undefined) return undefined;
+      if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(parseInt(id)))) {
+        throw new ApiError(`${field} must be an array of IDs`);
+      }
+      return [...new Set(ids.map(id => parseInt(id)))];
+    };
+    const itemIds = toIds(menuItemIds, 'menuItemIds');
+    const catIds = toIds(categoryIds, 'categoryIds');
+
+    if (itemIds) {
+      const count = await MenuItem.count({ where: { id: itemIds, restaurantId }, transaction });
+      if (count !== itemIds.length) {
+        throw new ApiError('Some menu items do not belong to this restaurant');
+      }
+      await ModifierGroupAssignment.destroy({ where: { modifierGroupId: group.id, menuItemId: { [Op.ne]: null } }, transaction });
+      await ModifierGroupAssignment.bulkCreate(itemIds.map(menuItemId => ({ modifierGroupId: group.id, menuItemId })), { transaction });
+    }
+
+    if (catIds) {
+      const count = await MenuCategory.count({ where: { id: catIds, restaurantId }, transaction });
+      if (count !== catIds.length) {
+        throw new ApiError('Some categories do not belong to this restaurant');
+      }
+      await ModifierGroupAssignment.destroy({ where: { modifierGroupId: group.id, categoryId: { [Op.ne]: null } }, transaction });
+      await ModifierGroupAssignment.bulkCreate(catIds.map(categoryId => ({ modifierGroupId: group.id, categoryId })), { transaction });
+    }
+  }
+
+  // Validate the options a customer picked for one menu item against that item's groups.
+  // Selections are option IDs or { optionId } objects. Returns the chosen options in group order as
+  // { modifierGroupId, modifierOptionId, groupName, optionName, price }; throws INVALID_MODIFIERS otherwise.
+  selectModifiers(menuItem, groups, selections = []) {
+    if (!Array.isArray(selections)) {
+      throw new ApiError(`Modifiers for ${menuItem.name} must be a list of option IDs`, 400, { code: 'INVALID_MODIFIERS', menuItemId: menuItem.id });
+    }
+
+    const optionIds = selections.map(selection => parseInt(typeof selection === 'object' && selection !== null ? selection.optionId : selection));
+    if (optionIds.some(id => !Number.isInteger(id))) {
+      throw new ApiError(`Modifiers for ${menuItem.name} must be a list of option IDs`, 400, { code: 'INVALID_MODIFIERS', menuItemId: menuItem.id });
+    }
+    if (new Set(optionIds).size !== optionIds.length) {
+      throw new ApiError(`The same option was chosen twice for ${menuItem.name}`, 400, { code: 'INVALID_MODIFIERS', menuItemId: menuItem.id });
+    }
+
+    const offered = new Map();
+    groups.forEach(group => group.options.forEach(option => offered.set(option.id, { group, option })));
+
+    const unknownId = optionIds.find(id => !offered.has(id));
+    if (unknownId !== undefined) {
+      throw new ApiError(`Option ${unknownId} is not available for ${menuItem.name}`, 400, {
+        code: 'INVALID_MODIFIERS',
+        menuItemId: menuItem.id,
+        modifierOptionId: unknownId
+      });
+    }
+
+    groups.forEach(group => {
+      const count = optionIds.filter(id => offered.get(id).group.id === group.id).length;
+      if (count < group.minSelections) {
+        throw new ApiError(`Choose at least ${group.minSelections} ${group.name} option${group.minSelections > 1 ? 's' : ''} for ${menuItem.name}`, 400, {
+          code: 'INVALID_MODIFIERS',
+          menuItemId: menuItem.id,
+          modifierGroupId: group.id
+        });
+      }
+      if (group.maxSelections !== null && count > group.maxSelections) {
+        throw new ApiError(`Choose at most ${group.maxSelections} ${group.name} option${group.maxSelections > 1 ? 's' : ''} for ${menuItem.name}`, 400, {
+          code: 'INVALID_MODIFIERS',
+          menuItemId: menuItem.id,
+          modifierGroupId: group.id
+        });
+      }
+    });
+
+    return groups.flatMap(group => group.options
+      .filter(option => optionIds.includes(option.id))
+      .map(option => ({
+        modifierGroupId: group.id,
+        modifierOptionId: option.id,
+        groupName: group.name,
+        optionName: option.name,
+        price: option.price
+      })));
+  }
+}
+
+module.exports = new ModifierService();
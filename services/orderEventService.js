@@ -0,0 +1,140 @@
+// ORDER EVENT SERVICE - Live order events for kitchen screens and customer tracking pages
+// Events are published from Order model hooks, fanned out to Server-Sent Event subscribers and kept
+// in a short per-restaurant buffer so a reconnecting client can catch up from its Last-Event-ID.
+// The buffer lives in memory, so this assumes a single API process.
+
+const { EventEmitter } = require('events');
+const { Order } = require('../config/database');
+
+// Events kept per restaurant for reconnect replay
+const BUFFER_SIZE = 200;
+
+// Event IDs look like "<boot>-<sequence>" with a sequence per restaurant; the boot part tells a client
+// its ID came from before a restart
+const BOOT_ID = Date.now().toString(36);
+
+// Order fields sent with every event - enough to redraw a ticket or tracking page
+const ORDER_SUMMARY_FIELDS = [
+  'id', 'orderNumber', 'status', 'paymentStatus', 'orderType', 'total',
+  'customerFirstName', 'customerLastName', 'notes', 'scheduledFor', 'releasedAt', 'created_at', 'updated_at'
+];
+
+class OrderEventService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open stream
+    this.buffers = new Map(); // restaurantId -> recent events
+    this.sequences = new Map(); // restaurantId -> last event sequence
+    this.registerHooks();
+  }
+
+  // Publish after the surrounding transaction commits, so subscribers never see rolled-back changes
+  registerHooks() {
+    const afterCommit = (options, publish) => {
+      if (options.transaction) {
+        options.transaction.afterCommit(publish);
+      } else {
+        publish();
+      }
+    };
+
+    Order.addHook('afterCreate', 'orderEvents', (order, options) => {
+      afterCommit(options, () => this.publish('order.created', order));
+    });
+
+    Order.addHook('afterUpdate', 'orderEvents', (order, options) => {
+      const statusChanged = order.changed('status');
+      const paymentChanged = order.changed('paymentStatus') || order.changed('paymentReviewReason');
+      const previousStatus = order.previous('status');
+      const previousPaymentStatus = order.previous('paymentStatus');
+      const released = order.changed('releasedAt') && order.releasedAt !== null;
+
+      afterCommit(options, () => {
+        if (statusChanged) {
+          this.publish('order.status_changed', order, { fromStatus: previousStatus });
+        }
+        if (released) {
+          this.publish('order.released', order);
+        }
+        if (paymentChanged) {
+          this.publish('order.payment_updated', order, { fromPaymentStatus: previousPaymentStatus });
+        }
+      });
+    });
+  }
+
+  summarize(order) {
+    return ORDER_SUMMARY_FIELDS.reduce((summary, field) => {
+      summary[field] = order.get(field);
+      return summary;
+    }, {});
+  }
+
+  publish(type, order, details = {}) {
+    const sequence = (this.sequences.get(order.restaurantId) || 0) + 1;
+    this.sequences.set(order.restaurantId, sequence);
+
+    const event = {
+      id: `${BOOT_ID}-${sequence}`,
+      type,
+      restaurantId: order.restaurantId,
+      orderId: order.id,
+      data: {
+        ...details,
+        order: this.summarize(order)
+      }
+    };
+
+    const buffer = this.buffers.get(event.restaurantId) || [];
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    this.buffers.set(event.restaurantId, buffer);
+
+    this.emitter.emit(`restaurant:${event.restaurantId}`, event);
+    return event;
+  }
+
+  // Listen for a restaurant's events, optionally limited to one order. Returns an unsubscribe function.
+  subscribe(restaurantId, listener, { orderId = null } = {}) {
+    const channel = `restaurant:${restaurantId}`;
+    const handler = (event) => {
+      if (orderId === null || event.orderId === orderId) listener(event);
+    };
+
+    this.emitter.on(channel, handler);
+    return () => this.emitter.off(channel, handler);
+  }
+
+  // Run a callback when the server shuts down (streams end themselves so server.close() can finish)
+  onShutdown(listener) {
+    this.emitter.once('shutdown', listener);
+    return () => this.emitter.off('shutdown', listener);
+  }
+
+  closeAllStreams() {
+    this.emitter.emit('shutdown');
+  }
+
+  // Events published after lastEventId. complete is false when the ID is unknown (server restart or
+  // evicted from the buffer) and the client has to refetch instead.
+  getEventsSince(restaurantId, lastEventId, { orderId = null } = {}) {
+    const [bootId, sequence] = String(lastEventId).split('-');
+    const buffer = this.buffers.get(restaurantId) || [];
+    const afterSequence = parseInt(sequence);
+
+    if (bootId !== BOOT_ID || !Number.isInteger(afterSequence)) {
+      return { events: [], complete: false };
+    }
+
+    const oldest = buffer.length > 0 ? parseInt(buffer[0].id.split('-')[1]) : afterSequence + 1;
+    const events = buffer.filter(event =>
+      parseInt(event.id.split('-')[1]) > afterSequence &&
+      (orderId === null || event.orderId === orderId)
+    );
+
+    // Something between lastEventId and the oldest buffered event may have been dropped
+    return { events, complete: oldest <= afterSequence + 1 };
+  }
+}
+
+module.exports = new OrderEventService();
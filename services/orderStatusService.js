@@ -0,0 +1,97 @@
+// ORDER STATUS SERVICE - Enforces the order status transitions and records each change
+// All status changes go through here so order_status_history stays a complete timeline
+
+const { sequelize, Order, OrderStatusHistory } = require('../config/database');
+const loyaltyService = require('./loyaltyService');
+const giftCardService = require('./giftCardService');
+const paymentService = require('./paymentService');
+const { ApiError } = require('../utils/errorHandler');
+
+class OrderStatusService {
+  canTransition(fromStatus, toStatus) {
+    return (Order.STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  // Record the initial status when an order is placed
+  async recordCreation(order, { changedBy = null, transaction = null } = {}) {
+    return OrderStatusHistory.create({
+      orderId: order.id,
+      fromStatus: null,
+      toStatus: order.status,
+      changedBy: changedBy ? changedBy.id : null,
+      note: 'Order placed'
+    }, { transaction });
+  }
+
+  // Move an order to a new status. Throws a 400 ApiError when the transition is not allowed.
+  // changedBy: the user making the change (null for guests and system changes)
+  // Cancelling settles the card payment once the cancel has committed: a paid order is refunded
+  // (refundReason goes to Stripe) and an unpaid PaymentIntent is cancelled. Returns { order, refund }.
+  async changeStatus(order, toStatus, { changedBy = null, note = null, refundReason = null, transaction = null } = {}) {
+    const fromStatus = order.status;
+
+    if (!this.canTransition(fromStatus, toStatus)) {
+      throw new ApiError(`Order cannot move from ${fromStatus} to ${toStatus}`, 400, {
+        code: 'INVALID_STATUS_TRANSITION',
+        currentStatus: fromStatus,
+        allowedStatuses: Order.STATUS_TRANSITIONS[fromStatus] || []
+      });
+    }
+
+    const apply = async (t) => {
+      await order.update({ status: toStatus }, { transaction: t });
+      await OrderStatusHistory.create({
+        orderId: order.id,
+        fromStatus,
+        toStatus,
+        changedBy: changedBy ? changedBy.id : null,
+        note
+      }, { transaction: t });
+      // Completing an order earns loyalty points; cancelling it reverses them
+      if (['completed', 'cancelled'].includes(toStatus)) {
+        await loyaltyService.syncOrderPoints(order, t);
+      }
+      // Gift card payments go back on the card when an order is cancelled
+      if (toStatus === 'cancelled') {
+        await giftCardService.restoreOrderAmount(order, t);
+      }
+      return order;
+    };
+
+    const settle = () => this.settleCancellation(order, { refundReason, changedBy });
+
+    if (transaction) {
+      await apply(transaction);
+      // The caller commits; settle afterwards, when the cancellation can no longer roll back
+      if (toStatus === 'cancelled') {
+        transaction.afterCommit(() => settle().catch(error => {
+          console.error(`Failed to settle payment of cancelled order ${order.orderNumber}:`, error);
+        }));
+      }
+      return { order, refund: null };
+    }
+
+    await sequelize.transaction(apply);
+    const refund = toStatus === 'cancelled' ? await settle() : null;
+    return { order, refund };
+  }
+
+  // Refund or void the card payment of a cancelled order. A Stripe failure leaves the order
+  // cancelled and answers 502; retrying the refund is safe (same idempotency key).
+  async settleCancellation(order, { refundReason = null, changedBy = null } = {}) {
+    try {
+      return await paymentService.settleCancelledOrder(order, { reason: refundReason, requestedBy: changedBy });
+    } catch (error) {
+      if (error.type && error.type.startsWith('Stripe')) {
+        console.error(`Refund for cancelled order ${order.orderNumber} failed:`, error);
+        throw new ApiError(`Order was cancelled, but the payment could not be refunded: ${error.message}. Retry the refund.`, 502, {
+          code: 'CANCELLATION_REFUND_FAILED',
+          orderId: order.id
+        });
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new OrderStatusService();
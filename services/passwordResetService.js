@@ -0,0 +1,92 @@
+// PASSWORD RESET SERVICE - Emailed, single-use links for customers who forgot their password
+// A reset link carries a random token; only its SHA-256 hash is stored. Links expire after an
+// hour, work only in the restaurant they were issued for, and resetting the password signs the
+// user out everywhere.
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, PasswordResetToken, Restaurant, User } = require('../config/database');
+const emailService = require('./emailService');
+const sessionService = require('./sessionService');
+const { ApiError } = require('../utils/errorHandler');
+const { isValidPassword } = require('../utils/auth');
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+class PasswordResetService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Email a reset link when the address belongs to a user of the restaurant (accounts are per
+  // restaurant). Callers answer the same way whether or not it does, so the result is only for logging.
+  async requestReset(email, restaurantId) {
+    const user = await User.findOne({ where: { email, restaurantId } });
+    if (!user) {
+      console.log(`Password reset requested for an unknown email at restaurant ${restaurantId}`);
+      return false;
+    }
+
+    const restaurant = await Restaurant.findByPk(user.restaurantId);
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await sequelize.transaction(async (transaction) => {
+      // Only the newest link works
+      await PasswordResetToken.update({ usedAt: new Date() }, {
+        where: { userId: user.id, usedAt: null },
+        transaction
+      });
+      await PasswordResetToken.create({
+        userId: user.id,
+        restaurantId: user.restaurantId,
+        tokenHash: this.hashToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS)
+      }, { transaction });
+    });
+
+    const resetUrl = `${emailService.getStorefrontUrl(restaurant)}/reset-password?token=${token}`;
+    try {
+      await emailService.sendPasswordReset(user, resetUrl, restaurant);
+    } catch (error) {
+      console.error(`Failed to email password reset link to user ${user.id}:`, error);
+    }
+    return true;
+  }
+
+  // Set a new password from a reset link. The User beforeUpdate hook hashes the password;
+  // every session is revoked and bumping tokenVersion voids tokens issued before the reset.
+  async resetPassword({ token, password, restaurantId }) {
+    if (!isValidPassword(password)) {
+      throw new ApiError('Password must be at least 6 characters long');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const resetToken = await PasswordResetToken.findOne({
+        where: {
+          tokenHash: this.hashToken(token),
+          restaurantId,
+          usedAt: null,
+          expiresAt: { [Op.gt]: new Date() }
+        },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!resetToken) {
+        throw new ApiError('This password reset link is invalid or has expired', 400, { code: 'RESET_TOKEN_INVALID' });
+      }
+
+      const user = await User.findByPk(resetToken.userId, { transaction });
+      await user.update({
+        password,
+        tokenVersion: user.tokenVersion + 1
+      }, { transaction });
+      await resetToken.update({ usedAt: new Date() }, { transaction });
+      await sessionService.revokeAllForUser(user.id, 'password_reset', { transaction });
+
+      console.log(`Password reset for user ${user.id}; existing sessions revoked`);
+      return user;
+    });
+  }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,285 @@
+// PAYMENT SERVICE - Stripe PaymentIntents tied to server-priced orders
+// Intents are only ever created for amounts we computed, and an order is only marked paid
+// once Stripe confirms the amount and currency we expected
+
+const { stripe, STRIPE_CURRENCY } = require('../config/stripe');
+const { Order } = require('../config/database');
+const { ApiError } = require('../utils/errorHandler');
+const { toCents, fromCents } = require('../utils/money');
+const pricingService = require('./pricingService');
+const refundService = require('./refundService');
+const giftCardService = require('./giftCardService');
+
+// Intent statuses that can still be paid, so an existing intent can be handed back to the client
+const REUSABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+class PaymentService {
+  // Create (or reuse) a PaymentIntent for an existing unpaid card order
+  async createIntentForOrder(order) {
+    if (order.paymentMethod !== 'card') {
+      throw new ApiError('Only card orders can be paid online');
+    }
+    if (order.paymentStatus !== 'pending') {
+      throw new ApiError(`Order payment is already ${order.paymentStatus}`);
+    }
+
+    // A gift card may already cover part of the total; only the rest is charged
+    const amount = toCents(order.getAmountDue());
+    if (amount <= 0) {
+      throw new ApiError('Nothing is left to pay on this order');
+    }
+
+    // Hand back the current intent if it still matches the order (e.g. customer reloaded checkout)
+    if (order.stripePaymentIntentId) {
+      const existing = await stripe.paymentIntents.retrieve(order.stripePaymentIntentId);
+      if (REUSABLE_INTENT_STATUSES.includes(existing.status) && existing.amount === amount) {
+        return existing;
+      }
+    }
+
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount,
+      currency: STRIPE_CURRENCY,
+      automatic_payment_methods: {
+        enabled: true,
+      },
+      metadata: {
+        orderId: String(order.id),
+        restaurantId: String(order.restaurantId),
+        orderNumber: order.orderNumber,
+        customerEmail: order.customerEmail,
+        customerName: `${order.customerFirstName} ${order.customerLastName}`,
+        orderType: order.orderType
+      },
+      receipt_email: order.customerEmail
+    }, {
+      idempotencyKey: `order-${order.id}-intent-${amount}`
+    });
+
+    await order.update({ stripePaymentIntentId: paymentIntent.id });
+    return paymentIntent;
+  }
+
+  // Create a PaymentIntent for a cart that has not been placed yet. The order is linked
+  // later, when POST /api/orders is called with the intent ID. With a gift card, the intent is
+  // for what the card does not cover.
+  async createIntentForCart(restaurant, { items, orderType = 'pickup', customerAddress, promoCode = null, loyaltyPoints = 0, giftCardCode = null, userId = null, customerEmail, customerFirstName, customerLastName }) {
+    const pricing = await pricingService.priceOrder({
+      restaurant,
+      items,
+      orderType,
+      deliveryAddress: customerAddress,
+      promoCode,
+      loyaltyPoints,
+      customer: { userId, email: customerEmail }
+    });
+
+    let amountDueCents = toCents(pricing.total);
+    if (giftCardCode) {
+      const giftCard = await giftCardService.getUsableCard(restaurant.id, giftCardCode);
+      amountDueCents -= giftCardService.getApplicableCents(giftCard, amountDueCents);
+    }
+    if (amountDueCents <= 0) {
+      throw new ApiError('The gift card covers this order; no card payment is needed', 400, { code: 'NOTHING_TO_PAY' });
+    }
+
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: amountDueCents,
+      currency: STRIPE_CURRENCY,
+      automatic_payment_methods: {
+        enabled: true,
+      },
+      metadata: {
+        restaurantId: String(restaurant.id),
+        customerEmail: customerEmail || '',
+        customerName: `${customerFirstName || ''} ${customerLastName || ''}`.trim(),
+        orderType
+      },
+      receipt_email: customerEmail || null
+    });
+
+    return { paymentIntent, pricing: { ...pricing, amountDue: fromCents(amountDueCents) } };
+  }
+
+  // Load an intent the client wants to attach to a new order: it must belong to this restaurant and
+  // not be linked to an order yet. This calls Stripe, so call it before opening the order
+  // transaction and check the result with assertIntentUsable inside it.
+  async retrieveIntentForNewOrder(paymentIntentId, restaurantId) {
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    } catch (error) {
+      throw new ApiError('Payment intent not found');
+    }
+
+    if (paymentIntent.metadata.restaurantId !== String(restaurantId)) {
+      throw new ApiError('Payment intent does not belong to this restaurant');
+    }
+    if (paymentIntent.metadata.orderId) {
+      throw new ApiError('Payment intent is already linked to an order', 409, { code: 'PAYMENT_INTENT_ALREADY_USED' });
+    }
+
+    return paymentIntent;
+  }
+
+  // Make sure no order uses the intent yet and that it was created for the amount due we just priced
+  async assertIntentUsable(paymentIntent, expectedTotal, transaction = null) {
+    const existingOrder = await Order.findOne({ where: { stripePaymentIntentId: paymentIntent.id }, transaction });
+    if (existingOrder) {
+      throw new ApiError('Payment intent is already linked to an order', 409, { code: 'PAYMENT_INTENT_ALREADY_USED' });
+    }
+
+    if (paymentIntent.currency !== STRIPE_CURRENCY || paymentIntent.amount !== toCents(expectedTotal)) {
+      throw new ApiError('Payment intent amount does not match the order total', 400, {
+        code: 'PAYMENT_AMOUNT_MISMATCH',
+        paymentIntentAmount: fromCents(paymentIntent.amount),
+        orderTotal: expectedTotal
+      });
+    }
+  }
+
+  // Link a draft-cart intent to the order created from it, then apply its current state
+  async linkIntentToOrder(order, paymentIntent) {
+    const linkedIntent = await stripe.paymentIntents.update(paymentIntent.id, {
+      metadata: {
+        orderId: String(order.id),
+        orderNumber: order.orderNumber
+      }
+    });
+
+    return this.applyIntentToOrder(order, linkedIntent);
+  }
+
+  // Reasons an intent's charge doesn't match the order it claims to pay for (empty when it matches)
+  findIntentMismatches(order, paymentIntent) {
+    const mismatches = [];
+    const received = paymentIntent.amount_received || paymentIntent.amount;
+
+    if (paymentIntent.metadata.restaurantId && paymentIntent.metadata.restaurantId !== String(order.restaurantId)) {
+      mismatches.push(`restaurant ${paymentIntent.metadata.restaurantId} does not match order restaurant ${order.restaurantId}`);
+    }
+    if (order.stripePaymentIntentId && order.stripePaymentIntentId !== paymentIntent.id) {
+      mismatches.push(`order is linked to payment intent ${order.stripePaymentIntentId}, not ${paymentIntent.id}`);
+    }
+    if (paymentIntent.currency !== STRIPE_CURRENCY) {
+      mismatches.push(`currency ${paymentIntent.currency} does not match ${STRIPE_CURRENCY}`);
+    }
+    if (received !== toCents(order.getAmountDue())) {
+      mismatches.push(`amount $${fromCents(received).toFixed(2)} does not match amount due $${order.getAmountDue().toFixed(2)}`);
+    }
+
+    return mismatches;
+  }
+
+  // Mark the order paid when the intent succeeded for the right amount; otherwise flag it for review
+  async applyIntentToOrder(order, paymentIntent) {
+    if (paymentIntent.status !== 'succeeded') return order;
+
+    const mismatches = this.findIntentMismatches(order, paymentIntent);
+    if (mismatches.length > 0) {
+      console.warn(`⚠️ Payment ${paymentIntent.id} flagged for review on order ${order.orderNumber}: ${mismatches.join('; ')}`);
+      await order.update({ paymentReviewReason: mismatches.join('; ') });
+      return order;
+    }
+
+    if (order.paymentStatus === 'pending' || order.paymentStatus === 'failed') {
+      await order.update({ paymentStatus: 'paid', paymentReviewReason: null });
+      // A refund webhook may have arrived before this one
+      await refundService.updateOrderPaymentStatus(order);
+    }
+
+    // Paid after it was cancelled (the customer paid while the cancel went through): give it back.
+    // Checked on every delivery, so a retried webhook finishes a refund that failed before.
+    if (order.status === 'cancelled' && ['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+      await refundService.refundOrder(order, { reason: 'requested_by_customer', source: 'cancellation' });
+    }
+    return order;
+  }
+
+  // Settle the payment of an order that was just cancelled: refund what was paid online, and cancel
+  // an unpaid PaymentIntent so it can no longer be paid. Returns the refund issued, if any.
+  // Run it after the cancellation has committed; refunds use refundOrder's idempotency key, so
+  // retrying after a failure never refunds twice.
+  async settleCancelledOrder(order, { reason = null, requestedBy = null } = {}) {
+    if (!order.stripePaymentIntentId) return null;
+
+    if (['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+      return refundService.refundOrder(order, { reason, source: 'cancellation', requestedBy });
+    }
+
+    if (['pending', 'failed'].includes(order.paymentStatus)) {
+      try {
+        await stripe.paymentIntents.cancel(order.stripePaymentIntentId, {}, {
+          idempotencyKey: `order-${order.id}-intent-cancel`
+        });
+      } catch (error) {
+        // Already canceled is fine; succeeded means the payment beat the cancel, so apply it
+        // (applyIntentToOrder refunds it because the order is cancelled)
+        const paymentIntent = await stripe.paymentIntents.retrieve(order.stripePaymentIntentId);
+        if (paymentIntent.status === 'succeeded') {
+          await this.applyIntentToOrder(order, paymentIntent);
+        } else if (paymentIntent.status !== 'canceled') {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Find the order a webhook intent belongs to: by metadata first, then by stored intent ID
+  async findOrderForIntent(paymentIntent) {
+    const { orderId, restaurantId } = paymentIntent.metadata || {};
+
+    if (orderId && restaurantId) {
+      const order = await Order.findOne({ where: { id: orderId, restaurantId } });
+      if (order) return order;
+    }
+
+    return Order.findOne({ where: { stripePaymentIntentId: paymentIntent.id } });
+  }
+
+  // payment_intent.succeeded webhook
+  async handlePaymentSucceeded(paymentIntent) {
+    const order = await this.findOrderForIntent(paymentIntent);
+    if (!order) {
+      // The order is created after payment in the draft-cart flow; it will be checked when linked
+      console.log(`No order linked to payment intent ${paymentIntent.id} yet`);
+      return null;
+    }
+
+    return this.applyIntentToOrder(order, paymentIntent);
+  }
+
+  // payment_intent.payment_failed and payment_intent.canceled webhooks. Only a pending order can
+  // fail, so a late or retried failure never overrides a payment that already went through.
+  async handlePaymentFailed(paymentIntent) {
+    const order = await this.findOrderForIntent(paymentIntent);
+    if (!order) return null;
+
+    if (order.paymentStatus === 'pending') {
+      await order.update({ paymentStatus: 'failed' });
+    } else {
+      console.log(`Ignoring ${paymentIntent.status} for order ${order.orderNumber} (payment is ${order.paymentStatus})`);
+    }
+    return order;
+  }
+
+  // charge.dispute.created webhook: flag the order so restaurant admins see it in the payment review queue
+  async handleDisputeCreated(dispute) {
+    let paymentIntentId = dispute.payment_intent;
+    if (!paymentIntentId) {
+      const charge = await stripe.charges.retrieve(dispute.charge);
+      paymentIntentId = charge.payment_intent;
+    }
+
+    const order = await Order.findOne({ where: { stripePaymentIntentId: paymentIntentId } });
+    if (!order) return null;
+
+    const reason = `Dispute ${dispute.id} opened (${dispute.reason}) for $${fromCents(dispute.amount).toFixed(2)}`;
+    console.warn(`⚠️ ${reason} on order ${order.orderNumber}`);
+    await order.update({ paymentReviewReason: reason });
+    return order;
+  }
+}
+
+module.exports = new PaymentService();
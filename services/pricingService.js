@@ -0,0 +1,397 @@
+// PRICING SERVICE - Server-side order pricing
+// Recomputes every order line from the menu so client-supplied prices are never trusted
+
+const { MenuItem, OrderItem, OrderTaxLine, OrderDiscount } = require('../config/database');
+const { ApiError } = require('../utils/errorHandler');
+const { toCents, fromCents } = require('../utils/money');
+const deliveryService = require('./deliveryService');
+const modifierService = require('./modifierService');
+const comboService = require('./comboService');
+const promoCodeService = require('./promoCodeService');
+const loyaltyService = require('./loyaltyService');
+
+// Fallback rules until a restaurant configures its own
+const DEFAULT_TAX_RATE = parseFloat(process.env.DEFAULT_TAX_RATE || '0.05'); // GST
+const DEFAULT_DELIVERY_FEE = parseFloat(process.env.DEFAULT_DELIVERY_FEE || '0');
+
+// Client totals may differ from ours by at most one cent (rounding)
+const PRICE_TOLERANCE_CENTS = 1;
+
+// Whole number above zero, given as a number or a string of digits; null for anything else
+const toPositiveInteger = (value) => {
+  if (typeof value === 'number') {
+    return Number.isSafeInteger(value) && value > 0 ? value : null;
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) {
+    const number = parseInt(value, 10);
+    return Number.isSafeInteger(number) && number > 0 ? number : null;
+  }
+  return null;
+};
+
+class PricingService {
+  // Price a cart for a restaurant. Returns priced lines plus order totals (in dollars).
+  // Throws ApiError (400) when an item is unknown, unavailable or belongs to another restaurant,
+  // when a delivery address is outside the restaurant's delivery zones or below their minimum,
+  // when a promo code can't be used (customer = { userId, email } for per-customer limits), or when
+  // the signed-in customer (customer.userId) can't redeem loyaltyPoints. Inside a transaction, pass
+  // deliveryLocation from deliveryService.locateAddress so no geocoding call holds it open.
+  async priceOrder({ restaurant, items, orderType, deliveryAddress = null, deliveryLocation = null, promoCode = null, loyaltyPoints = 0, customer = {}, transaction = null }) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ApiError('Order items are required');
+    }
+
+    const lines = await this.priceLines(restaurant.id, items, transaction);
+    const subtotalCents = lines.reduce((sum, line) => sum + toCents(line.lineTotal), 0);
+
+    const deliveryZone = orderType === 'delivery'
+      ? await deliveryService.resolveDeliveryZone(restaurant, deliveryAddress, deliveryLocation)
+      : null;
+
+    if (deliveryZone && subtotalCents < toCents(deliveryZone.minimumOrder)) {
+      throw new ApiError(`Delivery to ${deliveryZone.name} requires a minimum order of $${Number(deliveryZone.minimumOrder).toFixed(2)}`, 400, {
+        code: 'BELOW_DELIVERY_MINIMUM',
+        minimumOrder: deliveryZone.minimumOrder,
+        subtotal: fromCents(subtotalCents)
+      });
+    }
+
+    let discount = null;
+    let lineDiscounts = lines.map(() => 0);
+    if (promoCode) {
+      const code = await promoCodeService.validateCode({
+        restaurantId: restaurant.id,
+        code: promoCode,
+        orderType,
+        subtotalCents,
+        customer,
+        transaction
+      });
+      const calculated = promoCodeService.calculateDiscount(code, lines);
+      if (calculated.amountCents === 0) {
+        throw new ApiError('This promo code does not apply to any item in your order', 400, {
+          code: 'PROMO_CODE_INVALID',
+          reason: 'NOT_APPLICABLE',
+          promoCode: code.code
+        });
+      }
+      discount = promoCodeService.toOrderDiscount(code, calculated.amountCents);
+      lineDiscounts = calculated.lineDiscounts;
+    }
+    const discountCents = discount ? toCents(discount.amount) : 0;
+
+    // Loyalty points pay for part of what is left after the promo code
+    let loyaltyRedemption = { points: 0, amountCents: 0 };
+    if (loyaltyPoints) {
+      loyaltyRedemption = await loyaltyService.priceRedemption({
+        restaurant,
+        userId: customer.userId,
+        points: loyaltyPoints,
+        amountCents: subtotalCents - discountCents,
+        transaction
+      });
+      lineDiscounts = this.addLoyaltyDiscount(lines, lineDiscounts, loyaltyRedemption.amountCents);
+    }
+
+    const deliveryFeeCents = this.calculateDeliveryFee(restaurant, orderType, deliveryZone);
+    const taxLines = this.calculateTaxLines(restaurant, this.applyLineDiscounts(lines, lineDiscounts), deliveryFeeCents);
+    const taxCents = taxLines.reduce((sum, taxLine) => sum + toCents(taxLine.amount), 0);
+
+    return {
+      lines,
+      taxLines,
+      subtotal: fromCents(subtotalCents),
+      discount: fromCents(discountCents),
+      promoCode: discount, // Order discount snapshot, or null
+      loyaltyPointsRedeemed: loyaltyRedemption.points,
+      loyaltyDiscount: fromCents(loyaltyRedemption.amountCents),
+      tax: fromCents(taxCents),
+      deliveryFee: fromCents(deliveryFeeCents),
+      total: fromCents(subtotalCents - discountCents - loyaltyRedemption.amountCents + taxCents + deliveryFeeCents),
+      deliveryZone
+    };
+  }
+
+  // Resolve each cart entry to a menu item or combo of this restaurant and price it
+  async priceLines(restaurantId, cartItems, transaction = null) {
+    const items = cartItems.map(item => this.normalizeCartItem(item));
+
+    const regularItems = items.filter(item => !item.isCombo);
+    const comboItems = items.filter(item => item.isCombo);
+
+    // Collect every menu item referenced directly or inside a combo so we load them in one query
+    const menuItemIds = new Set(regularItems.map(item => item.menuItemId));
+    comboItems.forEach(item => this.getComboSelectionIds(item).forEach(id => menuItemIds.add(id)));
+
+    const menuItems = await MenuItem.findAll({
+      where: {
+        id: [...menuItemIds],
+        isAvailable: true,
+        restaurantId // Ensure items belong to current restaurant
+      },
+      transaction
+    });
+    const menuItemsById = new Map(menuItems.map(menuItem => [menuItem.id, menuItem]));
+
+    if (menuItemsById.size !== menuItemIds.size) {
+      throw new ApiError('Some menu items are not available or do not belong to this restaurant');
+    }
+
+    // Modifier groups only apply to items ordered on their own, not to items chosen inside a combo
+    const orderedMenuItems = [...new Set(regularItems.map(item => item.menuItemId))].map(id => menuItemsById.get(id));
+    const groupsByItemId = await modifierService.getGroupsForItems(restaurantId, orderedMenuItems, { transaction });
+
+    const comboIds = [...new Set(comboItems.map(item => item.comboId))];
+    // Combos from other restaurants, or deactivated ones, cannot be ordered here
+    const combos = comboIds.length > 0 ? await comboService.getCombos(restaurantId, { ids: comboIds, transaction }) : [];
+    const combosById = new Map(combos.map(combo => [combo.id, combo]));
+
+    return items.map(item => {
+      if (item.isCombo) {
+        const combo = combosById.get(item.comboId);
+        if (!combo) {
+          throw new ApiError(`Combo type ${item.comboId} is not available or does not belong to this restaurant`, 400, {
+            code: 'COMBO_NOT_AVAILABLE',
+            comboId: item.comboId
+          });
+        }
+        comboService.validateSelections(combo, item);
+        return this.priceComboLine(combo, item, menuItemsById);
+      }
+
+      const menuItem = menuItemsById.get(item.menuItemId);
+      const modifiers = modifierService.selectModifiers(menuItem, groupsByItemId.get(menuItem.id), item.modifiers);
+      const unitCents = modifiers.reduce((sum, modifier) => sum + toCents(modifier.price), toCents(menuItem.price));
+      return {
+        isCombo: false,
+        menuItemId: menuItem.id,
+        categoryId: menuItem.categoryId, // Used to apply category-specific tax rates
+        itemName: menuItem.name,
+        modifiers,
+        quantity: item.quantity,
+        unitPrice: fromCents(unitCents),
+        lineTotal: fromCents(unitCents * item.quantity)
+      };
+    });
+  }
+
+  // Combo price = base price + one additional-item charge per extra selection.
+  // Selections must already have been checked with comboService.validateSelections.
+  priceComboLine(combo, item, menuItemsById) {
+    const additionalItems = item.additionalItems || [];
+    const additionalCents = additionalItems.length > 0 ? toCents(combo.additionalItemPrice) : 0;
+    const unitCents = toCents(combo.basePrice) + additionalItems.length * additionalCents;
+
+    // One row per chosen menu item, stored as OrderItemSelection
+    const toSelection = (role, priceDeltaCents) => (menuItemId) => ({
+      menuItemId,
+      role,
+      itemName: menuItemsById.get(menuItemId).name,
+      priceDelta: fromCents(priceDeltaCents)
+    });
+    const selections = [
+      ...(item.baseChoice ? [item.baseChoice] : []).map(toSelection('base', 0)),
+      ...(item.selectedItems || []).map(toSelection('entree', 0)),
+      ...additionalItems.map(toSelection('additional', additionalCents))
+    ];
+
+    return {
+      isCombo: true,
+      comboId: combo.id,
+      itemName: combo.name,
+      selectedItems: item.selectedItems || [],
+      additionalItems,
+      baseChoice: item.baseChoice || null,
+      selections,
+      quantity: item.quantity,
+      unitPrice: fromCents(unitCents),
+      lineTotal: fromCents(unitCents * item.quantity)
+    };
+  }
+
+  // Coerce IDs and quantity to integers (clients may send strings) and reject malformed entries
+  // with a 400, so nothing like NaN or 1.5 reaches a query. Only isCombo === true marks a combo.
+  normalizeCartItem(item) {
+    if (!item || typeof item !== 'object') {
+      throw new ApiError('Each item must be an object');
+    }
+
+    const quantity = toPositiveInteger(item.quantity);
+    if (quantity === null) {
+      throw new ApiError('Each item must have a positive whole quantity');
+    }
+
+    const toId = (value, message) => {
+      const id = toPositiveInteger(value);
+      if (id === null) throw new ApiError(message);
+      return id;
+    };
+
+    if (item.isCombo === true) {
+      const toSelectionIds = (value, field) => {
+        if (value === undefined || value === null) return [];
+        if (!Array.isArray(value)) throw new ApiError(`Combo ${field} must be a list of menu item IDs`);
+        return value.map(id => toId(id, `Combo ${field} must be a list of menu item IDs`));
+      };
+
+      return {
+        ...item,
+        quantity,
+        comboId: toId(item.comboId, 'Combo items require a valid comboId'),
+        selectedItems: toSelectionIds(item.selectedItems, 'selectedItems'),
+        additionalItems: toSelectionIds(item.additionalItems, 'additionalItems'),
+        baseChoice: item.baseChoice === undefined || item.baseChoice === null
+          ? null
+          : toId(item.baseChoice, 'Combo baseChoice must be a menu item ID')
+      };
+    }
+
+    return { ...item, isCombo: false, quantity, menuItemId: toId(item.menuItemId, 'Each item requires a valid menuItemId') };
+  }
+
+  // Menu item IDs chosen inside a combo (entrees, extras and base choice)
+  getComboSelectionIds(item) {
+    return [
+      ...(item.selectedItems || []),
+      ...(item.additionalItems || []),
+      ...(item.baseChoice ? [item.baseChoice] : [])
+    ].filter(id => id !== null && id !== undefined);
+  }
+
+  // Recompute an existing order's subtotal, discount, tax lines and total from its stored items, e.g.
+  // after a line was added to it. The delivery fee and the value of redeemed loyalty points stay as
+  // they were when the order was placed, and a promo code discount is reapplied with the rules it had then.
+  async recalculateOrderTotals(restaurant, order, transaction = null) {
+    const [orderItems, orderDiscount] = await Promise.all([
+      OrderItem.findAll({
+        where: { orderId: order.id },
+        include: [{ model: MenuItem, as: 'menuItem', attributes: ['id', 'categoryId'] }],
+        transaction
+      }),
+      OrderDiscount.findOne({ where: { orderId: order.id }, transaction })
+    ]);
+
+    const lines = orderItems.map(orderItem => ({
+      isCombo: Boolean(orderItem.comboTypeId),
+      categoryId: orderItem.menuItem ? orderItem.menuItem.categoryId : null,
+      lineTotal: fromCents(toCents(orderItem.price) * orderItem.quantity)
+    }));
+    const subtotalCents = lines.reduce((sum, line) => sum + toCents(line.lineTotal), 0);
+
+    let discountCents = 0;
+    let lineDiscounts = lines.map(() => 0);
+    if (orderDiscount) {
+      ({ amountCents: discountCents, lineDiscounts } = promoCodeService.calculateDiscount(orderDiscount, lines));
+      await orderDiscount.update({ amount: fromCents(discountCents) }, { transaction });
+    }
+
+    const loyaltyDiscountCents = toCents(order.loyaltyDiscount || 0);
+    if (loyaltyDiscountCents > 0) {
+      lineDiscounts = this.addLoyaltyDiscount(lines, lineDiscounts, loyaltyDiscountCents);
+    }
+
+    const deliveryFeeCents = toCents(order.deliveryFee || 0);
+    const taxLines = this.calculateTaxLines(restaurant, this.applyLineDiscounts(lines, lineDiscounts), deliveryFeeCents);
+    const taxCents = taxLines.reduce((sum, taxLine) => sum + toCents(taxLine.amount), 0);
+
+    await OrderTaxLine.destroy({ where: { orderId: order.id }, transaction });
+    await OrderTaxLine.bulkCreate(taxLines.map(taxLine => ({ orderId: order.id, ...taxLine })), { transaction });
+
+    await order.update({
+      subtotal: fromCents(subtotalCents),
+      discount: fromCents(discountCents),
+      tax: fromCents(taxCents),
+      total: fromCents(subtotalCents - discountCents - loyaltyDiscountCents + taxCents + deliveryFeeCents)
+    }, { transaction });
+
+    return order;
+  }
+
+  // Spread the value of redeemed loyalty points over what is left of every line after the promo code
+  addLoyaltyDiscount(lines, lineDiscounts, amountCents) {
+    const { lineDiscounts: loyaltyLineDiscounts } = promoCodeService.calculateDiscount(
+      { discountType: 'fixed', discountValue: fromCents(amountCents), categoryIds: null },
+      this.applyLineDiscounts(lines, lineDiscounts)
+    );
+    return lineDiscounts.map((amount, index) => amount + loyaltyLineDiscounts[index]);
+  }
+
+  // Lines as taxed: each line total less its share of the discount (in cents, one entry per line)
+  applyLineDiscounts(lines, lineDiscounts) {
+    return lines.map((line, index) => ({
+      ...line,
+      lineTotal: fromCents(toCents(line.lineTotal) - lineDiscounts[index])
+    }));
+  }
+
+  // Returns the delivery fee in cents
+  // The matched zone's fee, or the platform default for restaurants without delivery zones
+  calculateDeliveryFee(restaurant, orderType, deliveryZone = null) {
+    if (orderType !== 'delivery') return 0;
+    if (deliveryZone) return toCents(deliveryZone.fee);
+    return toCents(DEFAULT_DELIVERY_FEE);
+  }
+
+  // Tax rates configured for the restaurant, or the platform default when none are set
+  getTaxRates(restaurant) {
+    if (restaurant.taxSettings && Array.isArray(restaurant.taxSettings.rates)) {
+      return restaurant.taxSettings.rates;
+    }
+    return [{ name: 'GST', rate: DEFAULT_TAX_RATE, categoryIds: null, appliesToDeliveryFee: true }];
+  }
+
+  // One entry per named rate: { name, rate, taxableAmount, amount } (in dollars).
+  // Each line is rounded on its own so the order tax equals the sum of the lines shown to the customer.
+  calculateTaxLines(restaurant, lines, deliveryFeeCents) {
+    return this.getTaxRates(restaurant).map(taxRate => {
+      const appliesToAllCategories = !taxRate.categoryIds;
+
+      // Combo lines have no single category, so only rates covering every category apply to them
+      let taxableCents = lines
+        .filter(line => appliesToAllCategories || (!line.isCombo && taxRate.categoryIds.includes(line.categoryId)))
+        .reduce((sum, line) => sum + toCents(line.lineTotal), 0);
+
+      if (taxRate.appliesToDeliveryFee) {
+        taxableCents += deliveryFeeCents;
+      }
+
+      return {
+        name: taxRate.name,
+        rate: taxRate.rate,
+        taxableAmount: fromCents(taxableCents),
+        amount: fromCents(Math.round(taxableCents * taxRate.rate))
+      };
+    }).filter(taxLine => taxLine.taxableAmount > 0);
+  }
+
+  // Compare totals sent by the client against server pricing.
+  // Fields the client did not send are skipped; returns the list of mismatched field names.
+  findTotalMismatches(pricing, clientTotals) {
+    return ['subtotal', 'discount', 'loyaltyDiscount', 'tax', 'deliveryFee', 'total'].filter(field => {
+      const clientValue = clientTotals[field];
+      if (clientValue === undefined || clientValue === null || clientValue === '') return false;
+      return Math.abs(toCents(clientValue) - toCents(pricing[field])) > PRICE_TOLERANCE_CENTS;
+    });
+  }
+
+  // Throw a 400 with the server pricing when client totals disagree, so the storefront can re-display them
+  assertClientTotals(pricing, clientTotals) {
+    const mismatches = this.findTotalMismatches(pricing, clientTotals);
+    if (mismatches.length > 0) {
+      throw new ApiError('Order totals do not match current menu prices', 400, {
+        code: 'PRICE_MISMATCH',
+        mismatchedFields: mismatches,
+        pricing: {
+          subtotal: pricing.subtotal,
+          discount: pricing.discount,
+          loyaltyDiscount: pricing.loyaltyDiscount,
+          tax: pricing.tax,
+          deliveryFee: pricing.deliveryFee,
+          total: pricing.total
+        }
+      });
+    }
+  }
+}
+
+module.exports = new PricingService();
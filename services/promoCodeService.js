@@ -0,0 +1,234 @@
+// PROMO CODE SERVICE - Checks whether a promo code can be used on an order and computes its discount
+// Redemptions are the order_discounts rows of orders that were not cancelled.
+
+const { Op } = require('sequelize');
+const { sequelize, PromoCode, OrderDiscount, Order, MenuCategory } = require('../config/database');
+const { ApiError } = require('../utils/errorHandler');
+const { toCents, fromCents } = require('../utils/money');
+
+const PROMO_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'minimumSubtotal', 'startsAt', 'endsAt',
+  'maxRedemptions', 'maxRedemptionsPerCustomer', 'categoryIds', 'orderTypes', 'isActive'
+];
+
+class PromoCodeService {
+  normalizeCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+  }
+
+  // Load a restaurant's code and check it can be used on this order. Inside a transaction the code
+  // row is locked so concurrent orders can't both take the last redemption.
+  // Throws a 400 ApiError with code PROMO_CODE_INVALID and a reason otherwise.
+  async validateCode({ restaurantId, code, orderType, subtotalCents, customer = {}, now = new Date(), transaction = null }) {
+    const reject = (message, reason, details = {}) => {
+      throw new ApiError(message, 400, { code: 'PROMO_CODE_INVALID', reason, promoCode: this.normalizeCode(code), ...details });
+    };
+
+    const promoCode = await PromoCode.findOne({
+      where: { restaurantId, code: this.normalizeCode(code) },
+      ...(transaction && { lock: transaction.LOCK.UPDATE }),
+      transaction
+    });
+
+    if (!promoCode || !promoCode.isActive) {
+      reject('This promo code is not valid', 'NOT_FOUND');
+    }
+    if (promoCode.startsAt && promoCode.startsAt > now) {
+      reject('This promo code is not active yet', 'NOT_STARTED', { startsAt: promoCode.startsAt });
+    }
+    if (promoCode.endsAt && promoCode.endsAt <= now) {
+      reject('This promo code has expired', 'EXPIRED');
+    }
+    if (promoCode.orderTypes && !promoCode.orderTypes.includes(orderType)) {
+      reject(`This promo code is only valid for ${promoCode.orderTypes.join(' or ')} orders`, 'ORDER_TYPE');
+    }
+    if (promoCode.minimumSubtotal !== null && subtotalCents < toCents(promoCode.minimumSubtotal)) {
+      reject(`This promo code requires a minimum order of $${Number(promoCode.minimumSubtotal).toFixed(2)}`, 'BELOW_MINIMUM', {
+        minimumSubtotal: parseFloat(promoCode.minimumSubtotal)
+      });
+    }
+
+    if (promoCode.maxRedemptions !== null) {
+      const redemptions = await this.countRedemptions(promoCode.id, { transaction });
+      if (redemptions >= promoCode.maxRedemptions) {
+        reject('This promo code has reached its usage limit', 'USAGE_LIMIT');
+      }
+    }
+
+    if (promoCode.maxRedemptionsPerCustomer !== null && (customer.userId || customer.email)) {
+      const customerRedemptions = await this.countRedemptions(promoCode.id, { customer, transaction });
+      if (customerRedemptions >= promoCode.maxRedemptionsPerCustomer) {
+        reject('You have already used this promo code', 'CUSTOMER_LIMIT');
+      }
+    }
+
+    return promoCode;
+  }
+
+  // Redemptions of a code, optionally by one customer (matched by account or email)
+  async countRedemptions(promoCodeId, { customer = null, transaction = null } = {}) {
+    const orderWhere = { status: { [Op.ne]: 'cancelled' } };
+    if (customer) {
+      const matches = [];
+      if (customer.userId) matches.push({ userId: customer.userId });
+      if (customer.email) {
+        matches.push(sequelize.where(sequelize.fn('LOWER', sequelize.col('order.customer_email')), customer.email.trim().toLowerCase()));
+      }
+      orderWhere[Op.or] = matches;
+    }
+
+    return OrderDiscount.count({
+      where: { promoCodeId },
+      include: [{ model: Order, as: 'order', where: orderWhere, attributes: [] }],
+      transaction
+    });
+  }
+
+  // Discount for priced lines, in cents. rule is a promo code or an order discount snapshot
+  // ({ discountType, discountValue, categoryIds }). Category-restricted codes only discount items of
+  // those categories (never combos, which have no single category). The discount is spread over the
+  // eligible lines in proportion to their totals so tax is charged on what the customer pays.
+  calculateDiscount(rule, lines) {
+    const isEligible = (line) => !rule.categoryIds || (!line.isCombo && rule.categoryIds.includes(line.categoryId));
+    const eligibleCents = lines.filter(isEligible).reduce((sum, line) => sum + toCents(line.lineTotal), 0);
+
+    const amountCents = rule.discountType === 'percentage'
+      ? Math.round(eligibleCents * Number(rule.discountValue) / 100)
+      : Math.min(toCents(rule.discountValue), eligibleCents);
+
+    if (eligibleCents === 0) {
+      return { eligibleCents, amountCents: 0, lineDiscounts: lines.map(() => 0) };
+    }
+
+    let remainingCents = amountCents;
+    const lastEligibleIndex = lines.map(isEligible).lastIndexOf(true);
+    const lineDiscounts = lines.map((line, index) => {
+      if (!isEligible(line)) return 0;
+      const share = index === lastEligibleIndex
+        ? remainingCents
+        : Math.floor(toCents(line.lineTotal) * amountCents / eligibleCents);
+      remainingCents -= share;
+      return share;
+    });
+
+    return { eligibleCents, amountCents, lineDiscounts };
+  }
+
+  // Snapshot stored in order_discounts
+  toOrderDiscount(promoCode, amountCents) {
+    return {
+      promoCodeId: promoCode.id,
+      code: promoCode.code,
+      discountType: promoCode.discountType,
+      discountValue: promoCode.discountValue,
+      categoryIds: promoCode.categoryIds,
+      amount: fromCents(amountCents)
+    };
+  }
+
+  // Codes of a restaurant with their redemptions, discount given and order revenue (admin view)
+  async listCodes(restaurantId) {
+    const promoCodes = await PromoCode.findAll({
+      where: { restaurantId },
+      order: [['created_at', 'DESC']]
+    });
+
+    const stats = await this.getRedemptionStats({ restaurantId });
+    const statsById = new Map(stats.map(stat => [stat.promoCodeId, stat]));
+
+    return promoCodes.map(promoCode => ({
+      ...this.serializeCode(promoCode),
+      redemptions: statsById.get(promoCode.id)?.redemptions || 0,
+      totalDiscount: statsById.get(promoCode.id)?.totalDiscount || 0,
+      revenue: statsById.get(promoCode.id)?.revenue || 0
+    }));
+  }
+
+  serializeCode(promoCode) {
+    return {
+      id: promoCode.id,
+      code: promoCode.code,
+      description: promoCode.description,
+      discountType: promoCode.discountType,
+      discountValue: parseFloat(promoCode.discountValue),
+      minimumSubtotal: promoCode.minimumSubtotal === null ? null : parseFloat(promoCode.minimumSubtotal),
+      startsAt: promoCode.startsAt,
+      endsAt: promoCode.endsAt,
+      maxRedemptions: promoCode.maxRedemptions,
+      maxRedemptionsPerCustomer: promoCode.maxRedemptionsPerCustomer,
+      categoryIds: promoCode.categoryIds,
+      orderTypes: promoCode.orderTypes,
+      isActive: promoCode.isActive
+    };
+  }
+
+  pickFields(data) {
+    return PROMO_FIELDS
+      .filter(field => data[field] !== undefined)
+      .reduce((values, field) => ({ ...values, [field]: data[field] }), {});
+  }
+
+  // Create (promoCode = null) or update a restaurant's code from admin input
+  async saveCode(restaurantId, promoCode, data) {
+    const fields = this.pickFields(data);
+
+    if (Array.isArray(fields.categoryIds)) {
+      fields.categoryIds = [...new Set(fields.categoryIds.map(id => parseInt(id)))];
+      const count = await MenuCategory.count({ where: { id: fields.categoryIds.filter(Number.isInteger), restaurantId } });
+      if (count !== fields.categoryIds.length) {
+        throw new ApiError('Some categories do not belong to this restaurant');
+      }
+    }
+
+    if (promoCode) {
+      return promoCode.update(fields);
+    }
+    return PromoCode.create({ ...fields, restaurantId });
+  }
+
+  // Codes that were used on an order stay for reporting; admins deactivate them instead
+  async deleteCode(promoCode) {
+    const redemptions = await OrderDiscount.count({ where: { promoCodeId: promoCode.id } });
+    if (redemptions > 0) {
+      throw new ApiError('This promo code has been redeemed and cannot be deleted; deactivate it instead', 409, {
+        code: 'PROMO_CODE_IN_USE',
+        redemptions
+      });
+    }
+    await promoCode.destroy();
+  }
+
+  // Redemptions, discount given and revenue of orders that used a code, per code.
+  // Filters: restaurantId, and startDate/endDate on the order date.
+  async getRedemptionStats({ restaurantId = null, startDate = null, endDate = null } = {}) {
+    const orderWhere = { status: { [Op.ne]: 'cancelled' } };
+    if (restaurantId) orderWhere.restaurantId = restaurantId;
+    if (startDate && endDate) {
+      orderWhere.created_at = { [Op.between]: [new Date(startDate), new Date(endDate)] };
+    }
+
+    const rows = await OrderDiscount.findAll({
+      attributes: [
+        'promoCodeId',
+        'code',
+        [sequelize.fn('COUNT', sequelize.col('OrderDiscount.id')), 'redemptions'],
+        [sequelize.fn('SUM', sequelize.col('OrderDiscount.amount')), 'totalDiscount'],
+        [sequelize.fn('SUM', sequelize.col('order.total')), 'revenue']
+      ],
+      include: [{ model: Order, as: 'order', where: orderWhere, attributes: [] }],
+      group: ['promoCodeId', 'code'],
+      order: [[sequelize.fn('COUNT', sequelize.col('OrderDiscount.id')), 'DESC']],
+      raw: true
+    });
+
+    return rows.map(row => ({
+      promoCodeId: row.promoCodeId,
+      code: row.code,
+      redemptions: parseInt(row.redemptions),
+      totalDiscount: parseFloat(row.totalDiscount || 0),
+      revenue: parseFloat(row.revenue || 0)
+    }));
+  }
+}
+
+module.exports = new PromoCodeService();
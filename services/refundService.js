@@ -0,0 +1,142 @@
+// REFUND SERVICE - Full and partial Stripe refunds for paid orders
+// Keeps the refunds table and the order's paymentStatus in step with Stripe
+
+const { stripe } = require('../config/stripe');
+const { sequelize, Order, Refund } = require('../config/database');
+const loyaltyService = require('./loyaltyService');
+const { ApiError } = require('../utils/errorHandler');
+const { toCents, fromCents } = require('../utils/money');
+
+// Reasons Stripe accepts on the refund itself; anything else is kept only in our records
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+class RefundService {
+  // Amount already refunded or in flight for an order, in cents
+  async getRefundedCents(orderId, transaction = null) {
+    const refunded = await Refund.sum('amount', {
+      where: { orderId, status: Refund.ACTIVE_STATUSES },
+      transaction
+    });
+    return toCents(refunded || 0);
+  }
+
+  // Refund an order through Stripe. Omitting amount refunds whatever is still refundable.
+  // source: 'cancellation' | 'admin'; requestedBy: the user issuing the refund
+  async refundOrder(order, { amount = null, reason = null, source = 'admin', requestedBy = null } = {}) {
+    if (!order.stripePaymentIntentId || !['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+      throw new ApiError('Only orders paid online can be refunded');
+    }
+
+    // Only the part paid through Stripe goes back to the card; gift card amounts return to the gift card
+    const refundedCents = await this.getRefundedCents(order.id);
+    const refundableCents = toCents(order.getAmountDue()) - refundedCents;
+    const amountCents = amount === null || amount === undefined ? refundableCents : toCents(amount);
+
+    if (!Number.isFinite(amountCents) || amountCents <= 0) {
+      throw new ApiError('Refund amount must be greater than zero');
+    }
+
+    if (amountCents > refundableCents) {
+      throw new ApiError(`Refund amount exceeds the refundable balance of $${fromCents(refundableCents).toFixed(2)}`);
+    }
+
+    const stripeRefund = await stripe.refunds.create({
+      payment_intent: order.stripePaymentIntentId,
+      amount: amountCents,
+      ...(STRIPE_REFUND_REASONS.includes(reason) && { reason }),
+      metadata: {
+        orderId: String(order.id),
+        restaurantId: String(order.restaurantId),
+        source
+      }
+    }, {
+      // Same order, same refunded balance and same amount = same request, so retries don't double refund
+      idempotencyKey: `order-${order.id}-refund-${refundedCents}-${amountCents}`
+    });
+
+    const refund = await sequelize.transaction(async (transaction) => {
+      const [record] = await Refund.findOrCreate({
+        where: { stripeRefundId: stripeRefund.id },
+        defaults: {
+          orderId: order.id,
+          restaurantId: order.restaurantId,
+          amount: fromCents(stripeRefund.amount),
+          reason,
+          status: stripeRefund.status,
+          source,
+          createdBy: requestedBy ? requestedBy.id : null
+        },
+        transaction
+      });
+
+      await this.updateOrderPaymentStatus(order, transaction);
+      return record;
+    });
+
+    console.log(`Refunded $${fromCents(amountCents).toFixed(2)} for order ${order.orderNumber} (${stripeRefund.id})`);
+    return refund;
+  }
+
+  // Recompute paymentStatus from the refunds on record (a failed refund puts the order back to paid)
+  // and adjust the loyalty points the order earned to what is left of the payment
+  async updateOrderPaymentStatus(order, transaction = null) {
+    if (!Order.COLLECTED_PAYMENT_STATUSES.includes(order.paymentStatus)) return order;
+
+    const refundedCents = await this.getRefundedCents(order.id, transaction);
+    const chargedCents = toCents(order.getAmountDue());
+    let paymentStatus = 'paid';
+    if (chargedCents > 0 && refundedCents >= chargedCents) {
+      paymentStatus = 'refunded';
+    } else if (refundedCents > 0) {
+      paymentStatus = 'partially_refunded';
+    }
+
+    if (order.paymentStatus !== paymentStatus) {
+      await order.update({ paymentStatus }, { transaction });
+    }
+    await loyaltyService.syncOrderPoints(order, transaction);
+    return order;
+  }
+
+  // Handle a charge.refunded webhook: record refunds we did not issue ourselves (e.g. from the
+  // Stripe dashboard) and bring statuses of known refunds up to date
+  async syncChargeRefunds(charge) {
+    const order = await Order.findOne({ where: { stripePaymentIntentId: charge.payment_intent } });
+    if (!order) {
+      console.log(`No order found for refunded charge ${charge.id}`);
+      return null;
+    }
+
+    // Newer Stripe API versions don't embed refunds on the charge, so list them explicitly
+    const refunds = charge.refunds?.data || (await stripe.refunds.list({ charge: charge.id, limit: 100 })).data;
+
+    await sequelize.transaction(async (transaction) => {
+      for (const stripeRefund of refunds) {
+        const [record, created] = await Refund.findOrCreate({
+          where: { stripeRefundId: stripeRefund.id },
+          defaults: {
+            orderId: order.id,
+            restaurantId: order.restaurantId,
+            amount: fromCents(stripeRefund.amount),
+            reason: stripeRefund.reason,
+            status: stripeRefund.status,
+            source: 'stripe'
+          },
+          transaction
+        });
+
+        // Events can arrive out of order: never move a settled refund back to an in-flight status
+        const isStale = Refund.FINAL_STATUSES.includes(record.status) && !Refund.FINAL_STATUSES.includes(stripeRefund.status);
+        if (!created && record.status !== stripeRefund.status && !isStale) {
+          await record.update({ status: stripeRefund.status }, { transaction });
+        }
+      }
+
+      await this.updateOrderPaymentStatus(order, transaction);
+    });
+
+    return order;
+  }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,379 @@
+// SCHEDULE SERVICE - Opening hours, order time slots and kitchen release of scheduled orders
+// Customers order ASAP (only while the restaurant is open) or for a future slot. Slots are generated
+// from Restaurant.hours in the restaurant's time zone, skipping closure dates and paused periods,
+// and scheduled orders are released to the kitchen queue one prep lead time before they are due.
+
+const { Op, fn, col } = require('sequelize');
+const { Order, Restaurant } = require('../config/database');
+const { ApiError } = require('../utils/errorHandler');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Vancouver';
+
+// Used for any setting a restaurant has not configured in schedulingSettings
+const DEFAULT_SCHEDULING_SETTINGS = {
+  slotMinutes: 15,          // Spacing between slots
+  slotCapacity: 5,          // Orders accepted per slot
+  maxDaysAhead: 7,          // How far ahead customers can schedule (0 = today only)
+  pickupLeadMinutes: 20,    // Prep time before a pickup slot
+  deliveryLeadMinutes: 45   // Prep + travel time before a delivery slot
+};
+
+// Upper bound for lead times, so the release check only has to look this far ahead
+const MAX_LEAD_MINUTES = 240;
+
+const RELEASE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// How far ahead to look for the next opening (covers long holiday closures)
+const NEXT_OPENING_LOOKAHEAD_DAYS = 60;
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+class ScheduleService {
+  constructor() {
+    this.releaseTimer = null;
+  }
+
+  getSettings(restaurant) {
+    return { ...DEFAULT_SCHEDULING_SETTINGS, ...(restaurant.schedulingSettings || {}) };
+  }
+
+  getTimezone(restaurant) {
+    return restaurant.timezone || DEFAULT_TIMEZONE;
+  }
+
+  getLeadMinutes(restaurant, orderType) {
+    const settings = this.getSettings(restaurant);
+    return orderType === 'delivery' ? settings.deliveryLeadMinutes : settings.pickupLeadMinutes;
+  }
+
+  // Wall-clock date and time of an instant in a time zone
+  getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(date).reduce((values, part) => {
+      values[part.type] = part.value;
+      return values;
+    }, {});
+
+    return {
+      dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+  }
+
+  // Minutes the zone is ahead of UTC at a given instant
+  getOffsetMinutes(date, timeZone) {
+    const { dateKey, minutes } = this.getZonedParts(date, timeZone);
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    return Math.round((wallClock - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+  }
+
+  // Instant for a local date plus minutes after midnight (minutes past 1440 roll into the next day)
+  toDate(dateKey, minutes, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+    // Correct once more in case the first guess landed on the other side of a DST change
+    let offset = this.getOffsetMinutes(new Date(wallClock), timeZone);
+    const corrected = this.getOffsetMinutes(new Date(wallClock - offset * 60000), timeZone);
+    if (corrected !== offset) offset = corrected;
+
+    return new Date(wallClock - offset * 60000);
+  }
+
+  addDays(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+  }
+
+  parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    if (!match) return null;
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+  }
+
+  // Intervals for one weekday in Restaurant.hours as minutes after midnight. A day is a list of
+  // { open: '11:00', close: '14:00' } intervals, or null/[] when closed (older formats are rewritten
+  // by the data migrations). A close time earlier than the open time runs past midnight.
+  parseDayHours(value) {
+    if (!Array.isArray(value)) return [];
+
+    return value.map(interval => {
+      const open = this.parseTime(interval?.open);
+      let close = this.parseTime(interval?.close);
+      if (open === null || close === null) return null;
+      if (close <= open) close += 24 * 60;
+      return { open, close };
+    }).filter(Boolean);
+  }
+
+  // Restaurants that have never set any hours aren't restricted by them
+  hasHours(restaurant) {
+    return DAY_NAMES.some(dayName => this.parseDayHours(restaurant.hours?.[dayName]).length > 0);
+  }
+
+  // Closure (holiday, renovation...) covering a local date, if any
+  getClosure(restaurant, dateKey) {
+    return (restaurant.closures || []).find(closure =>
+      closure.startDate <= dateKey && dateKey <= (closure.endDate || closure.startDate)
+    ) || null;
+  }
+
+  // Opening intervals that start on a local date; none on closure dates
+  getIntervals(restaurant, dateKey) {
+    if (this.getClosure(restaurant, dateKey)) return [];
+
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const dayName = DAY_NAMES[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+    return this.parseDayHours(restaurant.hours?.[dayName]);
+  }
+
+  // Opening periods as instants, from the day before `now` (overnight hours) for a number of days
+  getOpeningWindows(restaurant, now, days) {
+    const timeZone = this.getTimezone(restaurant);
+    const today = this.getZonedParts(now, timeZone).dateKey;
+    const windows = [];
+
+    for (let offset = -1; offset <= days; offset++) {
+      const dateKey = this.addDays(today, offset);
+      this.getIntervals(restaurant, dateKey).forEach(({ open, close }) => {
+        windows.push({ start: this.toDate(dateKey, open, timeZone), end: this.toDate(dateKey, close, timeZone) });
+      });
+    }
+
+    return windows.sort((a, b) => a.start - b.start);
+  }
+
+  // End of a manual ordering pause; undefined when not paused, null when paused until switched off
+  getPauseEnd(restaurant, now = new Date()) {
+    if (!restaurant.orderingPaused) return undefined;
+    if (!restaurant.orderingPausedUntil) return null;
+    const until = new Date(restaurant.orderingPausedUntil);
+    return until > now ? until : undefined;
+  }
+
+  // Open/closed state for the storefront and for ASAP orders
+  getAvailability(restaurant, now = new Date()) {
+    const pauseEnd = this.getPauseEnd(restaurant, now);
+    const isOrderingPaused = pauseEnd !== undefined;
+    const closure = this.getClosure(restaurant, this.getZonedParts(now, this.getTimezone(restaurant)).dateKey);
+
+    let isOpenNow = true;
+    let closesAt = null;
+    let nextOpeningTime = null;
+
+    if (this.hasHours(restaurant)) {
+      const windows = this.getOpeningWindows(restaurant, now, NEXT_OPENING_LOOKAHEAD_DAYS);
+      const current = windows.find(window => window.start <= now && now < window.end);
+      const next = windows.find(window => window.start > now);
+
+      isOpenNow = Boolean(current);
+      closesAt = current ? current.end : null;
+      nextOpeningTime = current ? null : (next ? next.start : null);
+    } else if (closure) {
+      isOpenNow = false;
+    }
+
+    return {
+      timezone: this.getTimezone(restaurant),
+      isOpenNow,
+      closesAt,
+      nextOpeningTime,
+      closure,
+      isOrderingPaused,
+      orderingPausedUntil: isOrderingPaused ? pauseEnd : null,
+      acceptingOrders: isOpenNow && !isOrderingPaused
+    };
+  }
+
+  // ASAP orders need the restaurant open and ordering not paused
+  assertAcceptingAsapOrders(restaurant, now = new Date()) {
+    const availability = this.getAvailability(restaurant, now);
+
+    if (availability.isOrderingPaused) {
+      throw new ApiError('Online ordering is paused right now', 409, {
+        code: 'ORDERING_PAUSED',
+        orderingPausedUntil: availability.orderingPausedUntil
+      });
+    }
+    if (!availability.isOpenNow) {
+      throw new ApiError('The restaurant is closed right now. You can schedule your order for a later time.', 400, {
+        code: 'RESTAURANT_CLOSED',
+        nextOpeningTime: availability.nextOpeningTime
+      });
+    }
+
+    return availability;
+  }
+
+  // Slot times for the given local dates, before capacity is applied. A slot is the time the
+  // order is ready (pickup) or arrives (delivery), so the first one is a lead time after opening.
+  buildSlotTimes(restaurant, orderType, dateKeys, now) {
+    const { slotMinutes } = this.getSettings(restaurant);
+    const timeZone = this.getTimezone(restaurant);
+    const leadMinutes = this.getLeadMinutes(restaurant, orderType);
+    const slots = [];
+
+    // Nothing can be prepared before the lead time has passed, or while ordering is paused
+    const pauseEnd = this.getPauseEnd(restaurant, now);
+    if (pauseEnd === null) return [];
+    const prepStart = pauseEnd ? Math.max(now.getTime(), pauseEnd.getTime()) : now.getTime();
+    const earliest = prepStart + leadMinutes * 60000;
+
+    dateKeys.forEach(dateKey => {
+      this.getIntervals(restaurant, dateKey).forEach(({ open, close }) => {
+        const first = Math.ceil((open + leadMinutes) / slotMinutes) * slotMinutes;
+        for (let minutes = first; minutes <= close; minutes += slotMinutes) {
+          const time = this.toDate(dateKey, minutes, timeZone);
+          if (time.getTime() >= earliest) slots.push(time);
+        }
+      });
+    });
+
+    return slots.sort((a, b) => a - b);
+  }
+
+  // Orders already booked per slot time (ms) between two instants. Inside a transaction the
+  // restaurant row is locked first, so concurrent checkouts count one after the other and the
+  // last seat of a slot can't be sold twice; the lock is held until the order is saved.
+  async countBookedOrders(restaurantId, from, to, transaction = null) {
+    if (transaction) {
+      await Restaurant.findByPk(restaurantId, { attributes: ['id'], lock: transaction.LOCK.UPDATE, transaction });
+    }
+
+    const rows = await Order.findAll({
+      attributes: ['scheduledFor', [fn('COUNT', col('id')), 'count']],
+      where: {
+        restaurantId,
+        status: { [Op.ne]: 'cancelled' },
+        scheduledFor: { [Op.between]: [from, to] }
+      },
+      group: ['scheduledFor'],
+      raw: true,
+      transaction
+    });
+
+    return new Map(rows.map(row => [new Date(row.scheduledFor).getTime(), parseInt(row.count)]));
+  }
+
+  // Available slots for an order type, optionally for one local date (YYYY-MM-DD)
+  async getSlots(restaurant, { orderType = 'pickup', date = null, now = new Date(), transaction = null } = {}) {
+    const settings = this.getSettings(restaurant);
+    const today = this.getZonedParts(now, this.getTimezone(restaurant)).dateKey;
+    const lastDay = this.addDays(today, settings.maxDaysAhead);
+
+    if (date && (date < today || date > lastDay)) {
+      return [];
+    }
+
+    // Include the day before so intervals running past midnight contribute their early-morning slots
+    const dateKeys = [];
+    for (let dateKey = this.addDays(date || today, -1); dateKey <= (date || lastDay); dateKey = this.addDays(dateKey, 1)) {
+      dateKeys.push(dateKey);
+    }
+
+    const timeZone = this.getTimezone(restaurant);
+    const times = this.buildSlotTimes(restaurant, orderType, dateKeys, now)
+      .filter(time => {
+        const slotDate = this.getZonedParts(time, timeZone).dateKey;
+        return date ? slotDate === date : slotDate <= lastDay;
+      });
+    if (times.length === 0) return [];
+
+    const booked = await this.countBookedOrders(restaurant.id, times[0], times[times.length - 1], transaction);
+
+    return times.map(time => {
+      const remaining = Math.max(settings.slotCapacity - (booked.get(time.getTime()) || 0), 0);
+      return {
+        time: time.toISOString(),
+        label: this.formatLocalTime(time, restaurant),
+        remaining,
+        available: remaining > 0
+      };
+    });
+  }
+
+  // Validate a requested time against the restaurant's slots. Returns the slot's Date.
+  async validateScheduledTime(restaurant, orderType, scheduledFor, { now = new Date(), transaction = null } = {}) {
+    const requested = new Date(scheduledFor);
+    if (Number.isNaN(requested.getTime())) {
+      throw new ApiError('scheduledFor must be an ISO date-time', 400, { code: 'INVALID_SCHEDULED_TIME' });
+    }
+
+    const date = this.getZonedParts(requested, this.getTimezone(restaurant)).dateKey;
+    const slots = await this.getSlots(restaurant, { orderType, date, now, transaction });
+    const slot = slots.find(s => new Date(s.time).getTime() === requested.getTime());
+
+    if (!slot) {
+      throw new ApiError('Requested time is not an available time slot', 400, { code: 'SLOT_UNAVAILABLE' });
+    }
+    if (!slot.available) {
+      throw new ApiError('Requested time slot is fully booked', 409, { code: 'SLOT_FULL' });
+    }
+
+    return requested;
+  }
+
+  // When a scheduled order should reach the kitchen (ASAP orders go immediately)
+  getReleaseTime(order, restaurant) {
+    if (!order.scheduledFor) return new Date(order.created_at || Date.now());
+    return new Date(new Date(order.scheduledFor).getTime() - this.getLeadMinutes(restaurant, order.orderType) * 60000);
+  }
+
+  // e.g. "Fri, Oct 24, 6:30 PM" in the restaurant's time zone
+  formatLocalTime(date, restaurant) {
+    return new Date(date).toLocaleString('en-US', {
+      timeZone: this.getTimezone(restaurant),
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  }
+
+  // Release scheduled orders whose prep should start now
+  async releaseDueOrders(now = new Date()) {
+    const orders = await Order.findAll({
+      where: {
+        releasedAt: null,
+        scheduledFor: { [Op.ne]: null, [Op.lte]: new Date(now.getTime() + MAX_LEAD_MINUTES * 60000) },
+        status: { [Op.ne]: 'cancelled' }
+      },
+      include: [{
+        model: Restaurant,
+        as: 'restaurant',
+        attributes: ['id', 'schedulingSettings']
+      }]
+    });
+
+    const due = orders.filter(order => this.getReleaseTime(order, order.restaurant) <= now);
+    for (const order of due) {
+      await order.update({ releasedAt: now });
+      console.log(`⏰ Released scheduled order ${order.orderNumber} to the kitchen`);
+    }
+    return due;
+  }
+
+  startReleaseTimer() {
+    if (this.releaseTimer) return;
+    this.releaseTimer = setInterval(() => {
+      this.releaseDueOrders().catch(error => console.error('Release scheduled orders error:', error));
+    }, RELEASE_CHECK_INTERVAL_MS);
+    this.releaseTimer.unref(); // Don't keep the process alive during shutdown
+  }
+
+  stopReleaseTimer() {
+    clearInterval(this.releaseTimer);
+    this.releaseTimer = null;
+  }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,146 @@
+// SESSION SERVICE - Signed-in devices, their access tokens and rotating refresh tokens
+// Signing in opens a session and returns a short-lived JWT access token plus an opaque refresh
+// token. Each refresh spends the refresh token and issues the next one; presenting a spent token
+// again means it leaked, so the whole session is revoked.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize, UserSession, RefreshToken, User } = require('../config/database');
+const { ApiError } = require('../utils/errorHandler');
+const { generateToken } = require('../utils/auth');
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Sessions idle for 30 days expire
+
+class SessionService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // New refresh token for a session; the caller stores the session's new expiry
+  async issueRefreshToken(session, transaction = null) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await RefreshToken.create({
+      sessionId: session.id,
+      tokenHash: this.hashToken(refreshToken)
+    }, { transaction });
+    return refreshToken;
+  }
+
+  // Tokens returned to the client after sign-in and refresh
+  buildTokens(user, session, refreshToken) {
+    const accessToken = generateToken(user.id, session.restaurantId, {
+      sessionId: session.id,
+      tokenVersion: user.tokenVersion
+    });
+    const { iat, exp } = jwt.decode(accessToken);
+
+    return {
+      token: accessToken,
+      expiresIn: exp - iat, // Seconds until the access token must be refreshed
+      refreshToken
+    };
+  }
+
+  // Open a session for a user who just signed in. req supplies the device details.
+  async createSession(user, restaurantId, req = null) {
+    const now = new Date();
+
+    return sequelize.transaction(async (transaction) => {
+      const session = await UserSession.create({
+        userId: user.id,
+        restaurantId: restaurantId || null,
+        userAgent: req ? (req.get('User-Agent') || '').slice(0, 512) || null : null,
+        ipAddress: req ? req.ip : null,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+      }, { transaction });
+
+      const refreshToken = await this.issueRefreshToken(session, transaction);
+      return this.buildTokens(user, session, refreshToken);
+    });
+  }
+
+  // Exchange a refresh token for new tokens. Invalid, expired and revoked tokens get a 401
+  // with code REFRESH_TOKEN_INVALID; a reused token also revokes its session.
+  async refresh(refreshToken) {
+    const invalid = () => new ApiError('Refresh token is invalid or has expired. Please sign in again.', 401, {
+      code: 'REFRESH_TOKEN_INVALID'
+    });
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const storedToken = await RefreshToken.findOne({
+        where: { tokenHash: this.hashToken(refreshToken) },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      if (!storedToken) throw invalid();
+
+      const session = await UserSession.findByPk(storedToken.sessionId, { lock: transaction.LOCK.UPDATE, transaction });
+      if (!session || !session.isActive()) throw invalid();
+
+      if (storedToken.usedAt) {
+        // Revoked in this transaction, reported after it commits
+        await this.revokeSession(session, 'refresh_token_reuse', transaction);
+        return { reused: session };
+      }
+
+      const user = await User.findByPk(session.userId, { transaction });
+      if (!user) throw invalid();
+
+      const now = new Date();
+      await storedToken.update({ usedAt: now }, { transaction });
+      await session.update({
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+      }, { transaction });
+
+      const nextToken = await this.issueRefreshToken(session, transaction);
+      return { user, tokens: this.buildTokens(user, session, nextToken) };
+    });
+
+    if (result.reused) {
+      console.warn(`⚠️ Refresh token reused for session ${result.reused.id} (user ${result.reused.userId}); session revoked`);
+      throw invalid();
+    }
+    return result;
+  }
+
+  async revokeSession(session, reason, transaction = null) {
+    if (session.revokedAt) return session;
+    return session.update({ revokedAt: new Date(), revokedReason: reason }, { transaction });
+  }
+
+  // Revoke every active session of a user, optionally keeping one (e.g. the caller's own)
+  async revokeAllForUser(userId, reason, { exceptSessionId = null, transaction = null } = {}) {
+    const where = { userId, revokedAt: null };
+    if (exceptSessionId) where.id = { [Op.ne]: exceptSessionId };
+
+    const [count] = await UserSession.update({ revokedAt: new Date(), revokedReason: reason }, { where, transaction });
+    return count;
+  }
+
+  async listActiveSessions(userId, currentSessionId = null) {
+    const sessions = await UserSession.findAll({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastUsedAt', 'DESC']]
+    });
+
+    return sessions.map(session => ({
+      id: session.id,
+      restaurantId: session.restaurantId,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.created_at,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.id === currentSessionId
+    }));
+  }
+}
+
+module.exports = new SessionService();
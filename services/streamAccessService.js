@@ -0,0 +1,68 @@
+// STREAM ACCESS SERVICE - Who may open a live order stream
+// EventSource can't send an Authorization header, so streams take a short-lived ticket in the URL
+// instead of the access token: it only opens one restaurant's feed or one order's stream, and it
+// expires within a minute, so URLs that end up in logs or browser history are of no use later.
+// Guests reach their order's stream with the tracking token returned when the order was placed.
+
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('../utils/errorHandler');
+
+const STREAM_TICKET_TTL_SECONDS = 60;
+const STREAM_TICKET_AUDIENCE = 'order-stream';
+const TRACKING_TOKEN_TTL = '30d';
+const TRACKING_TOKEN_AUDIENCE = 'order-tracking'; // Keeps these tokens from working anywhere else
+
+class StreamAccessService {
+  // Ticket for the restaurant's live order feed (orderId null, admins) or for one order's stream.
+  // userId is recorded for logging; null for guests.
+  createStreamTicket({ restaurantId, orderId = null, userId = null }) {
+    const ticket = jwt.sign({ restaurantId, orderId, userId }, process.env.JWT_SECRET, {
+      audience: STREAM_TICKET_AUDIENCE,
+      expiresIn: STREAM_TICKET_TTL_SECONDS
+    });
+    return { ticket, expiresIn: STREAM_TICKET_TTL_SECONDS };
+  }
+
+  // Check a ticket against the stream being opened. Throws a 401 ApiError (STREAM_TICKET_INVALID)
+  // when it is missing, expired, or made for another restaurant or order.
+  verifyStreamTicket(ticket, { restaurantId, orderId = null }) {
+    const invalid = () => new ApiError('A valid stream ticket is required. Request a new one and reconnect.', 401, {
+      code: 'STREAM_TICKET_INVALID'
+    });
+
+    if (!ticket) throw invalid();
+
+    let payload;
+    try {
+      payload = jwt.verify(ticket, process.env.JWT_SECRET, { audience: STREAM_TICKET_AUDIENCE });
+    } catch (error) {
+      throw invalid();
+    }
+
+    if (payload.restaurantId !== restaurantId || payload.orderId !== orderId) {
+      throw invalid();
+    }
+    return payload;
+  }
+
+  // Token that lets whoever placed an order (guests included) follow it
+  createTrackingToken(order) {
+    return jwt.sign({ sub: String(order.id), restaurantId: order.restaurantId }, process.env.JWT_SECRET, {
+      audience: TRACKING_TOKEN_AUDIENCE,
+      expiresIn: TRACKING_TOKEN_TTL
+    });
+  }
+
+  isValidTrackingToken(token, order) {
+    if (!token) return false;
+
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: TRACKING_TOKEN_AUDIENCE });
+      return payload.sub === String(order.id) && payload.restaurantId === order.restaurantId;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new StreamAccessService();
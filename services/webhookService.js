@@ -0,0 +1,156 @@
+// WEBHOOK SERVICE - Stored, deduplicated processing of Stripe webhook events
+// Every event is logged by its Stripe event ID before it is handled, so retried deliveries
+// are only applied once and any event can be replayed later from the stored payload
+
+const { Op } = require('sequelize');
+const { sequelize, WebhookEvent } = require('../config/database');
+const paymentService = require('./paymentService');
+const refundService = require('./refundService');
+const giftCardService = require('./giftCardService');
+
+// Events that set an order's payment status from the payment intent; only the newest one per intent applies
+const PAYMENT_INTENT_STATUS_EVENTS = [
+  'payment_intent.succeeded',
+  'payment_intent.payment_failed',
+  'payment_intent.canceled'
+];
+
+// An event stuck in processing this long (e.g. the server restarted mid-handler) can be claimed again
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+class WebhookService {
+  // Payment intent an event relates to, whichever Stripe object it carries
+  getPaymentIntentId(stripeEvent) {
+    const object = stripeEvent.data.object;
+    if (stripeEvent.type.startsWith('payment_intent.')) return object.id;
+    return object.payment_intent || null;
+  }
+
+  // Log a delivery and process it unless it was already handled.
+  // Returns { event, duplicate } where event is the stored WebhookEvent.
+  async receiveEvent(stripeEvent) {
+    const [event] = await WebhookEvent.findOrCreate({
+      where: { stripeEventId: stripeEvent.id },
+      defaults: {
+        type: stripeEvent.type,
+        objectId: stripeEvent.data.object.id || null,
+        paymentIntentId: this.getPaymentIntentId(stripeEvent),
+        stripeCreatedAt: new Date(stripeEvent.created * 1000),
+        payload: stripeEvent
+      }
+    });
+
+    const processed = await this.processEvent(event);
+    return { event, duplicate: !processed };
+  }
+
+  // Re-run a stored event (admin replay). Ordering rules still apply, so replaying an
+  // old event cannot undo a newer one.
+  async replayEvent(event) {
+    const replayed = await this.processEvent(event, { replay: true });
+    return { event, replayed };
+  }
+
+  // Atomically move an event to processing so concurrent deliveries don't both handle it
+  async claimEvent(event, { replay = false } = {}) {
+    const claimable = [
+      { status: replay ? { [Op.ne]: 'processing' } : WebhookEvent.PROCESSABLE_STATUSES },
+      { status: 'processing', updated_at: { [Op.lt]: new Date(Date.now() - PROCESSING_TIMEOUT_MS) } } // Timestamps are snake_case attributes
+    ];
+
+    const [claimed] = await WebhookEvent.update(
+      { status: 'processing', attempts: sequelize.literal('attempts + 1') },
+      { where: { id: event.id, [Op.or]: claimable } }
+    );
+    await event.reload();
+    return claimed > 0;
+  }
+
+  // Returns false when the event was not claimed (already processed or in progress).
+  // Handler errors mark the event failed and are rethrown so Stripe retries the delivery.
+  async processEvent(event, { replay = false } = {}) {
+    if (!(await this.claimEvent(event, { replay }))) {
+      return false;
+    }
+
+    try {
+      const { order = null, skipReason = null } = await this.handleEvent(event);
+
+      await event.update({
+        status: skipReason ? 'skipped' : 'processed',
+        lastError: skipReason,
+        orderId: order ? order.id : event.orderId,
+        restaurantId: order ? order.restaurantId : event.restaurantId,
+        processedAt: new Date()
+      });
+      console.log(`Webhook ${event.type} ${event.stripeEventId} ${event.status}${skipReason ? `: ${skipReason}` : ''}`);
+    } catch (error) {
+      await event.update({ status: 'failed', lastError: error.message });
+      throw error;
+    }
+
+    return true;
+  }
+
+  // Newer status event already applied for the same payment intent, if any
+  async findNewerStatusEvent(event) {
+    if (!PAYMENT_INTENT_STATUS_EVENTS.includes(event.type) || !event.paymentIntentId) return null;
+
+    return WebhookEvent.findOne({
+      where: {
+        id: { [Op.ne]: event.id },
+        paymentIntentId: event.paymentIntentId,
+        type: PAYMENT_INTENT_STATUS_EVENTS,
+        status: 'processed',
+        stripeCreatedAt: { [Op.gt]: event.stripeCreatedAt }
+      }
+    });
+  }
+
+  // Apply an event to our data. Returns { order, skipReason } (neither for a gift card purchase).
+  async handleEvent(event) {
+    const newerEvent = await this.findNewerStatusEvent(event);
+    if (newerEvent) {
+      return { skipReason: `Superseded by ${newerEvent.type} ${newerEvent.stripeEventId}` };
+    }
+
+    const object = event.payload.data.object;
+    let order;
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        // Gift card purchases are not orders: activate the card and email its code
+        if (object.metadata?.giftCardId) {
+          const giftCard = await giftCardService.handlePurchaseSucceeded(object);
+          return giftCard ? {} : { skipReason: 'No matching gift card' };
+        }
+        // Mark the linked order paid if amount and currency match, otherwise flag it for review
+        order = await paymentService.handlePaymentSucceeded(object);
+        break;
+
+      case 'payment_intent.payment_failed':
+      case 'payment_intent.canceled':
+        order = await paymentService.handlePaymentFailed(object);
+        break;
+
+      case 'charge.refunded':
+        // Record refunds (including ones made from the Stripe dashboard) and update payment status
+        order = await refundService.syncChargeRefunds(object);
+        break;
+
+      case 'charge.dispute.created':
+        order = await paymentService.handleDisputeCreated(object);
+        break;
+
+      default:
+        return { skipReason: `Unhandled event type ${event.type}` };
+    }
+
+    if (!order) {
+      return { skipReason: 'No matching order' };
+    }
+    return { order };
+  }
+}
+
+module.exports = new WebhookService();
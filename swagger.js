@@ -119,6 +119,102 @@ const options = {
                 social: { type: 'object' }
               }
             },
+            taxSettings: {
+              type: 'object',
+              description: 'Named tax rates used for order pricing (null uses the platform default)',
+              properties: {
+                rates: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string', example: 'GST' },
+                      rate: { type: 'number', example: 0.05 },
+                      categoryIds: { type: 'array', items: { type: 'integer' }, nullable: true },
+                      appliesToDeliveryFee: { type: 'boolean', example: true }
+                    }
+                  }
+                }
+              }
+            },
+            hours: {
+              type: 'object',
+              description: 'Opening intervals per weekday, e.g. monday: [{ open: "11:00", close: "22:00" }] (null or [] = closed)'
+            },
+            timezone: {
+              type: 'string',
+              description: 'IANA time zone for hours and time slots',
+              example: 'America/Vancouver'
+            },
+            closures: {
+              type: 'array',
+              description: 'Holiday/closure calendar',
+              items: {
+                type: 'object',
+                properties: {
+                  startDate: { type: 'string', example: '2025-12-25' },
+                  endDate: { type: 'string', example: '2025-12-26' },
+                  reason: { type: 'string', example: 'Christmas' }
+                }
+              }
+            },
+            orderingPaused: {
+              type: 'boolean',
+              description: 'Manual switch that stops online ordering'
+            },
+            orderingPausedUntil: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When a pause ends by itself (null = until switched off)'
+            },
+            schedulingSettings: {
+              type: 'object',
+              description: 'Time slot settings for scheduled orders (null uses the defaults)',
+              properties: {
+                slotMinutes: { type: 'integer', example: 15 },
+                slotCapacity: { type: 'integer', example: 5 },
+                maxDaysAhead: { type: 'integer', example: 7 },
+                pickupLeadMinutes: { type: 'integer', example: 20 },
+                deliveryLeadMinutes: { type: 'integer', example: 45 }
+              }
+            },
+            orderNumberPrefix: {
+              type: 'string',
+              nullable: true,
+              description: 'Order number prefix (null uses the slug initials)',
+              example: 'GC'
+            },
+            deliverySettings: {
+              type: 'object',
+              nullable: true,
+              description: 'Delivery zones checked in order (null delivers anywhere at the default fee)',
+              properties: {
+                origin: {
+                  type: 'object',
+                  description: 'Restaurant location used for radius zones',
+                  properties: {
+                    lat: { type: 'number', example: 49.8625 },
+                    lng: { type: 'number', example: -119.5833 }
+                  }
+                },
+                zones: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string', example: 'Inner' },
+                      type: { type: 'string', enum: ['radius', 'polygon'] },
+                      radiusKm: { type: 'number', example: 5 },
+                      polygon: { type: 'object', description: 'GeoJSON Polygon or MultiPolygon geometry' },
+                      fee: { type: 'number', example: 3.99 },
+                      minimumOrder: { type: 'number', example: 20 },
+                      estimatedMinutes: { type: 'integer', example: 40 }
+                    }
+                  }
+                }
+              }
+            },
             isActive: {
               type: 'boolean',
               description: 'Whether restaurant is active'
@@ -272,6 +368,11 @@ const options = {
               type: 'integer',
               description: 'Order for displaying items'
             },
+            modifierGroups: {
+              type: 'array',
+              description: 'Option groups offered with this item (its own groups plus its category\'s)',
+              items: { $ref: '#/components/schemas/ModifierGroup' }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -301,7 +402,8 @@ const options = {
             },
             orderNumber: {
               type: 'string',
-              description: 'Human-readable order number'
+              description: 'Human-readable order number: restaurant prefix + per-restaurant sequence, never changes',
+              example: 'GC-00042'
             },
             customerEmail: {
               type: 'string',
@@ -336,9 +438,19 @@ const options = {
             },
             paymentStatus: {
               type: 'string',
-              enum: ['pending', 'paid', 'failed', 'refunded'],
+              enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
               description: 'Payment status'
             },
+            paymentReviewReason: {
+              type: 'string',
+              nullable: true,
+              description: 'Why the Stripe payment did not match this order (amount, currency or restaurant); null when verified'
+            },
+            deliveryZone: {
+              type: 'object',
+              nullable: true,
+              description: 'Delivery zone matched when the order was placed (fee, minimumOrder, estimatedMinutes, distanceKm)'
+            },
             status: {
               type: 'string',
               enum: ['pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'],
@@ -349,6 +461,40 @@ const options = {
               format: 'decimal',
               description: 'Order subtotal'
             },
+            discount: {
+              type: 'number',
+              format: 'decimal',
+              description: 'Promo code discount taken off the subtotal (0 when none)'
+            },
+            loyaltyDiscount: {
+              type: 'number',
+              format: 'decimal',
+              description: 'Value of the loyalty points redeemed on the order (0 when none)'
+            },
+            loyaltyPointsRedeemed: {
+              type: 'integer',
+              description: 'Loyalty points spent on the order'
+            },
+            giftCardAmount: {
+              type: 'number',
+              format: 'decimal',
+              description: 'Part of the total paid by gift card (0 when none); the rest is charged to paymentMethod'
+            },
+            discounts: {
+              type: 'array',
+              description: 'Promo code applied to the order, with the rule it had when the order was placed',
+              items: {
+                type: 'object',
+                properties: {
+                  promoCodeId: { type: 'integer', nullable: true },
+                  code: { type: 'string', example: 'SPRING15' },
+                  discountType: { type: 'string', enum: ['percentage', 'fixed'] },
+                  discountValue: { type: 'number', format: 'decimal' },
+                  categoryIds: { type: 'array', nullable: true, items: { type: 'integer' } },
+                  amount: { type: 'number', format: 'decimal' }
+                }
+              }
+            },
             tax: {
               type: 'number',
               format: 'decimal',
@@ -373,6 +519,33 @@ const options = {
               items: { $ref: '#/components/schemas/OrderItem' },
               description: 'Order items'
             },
+            taxLines: {
+              type: 'array',
+              description: 'Tax breakdown by named rate',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'GST' },
+                  rate: { type: 'number', format: 'decimal', example: 0.05 },
+                  taxableAmount: { type: 'number', format: 'decimal' },
+                  amount: { type: 'number', format: 'decimal' }
+                }
+              }
+            },
+            statusHistory: {
+              type: 'array',
+              description: 'Status timeline, oldest first (returned by GET /api/orders/{id})',
+              items: {
+                type: 'object',
+                properties: {
+                  fromStatus: { type: 'string', nullable: true, example: 'confirmed' },
+                  toStatus: { type: 'string', example: 'preparing' },
+                  changedBy: { type: 'integer', nullable: true },
+                  note: { type: 'string', nullable: true },
+                  createdAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -409,9 +582,78 @@ const options = {
               format: 'decimal',
               description: 'Price per item at time of order'
             },
+            comboTypeId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Combo type for combo lines (null for regular items)'
+            },
             itemName: {
               type: 'string',
-              description: 'Item name (or JSON for combo items)'
+              description: 'Item or combo name at time of order'
+            },
+            modifiers: {
+              type: 'array',
+              description: 'Modifier options chosen for this item (their prices are included in price)',
+              items: {
+                type: 'object',
+                properties: {
+                  modifierOptionId: { type: 'integer', nullable: true },
+                  groupName: { type: 'string', example: 'Extras' },
+                  optionName: { type: 'string', example: 'Extra chicken' },
+                  price: { type: 'number', format: 'decimal', example: 3.00 }
+                }
+              }
+            },
+            selections: {
+              type: 'array',
+              description: 'Menu items chosen inside a combo line (empty for regular items)',
+              items: {
+                type: 'object',
+                properties: {
+                  menuItemId: { type: 'integer', nullable: true },
+                  role: { type: 'string', enum: ['base', 'entree', 'additional'] },
+                  itemName: { type: 'string', example: 'Lemon Chicken' },
+                  priceDelta: { type: 'number', format: 'decimal', description: 'Amount this selection added to the combo price', example: 0 },
+                  displayOrder: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        
+        // Modifier Group Schema
+        ModifierGroup: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string', example: 'Choice of sauce' },
+            description: { type: 'string', nullable: true },
+            minSelections: {
+              type: 'integer',
+              description: 'Options the customer must choose (0 = optional)',
+              example: 1
+            },
+            maxSelections: {
+              type: 'integer',
+              nullable: true,
+              description: 'Most options the customer may choose (null = no limit)',
+              example: 1
+            },
+            displayOrder: { type: 'integer' },
+            isActive: { type: 'boolean' },
+            options: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  name: { type: 'string', example: 'Sweet and sour' },
+                  price: { type: 'number', format: 'decimal', description: 'Added to the item price', example: 0 },
+                  isDefault: { type: 'boolean' },
+                  isAvailable: { type: 'boolean' },
+                  displayOrder: { type: 'integer' }
+                }
+              }
             }
           }
         },
@@ -450,6 +692,18 @@ const options = {
         name: 'Orders',
         description: 'Order placement and management'
       },
+      {
+        name: 'Combos',
+        description: 'Combo meals, their rules and the item pools they choose from'
+      },
+      {
+        name: 'Promo Codes',
+        description: 'Discount codes and their usage rules (restaurant admins)'
+      },
+      {
+        name: 'Gift Cards',
+        description: 'Stored-value cards: balance lookup, online purchase and admin issuing'
+      },
       {
         name: 'Restaurants',
         description: 'Restaurant management (admin only)'
@@ -0,0 +1,114 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User } = require('../config/database');
+const sessionService = require('../services/sessionService');
+const { googleClient, createProfileCompletionToken } = require('../utils/oauth');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser } = require('./helpers/factories');
+
+describeWithDatabase('OAuth profile completion', () => {
+  let app, restaurant;
+
+  // Google accepts the sign-in and vouches for these claims
+  const mockGoogleSignIn = (claims) => jest.spyOn(googleClient, 'verifyIdToken').mockResolvedValue({
+    getPayload: () => ({ sub: 'google-123', email: 'new.customer@example.com', email_verified: true, ...claims })
+  });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('creates the account from the profile token the sign-in returned', async () => {
+    mockGoogleSignIn({});
+
+    const signIn = await request(app)
+      .post(`/api/auth/google?restaurant=${restaurant.slug}`)
+      .send({ token: 'google-id-token' });
+
+    expect(signIn.status).toBe(200);
+    expect(signIn.body).toMatchObject({ requiresProfile: true, userData: { email: 'new.customer@example.com' } });
+    expect(signIn.body.token).toBeUndefined();
+    expect(await User.count({ where: { email: 'new.customer@example.com' } })).toBe(0);
+
+    const response = await request(app)
+      .post(`/api/auth/complete-oauth-profile?restaurant=${restaurant.slug}`)
+      .send({
+        profileToken: signIn.body.profileToken,
+        firstName: 'New',
+        lastName: 'Customer',
+        phone: '604-555-0101',
+        address: '1 Main St',
+        email: 'someone.else@example.com' // Not taken from the body
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.token).toEqual(expect.any(String));
+    const user = await User.findOne({ where: { email: 'new.customer@example.com', restaurantId: restaurant.id } });
+    expect(user).toMatchObject({ thirdPartyId: 'google-123', thirdPartyProvider: 'google', emailVerified: true });
+  });
+
+  it('completes the contact details of an account the sign-in matched', async () => {
+    const user = await createUser(restaurant, { phone: '', address: '', thirdPartyId: 'google-456', thirdPartyProvider: 'google' });
+    mockGoogleSignIn({ sub: 'google-456', email: user.email });
+
+    const signIn = await request(app)
+      .post(`/api/auth/google?restaurant=${restaurant.slug}`)
+      .send({ token: 'google-id-token' });
+    expect(signIn.body.requiresProfile).toBe(true);
+
+    const response = await request(app)
+      .post(`/api/auth/complete-oauth-profile?restaurant=${restaurant.slug}`)
+      .send({ profileToken: signIn.body.profileToken, phone: '604-555-0102', address: '2 Main St' });
+
+    expect(response.status).toBe(200);
+    await user.reload();
+    expect(user).toMatchObject({ phone: '604-555-0102', address: '2 Main St' });
+  });
+
+  it('no longer accepts a bare userId or client-supplied provider data', async () => {
+    const user = await createUser(restaurant, { phone: '', address: '', thirdPartyId: 'google-789', thirdPartyProvider: 'google' });
+
+    const byUserId = await request(app)
+      .post(`/api/auth/complete-oauth-profile?restaurant=${restaurant.slug}`)
+      .send({ userId: user.id, phone: '604-555-0103', address: '3 Main St' });
+    expect(byUserId.status).toBe(400);
+
+    const byTempData = await request(app)
+      .post(`/api/auth/complete-oauth-profile?restaurant=${restaurant.slug}`)
+      .send({
+        tempUserData: { email: 'victim@example.com', thirdPartyId: 'x', thirdPartyProvider: 'google' },
+        firstName: 'A',
+        lastName: 'B',
+        phone: '604-555-0104',
+        address: '4 Main St'
+      });
+    expect(byTempData.status).toBe(400);
+
+    await user.reload();
+    expect(user.phone).toBe('');
+  });
+
+  it('rejects forged, foreign and other kinds of tokens', async () => {
+    const oauthUser = { thirdPartyId: 'google-999', thirdPartyProvider: 'google', email: 'x@example.com', emailVerified: true };
+    const otherRestaurant = await createRestaurant();
+    const tokens = [
+      createProfileCompletionToken(oauthUser, { restaurantId: otherRestaurant.id }),
+      jwt.sign({ sub: 'google-999', provider: 'google', email: 'x@example.com', restaurantId: restaurant.id }, 'not-the-secret', { audience: 'oauth-profile-completion' }),
+      (await sessionService.createSession(await createUser(restaurant), restaurant.id)).token
+    ];
+
+    for (const profileToken of tokens) {
+      const response = await request(app)
+        .post(`/api/auth/complete-oauth-profile?restaurant=${restaurant.slug}`)
+        .send({ profileToken, firstName: 'A', lastName: 'B', phone: '604-555-0105', address: '5 Main St' });
+      expect(response.status).toBe(401);
+    }
+    expect(await User.count({ where: { email: 'x@example.com' } })).toBe(0);
+  });
+});
@@ -0,0 +1,109 @@
+const request = require('supertest');
+const { stripe } = require('../config/stripe');
+const { sequelize, Order } = require('../config/database');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createMenuItem } = require('./helpers/factories');
+
+let intentSequence = 0;
+
+describeWithDatabase('POST /api/orders with a paid PaymentIntent', () => {
+  let app, restaurant, item;
+
+  const orderBody = (stripePaymentIntentId) => ({
+    customerEmail: 'guest@example.com',
+    customerFirstName: 'Guest',
+    customerLastName: 'Customer',
+    customerPhone: '604-555-0100',
+    orderType: 'pickup',
+    paymentMethod: 'card',
+    stripePaymentIntentId,
+    items: [{ menuItemId: item.id, quantity: 2 }]
+  });
+
+  // A draft-cart intent for the $21.00 cart that the customer already paid
+  const mockPaidIntent = () => {
+    const paymentIntent = {
+      id: `pi_checkout_${++intentSequence}`,
+      status: 'succeeded',
+      amount: 2100,
+      amount_received: 2100,
+      currency: 'cad',
+      metadata: { restaurantId: String(restaurant.id) }
+    };
+    jest.spyOn(stripe.paymentIntents, 'retrieve').mockResolvedValue(paymentIntent);
+    const update = jest.spyOn(stripe.paymentIntents, 'update').mockImplementation(async (id, { metadata }) => ({
+      ...paymentIntent,
+      metadata: { ...paymentIntent.metadata, ...metadata }
+    }));
+    return { paymentIntent, update };
+  };
+
+  const checkout = (paymentIntentId, idempotencyKey) => request(app)
+    .post(`/api/orders?restaurant=${restaurant.slug}`)
+    .set('Idempotency-Key', idempotencyKey)
+    .send(orderBody(paymentIntentId));
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant({ taxSettings: { rates: [{ name: 'GST', rate: 0.05, categoryIds: null, appliesToDeliveryFee: true }] } });
+    item = await createMenuItem(restaurant, { price: 10.00 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('marks the order paid from the intent', async () => {
+    const { paymentIntent } = mockPaidIntent();
+
+    const response = await checkout(paymentIntent.id, 'checkout-paid');
+
+    expect(response.status).toBe(201);
+    expect(response.body.order.paymentStatus).toBe('paid');
+  });
+
+  it('fetches the intent from Stripe before opening the order transaction', async () => {
+    const { paymentIntent } = mockPaidIntent();
+    const transaction = jest.spyOn(sequelize, 'transaction');
+
+    const response = await checkout(paymentIntent.id, 'retrieve-first');
+
+    expect(response.status).toBe(201);
+    expect(stripe.paymentIntents.retrieve.mock.invocationCallOrder[0]).toBeLessThan(transaction.mock.invocationCallOrder[0]);
+  });
+
+  it('lets one payment pay for only one order when checkouts race', async () => {
+    const { paymentIntent } = mockPaidIntent();
+
+    const responses = await Promise.all([
+      checkout(paymentIntent.id, 'race-1'),
+      checkout(paymentIntent.id, 'race-2')
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+    expect(responses.find(response => response.status === 409).body.code).toBe('PAYMENT_INTENT_ALREADY_USED');
+    expect(await Order.count({ where: { stripePaymentIntentId: paymentIntent.id } })).toBe(1);
+  });
+
+  it('refuses an intent already linked to an order', async () => {
+    const { paymentIntent } = mockPaidIntent();
+    await checkout(paymentIntent.id, 'linked-1');
+
+    const response = await checkout(paymentIntent.id, 'linked-2');
+
+    expect(response.status).toBe(409);
+  });
+
+  it('marks the order paid even when tagging the intent with the order fails', async () => {
+    const { paymentIntent, update } = mockPaidIntent();
+    update.mockRejectedValue(new Error('Stripe is down'));
+
+    const response = await checkout(paymentIntent.id, 'update-fails');
+
+    expect(response.status).toBe(201);
+    expect(update).toHaveBeenCalled();
+    const order = await Order.findByPk(response.body.order.id);
+    expect(order.paymentStatus).toBe('paid');
+  });
+});
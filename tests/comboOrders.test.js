@@ -0,0 +1,141 @@
+const request = require('supertest');
+const { Order, OrderItem, OrderItemSelection, OrderTaxLine } = require('../config/database');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createMenuItem, createCombo, createOrder, signIn } = require('./helpers/factories');
+
+describeWithDatabase('POST /api/combos/order', () => {
+  let app, restaurant, customer, customerToken, item, chicken, beef, combo;
+
+  // A $10.00 pending order ($10.50 with GST) for the customer
+  const placeOrder = async () => {
+    const response = await request(app)
+      .post(`/api/orders?restaurant=${restaurant.slug}`)
+      .set('Authorization', `Bearer ${customerToken}`)
+      .send({
+        customerEmail: customer.email,
+        customerFirstName: 'Test',
+        customerLastName: 'Customer',
+        customerPhone: '604-555-0100',
+        orderType: 'pickup',
+        paymentMethod: 'cash_on_arrival',
+        items: [{ menuItemId: item.id, quantity: 1 }]
+      });
+    return Order.findByPk(response.body.order.id);
+  };
+
+  const addCombo = (order, body = {}, token = customerToken) => request(app)
+    .post(`/api/combos/order?restaurant=${restaurant.slug}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      order_id: order.id,
+      combo_type_id: combo.id,
+      selected_items: [chicken.id, beef.id],
+      additional_items: [chicken.id],
+      quantity: 2,
+      ...body
+    });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant({ taxSettings: { rates: [{ name: 'GST', rate: 0.05, categoryIds: null, appliesToDeliveryFee: true }] } });
+    customer = await createUser(restaurant);
+    customerToken = await signIn(customer, restaurant);
+    item = await createMenuItem(restaurant, { price: 10.00 });
+    chicken = await createMenuItem(restaurant, { name: 'Lemon Chicken' });
+    beef = await createMenuItem(restaurant, { name: 'Ginger Beef' });
+    combo = await createCombo(restaurant, { name: 'Dinner for Two', entreeItems: [chicken, beef] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('prices the combo on the server, stores its selections and recomputes the order totals', async () => {
+    const order = await placeOrder();
+
+    const response = await addCombo(order, { price: 1 });
+
+    expect(response.status).toBe(201);
+    // The $10.00 item plus a $15.00 combo with a $4.00 extra, twice
+    await order.reload();
+    expect(order).toMatchObject({ subtotal: '48.00', tax: '2.40', total: '50.40' });
+
+    const orderItem = await OrderItem.findByPk(response.body.orderItemId);
+    expect(orderItem).toMatchObject({ comboTypeId: combo.id, menuItemId: null, quantity: 2, price: '19.00', itemName: 'Dinner for Two' });
+    const selections = await OrderItemSelection.findAll({ where: { orderItemId: orderItem.id }, order: [['displayOrder', 'ASC']] });
+    expect(selections.map(selection => [selection.role, selection.itemName, selection.priceDelta])).toEqual([
+      ['entree', 'Lemon Chicken', '0.00'],
+      ['entree', 'Ginger Beef', '0.00'],
+      ['additional', 'Lemon Chicken', '4.00']
+    ]);
+    const [taxLine] = await OrderTaxLine.findAll({ where: { orderId: order.id } });
+    expect(taxLine).toMatchObject({ name: 'GST', taxableAmount: '48.00', amount: '2.40' });
+  });
+
+  it('rejects selections outside the combo rules and leaves the order as it was', async () => {
+    const order = await placeOrder();
+
+    const response = await addCombo(order, { selected_items: [chicken.id, item.id] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_COMBO_SELECTION');
+    await order.reload();
+    expect(order.total).toBe('10.50');
+    expect(await OrderItem.count({ where: { orderId: order.id } })).toBe(1);
+  });
+
+  it('rolls everything back when a write fails part way', async () => {
+    const order = await placeOrder();
+    jest.spyOn(OrderItemSelection, 'bulkCreate').mockRejectedValueOnce(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await addCombo(order);
+
+    expect(response.status).toBe(500);
+    await order.reload();
+    expect(order.total).toBe('10.50');
+    expect(await OrderItem.count({ where: { orderId: order.id } })).toBe(1);
+  });
+
+  it('requires an order and a combo', async () => {
+    const order = await placeOrder();
+
+    expect((await addCombo(order, { combo_type_id: undefined })).status).toBe(400);
+    expect((await addCombo({ id: undefined })).status).toBe(400);
+  });
+
+  it("refuses another restaurant's orders and combos", async () => {
+    const otherRestaurant = await createRestaurant();
+    const otherOrder = await createOrder(otherRestaurant, { paymentMethod: 'cash_on_arrival' });
+    const otherCombo = await createCombo(otherRestaurant, { entreeItems: [await createMenuItem(otherRestaurant)] });
+
+    expect((await addCombo(otherOrder)).status).toBe(404);
+
+    const response = await addCombo(await placeOrder(), { combo_type_id: otherCombo.id, selected_items: [] });
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('COMBO_NOT_AVAILABLE');
+  });
+
+  it("lets the order's customer and the restaurant's admins add to it, but no one else", async () => {
+    const order = await placeOrder();
+    const otherCustomerToken = await signIn(await createUser(restaurant), restaurant);
+    const adminToken = await signIn(await createUser(restaurant, { role: 'restaurant_admin' }), restaurant);
+
+    expect((await addCombo(order, {}, otherCustomerToken)).status).toBe(403);
+    expect((await addCombo(order, {}, adminToken)).status).toBe(201);
+  });
+
+  it('does not change orders that were paid or moved past pending', async () => {
+    const paid = await placeOrder();
+    await paid.update({ paymentStatus: 'paid' });
+    const confirmed = await placeOrder();
+    await confirmed.update({ status: 'confirmed' });
+
+    for (const order of [paid, confirmed]) {
+      const response = await addCombo(order);
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('ORDER_NOT_EDITABLE');
+    }
+  });
+});
@@ -0,0 +1,188 @@
+const request = require('supertest');
+const { ComboType, ComboItemPool, OrderItem } = require('../config/database');
+const comboService = require('../services/comboService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createMenuItem, createCombo, createOrder, signIn } = require('./helpers/factories');
+
+describe('comboService.validateSelections', () => {
+  const pool = (...ids) => ({ items: ids.map((id, index) => ({ id, displayOrder: index, menuItem: { id, isAvailable: id !== 9 } })) });
+  const combo = {
+    id: 1,
+    name: 'Dinner for Two',
+    entreeCount: 2,
+    entreePool: pool(5, 6, 7, 9),
+    basePoolId: 2,
+    basePool: pool(1, 2),
+    additionalItemPrice: '4.00',
+    maxAdditionalItems: 1
+  };
+
+  const rejectionOf = (rules, selections) => {
+    try {
+      comboService.validateSelections({ ...combo, ...rules }, selections);
+    } catch (error) {
+      return { statusCode: error.statusCode, message: error.message, ...error.details };
+    }
+    return null;
+  };
+
+  it('accepts a base and the required number of entrees from their pools', () => {
+    expect(rejectionOf({}, { baseChoice: 1, selectedItems: [5, 6] })).toBeNull();
+    expect(rejectionOf({}, { baseChoice: 2, selectedItems: [5, 5], additionalItems: [7] })).toBeNull();
+  });
+
+  it("requires exactly the combo's entree count", () => {
+    expect(rejectionOf({}, { baseChoice: 1, selectedItems: [5] })).toMatchObject({ statusCode: 400, code: 'INVALID_COMBO_SELECTION', comboId: 1 });
+    expect(rejectionOf({}, { baseChoice: 1, selectedItems: [5, 6, 7] })).toMatchObject({ code: 'INVALID_COMBO_SELECTION' });
+    expect(rejectionOf({ entreeCount: 3 }, { baseChoice: 1, selectedItems: [5, 6, 7] })).toBeNull();
+  });
+
+  it('only accepts entrees from the entree pool that are available', () => {
+    expect(rejectionOf({}, { baseChoice: 1, selectedItems: [5, 1] })).toMatchObject({ code: 'INVALID_COMBO_SELECTION' });
+    expect(rejectionOf({}, { baseChoice: 1, selectedItems: [5, 9] })).toMatchObject({ code: 'INVALID_COMBO_SELECTION' });
+  });
+
+  it('requires a base from the base pool, and refuses one when the combo has no base choice', () => {
+    expect(rejectionOf({}, { selectedItems: [5, 6] })).toMatchObject({ message: 'Choose a base item for Dinner for Two' });
+    expect(rejectionOf({}, { baseChoice: 5, selectedItems: [5, 6] })).toMatchObject({ code: 'INVALID_COMBO_SELECTION' });
+    expect(rejectionOf({ basePoolId: null, basePool: null }, { baseChoice: 1, selectedItems: [5, 6] })).toMatchObject({ code: 'INVALID_COMBO_SELECTION' });
+    expect(rejectionOf({ basePoolId: null, basePool: null }, { selectedItems: [5, 6] })).toBeNull();
+  });
+
+  it('applies the additional item rules', () => {
+    expect(rejectionOf({}, { baseChoice: 1, selectedItems: [5, 6], additionalItems: [6, 7] })).toMatchObject({
+      message: 'Dinner for Two allows at most 1 additional item'
+    });
+    expect(rejectionOf({}, { baseChoice: 1, selectedItems: [5, 6], additionalItems: [1] })).toMatchObject({ code: 'INVALID_COMBO_SELECTION' });
+    expect(rejectionOf({ additionalItemPrice: null }, { baseChoice: 1, selectedItems: [5, 6], additionalItems: [7] })).toMatchObject({
+      message: 'Dinner for Two does not allow additional items'
+    });
+  });
+
+  it('refuses combos without an entree pool', () => {
+    expect(rejectionOf({ entreePool: null }, { baseChoice: 1, selectedItems: [5, 6] })).toMatchObject({ code: 'INVALID_COMBO_SELECTION' });
+  });
+});
+
+describeWithDatabase('combo pools and rules', () => {
+  let app, restaurant, adminToken, rice, chicken, beef;
+
+  const asAdmin = (method, path) => request(app)[method](`/api/combos${path}?restaurant=${restaurant.slug}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant();
+    adminToken = await signIn(await createUser(restaurant, { role: 'restaurant_admin' }), restaurant);
+    rice = await createMenuItem(restaurant, { name: 'Chicken Fried Rice' });
+    chicken = await createMenuItem(restaurant, { name: 'Lemon Chicken' });
+    beef = await createMenuItem(restaurant, { name: 'Beef and Broccoli' });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('lets admins build a combo from named pools and shows the storefront its rules and items', async () => {
+    const entrees = await asAdmin('post', '/pools').send({ name: 'Entrees', menuItemIds: [chicken.id, beef.id] });
+    const bases = await asAdmin('post', '/pools').send({ name: 'Bases', menuItemIds: [rice.id] });
+    expect([entrees.status, bases.status]).toEqual([201, 201]);
+
+    const created = await asAdmin('post', '').send({
+      name: 'Dinner for Two',
+      basePrice: 24.95,
+      entreePoolId: entrees.body.id,
+      entreeCount: 2,
+      basePoolId: bases.body.id,
+      includedExtras: [{ name: 'Spring Roll', quantity: 2 }],
+      additionalItemPrice: 5.5,
+      maxAdditionalItems: 2
+    });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ basePrice: 24.95, entreeCount: 2, baseItems: 3, additionalItemPrice: 5.5 });
+
+    const response = await request(app).get(`/api/combos/${created.body.id}?restaurant=${restaurant.slug}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.combo).toMatchObject({
+      entree_count: 2,
+      has_base_choice: true,
+      included_extras: [{ name: 'Spring Roll', quantity: 2 }],
+      spring_rolls_included: 2,
+      max_additional_items: 2
+    });
+    expect(response.body.availableItems.map(item => [item.item_name, item.is_entree])).toEqual([
+      ['Chicken Fried Rice', false],
+      ['Lemon Chicken', true],
+      ['Beef and Broccoli', true]
+    ]);
+  });
+
+  it('lets several combos share one pool, and updates them all when the pool changes', async () => {
+    const first = await createCombo(restaurant, { entreeItems: [chicken] });
+    const second = await ComboType.create({ restaurantId: restaurant.id, name: 'Lunch', basePrice: 9, entreePoolId: first.entreePoolId, entreeCount: 1 });
+
+    const updated = await asAdmin('put', `/pools/${first.entreePoolId}`).send({ menuItemIds: [beef.id, chicken.id] });
+
+    expect(updated.status).toBe(200);
+    expect(updated.body.items.map(item => item.name)).toEqual(['Beef and Broccoli', 'Lemon Chicken']);
+    expect(updated.body.comboTypeIds.sort()).toEqual([first.id, second.id].sort());
+    const lunch = await request(app).get(`/api/combos/${second.id}?restaurant=${restaurant.slug}`);
+    expect(lunch.body.availableItems.map(item => item.item_name)).toEqual(['Beef and Broccoli', 'Lemon Chicken']);
+  });
+
+  it('refuses pools and items of another restaurant', async () => {
+    const otherRestaurant = await createRestaurant();
+    const otherPool = await ComboItemPool.create({ restaurantId: otherRestaurant.id, name: 'Elsewhere' });
+    const otherItem = await createMenuItem(otherRestaurant);
+
+    const combo = await asAdmin('post', '').send({ name: 'Borrowed', basePrice: 10, entreePoolId: otherPool.id });
+    expect(combo.status).toBe(400);
+
+    const pool = await asAdmin('post', '/pools').send({ name: 'Mixed', menuItemIds: [chicken.id, otherItem.id] });
+    expect(pool.status).toBe(400);
+    expect(await ComboItemPool.count({ where: { name: 'Mixed' } })).toBe(0);
+  });
+
+  it('rejects invalid included extras', async () => {
+    const response = await asAdmin('post', '').send({ name: 'Odd', basePrice: 10, includedExtras: [{ name: 'Spring Roll', quantity: 0 }] });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('keeps pools in use and combos that were ordered', async () => {
+    const combo = await createCombo(restaurant, { entreeItems: [chicken] });
+    const order = await createOrder(restaurant);
+    await OrderItem.create({ orderId: order.id, comboTypeId: combo.id, quantity: 1, price: 15, itemName: combo.name });
+
+    const pool = await asAdmin('delete', `/pools/${combo.entreePoolId}`);
+    expect(pool.status).toBe(409);
+    expect(pool.body.code).toBe('POOL_IN_USE');
+
+    const ordered = await asAdmin('delete', `/${combo.id}`);
+    expect(ordered.status).toBe(409);
+    expect(ordered.body.code).toBe('COMBO_IN_USE');
+
+    const unused = await createCombo(restaurant, { entreeItems: [beef] });
+    expect((await asAdmin('delete', `/${unused.id}`)).status).toBe(200);
+    expect((await asAdmin('delete', `/pools/${unused.entreePoolId}`)).status).toBe(200);
+  });
+
+  it('seeds the starter pools and combos from the menu, matching items by name, and can run again', async () => {
+    const seedRestaurant = await createRestaurant();
+    await createMenuItem(seedRestaurant, { name: 'Chicken Chow Mein' });
+    await createMenuItem(seedRestaurant, { name: 'Lemon Chicken' });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const first = await comboService.seedCombos(seedRestaurant.id);
+    await comboService.seedCombos(seedRestaurant.id);
+
+    expect(first.missingItems).toContain('Chicken Fried Rice');
+    expect(await ComboItemPool.count({ where: { restaurantId: seedRestaurant.id } })).toBe(first.pools);
+    const combos = await comboService.getCombos(seedRestaurant.id);
+    expect(combos).toHaveLength(first.combos);
+    expect(combos[0].basePool.items).toHaveLength(1);
+    expect(combos[0].entreePool.items).toHaveLength(1);
+  });
+});
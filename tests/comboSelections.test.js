@@ -0,0 +1,132 @@
+const request = require('supertest');
+const { OrderItem, OrderItemSelection } = require('../config/database');
+const { applyDataMigrations } = require('../config/dataMigrations');
+const emailService = require('../services/emailService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createMenuItem, createCombo, createOrder } = require('./helpers/factories');
+
+describeWithDatabase('combo order selections', () => {
+  let app, restaurant, rice, noodles, chicken, beef, combo;
+
+  const selectionsOf = async (orderItem) => (await OrderItemSelection.findAll({ where: { orderItemId: orderItem.id }, order: [['displayOrder', 'ASC']] }))
+    .map(selection => [selection.role, selection.menuItemId, selection.itemName, selection.priceDelta]);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant();
+    rice = await createMenuItem(restaurant, { name: 'Fried Rice' });
+    noodles = await createMenuItem(restaurant, { name: 'Chow Mein' });
+    chicken = await createMenuItem(restaurant, { name: 'Ginger Chicken' });
+    beef = await createMenuItem(restaurant, { name: 'Ginger Beef' });
+    combo = await createCombo(restaurant, {
+      name: 'Dinner for One',
+      entreeItems: [chicken, beef],
+      baseItems: [rice, noodles],
+      includedExtras: [{ name: 'Spring Roll', quantity: 2 }]
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('stores what was chosen as selection rows and returns them with the order', async () => {
+    const response = await request(app)
+      .post(`/api/orders?restaurant=${restaurant.slug}`)
+      .send({
+        customerEmail: 'guest@example.com',
+        customerFirstName: 'Guest',
+        customerLastName: 'Customer',
+        customerPhone: '604-555-0100',
+        orderType: 'pickup',
+        paymentMethod: 'cash_on_arrival',
+        items: [{ isCombo: true, comboId: combo.id, quantity: 1, baseChoice: rice.id, selectedItems: [chicken.id, beef.id], additionalItems: [beef.id] }]
+      });
+
+    expect(response.status).toBe(201);
+    const [line] = response.body.order.items;
+    expect(line).toMatchObject({ itemName: 'Dinner for One', comboTypeId: combo.id, menuItemId: null, price: '19.00' });
+    expect(line.selections.map(selection => [selection.role, selection.itemName])).toEqual([
+      ['base', 'Fried Rice'],
+      ['entree', 'Ginger Chicken'],
+      ['entree', 'Ginger Beef'],
+      ['additional', 'Ginger Beef']
+    ]);
+
+    const orderItem = await OrderItem.findByPk(line.id);
+    expect(await selectionsOf(orderItem)).toEqual([
+      ['base', rice.id, 'Fried Rice', '0.00'],
+      ['entree', chicken.id, 'Ginger Chicken', '0.00'],
+      ['entree', beef.id, 'Ginger Beef', '0.00'],
+      ['additional', beef.id, 'Ginger Beef', '4.00']
+    ]);
+  });
+
+  it('lists the selections and included extras in the confirmation email', () => {
+    const { details } = emailService.parseOrderItem({
+      comboTypeId: combo.id,
+      itemName: 'Dinner for One',
+      comboType: combo,
+      selections: [
+        { role: 'additional', itemName: 'Ginger Beef', priceDelta: '4.00', displayOrder: 2 },
+        { role: 'base', itemName: 'Fried Rice', priceDelta: '0.00', displayOrder: 0 },
+        { role: 'entree', itemName: 'Ginger Chicken', priceDelta: '0.00', displayOrder: 1 }
+      ]
+    });
+
+    expect(details).toEqual(['Base: Fried Rice', 'Ginger Chicken', 'Extra: Ginger Beef (+$4.00)', '2 × Spring Roll (included)']);
+  });
+
+  describe('legacy JSON combo lines', () => {
+    const createLegacyItem = async (itemName) => {
+      const order = await createOrder(restaurant);
+      return OrderItem.create({ orderId: order.id, menuItemId: null, quantity: 1, price: 19.00, itemName });
+    };
+
+    it('are moved to selection rows with the combo name put back', async () => {
+      const orderItem = await createLegacyItem(JSON.stringify({
+        type: 'combo',
+        comboId: combo.id,
+        baseChoice: String(noodles.id),
+        selectedItems: [chicken.id, beef.id],
+        additionalItems: [chicken.id],
+        originalName: 'Dinner for One (old)'
+      }));
+
+      await applyDataMigrations(OrderItem.sequelize);
+      await applyDataMigrations(OrderItem.sequelize); // Running again changes nothing
+
+      await orderItem.reload();
+      expect(orderItem).toMatchObject({ itemName: 'Dinner for One (old)', comboTypeId: combo.id });
+      expect(await selectionsOf(orderItem)).toEqual([
+        ['base', noodles.id, 'Chow Mein', '0.00'],
+        ['entree', chicken.id, 'Ginger Chicken', '0.00'],
+        ['entree', beef.id, 'Ginger Beef', '0.00'],
+        ['additional', chicken.id, 'Ginger Chicken', '4.00']
+      ]);
+    });
+
+    it('keep a placeholder name for menu items that no longer exist', async () => {
+      const orderItem = await createLegacyItem(JSON.stringify({ type: 'combo', comboId: combo.id, selectedItems: [chicken.id, 999999] }));
+
+      await applyDataMigrations(OrderItem.sequelize);
+
+      expect(await selectionsOf(orderItem)).toEqual([
+        ['entree', chicken.id, 'Ginger Chicken', '0.00'],
+        ['entree', null, 'Menu item #999999', '0.00']
+      ]);
+    });
+
+    it('are left alone when the JSON cannot be read', async () => {
+      const orderItem = await createLegacyItem('{"type":"combo", broken');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await applyDataMigrations(OrderItem.sequelize);
+
+      await orderItem.reload();
+      expect(orderItem.itemName).toBe('{"type":"combo", broken');
+      expect(await selectionsOf(orderItem)).toEqual([]);
+    });
+  });
+});
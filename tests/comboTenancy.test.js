@@ -0,0 +1,96 @@
+const request = require('supertest');
+const { ComboType } = require('../config/database');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createMenuItem, createCombo, signIn } = require('./helpers/factories');
+
+describeWithDatabase('combo endpoints per restaurant', () => {
+  let app, restaurant, otherRestaurant, combo, otherCombo, adminToken, customerToken, otherAdminToken;
+
+  const combos = (method, path, token = null, targetRestaurant = restaurant) => {
+    const req = request(app)[method](`/api/combos${path}?restaurant=${targetRestaurant.slug}`);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant();
+    otherRestaurant = await createRestaurant();
+
+    const [chicken, beef] = [await createMenuItem(restaurant), await createMenuItem(restaurant)];
+    combo = await createCombo(restaurant, { name: 'Ours', entreeItems: [chicken, beef] });
+    await createCombo(restaurant, { name: 'Retired', entreeItems: [chicken], isActive: false });
+    otherCombo = await createCombo(otherRestaurant, { name: 'Theirs', entreeItems: [await createMenuItem(otherRestaurant)] });
+
+    adminToken = await signIn(await createUser(restaurant, { role: 'restaurant_admin' }), restaurant);
+    customerToken = await signIn(await createUser(restaurant), restaurant);
+    otherAdminToken = await signIn(await createUser(otherRestaurant, { role: 'restaurant_admin' }), otherRestaurant);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it("lists only the current restaurant's active combos", async () => {
+    const response = await combos('get', '');
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(listed => listed.name)).toEqual(['Ours']);
+
+    const admin = await combos('get', '/all', adminToken);
+    expect(admin.body.map(listed => listed.name).sort()).toEqual(['Ours', 'Retired']);
+  });
+
+  it("does not show another restaurant's combo", async () => {
+    expect((await combos('get', `/${combo.id}`)).status).toBe(200);
+    expect((await combos('get', `/${otherCombo.id}`)).status).toBe(404);
+  });
+
+  it("lets only the restaurant's admins change combos", async () => {
+    const body = { name: 'New Combo', basePrice: 12 };
+
+    expect((await combos('post', '', null).send(body)).status).toBe(401);
+    expect((await combos('post', '', customerToken).send(body)).status).toBe(403);
+    const elsewhere = await combos('post', '', otherAdminToken).send(body);
+    expect(elsewhere.status).toBe(401);
+    expect(elsewhere.body.code).toBe('WRONG_RESTAURANT');
+    expect(await ComboType.count({ where: { name: 'New Combo' } })).toBe(0);
+
+    expect((await combos('post', '', adminToken).send(body)).status).toBe(201);
+  });
+
+  it("does not let admins edit another restaurant's combo from their own", async () => {
+    const update = await combos('put', `/${otherCombo.id}`, adminToken).send({ name: 'Hijacked' });
+    const removal = await combos('delete', `/${otherCombo.id}`, adminToken);
+
+    expect([update.status, removal.status]).toEqual([404, 404]);
+    await otherCombo.reload();
+    expect(otherCombo.name).toBe('Theirs');
+  });
+
+  it('reseeds only for admins, and no longer offers the old reset endpoint', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect((await combos('post', '/reseed')).status).toBe(401);
+    expect((await combos('post', '/reseed', customerToken)).status).toBe(403);
+    expect((await combos('post', '/reseed', adminToken)).status).toBe(200);
+    expect((await combos('post', '/reset-items', adminToken)).status).toBe(404);
+  });
+
+  it("refuses another restaurant's combo at checkout", async () => {
+    const response = await request(app)
+      .post(`/api/orders?restaurant=${restaurant.slug}`)
+      .send({
+        customerEmail: 'guest@example.com',
+        customerFirstName: 'Guest',
+        customerLastName: 'Customer',
+        customerPhone: '604-555-0100',
+        orderType: 'pickup',
+        paymentMethod: 'cash_on_arrival',
+        items: [{ isCombo: true, comboId: otherCombo.id, quantity: 1, selectedItems: [] }]
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'COMBO_NOT_AVAILABLE', comboId: otherCombo.id });
+  });
+});
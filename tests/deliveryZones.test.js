@@ -0,0 +1,57 @@
+const request = require('supertest');
+const geocodingService = require('../services/geocodingService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant } = require('./helpers/factories');
+
+describeWithDatabase('GET /api/restaurant/delivery-zones', () => {
+  let app, restaurant;
+
+  const createDeliveryRestaurant = () => createRestaurant({
+    deliverySettings: {
+      origin: { lat: 49.86, lng: -119.58 },
+      zones: [{ name: 'Nearby', type: 'radius', radiusKm: 5, fee: 3, minimumOrder: 15 }]
+    }
+  });
+
+  const getZones = (address) => request(app)
+    .get('/api/restaurant/delivery-zones')
+    .query({ restaurant: restaurant.slug, ...(address && { address }) });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+  });
+
+  // Address checks are counted per restaurant and client
+  beforeEach(async () => {
+    restaurant = await createDeliveryRestaurant();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('lists zones without their geometry and matches an address to one', async () => {
+    jest.spyOn(geocodingService, 'geocode').mockResolvedValue({ lat: 49.87, lng: -119.58, provider: 'google' });
+
+    const response = await getZones('123 Main St');
+
+    expect(response.status).toBe(200);
+    expect(response.body.zones).toEqual([{ name: 'Nearby', fee: 3, minimumOrder: 15, estimatedMinutes: null }]);
+    expect(response.body.zone).toMatchObject({ name: 'Nearby', fee: 3 });
+  });
+
+  it('limits address checks per client but keeps listing the zones', async () => {
+    const geocode = jest.spyOn(geocodingService, 'geocode').mockResolvedValue({ lat: 49.87, lng: -119.58, provider: 'google' });
+
+    for (let check = 0; check < 30; check++) {
+      expect((await getZones(`${check} Main St`)).status).toBe(200);
+    }
+    const limited = await getZones('99 Main St');
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.code).toBe('RATE_LIMITED');
+    expect(geocode).toHaveBeenCalledTimes(30);
+    expect((await getZones()).status).toBe(200);
+  });
+});
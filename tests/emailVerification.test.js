@@ -0,0 +1,181 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const emailService = require('../services/emailService');
+const emailVerificationService = require('../services/emailVerificationService');
+const loyaltyService = require('../services/loyaltyService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createMenuItem, createOrder, signIn } = require('./helpers/factories');
+
+describe('emailVerificationService.assertVerifiedFor', () => {
+  const restaurant = { emailVerificationSettings: { requiredForCheckout: true, requiredForLoyalty: false } };
+
+  it('stops unverified users from the features the restaurant requires it for', () => {
+    expect(() => emailVerificationService.assertVerifiedFor(restaurant, { emailVerified: false }, 'checkout')).toThrow(
+      expect.objectContaining({ statusCode: 403, details: { code: 'EMAIL_NOT_VERIFIED', feature: 'checkout' } })
+    );
+    expect(() => emailVerificationService.assertVerifiedFor(restaurant, { emailVerified: false }, 'loyalty')).not.toThrow();
+  });
+
+  it('lets verified users and guests through', () => {
+    expect(() => emailVerificationService.assertVerifiedFor(restaurant, { emailVerified: true }, 'checkout')).not.toThrow();
+    expect(() => emailVerificationService.assertVerifiedFor(restaurant, null, 'checkout')).not.toThrow();
+  });
+});
+
+describeWithDatabase('email verification', () => {
+  let app, restaurant;
+
+  const verify = (token) => request(app)
+    .post(`/api/auth/verify-email?restaurant=${restaurant.slug}`)
+    .send({ token });
+
+  const resend = async (user) => request(app)
+    .post(`/api/auth/resend-verification?restaurant=${restaurant.slug}`)
+    .set('Authorization', `Bearer ${await signIn(user, restaurant)}`);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendEmailVerification').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  describe('verification links', () => {
+    it('verifies the address the link was sent to', async () => {
+      const user = await createUser(restaurant);
+
+      const response = await verify(emailVerificationService.createToken(user));
+
+      expect(response.status).toBe(200);
+      await user.reload();
+      expect(user.emailVerified).toBe(true);
+    });
+
+    it('rejects tokens made for another purpose', async () => {
+      const user = await createUser(restaurant);
+      const accessToken = await signIn(user, restaurant);
+      const unscoped = jwt.sign({ sub: String(user.id), email: user.email }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      for (const token of [accessToken, unscoped]) {
+        const response = await verify(token);
+        expect(response.status).toBe(400);
+        expect(response.body.code).toBe('VERIFICATION_TOKEN_INVALID');
+      }
+      await user.reload();
+      expect(user.emailVerified).toBe(false);
+    });
+
+    it('rejects a link for an address the account no longer uses', async () => {
+      const user = await createUser(restaurant);
+      const token = emailVerificationService.createToken(user);
+      await user.update({ email: `changed.${user.email}` });
+
+      const response = await verify(token);
+
+      expect(response.status).toBe(400);
+      await user.reload();
+      expect(user.emailVerified).toBe(false);
+    });
+  });
+
+  describe('POST /api/auth/resend-verification', () => {
+    it('sends at most one link a minute', async () => {
+      const user = await createUser(restaurant);
+
+      expect((await resend(user)).status).toBe(200);
+      const throttled = await resend(user);
+
+      expect(throttled.status).toBe(429);
+      expect(throttled.body.code).toBe('VERIFICATION_RESEND_THROTTLED');
+      expect(throttled.body.retryAfter).toBeGreaterThan(0);
+      expect(throttled.body.retryAfter).toBeLessThanOrEqual(60);
+      expect(throttled.headers['retry-after']).toBe(String(throttled.body.retryAfter));
+      expect(emailService.sendEmailVerification).toHaveBeenCalledTimes(1);
+    });
+
+    it('sends again once the minute has passed', async () => {
+      const user = await createUser(restaurant, { emailVerificationSentAt: new Date(Date.now() - 61 * 1000) });
+
+      expect((await resend(user)).status).toBe(200);
+    });
+
+    it('answers 409 to verified users', async () => {
+      const user = await createUser(restaurant, { emailVerified: true });
+
+      const response = await resend(user);
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('EMAIL_ALREADY_VERIFIED');
+    });
+  });
+
+  describe('restaurants that require a verified email', () => {
+    let strictRestaurant, item;
+
+    const checkout = (token) => {
+      const req = request(app)
+        .post(`/api/orders?restaurant=${strictRestaurant.slug}`)
+        .send({
+          customerEmail: 'customer@example.com',
+          customerFirstName: 'Test',
+          customerLastName: 'Customer',
+          customerPhone: '604-555-0100',
+          orderType: 'pickup',
+          paymentMethod: 'cash_on_arrival',
+          items: [{ menuItemId: item.id, quantity: 1 }]
+        });
+      return token ? req.set('Authorization', `Bearer ${token}`) : req;
+    };
+
+    beforeAll(async () => {
+      strictRestaurant = await createRestaurant({
+        emailVerificationSettings: { requiredForCheckout: true, requiredForLoyalty: true },
+        loyaltySettings: { enabled: true, pointsPerDollar: 1, pointValue: 0.01 }
+      });
+      item = await createMenuItem(strictRestaurant);
+    });
+
+    it('stop unverified customers at checkout but not guests or verified customers', async () => {
+      const unverified = await createUser(strictRestaurant);
+      const verified = await createUser(strictRestaurant, { emailVerified: true });
+
+      const refused = await checkout(await signIn(unverified, strictRestaurant));
+      expect(refused.status).toBe(403);
+      expect(refused.body).toMatchObject({ code: 'EMAIL_NOT_VERIFIED', feature: 'checkout' });
+
+      expect((await checkout(null)).status).toBe(201);
+      expect((await checkout(await signIn(verified, strictRestaurant))).status).toBe(201);
+    });
+
+    it('do not let unverified customers redeem points', async () => {
+      const unverified = await createUser(strictRestaurant);
+
+      const response = await request(app)
+        .post(`/api/orders/quote?restaurant=${strictRestaurant.slug}`)
+        .set('Authorization', `Bearer ${await signIn(unverified, strictRestaurant)}`)
+        .send({ items: [{ menuItemId: item.id, quantity: 1 }], loyaltyPoints: 100 });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({ code: 'EMAIL_NOT_VERIFIED', feature: 'loyalty' });
+    });
+
+    it('hold back points earned by unverified customers', async () => {
+      const unverified = await createUser(strictRestaurant);
+      const verified = await createUser(strictRestaurant, { emailVerified: true });
+      const completePaidOrder = (user) => createOrder(strictRestaurant, { userId: user.id, status: 'completed', paymentStatus: 'paid' });
+
+      await loyaltyService.syncOrderPoints(await completePaidOrder(unverified));
+      await loyaltyService.syncOrderPoints(await completePaidOrder(verified));
+
+      expect(await loyaltyService.getBalance(strictRestaurant.id, unverified.id)).toBe(0);
+      expect(await loyaltyService.getBalance(strictRestaurant.id, verified.id)).toBe(20);
+    });
+  });
+});
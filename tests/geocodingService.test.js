@@ -0,0 +1,43 @@
+const axios = require('axios');
+const geocodingService = require('../services/geocodingService');
+
+describe('geocodingService', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('uses the local stand-in only when GEOCODING_PROVIDER=local', async () => {
+    process.env.GEOCODING_PROVIDER = 'local';
+    delete process.env.GOOGLE_API_KEY;
+
+    await expect(geocodingService.geocode('49.9,-119.5')).resolves.toMatchObject({ lat: 49.9, lng: -119.5, provider: 'local' });
+  });
+
+  it('fails with a 503 instead of falling back when no Google key is set', async () => {
+    delete process.env.GEOCODING_PROVIDER;
+    delete process.env.GOOGLE_API_KEY;
+    const get = jest.spyOn(axios, 'get');
+
+    await expect(geocodingService.geocode('123 Main St')).rejects.toMatchObject({
+      statusCode: 503,
+      details: { code: 'GEOCODING_UNAVAILABLE' }
+    });
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  it('geocodes with Google when a key is set', async () => {
+    delete process.env.GEOCODING_PROVIDER;
+    process.env.GOOGLE_API_KEY = 'test-key';
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      data: {
+        status: 'OK',
+        results: [{ formatted_address: '123 Main St', geometry: { location: { lat: 49.8, lng: -119.6 }, location_type: 'ROOFTOP' } }]
+      }
+    });
+
+    await expect(geocodingService.geocode('123 Main St')).resolves.toMatchObject({ lat: 49.8, provider: 'google', approximate: false });
+  });
+});
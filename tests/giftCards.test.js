@@ -0,0 +1,178 @@
+const request = require('supertest');
+const { stripe } = require('../config/stripe');
+const { sequelize, GiftCard, GiftCardTransaction, Order } = require('../config/database');
+const giftCardService = require('../services/giftCardService');
+const emailService = require('../services/emailService');
+const orderStatusService = require('../services/orderStatusService');
+const webhookService = require('../services/webhookService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createMenuItem, signIn } = require('./helpers/factories');
+
+let eventSequence = 0;
+
+describeWithDatabase('gift cards', () => {
+  let app, restaurant, admin, adminToken, item;
+
+  const ledgerOf = async (giftCard) => (await GiftCardTransaction.findAll({ where: { giftCardId: giftCard.id }, order: [['id', 'ASC']] }))
+    .map(entry => [entry.type, parseFloat(entry.amount), parseFloat(entry.balanceAfter)]);
+
+  // Pay for two $10.00 items ($21.00 with tax) with a gift card
+  const checkout = (giftCardCode, targetRestaurant = restaurant) => request(app)
+    .post(`/api/orders?restaurant=${targetRestaurant.slug}`)
+    .send({
+      customerEmail: 'guest@example.com',
+      customerFirstName: 'Guest',
+      customerLastName: 'Customer',
+      customerPhone: '604-555-0100',
+      orderType: 'pickup',
+      paymentMethod: 'card',
+      giftCardCode,
+      items: [{ menuItemId: item.id, quantity: 2 }]
+    });
+
+  // payment_intent.succeeded for a gift card purchase
+  const purchaseEvent = (giftCard, overrides = {}) => ({
+    id: `evt_gift_${++eventSequence}`,
+    type: 'payment_intent.succeeded',
+    created: 1000 + eventSequence,
+    data: {
+      object: {
+        id: giftCard.stripePaymentIntentId,
+        object: 'payment_intent',
+        status: 'succeeded',
+        amount: 2500,
+        amount_received: 2500,
+        currency: 'cad',
+        metadata: { restaurantId: String(giftCard.restaurantId), giftCardId: String(giftCard.id) },
+        ...overrides
+      }
+    }
+  });
+
+  const startPurchase = () => {
+    jest.spyOn(stripe.paymentIntents, 'create').mockImplementation(async (params) => ({
+      id: `pi_gift_${++eventSequence}`,
+      amount: params.amount,
+      currency: params.currency,
+      metadata: params.metadata
+    }));
+    return giftCardService.createPurchase(restaurant, { amount: 25, purchaserEmail: 'buyer@example.com' });
+  };
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant({ taxSettings: { rates: [{ name: 'GST', rate: 0.05, categoryIds: null, appliesToDeliveryFee: true }] } });
+    admin = await createUser(restaurant, { role: 'restaurant_admin' });
+    adminToken = await signIn(admin, restaurant);
+    item = await createMenuItem(restaurant, { price: 10.00 });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendGiftCard').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('issues an active card whose code is shown once and only its hash stored', async () => {
+    const response = await request(app)
+      .post(`/api/gift-cards?restaurant=${restaurant.slug}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ amount: 50 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.code).toMatch(/^[A-Z2-9]{4}(-[A-Z2-9]{4}){3}$/);
+    expect(response.body).toMatchObject({ status: 'active', balance: 50, lastFour: response.body.code.slice(-4) });
+
+    const giftCard = await GiftCard.findByPk(response.body.id);
+    expect(giftCard.codeHash).toBe(giftCardService.hashCode(response.body.code));
+    expect(await ledgerOf(giftCard)).toEqual([['issue', 50, 50]]);
+  });
+
+  it('activates a purchased card when its payment succeeds and emails the code', async () => {
+    const { giftCard } = await startPurchase();
+    expect(giftCard.status).toBe('pending');
+
+    await webhookService.receiveEvent(purchaseEvent(giftCard));
+
+    await giftCard.reload();
+    expect(giftCard).toMatchObject({ status: 'active', balance: '25.00' });
+    expect(await ledgerOf(giftCard)).toEqual([['purchase', 25, 25]]);
+    const [, code] = emailService.sendGiftCard.mock.calls[0];
+    expect(giftCardService.hashCode(code)).toBe(giftCard.codeHash);
+  });
+
+  it('leaves a purchased card pending when the payment does not match its amount', async () => {
+    const { giftCard } = await startPurchase();
+
+    await webhookService.receiveEvent(purchaseEvent(giftCard, { amount: 500, amount_received: 500 }));
+
+    await giftCard.reload();
+    expect(giftCard).toMatchObject({ status: 'pending', balance: '0.00', codeHash: null });
+    expect(await ledgerOf(giftCard)).toEqual([]);
+    expect(emailService.sendGiftCard).not.toHaveBeenCalled();
+  });
+
+  it('pays for an order at checkout and gives the amount back when the order is cancelled', async () => {
+    const { giftCard, code } = await giftCardService.issueCard(restaurant, { amount: 30 }, admin);
+
+    const response = await checkout(code.toLowerCase());
+
+    expect(response.status).toBe(201);
+    expect(response.body.order).toMatchObject({ paymentStatus: 'paid', giftCardAmount: '21.00' });
+    await giftCard.reload();
+    expect(giftCard.balance).toBe('9.00');
+
+    const order = await Order.findByPk(response.body.order.id);
+    await orderStatusService.changeStatus(order, 'cancelled');
+    // Restoring again returns nothing more
+    expect(await sequelize.transaction(transaction => giftCardService.restoreOrderAmount(order, transaction))).toBeNull();
+
+    await giftCard.reload();
+    expect(giftCard.balance).toBe('30.00');
+    expect(await ledgerOf(giftCard)).toEqual([['issue', 30, 30], ['redeem', -21, 9], ['refund', 21, 30]]);
+  });
+
+  it('covers part of an order and leaves the rest to the card payment', async () => {
+    const { giftCard, code } = await giftCardService.issueCard(restaurant, { amount: 5 }, admin);
+
+    const response = await checkout(code);
+
+    expect(response.status).toBe(201);
+    expect(response.body.order).toMatchObject({ paymentStatus: 'pending', giftCardAmount: '5.00', total: '21.00' });
+    await giftCard.reload();
+    expect(giftCard.balance).toBe('0.00');
+  });
+
+  it("does not accept another restaurant's card", async () => {
+    const otherRestaurant = await createRestaurant();
+    const { code } = await giftCardService.issueCard(otherRestaurant, { amount: 30 }, admin);
+
+    const response = await checkout(code);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'GIFT_CARD_INVALID', reason: 'NOT_FOUND' });
+  });
+
+  it('limits code attempts per client across balance lookups and checkouts', async () => {
+    const limitedRestaurant = await createRestaurant();
+    const lookup = () => request(app)
+      .post(`/api/gift-cards/balance?restaurant=${limitedRestaurant.slug}`)
+      .send({ code: 'AAAA-BBBB-CCCC-DDDD' });
+
+    for (let attempt = 0; attempt < 9; attempt++) {
+      expect((await lookup()).status).toBe(404);
+    }
+    expect((await checkout('AAAA-BBBB-CCCC-DDDD', limitedRestaurant)).status).toBe(400);
+
+    const limitedLookup = await lookup();
+    expect(limitedLookup.status).toBe(429);
+    expect(limitedLookup.body.code).toBe('RATE_LIMITED');
+    expect(limitedLookup.headers['retry-after']).toBeDefined();
+
+    const limitedCheckout = await checkout('AAAA-BBBB-CCCC-DDDD', limitedRestaurant);
+    expect(limitedCheckout.status).toBe(429);
+  });
+});
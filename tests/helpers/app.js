@@ -0,0 +1,16 @@
+// Express app wired like server.js, without listening on a port or starting timers (for supertest)
+
+const express = require('express');
+const { configureMiddleware } = require('../../config/middleware');
+const { configureRoutes } = require('../../config/routes');
+const { errorHandler } = require('../../utils/errorHandler');
+
+const createApp = () => {
+  const app = express();
+  configureMiddleware(app);
+  configureRoutes(app);
+  app.use(errorHandler);
+  return app;
+};
+
+module.exports = { createApp };
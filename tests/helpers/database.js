@@ -0,0 +1,24 @@
+// Test database helpers - every test file starts from empty tables (see tests/setup.js)
+
+const hasDatabase = Boolean(process.env.TEST_DATABASE_URL);
+
+// describe() for suites that need Postgres; skipped when TEST_DATABASE_URL is not set
+const describeWithDatabase = hasDatabase ? describe : describe.skip;
+
+// Recreate every table from the models
+const resetDatabase = async () => {
+  const { sequelize } = require('../../config/database');
+  await sequelize.sync({ force: true });
+};
+
+const closeDatabase = async () => {
+  const { sequelize } = require('../../config/database');
+  await sequelize.close();
+};
+
+module.exports = {
+  hasDatabase,
+  describeWithDatabase,
+  resetDatabase,
+  closeDatabase
+};
@@ -0,0 +1,107 @@
+// Test data factories - each creates one row with sensible defaults; pass overrides for the fields a test cares about
+
+const {
+  Restaurant,
+  User,
+  MenuCategory,
+  MenuItem,
+  Order,
+  ComboType,
+  ComboItemPool,
+  ComboPoolItem
+} = require('../../config/database');
+
+let sequence = 0;
+const next = () => ++sequence;
+
+const createRestaurant = (overrides = {}) => {
+  const n = next();
+  return Restaurant.create({
+    name: `Test Restaurant ${n}`,
+    slug: `test-restaurant-${n}`,
+    isActive: true,
+    ...overrides
+  });
+};
+
+const createUser = (restaurant, overrides = {}) => {
+  const n = next();
+  return User.create({
+    restaurantId: restaurant.id,
+    email: `customer${n}@example.com`,
+    password: 'secret123',
+    firstName: 'Test',
+    lastName: `Customer ${n}`,
+    phone: '604-555-0100',
+    address: '123 Main St',
+    ...overrides
+  });
+};
+
+const createMenuItem = async (restaurant, overrides = {}) => {
+  const category = await MenuCategory.create({ restaurantId: restaurant.id, name: `Category ${next()}` });
+  return MenuItem.create({
+    restaurantId: restaurant.id,
+    categoryId: category.id,
+    name: `Item ${next()}`,
+    price: 10.00,
+    isAvailable: true,
+    ...overrides
+  });
+};
+
+// A combo choosing entreeCount entrees from entreeItems, plus one base from baseItems when given
+const createCombo = async (restaurant, { entreeItems, baseItems = [], ...overrides }) => {
+  const createPool = async (menuItems) => {
+    const pool = await ComboItemPool.create({ restaurantId: restaurant.id, name: `Pool ${next()}` });
+    await ComboPoolItem.bulkCreate(menuItems.map((menuItem, index) => ({ poolId: pool.id, menuItemId: menuItem.id, displayOrder: index })));
+    return pool;
+  };
+  const entreePool = await createPool(entreeItems);
+  const basePool = baseItems.length > 0 ? await createPool(baseItems) : null;
+
+  return ComboType.create({
+    restaurantId: restaurant.id,
+    name: `Combo ${next()}`,
+    basePrice: 15.00,
+    entreePoolId: entreePool.id,
+    entreeCount: 2,
+    basePoolId: basePool ? basePool.id : null,
+    additionalItemPrice: 4.00,
+    ...overrides
+  });
+};
+
+const createOrder = (restaurant, overrides = {}, options = {}) => {
+  const n = next();
+  return Order.create({
+    restaurantId: restaurant.id,
+    orderNumber: `T-${String(n).padStart(5, '0')}`,
+    customerEmail: `guest${n}@example.com`,
+    customerFirstName: 'Guest',
+    customerLastName: `Customer ${n}`,
+    customerPhone: '604-555-0100',
+    orderType: 'pickup',
+    paymentMethod: 'card',
+    subtotal: 20.00,
+    tax: 1.00,
+    total: 21.00,
+    ...overrides
+  }, options);
+};
+
+// Access token for a user signed in to a restaurant, as the sign-in endpoints issue it
+const signIn = async (user, restaurant) => {
+  const sessionService = require('../../services/sessionService');
+  const { token } = await sessionService.createSession(user, restaurant.id);
+  return token;
+};
+
+module.exports = {
+  createRestaurant,
+  createUser,
+  createMenuItem,
+  createCombo,
+  createOrder,
+  signIn
+};
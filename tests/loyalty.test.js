@@ -0,0 +1,94 @@
+const { stripe } = require('../config/stripe');
+const { LoyaltyTransaction } = require('../config/database');
+const loyaltyService = require('../services/loyaltyService');
+const orderStatusService = require('../services/orderStatusService');
+const refundService = require('../services/refundService');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createOrder } = require('./helpers/factories');
+
+describeWithDatabase('loyalty points', () => {
+  let restaurant, customer;
+
+  const balance = () => loyaltyService.getBalance(restaurant.id, customer.id);
+  const entriesOf = async (order) => (await LoyaltyTransaction.findAll({ where: { orderId: order.id }, order: [['id', 'ASC']] }))
+    .map(entry => [entry.type, entry.points]);
+
+  // A paid card order of $21.00 ($20.00 of food) that is ready to hand over
+  const createPaidOrder = (overrides = {}) => createOrder(restaurant, {
+    userId: customer.id,
+    status: 'ready',
+    paymentStatus: 'paid',
+    stripePaymentIntentId: `pi_loyalty_${Date.now()}_${Math.random()}`,
+    ...overrides
+  });
+
+  let refundSequence = 0;
+  const mockStripeRefunds = () => jest.spyOn(stripe.refunds, 'create').mockImplementation(async (params) => ({
+    id: `re_loyalty_${++refundSequence}`,
+    amount: params.amount,
+    status: 'succeeded',
+    payment_intent: params.payment_intent
+  }));
+
+  beforeAll(async () => {
+    await resetDatabase();
+    restaurant = await createRestaurant({ loyaltySettings: { enabled: true, pointsPerDollar: 1, pointValue: 0.01 } });
+  });
+
+  beforeEach(async () => {
+    customer = await createUser(restaurant);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('earns points once when a paid order is completed', async () => {
+    const order = await createPaidOrder();
+
+    await orderStatusService.changeStatus(order, 'completed');
+    await loyaltyService.syncOrderPoints(order);
+
+    expect(await entriesOf(order)).toEqual([['earn', 20]]);
+    expect(await balance()).toBe(20);
+  });
+
+  it('earns nothing on an unpaid card order', async () => {
+    const order = await createPaidOrder({ paymentStatus: 'pending' });
+
+    await orderStatusService.changeStatus(order, 'completed');
+
+    expect(await entriesOf(order)).toEqual([]);
+  });
+
+  it('takes back points in proportion to the share of the card payment refunded', async () => {
+    mockStripeRefunds();
+    // $10.50 of the $21.00 was paid with a gift card, so the card was charged $10.50
+    const order = await createPaidOrder({ giftCardAmount: 10.50 });
+    await orderStatusService.changeStatus(order, 'completed');
+
+    await refundService.refundOrder(order, { amount: 5.25 });
+    expect(await balance()).toBe(10);
+
+    await refundService.refundOrder(order);
+    expect(order.paymentStatus).toBe('refunded');
+    expect(await entriesOf(order)).toEqual([['earn', 20], ['earn_reversal', -10], ['earn_reversal', -10]]);
+    expect(await balance()).toBe(0);
+  });
+
+  it('returns redeemed points when the order is cancelled', async () => {
+    mockStripeRefunds();
+    await loyaltyService.postEntry({ restaurantId: restaurant.id, userId: customer.id, type: 'earn', points: 500 });
+    const order = await createPaidOrder({ status: 'confirmed', loyaltyPointsRedeemed: 300, loyaltyDiscount: 3.00, total: 18.00 });
+    await loyaltyService.recordRedemption(order);
+    expect(await balance()).toBe(200);
+
+    const { refund } = await orderStatusService.changeStatus(order, 'cancelled');
+
+    expect(refund.amount).toBe('18.00');
+    expect(await entriesOf(order)).toEqual([['redeem', -300], ['redeem_reversal', 300]]);
+    expect(await balance()).toBe(500);
+
+    await loyaltyService.syncOrderPoints(order);
+    expect(await balance()).toBe(500);
+  });
+});
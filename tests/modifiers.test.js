@@ -0,0 +1,176 @@
+const request = require('supertest');
+const { OrderItem, OrderItemModifier } = require('../config/database');
+const modifierService = require('../services/modifierService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createMenuItem, signIn } = require('./helpers/factories');
+
+describe('modifierService.selectModifiers', () => {
+  const menuItem = { id: 1, name: 'Chicken Bowl' };
+  const groups = [
+    {
+      id: 10,
+      name: 'Sauce',
+      minSelections: 1,
+      maxSelections: 1,
+      options: [{ id: 101, name: 'Teriyaki', price: 0 }, { id: 102, name: 'Spicy Mayo', price: 0.5 }]
+    },
+    {
+      id: 20,
+      name: 'Extras',
+      minSelections: 0,
+      maxSelections: 2,
+      options: [{ id: 201, name: 'Extra Chicken', price: 3 }, { id: 202, name: 'Egg', price: 1.5 }, { id: 203, name: 'Avocado', price: 2 }]
+    }
+  ];
+
+  const rejectionOf = (selections) => {
+    try {
+      modifierService.selectModifiers(menuItem, groups, selections);
+    } catch (error) {
+      return { statusCode: error.statusCode, ...error.details };
+    }
+    return null;
+  };
+
+  it('returns the chosen options in group order with their prices', () => {
+    expect(modifierService.selectModifiers(menuItem, groups, [201, { optionId: 102 }])).toEqual([
+      { modifierGroupId: 10, modifierOptionId: 102, groupName: 'Sauce', optionName: 'Spicy Mayo', price: 0.5 },
+      { modifierGroupId: 20, modifierOptionId: 201, groupName: 'Extras', optionName: 'Extra Chicken', price: 3 }
+    ]);
+  });
+
+  it('requires the minimum number of options in each group', () => {
+    expect(rejectionOf([201])).toEqual({ statusCode: 400, code: 'INVALID_MODIFIERS', menuItemId: 1, modifierGroupId: 10 });
+    expect(rejectionOf(undefined)).toMatchObject({ code: 'INVALID_MODIFIERS', modifierGroupId: 10 });
+  });
+
+  it('allows no more than the maximum number of options in each group', () => {
+    expect(rejectionOf([101, 102])).toMatchObject({ code: 'INVALID_MODIFIERS', modifierGroupId: 10 });
+    expect(rejectionOf([101, 201, 202, 203])).toMatchObject({ code: 'INVALID_MODIFIERS', modifierGroupId: 20 });
+    expect(rejectionOf([101, 201, 202])).toBeNull();
+  });
+
+  it('rejects options the item does not offer, repeated options and malformed lists', () => {
+    expect(rejectionOf([101, 999])).toMatchObject({ code: 'INVALID_MODIFIERS', modifierOptionId: 999 });
+    expect(rejectionOf([101, 201, 201])).toMatchObject({ code: 'INVALID_MODIFIERS' });
+    expect(rejectionOf([101, 'abc'])).toMatchObject({ code: 'INVALID_MODIFIERS' });
+    expect(rejectionOf('101')).toMatchObject({ code: 'INVALID_MODIFIERS' });
+  });
+
+  it('accepts no options for items without groups', () => {
+    expect(modifierService.selectModifiers(menuItem, [], [])).toEqual([]);
+    expect(modifierService.selectModifiers(menuItem, [], undefined)).toEqual([]);
+  });
+});
+
+describeWithDatabase('menu item modifiers', () => {
+  let app, restaurant, adminToken, bowl, sauceGroup, extrasGroup;
+
+  const optionId = (group, name) => group.options.find(option => option.name === name).id;
+
+  const createGroup = (body, targetRestaurant = restaurant, token = adminToken) => request(app)
+    .post(`/api/menu/modifier-groups?restaurant=${targetRestaurant.slug}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const checkout = (modifiers) => request(app)
+    .post(`/api/orders?restaurant=${restaurant.slug}`)
+    .send({
+      customerEmail: 'guest@example.com',
+      customerFirstName: 'Guest',
+      customerLastName: 'Customer',
+      customerPhone: '604-555-0100',
+      orderType: 'pickup',
+      paymentMethod: 'cash_on_arrival',
+      items: [{ menuItemId: bowl.id, quantity: 2, modifiers }]
+    });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant();
+    const admin = await createUser(restaurant, { role: 'restaurant_admin' });
+    adminToken = await signIn(admin, restaurant);
+    bowl = await createMenuItem(restaurant, { price: 12.00 });
+
+    // Sauce is attached to the bowl itself, extras to its whole category
+    sauceGroup = (await createGroup({
+      name: 'Sauce',
+      minSelections: 1,
+      maxSelections: 1,
+      displayOrder: 1,
+      options: [{ name: 'Teriyaki' }, { name: 'Spicy Mayo', price: 0.5 }],
+      menuItemIds: [bowl.id]
+    })).body;
+    extrasGroup = (await createGroup({
+      name: 'Extras',
+      minSelections: 0,
+      maxSelections: 2,
+      displayOrder: 2,
+      options: [{ name: 'Extra Chicken', price: 3 }, { name: 'Egg', price: 1.5 }, { name: 'Sold Out', price: 1, isAvailable: false }],
+      categoryIds: [bowl.categoryId]
+    })).body;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('refuses a group whose maximum is below its minimum', async () => {
+    const response = await createGroup({ name: 'Broken', minSelections: 2, maxSelections: 1 });
+
+    expect(response.status).toBe(400);
+  });
+
+  it("refuses to attach a group to another restaurant's items", async () => {
+    const otherItem = await createMenuItem(await createRestaurant());
+
+    const response = await createGroup({ name: 'Elsewhere', menuItemIds: [otherItem.id] });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('lists the groups of each item with the menu, without unavailable options', async () => {
+    const response = await request(app).get(`/api/menu?restaurant=${restaurant.slug}`);
+
+    expect(response.status).toBe(200);
+    const [listed] = response.body.menu[bowl.categoryId];
+    expect(listed.modifierGroups.map(group => [group.name, group.minSelections, group.maxSelections])).toEqual([
+      ['Sauce', 1, 1],
+      ['Extras', 0, 2]
+    ]);
+    expect(listed.modifierGroups[1].options.map(option => [option.name, option.price])).toEqual([['Extra Chicken', 3], ['Egg', 1.5]]);
+  });
+
+  it('prices the chosen options into the item and stores them with the order item', async () => {
+    const response = await checkout([optionId(sauceGroup, 'Spicy Mayo'), optionId(extrasGroup, 'Extra Chicken')]);
+
+    expect(response.status).toBe(201);
+    expect(response.body.order.subtotal).toBe('31.00');
+
+    const orderItem = await OrderItem.findOne({ where: { orderId: response.body.order.id } });
+    expect(orderItem.price).toBe('15.50');
+    const modifiers = await OrderItemModifier.findAll({ where: { orderItemId: orderItem.id }, order: [['id', 'ASC']] });
+    expect(modifiers.map(modifier => [modifier.groupName, modifier.optionName, modifier.price])).toEqual([
+      ['Sauce', 'Spicy Mayo', '0.50'],
+      ['Extras', 'Extra Chicken', '3.00']
+    ]);
+  });
+
+  it('rejects an order missing a required choice or over a maximum', async () => {
+    const missing = await checkout([optionId(extrasGroup, 'Egg')]);
+    expect(missing.status).toBe(400);
+    expect(missing.body).toMatchObject({ code: 'INVALID_MODIFIERS', menuItemId: bowl.id, modifierGroupId: sauceGroup.id });
+
+    const tooMany = await checkout([optionId(sauceGroup, 'Teriyaki'), optionId(sauceGroup, 'Spicy Mayo')]);
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.modifierGroupId).toBe(sauceGroup.id);
+  });
+
+  it('rejects unavailable options', async () => {
+    const response = await checkout([optionId(sauceGroup, 'Teriyaki'), optionId(extrasGroup, 'Sold Out')]);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'INVALID_MODIFIERS', modifierOptionId: optionId(extrasGroup, 'Sold Out') });
+  });
+});
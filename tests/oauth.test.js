@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const appleSignin = require('apple-signin-auth');
+const { verifyAppleToken } = require('../utils/oauth');
+
+describe('verifyAppleToken', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const getKey = async (kid) => {
+    if (kid !== 'test-key') throw new Error(`Unknown key ${kid}`);
+    return publicKey;
+  };
+
+  // An identity token as Apple would sign it, with claims overridable per test
+  const signAppleToken = (claims = {}, { keyid = 'test-key', issuer = 'https://appleid.apple.com', audience = 'com.example.web' } = {}) => jwt.sign({
+    sub: 'apple-user-1',
+    email: 'customer@privaterelay.appleid.com',
+    email_verified: 'true',
+    nonce: 'nonce-1',
+    ...claims
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid,
+    issuer,
+    audience,
+    expiresIn: '10m'
+  });
+
+  const env = { ...process.env };
+  beforeEach(() => {
+    process.env.APPLE_CLIENT_ID = 'com.example.web, com.example.ios';
+  });
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a token signed with the key from the key getter', async () => {
+    await expect(verifyAppleToken(signAppleToken(), { nonce: 'nonce-1', getKey })).resolves.toMatchObject({
+      sub: 'apple-user-1',
+      email: 'customer@privaterelay.appleid.com'
+    });
+  });
+
+  it('rejects a token for another client ID', async () => {
+    await expect(verifyAppleToken(signAppleToken({}, { audience: 'com.attacker.app' }), { getKey })).rejects.toThrow('audience');
+  });
+
+  it('rejects a token from another issuer', async () => {
+    await expect(verifyAppleToken(signAppleToken({}, { issuer: 'https://evil.example.com' }), { getKey })).rejects.toThrow('issuer');
+  });
+
+  it('rejects a token signed with another key', async () => {
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forged = jwt.sign({ sub: 'apple-user-1' }, other.privateKey, {
+      algorithm: 'RS256',
+      keyid: 'test-key',
+      issuer: 'https://appleid.apple.com',
+      audience: 'com.example.web'
+    });
+
+    await expect(verifyAppleToken(forged, { getKey })).rejects.toThrow('invalid signature');
+    await expect(verifyAppleToken(signAppleToken({}, { keyid: 'rotated-away' }), { getKey })).rejects.toThrow('Unknown key');
+  });
+
+  it('rejects a token whose nonce does not match', async () => {
+    await expect(verifyAppleToken(signAppleToken(), { nonce: 'nonce-2', getKey })).rejects.toThrow('nonce');
+  });
+
+  describe("with Apple's published keys", () => {
+    const unknownKeyError = () => new jwt.JsonWebTokenError('error in secret or public key callback: input error: Invalid id token public key id');
+
+    it('verifies through apple-signin-auth for the configured client IDs', async () => {
+      const verifyIdToken = jest.spyOn(appleSignin, 'verifyIdToken').mockResolvedValue({ sub: 'apple-user-1' });
+      const token = signAppleToken();
+
+      await expect(verifyAppleToken(token, { nonce: 'nonce-1' })).resolves.toMatchObject({ sub: 'apple-user-1' });
+      expect(verifyIdToken).toHaveBeenCalledWith(token, expect.objectContaining({
+        audience: ['com.example.web', 'com.example.ios'],
+        issuer: 'https://appleid.apple.com',
+        nonce: 'nonce-1'
+      }));
+    });
+
+    it('does not download the key set for every unknown key ID', async () => {
+      const verifyIdToken = jest.spyOn(appleSignin, 'verifyIdToken').mockResolvedValue({ sub: 'apple-user-1' });
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await verifyAppleToken(signAppleToken({}, { keyid: 'current-key' }));
+
+      verifyIdToken.mockRejectedValue(unknownKeyError());
+      await expect(verifyAppleToken(signAppleToken({}, { keyid: 'made-up-1' }))).rejects.toThrow('public key id');
+      await expect(verifyAppleToken(signAppleToken({}, { keyid: 'made-up-2' }))).rejects.toThrow('made-up-2 not found');
+      expect(verifyIdToken).toHaveBeenCalledTimes(2);
+
+      // A key that verified a token before is still checked
+      verifyIdToken.mockResolvedValue({ sub: 'apple-user-1' });
+      await expect(verifyAppleToken(signAppleToken({}, { keyid: 'current-key' }))).resolves.toMatchObject({ sub: 'apple-user-1' });
+
+      // A minute later Apple is asked again, so newly rotated keys are picked up
+      Date.now.mockReturnValue(now + 61 * 1000);
+      await expect(verifyAppleToken(signAppleToken({}, { keyid: 'rotated-in' }))).resolves.toMatchObject({ sub: 'apple-user-1' });
+      expect(verifyIdToken).toHaveBeenCalledTimes(4);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const request = require('supertest');
+const { sequelize, Restaurant, Order } = require('../config/database');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createMenuItem, createOrder } = require('./helpers/factories');
+
+describe('Restaurant.getOrderNumberPrefix', () => {
+  it('uses the configured prefix, or else the initials of the slug', () => {
+    expect(Restaurant.build({ slug: 'gold-chopsticks', orderNumberPrefix: 'GOLD' }).getOrderNumberPrefix()).toBe('GOLD');
+    expect(Restaurant.build({ slug: 'gold-chopsticks' }).getOrderNumberPrefix()).toBe('GC');
+    expect(Restaurant.build({ slug: 'pho' }).getOrderNumberPrefix()).toBe('P');
+    expect(Restaurant.build({ slug: 'a-b-c-d-e-f-g-h-i-j' }).getOrderNumberPrefix()).toBe('ABCDEFGH');
+  });
+
+  it('only accepts uppercase letters and digits as a prefix', async () => {
+    const validate = (orderNumberPrefix) => Restaurant.build({ name: 'Prefix', slug: 'prefix', orderNumberPrefix }).validate({ fields: ['orderNumberPrefix'] });
+
+    await expect(validate('JADE2')).resolves.toBeDefined();
+    await expect(validate('jade')).rejects.toThrow();
+    await expect(validate('JADE-2')).rejects.toThrow();
+  });
+});
+
+describeWithDatabase('order numbers', () => {
+  let app;
+
+  // Let the model number the order instead of the factory
+  const placeOrder = (restaurant, options) => createOrder(restaurant, { orderNumber: undefined }, options);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it("numbers each restaurant's orders in sequence with its prefix", async () => {
+    const goldChopsticks = await createRestaurant({ slug: 'gold-chopsticks' });
+    const jade = await createRestaurant({ slug: 'jade-garden', orderNumberPrefix: 'JADE' });
+
+    const numbers = [
+      (await placeOrder(goldChopsticks)).orderNumber,
+      (await placeOrder(jade)).orderNumber,
+      (await placeOrder(goldChopsticks)).orderNumber
+    ];
+
+    expect(numbers).toEqual(['GC-00001', 'JADE-00001', 'GC-00002']);
+  });
+
+  it('gives concurrent checkouts consecutive numbers', async () => {
+    const restaurant = await createRestaurant();
+    const item = await createMenuItem(restaurant);
+    const checkout = () => request(app)
+      .post(`/api/orders?restaurant=${restaurant.slug}`)
+      .send({
+        customerEmail: 'guest@example.com',
+        customerFirstName: 'Guest',
+        customerLastName: 'Customer',
+        customerPhone: '604-555-0100',
+        orderType: 'pickup',
+        paymentMethod: 'cash_on_arrival',
+        items: [{ menuItemId: item.id, quantity: 1 }]
+      });
+
+    const responses = await Promise.all([checkout(), checkout(), checkout(), checkout(), checkout()]);
+
+    expect(responses.map(response => response.status)).toEqual([201, 201, 201, 201, 201]);
+    const prefix = restaurant.getOrderNumberPrefix();
+    expect(responses.map(response => response.body.order.orderNumber).sort()).toEqual(
+      [1, 2, 3, 4, 5].map(sequence => `${prefix}-0000${sequence}`)
+    );
+  });
+
+  it('hands a rolled-back number to the next order', async () => {
+    const restaurant = await createRestaurant({ orderNumberPrefix: 'RB' });
+
+    const transaction = await sequelize.transaction();
+    expect((await placeOrder(restaurant, { transaction })).orderNumber).toBe('RB-00001');
+    await transaction.rollback();
+
+    expect((await placeOrder(restaurant)).orderNumber).toBe('RB-00001');
+  });
+
+  it('never changes the number of an existing order', async () => {
+    const restaurant = await createRestaurant({ orderNumberPrefix: 'KEEP' });
+    const order = await placeOrder(restaurant);
+
+    await order.update({ status: 'confirmed', notes: 'No onions' });
+    await order.reload();
+    expect(order.orderNumber).toBe('KEEP-00001');
+
+    await expect(order.update({ orderNumber: 'KEEP-99999' })).rejects.toThrow('Order numbers cannot be changed');
+    expect((await Order.findByPk(order.id)).orderNumber).toBe('KEEP-00001');
+  });
+
+  it('keeps numbering from where a new prefix takes over', async () => {
+    const restaurant = await createRestaurant({ orderNumberPrefix: 'OLD' });
+    await placeOrder(restaurant);
+
+    await restaurant.update({ orderNumberPrefix: 'NEW' });
+
+    expect((await placeOrder(restaurant)).orderNumber).toBe('NEW-00002');
+  });
+});
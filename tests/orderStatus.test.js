@@ -0,0 +1,125 @@
+const request = require('supertest');
+const { OrderStatusHistory } = require('../config/database');
+const orderStatusService = require('../services/orderStatusService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createOrder, signIn } = require('./helpers/factories');
+
+describe('orderStatusService.canTransition', () => {
+  it('moves orders forward through the kitchen one step at a time', () => {
+    expect(orderStatusService.canTransition('pending', 'confirmed')).toBe(true);
+    expect(orderStatusService.canTransition('confirmed', 'preparing')).toBe(true);
+    expect(orderStatusService.canTransition('preparing', 'ready')).toBe(true);
+    expect(orderStatusService.canTransition('ready', 'completed')).toBe(true);
+    expect(orderStatusService.canTransition('pending', 'ready')).toBe(false);
+    expect(orderStatusService.canTransition('completed', 'pending')).toBe(false);
+  });
+
+  it('allows cancelling until the order is ready', () => {
+    expect(['pending', 'confirmed', 'preparing'].every(status => orderStatusService.canTransition(status, 'cancelled'))).toBe(true);
+    expect(orderStatusService.canTransition('ready', 'cancelled')).toBe(false);
+    expect(orderStatusService.canTransition('completed', 'cancelled')).toBe(false);
+    expect(orderStatusService.canTransition('cancelled', 'pending')).toBe(false);
+  });
+});
+
+describeWithDatabase('order status changes', () => {
+  let app, restaurant, admin, adminToken, customer, customerToken;
+
+  const placeOrder = async (overrides = {}) => {
+    const order = await createOrder(restaurant, { userId: customer.id, paymentMethod: 'cash_on_arrival', ...overrides });
+    await orderStatusService.recordCreation(order);
+    return order;
+  };
+
+  const updateStatus = (order, body, token = adminToken) => request(app)
+    .put(`/api/orders/${order.id}/status?restaurant=${restaurant.slug}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const getOrder = (order, token) => request(app)
+    .get(`/api/orders/${order.id}?restaurant=${restaurant.slug}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant();
+    admin = await createUser(restaurant, { role: 'restaurant_admin' });
+    customer = await createUser(restaurant);
+    adminToken = await signIn(admin, restaurant);
+    customerToken = await signIn(customer, restaurant);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('records who made each change, with its note, and returns the timeline with the order', async () => {
+    const order = await placeOrder();
+
+    for (const status of ['confirmed', 'preparing', 'ready', 'completed']) {
+      const response = await updateStatus(order, { status, note: status === 'ready' ? 'On the pass' : undefined });
+      expect(response.status).toBe(200);
+      expect(response.body.order.status).toBe(status);
+    }
+
+    const response = await getOrder(order, customerToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.statusHistory.map(entry => [entry.fromStatus, entry.toStatus, entry.note])).toEqual([
+      [null, 'pending', 'Order placed'],
+      ['pending', 'confirmed', null],
+      ['confirmed', 'preparing', null],
+      ['preparing', 'ready', 'On the pass'],
+      ['ready', 'completed', null]
+    ]);
+    expect(response.body.statusHistory[0].changedByUser).toBeNull();
+    expect(response.body.statusHistory[4].changedByUser).toEqual({ id: admin.id, firstName: admin.firstName, lastName: admin.lastName });
+  });
+
+  it('refuses transitions outside the table and records nothing', async () => {
+    const completed = await placeOrder({ status: 'completed' });
+    const pending = await placeOrder();
+
+    const backwards = await updateStatus(completed, { status: 'pending' });
+    expect(backwards.status).toBe(400);
+    expect(backwards.body).toMatchObject({ code: 'INVALID_STATUS_TRANSITION', currentStatus: 'completed', allowedStatuses: [] });
+
+    const skipping = await updateStatus(pending, { status: 'ready' });
+    expect(skipping.status).toBe(400);
+    expect(skipping.body).toMatchObject({ currentStatus: 'pending', allowedStatuses: ['confirmed', 'cancelled'] });
+
+    await completed.reload();
+    await pending.reload();
+    expect([completed.status, pending.status]).toEqual(['completed', 'pending']);
+    expect(await OrderStatusHistory.count({ where: { orderId: [completed.id, pending.id] } })).toBe(2);
+  });
+
+  it('rejects statuses that do not exist', async () => {
+    const order = await placeOrder();
+
+    const response = await updateStatus(order, { status: 'shipped' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('lets only restaurant admins change the status', async () => {
+    const order = await placeOrder();
+
+    expect((await updateStatus(order, { status: 'confirmed' }, customerToken)).status).toBe(403);
+    await order.reload();
+    expect(order.status).toBe('pending');
+  });
+
+  it("records a customer's cancellation against the customer", async () => {
+    const order = await placeOrder();
+
+    const response = await request(app)
+      .delete(`/api/orders/${order.id}?restaurant=${restaurant.slug}`)
+      .set('Authorization', `Bearer ${customerToken}`);
+
+    expect(response.status).toBe(200);
+    const cancellation = await OrderStatusHistory.findOne({ where: { orderId: order.id, toStatus: 'cancelled' } });
+    expect(cancellation).toMatchObject({ fromStatus: 'pending', changedBy: customer.id, note: 'Cancelled' });
+  });
+});
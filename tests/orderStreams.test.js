@@ -0,0 +1,127 @@
+const http = require('http');
+const request = require('supertest');
+const streamAccessService = require('../services/streamAccessService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createOrder, signIn } = require('./helpers/factories');
+
+describe('streamAccessService', () => {
+  it('accepts a ticket only for the stream it was issued for', () => {
+    const { ticket } = streamAccessService.createStreamTicket({ restaurantId: 1, orderId: 7 });
+
+    expect(streamAccessService.verifyStreamTicket(ticket, { restaurantId: 1, orderId: 7 })).toMatchObject({ orderId: 7 });
+    expect(() => streamAccessService.verifyStreamTicket(ticket, { restaurantId: 1, orderId: 8 })).toThrow('stream ticket');
+    expect(() => streamAccessService.verifyStreamTicket(ticket, { restaurantId: 1 })).toThrow('stream ticket');
+    expect(() => streamAccessService.verifyStreamTicket(ticket, { restaurantId: 2, orderId: 7 })).toThrow('stream ticket');
+  });
+
+  it('rejects a tracking token for another order', () => {
+    const token = streamAccessService.createTrackingToken({ id: 7, restaurantId: 1 });
+
+    expect(streamAccessService.isValidTrackingToken(token, { id: 7, restaurantId: 1 })).toBe(true);
+    expect(streamAccessService.isValidTrackingToken(token, { id: 8, restaurantId: 1 })).toBe(false);
+    expect(streamAccessService.isValidTrackingToken(token, { id: 7, restaurantId: 2 })).toBe(false);
+  });
+});
+
+describeWithDatabase('order streams', () => {
+  let app, server, restaurant, admin, adminToken, customer, customerToken;
+
+  // Open an SSE stream, resolve with its status and content type, then hang up
+  const openStream = (path) => new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const req = http.get({ port, path }, (res) => {
+      resolve({ status: res.statusCode, contentType: res.headers['content-type'] });
+      req.destroy();
+    });
+    req.on('error', (error) => {
+      if (error.code !== 'ECONNRESET') reject(error);
+    });
+  });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    server = app.listen(0);
+    restaurant = await createRestaurant();
+    admin = await createUser(restaurant, { role: 'restaurant_admin' });
+    customer = await createUser(restaurant);
+    adminToken = await signIn(admin, restaurant);
+    customerToken = await signIn(customer, restaurant);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await closeDatabase();
+  });
+
+  it('opens the admin feed with a ticket and no longer accepts the JWT in the URL', async () => {
+    const ticketResponse = await request(app)
+      .post(`/api/orders/admin/stream-ticket?restaurant=${restaurant.slug}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(ticketResponse.status).toBe(201);
+    expect(ticketResponse.body.expiresIn).toBe(60);
+
+    const stream = await openStream(`/api/orders/admin/stream?restaurant=${restaurant.slug}&ticket=${ticketResponse.body.ticket}`);
+    expect(stream.status).toBe(200);
+    expect(stream.contentType).toMatch(/^text\/event-stream/);
+
+    const withJwt = await request(app).get(`/api/orders/admin/stream?restaurant=${restaurant.slug}&token=${adminToken}`);
+    expect(withJwt.status).toBe(401);
+    expect(withJwt.body.code).toBe('STREAM_TICKET_INVALID');
+
+    const jwtAsTicket = await request(app).get(`/api/orders/admin/stream?restaurant=${restaurant.slug}&ticket=${adminToken}`);
+    expect(jwtAsTicket.status).toBe(401);
+  });
+
+  it('does not issue admin feed tickets to customers', async () => {
+    const response = await request(app)
+      .post(`/api/orders/admin/stream-ticket?restaurant=${restaurant.slug}`)
+      .set('Authorization', `Bearer ${customerToken}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it("lets a guest follow their order with the tracking token from checkout", async () => {
+    const order = await createOrder(restaurant);
+    const trackingToken = streamAccessService.createTrackingToken(order);
+
+    const ticketResponse = await request(app)
+      .post(`/api/orders/${order.id}/stream-ticket?restaurant=${restaurant.slug}`)
+      .send({ trackingToken });
+
+    expect(ticketResponse.status).toBe(201);
+    const stream = await openStream(`/api/orders/${order.id}/stream?restaurant=${restaurant.slug}&ticket=${ticketResponse.body.ticket}`);
+    expect(stream.status).toBe(200);
+  });
+
+  it("refuses a tracking token or ticket issued for another order", async () => {
+    const order = await createOrder(restaurant);
+    const otherOrder = await createOrder(restaurant);
+
+    const withOtherToken = await request(app)
+      .post(`/api/orders/${order.id}/stream-ticket?restaurant=${restaurant.slug}`)
+      .send({ trackingToken: streamAccessService.createTrackingToken(otherOrder) });
+    expect(withOtherToken.status).toBe(403);
+
+    const { ticket } = streamAccessService.createStreamTicket({ restaurantId: restaurant.id, orderId: otherOrder.id });
+    const withOtherTicket = await request(app).get(`/api/orders/${order.id}/stream?restaurant=${restaurant.slug}&ticket=${ticket}`);
+    expect(withOtherTicket.status).toBe(401);
+  });
+
+  it("issues order tickets to the order's customer but not to other customers", async () => {
+    const order = await createOrder(restaurant, { userId: customer.id });
+    const otherCustomer = await createUser(restaurant);
+
+    const own = await request(app)
+      .post(`/api/orders/${order.id}/stream-ticket?restaurant=${restaurant.slug}`)
+      .set('Authorization', `Bearer ${customerToken}`);
+    expect(own.status).toBe(201);
+
+    const other = await request(app)
+      .post(`/api/orders/${order.id}/stream-ticket?restaurant=${restaurant.slug}`)
+      .set('Authorization', `Bearer ${await signIn(otherCustomer, restaurant)}`);
+    expect(other.status).toBe(403);
+  });
+});
@@ -0,0 +1,91 @@
+const request = require('supertest');
+const { sequelize, Order } = require('../config/database');
+const geocodingService = require('../services/geocodingService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createMenuItem } = require('./helpers/factories');
+
+describeWithDatabase('POST /api/orders', () => {
+  let app, restaurant, item;
+
+  const orderBody = (overrides = {}) => ({
+    customerEmail: 'guest@example.com',
+    customerFirstName: 'Guest',
+    customerLastName: 'Customer',
+    customerPhone: '604-555-0100',
+    orderType: 'pickup',
+    paymentMethod: 'cash_on_arrival',
+    items: [{ menuItemId: item.id, quantity: 2 }],
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant({ taxSettings: { rates: [{ name: 'GST', rate: 0.05, categoryIds: null, appliesToDeliveryFee: true }] } });
+    item = await createMenuItem(restaurant, { price: 10.00 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('prices the order on the server', async () => {
+    const response = await request(app)
+      .post(`/api/orders?restaurant=${restaurant.slug}`)
+      .send(orderBody({ subtotal: 20, tax: 1, total: 21 }));
+
+    expect(response.status).toBe(201);
+    expect(response.body.order).toMatchObject({ subtotal: '20.00', tax: '1.00', total: '21.00' });
+    expect(response.body.trackingToken).toEqual(expect.any(String));
+  });
+
+  it('rejects client totals that disagree with server pricing', async () => {
+    const response = await request(app)
+      .post(`/api/orders?restaurant=${restaurant.slug}`)
+      .send(orderBody({ total: 1 }));
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'PRICE_MISMATCH', mismatchedFields: ['total'] });
+  });
+
+  it('returns 400 for malformed cart items', async () => {
+    const response = await request(app)
+      .post(`/api/orders?restaurant=${restaurant.slug}`)
+      .send(orderBody({ items: [{ menuItemId: 'abc', quantity: 1 }] }));
+
+    expect(response.status).toBe(400);
+  });
+
+  it("ignores a guest's userId so the order is not attached to that account", async () => {
+    const customer = await createUser(restaurant);
+
+    const response = await request(app)
+      .post(`/api/orders?restaurant=${restaurant.slug}`)
+      .send(orderBody({ userId: customer.id }));
+
+    expect(response.status).toBe(201);
+    const order = await Order.findByPk(response.body.order.id);
+    expect(order.userId).toBeNull();
+  });
+
+  it('geocodes a delivery address before opening the order transaction', async () => {
+    const deliveryRestaurant = await createRestaurant({
+      deliverySettings: {
+        origin: { lat: 49.86, lng: -119.58 },
+        zones: [{ name: 'Nearby', type: 'radius', radiusKm: 5, fee: 3 }]
+      }
+    });
+    const deliveryItem = await createMenuItem(deliveryRestaurant, { price: 10.00 });
+    const geocode = jest.spyOn(geocodingService, 'geocode').mockResolvedValue({ lat: 49.87, lng: -119.58, provider: 'google' });
+    const transaction = jest.spyOn(sequelize, 'transaction');
+
+    const response = await request(app)
+      .post(`/api/orders?restaurant=${deliveryRestaurant.slug}`)
+      .send(orderBody({ orderType: 'delivery', customerAddress: '123 Main St', items: [{ menuItemId: deliveryItem.id, quantity: 2 }] }));
+
+    expect(response.status).toBe(201);
+    expect(geocode).toHaveBeenCalledTimes(1);
+    expect(geocode.mock.invocationCallOrder[0]).toBeLessThan(transaction.mock.invocationCallOrder[0]);
+    expect(response.body.order.deliveryFee).toBe('3.00');
+  });
+});
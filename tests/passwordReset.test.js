@@ -0,0 +1,113 @@
+const request = require('supertest');
+const { PasswordResetToken, UserSession } = require('../config/database');
+const emailService = require('../services/emailService');
+const passwordResetService = require('../services/passwordResetService');
+const sessionService = require('../services/sessionService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser } = require('./helpers/factories');
+
+describeWithDatabase('password reset', () => {
+  let app, restaurant;
+
+  // Request a reset link and return the token it carries
+  const requestToken = async (user, restaurantId = user.restaurantId) => {
+    const send = jest.spyOn(emailService, 'sendPasswordReset').mockResolvedValue();
+    await passwordResetService.requestReset(user.email, restaurantId);
+    const [, resetUrl] = send.mock.calls[send.mock.calls.length - 1];
+    return new URL(resetUrl).searchParams.get('token');
+  };
+
+  const reset = (token, targetRestaurant = restaurant, password = 'newsecret456') => request(app)
+    .post(`/api/auth/reset-password?restaurant=${targetRestaurant.slug}`)
+    .send({ token, password });
+
+  const signIn = (user, password) => request(app)
+    .post(`/api/auth/signin?restaurant=${restaurant.slug}`)
+    .send({ email: user.email, password });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('sets the new password once per link', async () => {
+    const user = await createUser(restaurant);
+    const token = await requestToken(user);
+
+    const first = await reset(token);
+    expect(first.status).toBe(200);
+    expect((await signIn(user, 'newsecret456')).status).toBe(200);
+    expect((await signIn(user, 'secret123')).status).not.toBe(200);
+
+    const second = await reset(token, restaurant, 'another789');
+    expect(second.status).toBe(400);
+    expect(second.body.code).toBe('RESET_TOKEN_INVALID');
+  });
+
+  it('only accepts the newest link', async () => {
+    const user = await createUser(restaurant);
+    const older = await requestToken(user);
+    const newer = await requestToken(user);
+
+    expect((await reset(older)).status).toBe(400);
+    expect((await reset(newer)).status).toBe(200);
+  });
+
+  it('refuses an expired link', async () => {
+    const user = await createUser(restaurant);
+    const token = await requestToken(user);
+    await PasswordResetToken.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { userId: user.id } });
+
+    const response = await reset(token);
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('RESET_TOKEN_INVALID');
+  });
+
+  it('only works in the restaurant it was issued for', async () => {
+    const otherRestaurant = await createRestaurant();
+    const user = await createUser(restaurant);
+    const token = await requestToken(user);
+
+    expect((await reset(token, otherRestaurant)).status).toBe(400);
+    expect((await reset(token)).status).toBe(200);
+  });
+
+  it('does not email users of another restaurant', async () => {
+    const otherRestaurant = await createRestaurant();
+    const user = await createUser(restaurant);
+    const send = jest.spyOn(emailService, 'sendPasswordReset').mockResolvedValue();
+
+    expect(await passwordResetService.requestReset(user.email, otherRestaurant.id)).toBe(false);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('does not log the email asked for', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await passwordResetService.requestReset('nobody@example.com', restaurant.id);
+
+    expect(log.mock.calls.flat().join(' ')).not.toContain('nobody@example.com');
+  });
+
+  it('signs the user out everywhere', async () => {
+    const user = await createUser(restaurant);
+    const { token: accessToken, refreshToken } = await sessionService.createSession(user, restaurant.id);
+    const token = await requestToken(user);
+
+    expect((await reset(token)).status).toBe(200);
+
+    const session = await UserSession.findOne({ where: { userId: user.id } });
+    expect(session.revokedReason).toBe('password_reset');
+    await expect(sessionService.refresh(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    const profile = await request(app)
+      .get(`/api/users/profile?restaurant=${restaurant.slug}`)
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(profile.status).toBe(401);
+  });
+});
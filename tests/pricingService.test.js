@@ -0,0 +1,137 @@
+const pricingService = require('../services/pricingService');
+const { ApiError } = require('../utils/errorHandler');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createMenuItem } = require('./helpers/factories');
+
+describe('pricingService.normalizeCartItem', () => {
+  it('coerces numeric strings to integers', () => {
+    expect(pricingService.normalizeCartItem({ menuItemId: '12', quantity: '2' })).toMatchObject({
+      isCombo: false,
+      menuItemId: 12,
+      quantity: 2
+    });
+  });
+
+  it.each([
+    [{ menuItemId: 'abc', quantity: 1 }],
+    [{ menuItemId: 1.5, quantity: 1 }],
+    [{ menuItemId: -3, quantity: 1 }],
+    [{ quantity: 1 }],
+    [{ menuItemId: 1, quantity: 0 }],
+    [{ menuItemId: 1, quantity: '2.5' }],
+    [{ menuItemId: 1, quantity: 'many' }],
+    [{ isCombo: true, comboId: 'x', quantity: 1 }],
+    [{ isCombo: true, comboId: 1, quantity: 1, selectedItems: ['1', 'two'] }],
+    [{ isCombo: true, comboId: 1, quantity: 1, additionalItems: 'all' }],
+    [null]
+  ])('rejects %j with a 400', (item) => {
+    expect(() => pricingService.normalizeCartItem(item)).toThrow(ApiError);
+    try {
+      pricingService.normalizeCartItem(item);
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+    }
+  });
+
+  it('only treats isCombo === true as a combo', () => {
+    expect(pricingService.normalizeCartItem({ isCombo: 'false', menuItemId: 4, quantity: 1 })).toMatchObject({
+      isCombo: false,
+      menuItemId: 4
+    });
+    expect(() => pricingService.normalizeCartItem({ isCombo: 'true', comboId: 4, quantity: 1 })).toThrow('valid menuItemId');
+  });
+
+  it('normalizes combo selections', () => {
+    expect(pricingService.normalizeCartItem({
+      isCombo: true,
+      comboId: '3',
+      quantity: 1,
+      selectedItems: ['5', 6],
+      baseChoice: '7'
+    })).toMatchObject({
+      comboId: 3,
+      selectedItems: [5, 6],
+      additionalItems: [],
+      baseChoice: 7
+    });
+  });
+});
+
+describe('pricingService.assertClientTotals', () => {
+  const pricing = { subtotal: 20, discount: 0, loyaltyDiscount: 0, tax: 1, deliveryFee: 0, total: 21 };
+
+  it('accepts totals within one cent', () => {
+    expect(() => pricingService.assertClientTotals(pricing, { subtotal: '20.01', tax: 0.99, total: 21 })).not.toThrow();
+  });
+
+  it('skips fields the client did not send', () => {
+    expect(pricingService.findTotalMismatches(pricing, { total: 21, tax: '' })).toEqual([]);
+  });
+
+  it('rejects totals more than one cent off with the server pricing', () => {
+    expect.assertions(3);
+    try {
+      pricingService.assertClientTotals(pricing, { subtotal: 20, total: 20.98 });
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+      expect(error.details.mismatchedFields).toEqual(['total']);
+      expect(error.details.pricing.total).toBe(21);
+    }
+  });
+});
+
+describe('pricingService.calculateTaxLines', () => {
+  it('taxes category-specific rates only on matching lines and rounds each rate', () => {
+    const restaurant = {
+      taxSettings: {
+        rates: [
+          { name: 'GST', rate: 0.05, categoryIds: null, appliesToDeliveryFee: true },
+          { name: 'PST', rate: 0.07, categoryIds: [2], appliesToDeliveryFee: false }
+        ]
+      }
+    };
+    const lines = [
+      { isCombo: false, categoryId: 1, lineTotal: 10.05 },
+      { isCombo: false, categoryId: 2, lineTotal: 4.99 },
+      { isCombo: true, categoryId: null, lineTotal: 12 }
+    ];
+
+    expect(pricingService.calculateTaxLines(restaurant, lines, 300)).toEqual([
+      { name: 'GST', rate: 0.05, taxableAmount: 30.04, amount: 1.5 },
+      { name: 'PST', rate: 0.07, taxableAmount: 4.99, amount: 0.35 }
+    ]);
+  });
+});
+
+describeWithDatabase('pricingService.priceOrder', () => {
+  let restaurant, otherRestaurant, item, otherItem;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    restaurant = await createRestaurant({ taxSettings: { rates: [{ name: 'GST', rate: 0.05, categoryIds: null, appliesToDeliveryFee: true }] } });
+    otherRestaurant = await createRestaurant();
+    item = await createMenuItem(restaurant, { price: 12.50 });
+    otherItem = await createMenuItem(otherRestaurant, { price: 1.00 });
+  });
+
+  afterAll(closeDatabase);
+
+  it('prices lines from the menu, ignoring client prices', async () => {
+    const pricing = await pricingService.priceOrder({
+      restaurant,
+      orderType: 'pickup',
+      items: [{ menuItemId: item.id, quantity: 2, price: 0.01 }]
+    });
+
+    expect(pricing.lines[0]).toMatchObject({ unitPrice: 12.5, lineTotal: 25 });
+    expect(pricing).toMatchObject({ subtotal: 25, tax: 1.25, total: 26.25 });
+  });
+
+  it("rejects another restaurant's menu items", async () => {
+    await expect(pricingService.priceOrder({
+      restaurant,
+      orderType: 'pickup',
+      items: [{ menuItemId: otherItem.id, quantity: 1 }]
+    })).rejects.toThrow('not available or do not belong to this restaurant');
+  });
+});
@@ -0,0 +1,196 @@
+const request = require('supertest');
+const { sequelize, PromoCode, OrderDiscount, Order } = require('../config/database');
+const promoCodeService = require('../services/promoCodeService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createOrder, signIn } = require('./helpers/factories');
+
+describe('promoCodeService.calculateDiscount', () => {
+  it('spreads a category-restricted discount over eligible lines by their totals, the remainder on the last one', () => {
+    const lines = [
+      { categoryId: 1, lineTotal: 10.00 },
+      { categoryId: 2, lineTotal: 5.00 },
+      { categoryId: 1, lineTotal: 20.00 },
+      { isCombo: true, lineTotal: 12.00 }, // Combos have no single category
+      { categoryId: 1, lineTotal: 3.33 }
+    ];
+
+    const result = promoCodeService.calculateDiscount({ discountType: 'percentage', discountValue: '10', categoryIds: [1] }, lines);
+
+    expect(result.eligibleCents).toBe(3333);
+    expect(result.amountCents).toBe(333);
+    expect(result.lineDiscounts).toEqual([99, 0, 199, 0, 35]);
+  });
+
+  it('never takes more than the eligible lines are worth', () => {
+    const result = promoCodeService.calculateDiscount(
+      { discountType: 'fixed', discountValue: '15.00', categoryIds: [1] },
+      [{ categoryId: 1, lineTotal: 4.00 }, { categoryId: 2, lineTotal: 30.00 }, { categoryId: 1, lineTotal: 6.00 }]
+    );
+
+    expect(result.amountCents).toBe(1000);
+    expect(result.lineDiscounts).toEqual([400, 0, 600]);
+  });
+
+  it('gives nothing when no line is eligible', () => {
+    const result = promoCodeService.calculateDiscount(
+      { discountType: 'fixed', discountValue: '5.00', categoryIds: [9] },
+      [{ categoryId: 1, lineTotal: 10.00 }]
+    );
+
+    expect(result).toEqual({ eligibleCents: 0, amountCents: 0, lineDiscounts: [0] });
+  });
+});
+
+describeWithDatabase('promo codes', () => {
+  let app, restaurant, adminToken;
+
+  const createCode = (overrides = {}) => PromoCode.create({
+    restaurantId: restaurant.id,
+    code: `SAVE${Math.random().toString(36).slice(2, 8)}`,
+    discountType: 'percentage',
+    discountValue: 10,
+    ...overrides
+  });
+
+  const validate = (promoCode, overrides = {}) => promoCodeService.validateCode({
+    restaurantId: restaurant.id,
+    code: promoCode.code,
+    orderType: 'pickup',
+    subtotalCents: 2000,
+    ...overrides
+  });
+
+  // Validate the code and save an order that redeems it in one transaction, as checkout does
+  const redeem = (promoCode, customer = {}) => sequelize.transaction(async (transaction) => {
+    const code = await validate(promoCode, { customer, transaction });
+    const order = await createOrder(restaurant, {
+      userId: customer.userId || null,
+      ...(customer.email && { customerEmail: customer.email })
+    }, { transaction });
+    await OrderDiscount.create({ orderId: order.id, ...promoCodeService.toOrderDiscount(code, 200) }, { transaction });
+    return order;
+  });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant();
+    adminToken = await signIn(await createUser(restaurant, { role: 'restaurant_admin' }), restaurant);
+  });
+
+  afterAll(closeDatabase);
+
+  it('finds codes in any case', async () => {
+    const promoCode = await createCode({ code: 'WELCOME10' });
+
+    await expect(validate(promoCode, { code: ' welcome10 ' })).resolves.toMatchObject({ id: promoCode.id });
+  });
+
+  it('lets only one of several racing checkouts take the last redemption', async () => {
+    const promoCode = await createCode({ maxRedemptions: 2 });
+    await redeem(promoCode, { email: 'first@example.com' });
+
+    const results = await Promise.allSettled([
+      redeem(promoCode, { email: 'a@example.com' }),
+      redeem(promoCode, { email: 'b@example.com' }),
+      redeem(promoCode, { email: 'c@example.com' })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    results.filter(result => result.status === 'rejected').forEach(result => {
+      expect(result.reason.details).toMatchObject({ code: 'PROMO_CODE_INVALID', reason: 'USAGE_LIMIT' });
+    });
+    expect(await promoCodeService.countRedemptions(promoCode.id)).toBe(2);
+  });
+
+  it('frees a redemption when its order is cancelled', async () => {
+    const promoCode = await createCode({ maxRedemptions: 1 });
+    const order = await redeem(promoCode);
+
+    await expect(validate(promoCode)).rejects.toMatchObject({ details: { reason: 'USAGE_LIMIT' } });
+
+    await Order.update({ status: 'cancelled' }, { where: { id: order.id } });
+    await expect(validate(promoCode)).resolves.toMatchObject({ id: promoCode.id });
+  });
+
+  it('limits each customer by account or by email in any case', async () => {
+    const promoCode = await createCode({ maxRedemptionsPerCustomer: 1 });
+    const customer = await createUser(restaurant);
+    await redeem(promoCode, { userId: customer.id, email: customer.email });
+
+    await expect(validate(promoCode, { customer: { userId: customer.id } }))
+      .rejects.toMatchObject({ details: { reason: 'CUSTOMER_LIMIT' } });
+    await expect(validate(promoCode, { customer: { email: customer.email.toUpperCase() } }))
+      .rejects.toMatchObject({ details: { reason: 'CUSTOMER_LIMIT' } });
+    await expect(validate(promoCode, { customer: { email: 'someone.else@example.com' } }))
+      .resolves.toMatchObject({ id: promoCode.id });
+  });
+
+  it('lets a customer place only one of two racing orders with a once-per-customer code', async () => {
+    const promoCode = await createCode({ maxRedemptionsPerCustomer: 1 });
+    const customer = { email: 'racer@example.com' };
+
+    const results = await Promise.allSettled([redeem(promoCode, customer), redeem(promoCode, customer)]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.details.reason).toBe('CUSTOMER_LIMIT');
+  });
+
+  it('requires the minimum subtotal', async () => {
+    const promoCode = await createCode({ minimumSubtotal: 25.00 });
+
+    await expect(validate(promoCode, { subtotalCents: 2499 })).rejects.toMatchObject({
+      statusCode: 400,
+      details: { reason: 'BELOW_MINIMUM', minimumSubtotal: 25 }
+    });
+    await expect(validate(promoCode, { subtotalCents: 2500 })).resolves.toMatchObject({ id: promoCode.id });
+  });
+
+  it('only applies to its order types', async () => {
+    const promoCode = await createCode({ orderTypes: ['delivery'] });
+
+    await expect(validate(promoCode, { orderType: 'pickup' })).rejects.toMatchObject({
+      message: 'This promo code is only valid for delivery orders',
+      details: { reason: 'ORDER_TYPE' }
+    });
+    await expect(validate(promoCode, { orderType: 'delivery' })).resolves.toMatchObject({ id: promoCode.id });
+  });
+
+  it('refuses codes outside their validity window or deactivated', async () => {
+    const hour = 60 * 60 * 1000;
+    const upcoming = await createCode({ startsAt: new Date(Date.now() + hour) });
+    const expired = await createCode({ endsAt: new Date(Date.now() - hour) });
+    const inactive = await createCode({ isActive: false });
+
+    await expect(validate(upcoming)).rejects.toMatchObject({ details: { reason: 'NOT_STARTED' } });
+    await expect(validate(expired)).rejects.toMatchObject({ details: { reason: 'EXPIRED' } });
+    await expect(validate(inactive)).rejects.toMatchObject({ details: { reason: 'NOT_FOUND' } });
+  });
+
+  it("does not accept another restaurant's code", async () => {
+    const otherRestaurant = await createRestaurant();
+    const promoCode = await PromoCode.create({ restaurantId: otherRestaurant.id, code: 'ELSEWHERE', discountType: 'fixed', discountValue: 5 });
+
+    await expect(validate(promoCode)).rejects.toMatchObject({ details: { reason: 'NOT_FOUND' } });
+  });
+
+  it('refuses to delete a redeemed code and deletes an unused one', async () => {
+    const redeemed = await createCode();
+    await redeem(redeemed);
+    const unused = await createCode();
+
+    const refused = await request(app)
+      .delete(`/api/promo-codes/${redeemed.id}?restaurant=${restaurant.slug}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(refused.status).toBe(409);
+    expect(refused.body).toMatchObject({ code: 'PROMO_CODE_IN_USE', redemptions: 1 });
+    expect(await PromoCode.findByPk(redeemed.id)).not.toBeNull();
+
+    const deleted = await request(app)
+      .delete(`/api/promo-codes/${unused.id}?restaurant=${restaurant.slug}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(deleted.status).toBe(200);
+    expect(await PromoCode.findByPk(unused.id)).toBeNull();
+  });
+});
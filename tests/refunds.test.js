@@ -0,0 +1,185 @@
+const request = require('supertest');
+const Stripe = require('stripe');
+const { stripe } = require('../config/stripe');
+const { Order, Refund } = require('../config/database');
+const refundService = require('../services/refundService');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createOrder, signIn } = require('./helpers/factories');
+
+// Stripe answers a repeated idempotency key with the refund it created the first time
+let refundSequence = 0;
+const mockStripeRefunds = () => {
+  const refundsByKey = new Map();
+  return jest.spyOn(stripe.refunds, 'create').mockImplementation(async (params, options) => {
+    if (!refundsByKey.has(options.idempotencyKey)) {
+      refundsByKey.set(options.idempotencyKey, {
+        id: `re_${++refundSequence}`,
+        amount: params.amount,
+        status: 'succeeded',
+        payment_intent: params.payment_intent
+      });
+    }
+    return refundsByKey.get(options.idempotencyKey);
+  });
+};
+
+describeWithDatabase('order refunds', () => {
+  let app, restaurant, admin, adminToken, customer, customerToken;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant();
+    admin = await createUser(restaurant, { role: 'restaurant_admin' });
+    customer = await createUser(restaurant);
+    adminToken = await signIn(admin, restaurant);
+    customerToken = await signIn(customer, restaurant);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  const createPaidOrder = (overrides = {}) => createOrder(restaurant, {
+    userId: customer.id,
+    paymentStatus: 'paid',
+    stripePaymentIntentId: `pi_paid_${Date.now()}_${Math.random()}`,
+    ...overrides
+  });
+
+  describe('refundService.refundOrder', () => {
+    it('retries with the same idempotency key, so a retry never refunds twice', async () => {
+      const order = await createPaidOrder();
+      const create = mockStripeRefunds();
+      // The first attempt reaches Stripe but the response is lost
+      create.mockRejectedValueOnce(new Stripe.errors.StripeConnectionError({ message: 'socket hang up' }));
+
+      await expect(refundService.refundOrder(order, { amount: 5 })).rejects.toThrow('socket hang up');
+      await refundService.refundOrder(order, { amount: 5 });
+
+      const [first, second] = create.mock.calls;
+      expect(second[1].idempotencyKey).toBe(first[1].idempotencyKey);
+      expect(await Refund.count({ where: { orderId: order.id } })).toBe(1);
+      await order.reload();
+      expect(order.paymentStatus).toBe('partially_refunded');
+    });
+
+    it('refunds only what is left and rejects more', async () => {
+      const order = await createPaidOrder();
+      mockStripeRefunds();
+
+      await refundService.refundOrder(order, { amount: 20 });
+      await expect(refundService.refundOrder(order, { amount: 5 })).rejects.toThrow('exceeds the refundable balance');
+
+      const refund = await refundService.refundOrder(order);
+      expect(Number(refund.amount)).toBe(1);
+      await order.reload();
+      expect(order.paymentStatus).toBe('refunded');
+    });
+  });
+
+  describe('PUT /api/orders/:id/status', () => {
+    it('refunds a paid confirmed order when it is cancelled', async () => {
+      const order = await createPaidOrder({ status: 'confirmed' });
+      const create = mockStripeRefunds();
+
+      const response = await request(app)
+        .put(`/api/orders/${order.id}/status?restaurant=${restaurant.slug}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'cancelled' });
+
+      expect(response.status).toBe(200);
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({ payment_intent: order.stripePaymentIntentId, amount: 2100 }),
+        expect.objectContaining({ idempotencyKey: `order-${order.id}-refund-0-2100` })
+      );
+      expect(Number(response.body.refund.amount)).toBe(21);
+
+      await order.reload();
+      expect(order.status).toBe('cancelled');
+      expect(order.paymentStatus).toBe('refunded');
+      expect(await Refund.findOne({ where: { orderId: order.id } })).toMatchObject({ source: 'cancellation' });
+    });
+
+    it('does not refund on other status changes', async () => {
+      const order = await createPaidOrder({ status: 'confirmed' });
+      const create = mockStripeRefunds();
+
+      const response = await request(app)
+        .put(`/api/orders/${order.id}/status?restaurant=${restaurant.slug}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'preparing' });
+
+      expect(response.status).toBe(200);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/orders/:id', () => {
+    it('keeps the order cancelled when the refund fails, and a retry refunds it once', async () => {
+      const order = await createPaidOrder();
+      const create = mockStripeRefunds();
+      create.mockRejectedValueOnce(new Stripe.errors.StripeAPIError({ message: 'Stripe is down' }));
+
+      const response = await request(app)
+        .delete(`/api/orders/${order.id}?restaurant=${restaurant.slug}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(502);
+      expect(response.body.code).toBe('CANCELLATION_REFUND_FAILED');
+      await order.reload();
+      expect(order.status).toBe('cancelled');
+      expect(order.paymentStatus).toBe('paid');
+
+      const retry = await request(app)
+        .post(`/api/orders/${order.id}/refund?restaurant=${restaurant.slug}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(retry.status).toBe(201);
+      expect(create.mock.calls[1][1].idempotencyKey).toBe(create.mock.calls[0][1].idempotencyKey);
+      await order.reload();
+      expect(order.paymentStatus).toBe('refunded');
+    });
+
+    it('cancels the PaymentIntent of an unpaid card order', async () => {
+      const order = await createOrder(restaurant, { userId: customer.id, stripePaymentIntentId: 'pi_unpaid' });
+      const cancel = jest.spyOn(stripe.paymentIntents, 'cancel').mockResolvedValue({ id: 'pi_unpaid', status: 'canceled' });
+      const create = mockStripeRefunds();
+
+      const response = await request(app)
+        .delete(`/api/orders/${order.id}?restaurant=${restaurant.slug}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(cancel).toHaveBeenCalledWith('pi_unpaid', {}, { idempotencyKey: `order-${order.id}-intent-cancel` });
+      expect(create).not.toHaveBeenCalled();
+      expect((await Order.findByPk(order.id)).status).toBe('cancelled');
+    });
+
+    it('refunds an intent that succeeded just before the cancel', async () => {
+      const order = await createOrder(restaurant, { userId: customer.id, stripePaymentIntentId: 'pi_raced' });
+      jest.spyOn(stripe.paymentIntents, 'cancel').mockRejectedValue(
+        new Stripe.errors.StripeInvalidRequestError({ message: 'This PaymentIntent has already succeeded' })
+      );
+      jest.spyOn(stripe.paymentIntents, 'retrieve').mockResolvedValue({
+        id: 'pi_raced',
+        status: 'succeeded',
+        amount: 2100,
+        amount_received: 2100,
+        currency: 'cad',
+        metadata: { orderId: String(order.id), restaurantId: String(restaurant.id) }
+      });
+      const create = mockStripeRefunds();
+
+      const response = await request(app)
+        .delete(`/api/orders/${order.id}?restaurant=${restaurant.slug}`)
+        .set('Authorization', `Bearer ${customerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(create).toHaveBeenCalledTimes(1);
+      await order.reload();
+      expect(order.paymentStatus).toBe('refunded');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { User } = require('../config/database');
+const emailService = require('../services/emailService');
+const { googleClient } = require('../utils/oauth');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, signIn } = require('./helpers/factories');
+
+describeWithDatabase('per-restaurant accounts', () => {
+  let app, firstRestaurant, secondRestaurant;
+
+  const mockGoogleSignIn = (claims) => jest.spyOn(googleClient, 'verifyIdToken').mockResolvedValue({
+    getPayload: () => ({ email_verified: true, ...claims })
+  });
+
+  const signup = (restaurant, password) => request(app)
+    .post(`/api/auth/signup?restaurant=${restaurant.slug}`)
+    .send({
+      email: 'shared@example.com',
+      password,
+      firstName: 'Shared',
+      lastName: 'Customer',
+      phone: '604-555-0100',
+      address: '1 Main St'
+    });
+
+  const signin = (restaurant, email, password) => request(app)
+    .post(`/api/auth/signin?restaurant=${restaurant.slug}`)
+    .send({ email, password });
+
+  const googleSignIn = (restaurant) => request(app)
+    .post(`/api/auth/google?restaurant=${restaurant.slug}`)
+    .send({ token: 'google-id-token' });
+
+  const getProfile = (restaurant, token) => request(app)
+    .get(`/api/users/profile?restaurant=${restaurant.slug}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    firstRestaurant = await createRestaurant();
+    secondRestaurant = await createRestaurant();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(emailService, 'sendEmailVerification').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('lets the same email sign up once at each restaurant', async () => {
+    expect((await signup(firstRestaurant, 'first-password')).status).toBe(201);
+    expect((await signup(secondRestaurant, 'second-password')).status).toBe(201);
+    expect((await signup(firstRestaurant, 'third-password')).status).toBe(400);
+
+    const accounts = await User.findAll({ where: { email: 'shared@example.com' }, order: [['id', 'ASC']] });
+    expect(accounts.map(account => account.restaurantId)).toEqual([firstRestaurant.id, secondRestaurant.id]);
+  });
+
+  it("signs in to the current restaurant's account only", async () => {
+    const first = await signin(firstRestaurant, 'shared@example.com', 'first-password');
+    expect(first.status).toBe(200);
+    expect(first.body.restaurantId).toBe(firstRestaurant.id);
+
+    const second = await signin(secondRestaurant, 'shared@example.com', 'second-password');
+    expect(second.status).toBe(200);
+    expect(second.body.restaurantId).toBe(secondRestaurant.id);
+
+    expect((await signin(secondRestaurant, 'shared@example.com', 'first-password')).status).toBe(401);
+  });
+
+  it("does not sign in with another restaurant's account through OAuth", async () => {
+    const user = await createUser(firstRestaurant, { thirdPartyId: 'google-first', thirdPartyProvider: 'google', emailVerified: true });
+    mockGoogleSignIn({ sub: 'google-first', email: user.email });
+
+    const here = await googleSignIn(firstRestaurant);
+    expect(here.status).toBe(200);
+    expect(here.body.id).toBe(user.id);
+
+    const elsewhere = await googleSignIn(secondRestaurant);
+    expect(elsewhere.status).toBe(200);
+    expect(elsewhere.body).toMatchObject({ requiresProfile: true, userData: { email: user.email } });
+    expect(elsewhere.body.token).toBeUndefined();
+  });
+
+  it("completes a super admin's profile at any restaurant without creating a second account", async () => {
+    const superAdmin = await createUser(firstRestaurant, {
+      role: 'super_admin',
+      phone: '',
+      address: '',
+      thirdPartyId: 'google-admin',
+      thirdPartyProvider: 'google',
+      emailVerified: true
+    });
+    mockGoogleSignIn({ sub: 'google-admin', email: superAdmin.email });
+
+    const oauth = await googleSignIn(secondRestaurant);
+    expect(oauth.body.requiresProfile).toBe(true);
+
+    const response = await request(app)
+      .post(`/api/auth/complete-oauth-profile?restaurant=${secondRestaurant.slug}`)
+      .send({ profileToken: oauth.body.profileToken, phone: '604-555-0199', address: '9 Admin St' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.id).toBe(superAdmin.id);
+    expect(await User.count({ where: { email: superAdmin.email } })).toBe(1);
+    await superAdmin.reload();
+    expect(superAdmin).toMatchObject({ phone: '604-555-0199', address: '9 Admin St' });
+  });
+
+  it("refuses a customer's token at another restaurant but lets super admins in everywhere", async () => {
+    const customer = await createUser(firstRestaurant);
+    const superAdmin = await createUser(firstRestaurant, { role: 'super_admin' });
+    const customerToken = await signIn(customer, firstRestaurant);
+
+    expect((await getProfile(firstRestaurant, customerToken)).status).toBe(200);
+
+    const elsewhere = await getProfile(secondRestaurant, customerToken);
+    expect(elsewhere.status).toBe(401);
+    expect(elsewhere.body.code).toBe('WRONG_RESTAURANT');
+
+    expect((await getProfile(secondRestaurant, await signIn(superAdmin, firstRestaurant))).status).toBe(200);
+  });
+});
@@ -0,0 +1,64 @@
+const { sequelize, Restaurant } = require('../config/database');
+const { applyDataMigrations } = require('../config/dataMigrations');
+const scheduleService = require('../services/scheduleService');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant } = require('./helpers/factories');
+
+describe('Restaurant hours validation', () => {
+  const validate = (hours) => Restaurant.build({ name: 'Hours', slug: 'hours', hours }).validate({ fields: ['hours'] });
+
+  it('accepts interval lists and closed days', async () => {
+    await expect(validate({ monday: [{ open: '11:00', close: '14:00' }, { open: '17:00', close: '02:00' }], tuesday: [], sunday: null })).resolves.toBeDefined();
+  });
+
+  it.each([
+    [{ monday: '11:00-22:00' }],
+    [{ monday: { open: '11:00', close: '22:00' } }],
+    [{ monday: [{ open: '9:00', close: '22:00' }] }],
+    [{ holiday: [] }],
+    ['Mon-Sun 11:00-22:00']
+  ])('rejects %j', async (hours) => {
+    await expect(validate(hours)).rejects.toThrow();
+  });
+});
+
+describeWithDatabase('restaurant hours data migration', () => {
+  // Store hours as older versions did, bypassing the validator
+  const createWithHours = async (hours) => {
+    const restaurant = await createRestaurant();
+    await Restaurant.update({ hours }, { where: { id: restaurant.id }, validate: false });
+    return restaurant;
+  };
+
+  beforeAll(resetDatabase);
+  afterAll(closeDatabase);
+
+  it('rewrites single-interval days as interval lists', async () => {
+    const restaurant = await createWithHours({
+      monday: '9:00-24:00',
+      tuesday: { open: '11:00', close: '22:00' },
+      wednesday: [{ open: '11:00', close: '14:00' }],
+      thursday: null
+    });
+
+    await applyDataMigrations(sequelize);
+    await restaurant.reload();
+
+    expect(restaurant.hours).toEqual({
+      monday: [{ open: '09:00', close: '00:00' }],
+      tuesday: [{ open: '11:00', close: '22:00' }],
+      wednesday: [{ open: '11:00', close: '14:00' }],
+      thursday: null
+    });
+    expect(scheduleService.parseDayHours(restaurant.hours.monday)).toEqual([{ open: 540, close: 1440 }]);
+  });
+
+  it('leaves hours it cannot read untouched', async () => {
+    const restaurant = await createWithHours({ monday: 'lunch and dinner' });
+
+    await applyDataMigrations(sequelize);
+    await restaurant.reload();
+
+    expect(restaurant.hours).toEqual({ monday: 'lunch and dinner' });
+  });
+});
@@ -0,0 +1,57 @@
+const { sequelize, Order } = require('../config/database');
+const scheduleService = require('../services/scheduleService');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createOrder } = require('./helpers/factories');
+
+const OPEN_ALL_DAY = [{ open: '00:00', close: '23:45' }];
+
+describeWithDatabase('scheduleService slot capacity', () => {
+  let restaurant;
+
+  // The last slot tomorrow, far enough ahead that no lead time gets in the way
+  const pickSlot = async () => {
+    const slots = await scheduleService.getSlots(restaurant, { orderType: 'pickup' });
+    return slots[slots.length - 1].time;
+  };
+
+  // Check the slot and save an order for it in one transaction, as checkout does
+  const bookSlot = (time) => sequelize.transaction(async (transaction) => {
+    const scheduledFor = await scheduleService.validateScheduledTime(restaurant, 'pickup', time, { transaction });
+    return createOrder(restaurant, { scheduledFor }, { transaction });
+  });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    restaurant = await createRestaurant({
+      hours: Object.fromEntries(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map(day => [day, OPEN_ALL_DAY])),
+      schedulingSettings: { slotCapacity: 2, maxDaysAhead: 1 }
+    });
+  });
+
+  afterAll(closeDatabase);
+
+  it('counts booked orders against the slot and rejects a full slot', async () => {
+    const time = await pickSlot();
+    await createOrder(restaurant, { scheduledFor: time });
+    await createOrder(restaurant, { scheduledFor: time, status: 'cancelled' }); // Cancelled orders free their seat
+
+    const slot = (await scheduleService.getSlots(restaurant, { orderType: 'pickup' })).find(s => s.time === time);
+    expect(slot).toMatchObject({ remaining: 1, available: true });
+
+    await bookSlot(time);
+    await expect(bookSlot(time)).rejects.toMatchObject({ statusCode: 409, details: { code: 'SLOT_FULL' } });
+  });
+
+  it('sells the last seat of a slot only once when checkouts race', async () => {
+    const time = (await scheduleService.getSlots(restaurant, { orderType: 'pickup' })).slice(-2)[0].time;
+    await createOrder(restaurant, { scheduledFor: time });
+
+    const results = await Promise.allSettled([bookSlot(time), bookSlot(time), bookSlot(time)]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    results.filter(result => result.status === 'rejected').forEach(result => {
+      expect(result.reason.details.code).toBe('SLOT_FULL');
+    });
+    expect(await Order.count({ where: { restaurantId: restaurant.id, scheduledFor: time } })).toBe(2);
+  });
+});
@@ -0,0 +1,41 @@
+const { UserSession } = require('../config/database');
+const sessionService = require('../services/sessionService');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser } = require('./helpers/factories');
+
+describeWithDatabase('sessionService.refresh', () => {
+  let restaurant;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    restaurant = await createRestaurant();
+  });
+
+  afterAll(closeDatabase);
+
+  it('rotates the refresh token on every use', async () => {
+    const user = await createUser(restaurant);
+    const { refreshToken } = await sessionService.createSession(user, restaurant.id);
+
+    const { tokens } = await sessionService.refresh(refreshToken);
+
+    expect(tokens.refreshToken).not.toBe(refreshToken);
+    await expect(sessionService.refresh(tokens.refreshToken)).resolves.toMatchObject({ user: { id: user.id } });
+  });
+
+  it('revokes the session when a spent refresh token is presented again', async () => {
+    const user = await createUser(restaurant);
+    const { refreshToken } = await sessionService.createSession(user, restaurant.id);
+    const { tokens } = await sessionService.refresh(refreshToken);
+
+    await expect(sessionService.refresh(refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+      details: { code: 'REFRESH_TOKEN_INVALID' }
+    });
+
+    const session = await UserSession.findOne({ where: { userId: user.id } });
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+    // The token the legitimate client holds stops working too
+    await expect(sessionService.refresh(tokens.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
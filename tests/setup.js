@@ -0,0 +1,29 @@
+// TEST ENVIRONMENT - Runs before every test file, before any app module is loaded
+// Database tests use the Postgres database named by TEST_DATABASE_URL (it is wiped on every run);
+// without it they are skipped and only the tests that need no database run.
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_jest'; // Stripe calls are mocked in every test that makes them
+
+// Never fall back to the DATABASE_URL or DB_* settings of a developer's .env
+// (dotenv leaves variables that are already set alone, even when empty)
+process.env.DATABASE_URL = '';
+
+if (process.env.TEST_DATABASE_URL) {
+  const url = new URL(process.env.TEST_DATABASE_URL);
+  process.env.DB_HOST = url.hostname;
+  process.env.DB_PORT = url.port || '5432';
+  process.env.DB_NAME = decodeURIComponent(url.pathname.slice(1));
+  process.env.DB_USER = decodeURIComponent(url.username);
+  process.env.DB_PASSWORD = decodeURIComponent(url.password);
+  process.env.DB_SSL = url.searchParams.get('sslmode') === 'require' ? 'true' : 'false';
+} else {
+  // Unreachable on purpose: a test that queries without a database fails instead of using another one
+  process.env.DB_HOST = '127.0.0.1';
+  process.env.DB_PORT = '1';
+  process.env.DB_NAME = 'restaurant_test';
+  process.env.DB_USER = 'test';
+  process.env.DB_PASSWORD = 'test';
+  process.env.DB_SSL = 'false';
+}
@@ -0,0 +1,108 @@
+const request = require('supertest');
+const { Order, OrderTaxLine } = require('../config/database');
+const { clearRestaurantCache } = require('../middleware/restaurantContext');
+const { createApp } = require('./helpers/app');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createUser, createMenuItem, signIn } = require('./helpers/factories');
+
+describeWithDatabase('order tax lines', () => {
+  let app, restaurant, food, drink;
+
+  const taxLinesOf = async (order) => (await OrderTaxLine.findAll({ where: { orderId: order.id }, order: [['id', 'ASC']] }))
+    .map(taxLine => [taxLine.name, taxLine.rate, taxLine.taxableAmount, taxLine.amount]);
+
+  // Two $10.00 food items and one $4.00 drink
+  const checkout = () => request(app)
+    .post(`/api/orders?restaurant=${restaurant.slug}`)
+    .send({
+      customerEmail: 'guest@example.com',
+      customerFirstName: 'Guest',
+      customerLastName: 'Customer',
+      customerPhone: '604-555-0100',
+      orderType: 'pickup',
+      paymentMethod: 'cash_on_arrival',
+      items: [{ menuItemId: food.id, quantity: 2 }, { menuItemId: drink.id, quantity: 1 }]
+    });
+
+  beforeAll(async () => {
+    await resetDatabase();
+    app = createApp();
+    restaurant = await createRestaurant();
+    food = await createMenuItem(restaurant, { price: 10.00 });
+    drink = await createMenuItem(restaurant, { price: 4.00 });
+    // GST on everything, PST on drinks only. The categories exist only now, so set the rates after
+    // creating the restaurant and drop any cached copy, as the restaurant admin routes do.
+    await restaurant.update({
+      taxSettings: {
+        rates: [
+          { name: 'GST', rate: 0.05, categoryIds: null, appliesToDeliveryFee: true },
+          { name: 'PST', rate: 0.07, categoryIds: [drink.categoryId], appliesToDeliveryFee: false }
+        ]
+      }
+    });
+    clearRestaurantCache();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  it('stores one line per named tax with the order', async () => {
+    const response = await checkout();
+
+    expect(response.status).toBe(201);
+    expect(response.body.order).toMatchObject({ subtotal: '24.00', tax: '1.48', total: '25.48' });
+    expect(response.body.order.taxLines.map(taxLine => [taxLine.name, taxLine.amount])).toEqual([['GST', '1.20'], ['PST', '0.28']]);
+    expect(await taxLinesOf(response.body.order)).toEqual([
+      ['GST', '0.0500', '24.00', '1.20'],
+      ['PST', '0.0700', '4.00', '0.28']
+    ]);
+  });
+
+  it('keeps the rates an order was placed at when the restaurant changes them', async () => {
+    const order = (await checkout()).body.order;
+
+    await restaurant.update({ taxSettings: { rates: [{ name: 'HST', rate: 0.13, categoryIds: null, appliesToDeliveryFee: true }] } });
+    const reloaded = await Order.findByPk(order.id, { include: [{ model: OrderTaxLine, as: 'taxLines' }] });
+
+    expect(reloaded.taxLines.map(taxLine => taxLine.name).sort()).toEqual(['GST', 'PST']);
+    expect(reloaded.tax).toBe('1.48');
+  });
+
+  it('reports tax collected per named rate on paid orders only', async () => {
+    const statsRestaurant = await createRestaurant({
+      taxSettings: {
+        rates: [
+          { name: 'GST', rate: 0.05, categoryIds: null, appliesToDeliveryFee: true },
+          { name: 'PST', rate: 0.07, categoryIds: null, appliesToDeliveryFee: false }
+        ]
+      }
+    });
+    const admin = await createUser(statsRestaurant, { role: 'restaurant_admin' });
+    const item = await createMenuItem(statsRestaurant, { price: 10.00 });
+    const placeOrder = async () => (await request(app)
+      .post(`/api/orders?restaurant=${statsRestaurant.slug}`)
+      .send({
+        customerEmail: 'guest@example.com',
+        customerFirstName: 'Guest',
+        customerLastName: 'Customer',
+        customerPhone: '604-555-0100',
+        orderType: 'pickup',
+        paymentMethod: 'cash_on_arrival',
+        items: [{ menuItemId: item.id, quantity: 1 }]
+      })).body.order;
+
+    const paid = [await placeOrder(), await placeOrder()];
+    await placeOrder(); // Unpaid
+    await Order.update({ paymentStatus: 'paid' }, { where: { id: paid.map(order => order.id) } });
+
+    const response = await request(app)
+      .get(`/api/orders/admin/stats?restaurant=${statsRestaurant.slug}`)
+      .set('Authorization', `Bearer ${await signIn(admin, statsRestaurant)}`);
+
+    expect(response.status).toBe(200);
+    const taxBreakdown = response.body.statistics.taxBreakdown
+      .map(taxLine => [taxLine.name, Number(taxLine.amount)])
+      .sort(([a], [b]) => a.localeCompare(b));
+    expect(taxBreakdown).toEqual([['GST', 1.00], ['PST', 1.40]]);
+  });
+});
@@ -0,0 +1,128 @@
+const { stripe } = require('../config/stripe');
+const { WebhookEvent } = require('../config/database');
+const webhookService = require('../services/webhookService');
+const { describeWithDatabase, resetDatabase, closeDatabase } = require('./helpers/database');
+const { createRestaurant, createOrder } = require('./helpers/factories');
+
+let eventSequence = 0;
+
+// A Stripe payment intent event for an order, created at a given second
+const intentEvent = (type, order, created, overrides = {}) => ({
+  id: `evt_${++eventSequence}`,
+  type,
+  created,
+  data: {
+    object: {
+      id: order.stripePaymentIntentId,
+      object: 'payment_intent',
+      status: type === 'payment_intent.succeeded' ? 'succeeded' : 'requires_payment_method',
+      amount: 2100,
+      amount_received: type === 'payment_intent.succeeded' ? 2100 : 0,
+      currency: 'cad',
+      metadata: { orderId: String(order.id), restaurantId: String(order.restaurantId) },
+      ...overrides
+    }
+  }
+});
+
+describeWithDatabase('webhookService', () => {
+  let restaurant;
+
+  beforeAll(async () => {
+    await resetDatabase();
+    restaurant = await createRestaurant();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+  afterAll(closeDatabase);
+
+  const createCardOrder = (overrides = {}) => createOrder(restaurant, {
+    stripePaymentIntentId: `pi_${++eventSequence}`,
+    ...overrides
+  });
+
+  it('marks the order paid once, however often the event is delivered', async () => {
+    const order = await createCardOrder();
+    const event = intentEvent('payment_intent.succeeded', order, 1000);
+
+    const first = await webhookService.receiveEvent(event);
+    const second = await webhookService.receiveEvent(event);
+
+    expect(first.duplicate).toBe(false);
+    expect(second.duplicate).toBe(true);
+    expect(await WebhookEvent.count({ where: { stripeEventId: event.id } })).toBe(1);
+    await order.reload();
+    expect(order.paymentStatus).toBe('paid');
+  });
+
+  it('does not let an older failure arriving late override a newer success', async () => {
+    const order = await createCardOrder();
+    const failed = intentEvent('payment_intent.payment_failed', order, 1000);
+    const succeeded = intentEvent('payment_intent.succeeded', order, 1005);
+
+    await webhookService.receiveEvent(succeeded);
+    const { event } = await webhookService.receiveEvent(failed);
+
+    expect(event.status).toBe('skipped');
+    expect(event.lastError).toMatch(/Superseded by payment_intent.succeeded/);
+    await order.reload();
+    expect(order.paymentStatus).toBe('paid');
+  });
+
+  it('applies a newer success after an older failure', async () => {
+    const order = await createCardOrder();
+
+    await webhookService.receiveEvent(intentEvent('payment_intent.payment_failed', order, 1000));
+    await order.reload();
+    expect(order.paymentStatus).toBe('failed');
+
+    await webhookService.receiveEvent(intentEvent('payment_intent.succeeded', order, 1005));
+    await order.reload();
+    expect(order.paymentStatus).toBe('paid');
+  });
+
+  it('flags a payment whose amount does not match the order for review', async () => {
+    const order = await createCardOrder();
+
+    await webhookService.receiveEvent(intentEvent('payment_intent.succeeded', order, 1000, { amount: 100, amount_received: 100 }));
+
+    await order.reload();
+    expect(order.paymentStatus).toBe('pending');
+    expect(order.paymentReviewReason).toMatch(/does not match amount due/);
+  });
+
+  it('refunds a payment that succeeds after the order was cancelled', async () => {
+    const order = await createCardOrder({ status: 'cancelled' });
+    const create = jest.spyOn(stripe.refunds, 'create').mockResolvedValue({
+      id: 're_late',
+      amount: 2100,
+      status: 'succeeded'
+    });
+
+    await webhookService.receiveEvent(intentEvent('payment_intent.succeeded', order, 1000));
+
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: order.stripePaymentIntentId, amount: 2100 }),
+      expect.objectContaining({ idempotencyKey: `order-${order.id}-refund-0-2100` })
+    );
+    await order.reload();
+    expect(order.paymentStatus).toBe('refunded');
+  });
+
+  it('marks the event failed and lets a retry finish it', async () => {
+    const order = await createCardOrder({ status: 'cancelled' });
+    const create = jest.spyOn(stripe.refunds, 'create')
+      .mockRejectedValueOnce(new Error('Stripe is down'))
+      .mockResolvedValue({ id: 're_retried', amount: 2100, status: 'succeeded' });
+    const event = intentEvent('payment_intent.succeeded', order, 1000);
+
+    await expect(webhookService.receiveEvent(event)).rejects.toThrow('Stripe is down');
+    expect((await WebhookEvent.findOne({ where: { stripeEventId: event.id } })).status).toBe('failed');
+
+    const retry = await webhookService.receiveEvent(event);
+    expect(retry.duplicate).toBe(false);
+    expect(create).toHaveBeenCalledTimes(2);
+    await order.reload();
+    expect(order.paymentStatus).toBe('refunded');
+  });
+});
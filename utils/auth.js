@@ -1,15 +1,19 @@
 const jwt = require('jsonwebtoken');
 
-// Generate JWT token with restaurant context
-const generateToken = (userId, restaurantId = null) => {
-  const payload = { userId };
+// Access tokens are short-lived; clients renew them with the session's refresh token
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+
+// Generate JWT access token with restaurant context. sessionId names the signed-in device
+// (revoking the session revokes the token) and tokenVersion the user's credentials.
+const generateToken = (userId, restaurantId = null, { sessionId, tokenVersion = 0 }) => {
+  const payload = { userId, sessionId, tokenVersion };
   
   // Include restaurant context if provided (for restaurant-scoped users)
   if (restaurantId) {
     payload.restaurantId = restaurantId;
   }
   
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '7d' });
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
 };
 
 // Validate email format
@@ -33,6 +37,7 @@ const validateRequiredFields = (fields, requiredFields) => {
 };
 
 module.exports = {
+  ACCESS_TOKEN_TTL,
   generateToken,
   isValidEmail,
   isValidPassword,
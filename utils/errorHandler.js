@@ -1,3 +1,13 @@
+// Error with an HTTP status code attached - thrown by services so routes can respond with the right status
+class ApiError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.details = details; // Extra fields merged into the JSON response (e.g. code, pricing)
+  }
+}
+
 // Global error handling middleware
 const errorHandler = (err, req, res, next) => {
   console.error('Error stack:', err.stack);
@@ -43,6 +53,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
+    ...(err instanceof ApiError && err.details),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -53,6 +64,7 @@ const asyncHandler = (fn) => (req, res, next) => {
 };
 
 module.exports = {
+  ApiError,
   errorHandler,
   asyncHandler
 };
\ No newline at end of file
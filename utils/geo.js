@@ -0,0 +1,55 @@
+// Geometry helpers for delivery zones - coordinates are WGS84 degrees, GeoJSON order is [lng, lat]
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two { lat, lng } points in kilometres
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Ray casting test against one linear ring ([[lng, lat], ...])
+const isPointInRing = (point, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > point.lat) !== (yj > point.lat) &&
+      point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Polygon coordinates are an outer ring followed by optional holes
+const isPointInPolygonCoordinates = (point, rings) => {
+  if (!isPointInRing(point, rings[0])) return false;
+  return !rings.slice(1).some(hole => isPointInRing(point, hole));
+};
+
+// Whether a { lat, lng } point lies inside a GeoJSON Polygon or MultiPolygon geometry
+const isPointInGeometry = (point, geometry) => {
+  if (geometry.type === 'Polygon') {
+    return isPointInPolygonCoordinates(point, geometry.coordinates);
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(polygon => isPointInPolygonCoordinates(point, polygon));
+  }
+  return false;
+};
+
+const isValidCoordinate = (point) =>
+  Boolean(point) &&
+  typeof point.lat === 'number' && point.lat >= -90 && point.lat <= 90 &&
+  typeof point.lng === 'number' && point.lng >= -180 && point.lng <= 180;
+
+module.exports = {
+  distanceKm,
+  isPointInGeometry,
+  isValidCoordinate
+};
@@ -0,0 +1,12 @@
+// Money helpers - all price arithmetic is done in integer cents to avoid floating point drift
+
+// Convert a dollar amount (number or DECIMAL string from Postgres) to integer cents
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+// Convert integer cents back to a dollar amount
+const fromCents = (cents) => Math.round(cents) / 100;
+
+module.exports = {
+  toCents,
+  fromCents
+};
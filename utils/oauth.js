@@ -1,4 +1,12 @@
+const jwt = require('jsonwebtoken');
 const { OAuth2Client } = require('google-auth-library');
+const appleSignin = require('apple-signin-auth');
+
+// A sign-in that still needs the customer's contact details gets a profile completion token
+// instead of a session. It carries what the provider verified, so completing the profile needs
+// nothing from the client but the missing fields.
+const PROFILE_COMPLETION_TOKEN_TTL = '30m';
+const PROFILE_COMPLETION_AUDIENCE = 'oauth-profile-completion'; // Keeps these tokens from working as sign-in tokens
 
 // Initialize OAuth clients
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
@@ -26,6 +34,56 @@ const verifyFacebookToken = async (accessToken) => {
   return await response.json();
 };
 
+const APPLE_ISSUER = 'https://appleid.apple.com';
+
+// apple-signin-auth downloads Apple's key set again for every key ID it hasn't cached. Once a token
+// names a key Apple doesn't publish, tokens with other unfamiliar key IDs are refused for a minute
+// instead of each costing a download; keys that have verified a token keep working.
+const APPLE_UNKNOWN_KEY_RETRY_MS = 60 * 1000;
+const verifiedAppleKeyIds = new Set();
+let appleUnknownKeyAt = 0;
+
+// Verify Apple identity token. APPLE_CLIENT_ID may list several comma-separated client IDs
+// (e.g. the web Services ID and the iOS bundle ID). Signatures are checked against Apple's published
+// keys through apple-signin-auth; getKey(kid) resolves the public key instead (tests sign their own tokens).
+const verifyAppleToken = async (identityToken, { nonce, getKey = null } = {}) => {
+  const audience = (process.env.APPLE_CLIENT_ID || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (audience.length === 0) {
+    throw new Error('APPLE_CLIENT_ID is not configured');
+  }
+  const options = { algorithms: ['RS256'], audience, issuer: APPLE_ISSUER, ...(nonce && { nonce }) };
+
+  if (getKey) {
+    return new Promise((resolve, reject) => {
+      jwt.verify(identityToken, (header, callback) => {
+        getKey(header.kid).then(key => callback(null, key), callback);
+      }, options, (error, decoded) => (error ? reject(error) : resolve(decoded)));
+    });
+  }
+
+  const decoded = jwt.decode(identityToken, { complete: true });
+  const kid = decoded ? decoded.header.kid : null;
+  if (!verifiedAppleKeyIds.has(kid) && Date.now() - appleUnknownKeyAt < APPLE_UNKNOWN_KEY_RETRY_MS) {
+    throw new Error(`Apple signing key ${kid} not found`);
+  }
+
+  try {
+    const payload = await appleSignin.verifyIdToken(identityToken, options);
+    verifiedAppleKeyIds.add(kid);
+    return payload;
+  } catch (error) {
+    if (/Invalid id token public key id/.test(error.message)) {
+      appleUnknownKeyAt = Date.now();
+    }
+    throw error;
+  }
+};
+
+// Apple's "Hide My Email" addresses forward to the user's real inbox but are unique per app
+const isApplePrivateRelayEmail = (userData) =>
+  userData.is_private_email === true || userData.is_private_email === 'true' ||
+  /@privaterelay\.appleid\.com$/i.test(userData.email || '');
+
 // Transform OAuth user data to standard format
 const transformOAuthUser = (provider, userData) => {
   switch (provider) {
@@ -34,6 +92,7 @@ const transformOAuthUser = (provider, userData) => {
         email: userData.email,
         firstName: userData.given_name,
         lastName: userData.family_name,
+        emailVerified: userData.email_verified === true,
         thirdPartyId: userData.sub,
         thirdPartyProvider: 'google'
       };
@@ -43,15 +102,18 @@ const transformOAuthUser = (provider, userData) => {
         email: userData.email,
         firstName: userData.first_name,
         lastName: userData.last_name,
+        emailVerified: false, // Facebook doesn't say whether the address was confirmed
         thirdPartyId: userData.id,
         thirdPartyProvider: 'facebook'
       };
     
     case 'apple':
+      // Apple's token carries no name; the app passes the one Apple gives it on the first sign-in
       return {
         email: userData.email,
         firstName: userData.given_name,
         lastName: userData.family_name,
+        emailVerified: userData.email_verified === true || userData.email_verified === 'true', // Apple sends a string
         thirdPartyId: userData.sub,
         thirdPartyProvider: 'apple'
       };
@@ -61,9 +123,37 @@ const transformOAuthUser = (provider, userData) => {
   }
 };
 
+// oauthUser is transformOAuthUser's result; userId is the account the sign-in matched, if any
+const createProfileCompletionToken = (oauthUser, { restaurantId, userId = null }) => jwt.sign({
+  sub: oauthUser.thirdPartyId,
+  provider: oauthUser.thirdPartyProvider,
+  email: oauthUser.email,
+  emailVerified: oauthUser.emailVerified,
+  firstName: oauthUser.firstName || null,
+  lastName: oauthUser.lastName || null,
+  restaurantId,
+  userId
+}, process.env.JWT_SECRET, {
+  audience: PROFILE_COMPLETION_AUDIENCE,
+  expiresIn: PROFILE_COMPLETION_TOKEN_TTL
+});
+
+// Payload of a profile completion token issued for the restaurant; throws when it is invalid or expired
+const verifyProfileCompletionToken = (token, restaurantId) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET, { audience: PROFILE_COMPLETION_AUDIENCE });
+  if (payload.restaurantId !== restaurantId) {
+    throw new Error('Profile completion token was issued for another restaurant');
+  }
+  return payload;
+};
+
 module.exports = {
   googleClient,
   verifyGoogleToken,
   verifyFacebookToken,
-  transformOAuthUser
+  verifyAppleToken,
+  isApplePrivateRelayEmail,
+  transformOAuthUser,
+  createProfileCompletionToken,
+  verifyProfileCompletionToken
 };
\ No newline at end of file